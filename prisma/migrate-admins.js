@@ -0,0 +1,57 @@
+require('dotenv').config();
+
+const prisma = require('../src/config/db');
+const { migrateLegacyAdmins } = require('../src/services/adminMigration.service');
+
+// Fold legacy Admin rows into User accounts.
+//
+//   npm run admins:migrate                                  # dry run: print the plan and conflicts
+//   npm run admins:migrate -- --apply                       # migrate
+//   npm run admins:migrate -- --apply --promote-existing    # also promote users that share an admin's email
+//   npm run admins:migrate -- --map editor="Content editor" # legacy role -> ADMIN or a custom role name
+
+function parseArgs(argv) {
+  const options = { dryRun: true, promoteExisting: false, roleMap: {} };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--apply') options.dryRun = false;
+    else if (arg === '--promote-existing') options.promoteExisting = true;
+    else if (arg === '--map') {
+      const [legacyRole, target] = (argv[++i] || '').split('=');
+      if (!legacyRole || !target) throw new Error('--map expects legacyRole=ADMIN or legacyRole=<custom role name>');
+      options.roleMap[legacyRole] = target;
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const report = await migrateLegacyAdmins(options);
+
+  console.log(report.dryRun ? 'Dry run (nothing written). Re-run with --apply to migrate.' : 'Legacy admins migrated.');
+  console.table(report.entries.map((entry) => ({
+    admin: entry.adminId,
+    email: entry.email,
+    legacyRole: entry.legacyRole,
+    action: entry.action,
+    target: entry.target ? entry.target.customRole || entry.target.role : '',
+    userId: entry.userId || '',
+    conflict: entry.conflict ? `${entry.conflict.code}: ${entry.conflict.message}` : '',
+  })));
+  console.log('Summary:', report.summary);
+
+  if (report.summary.CONFLICT > 0) process.exitCode = 1;
+}
+
+main()
+  .catch((e) => {
+    console.error(e.message);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
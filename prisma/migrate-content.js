@@ -0,0 +1,55 @@
+require('dotenv').config();
+
+const prisma = require('../src/config/db');
+const { STORAGE_DRIVER } = require('../src/services/storage.service');
+const { migrateContentToStorage } = require('../src/services/contentMigration.service');
+
+// Move base64 Document/Module/Lesson content out of the database into object storage.
+// Resumable: stop it at any time and run it again.
+//
+//   npm run content:migrate                                # dry run: count what would move
+//   npm run content:migrate -- --apply                     # migrate
+//   npm run content:migrate -- --apply --batch=20          # rows read per query (default 50)
+//   npm run content:migrate -- --apply --only=documents    # documents, modules and/or lessons
+
+function parseArgs(argv) {
+  const options = { dryRun: true };
+
+  for (const arg of argv) {
+    const [name, value] = arg.split('=');
+    if (arg === '--apply') options.dryRun = false;
+    else if (name === '--batch') {
+      options.batchSize = parseInt(value);
+      if (!(options.batchSize > 0)) throw new Error('--batch expects a positive number');
+    } else if (name === '--only') {
+      options.only = (value || '').split(',').map((table) => table.trim()).filter(Boolean);
+      if (options.only.length === 0) throw new Error('--only expects documents, modules and/or lessons');
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  console.log(`Storage driver: ${STORAGE_DRIVER}`);
+
+  const report = await migrateContentToStorage(options);
+
+  console.log(report.dryRun ? 'Dry run (nothing written). Re-run with --apply to migrate.' : 'Content migrated.');
+  console.table(report.tables);
+  if (report.skipped.length > 0) {
+    console.log('Left in the database:');
+    console.table(report.skipped);
+  }
+}
+
+main()
+  .catch((e) => {
+    console.error(e.message);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "LessonProgress" ADD COLUMN     "lastHeartbeatAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "Settings" ADD COLUMN     "videoCompletionThreshold" INTEGER NOT NULL DEFAULT 90;
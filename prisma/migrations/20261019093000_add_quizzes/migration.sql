@@ -0,0 +1,82 @@
+-- CreateEnum
+CREATE TYPE "QuizQuestionType" AS ENUM ('MULTIPLE_CHOICE', 'MULTI_SELECT', 'TRUE_FALSE', 'SHORT_ANSWER');
+
+-- CreateTable
+CREATE TABLE "Quiz" (
+    "id" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "description" TEXT,
+    "passingScore" INTEGER NOT NULL DEFAULT 70,
+    "maxAttempts" INTEGER,
+    "isRequired" BOOLEAN NOT NULL DEFAULT false,
+    "showCorrectAnswers" BOOLEAN NOT NULL DEFAULT true,
+    "order" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "moduleId" TEXT,
+    "lessonId" TEXT,
+
+    CONSTRAINT "Quiz_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "QuizQuestion" (
+    "id" TEXT NOT NULL,
+    "type" "QuizQuestionType" NOT NULL DEFAULT 'MULTIPLE_CHOICE',
+    "prompt" TEXT NOT NULL,
+    "options" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "correctAnswers" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "explanation" TEXT,
+    "points" INTEGER NOT NULL DEFAULT 1,
+    "order" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "quizId" TEXT NOT NULL,
+
+    CONSTRAINT "QuizQuestion_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "QuizAttempt" (
+    "id" TEXT NOT NULL,
+    "answers" JSONB NOT NULL,
+    "score" INTEGER NOT NULL,
+    "earnedPoints" INTEGER NOT NULL,
+    "totalPoints" INTEGER NOT NULL,
+    "passed" BOOLEAN NOT NULL,
+    "submittedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "quizId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+
+    CONSTRAINT "QuizAttempt_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Quiz_moduleId_idx" ON "Quiz"("moduleId");
+
+-- CreateIndex
+CREATE INDEX "Quiz_lessonId_idx" ON "Quiz"("lessonId");
+
+-- CreateIndex
+CREATE INDEX "QuizQuestion_quizId_idx" ON "QuizQuestion"("quizId");
+
+-- CreateIndex
+CREATE INDEX "QuizAttempt_quizId_userId_idx" ON "QuizAttempt"("quizId", "userId");
+
+-- CreateIndex
+CREATE INDEX "QuizAttempt_userId_idx" ON "QuizAttempt"("userId");
+
+-- AddForeignKey
+ALTER TABLE "Quiz" ADD CONSTRAINT "Quiz_moduleId_fkey" FOREIGN KEY ("moduleId") REFERENCES "Module"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Quiz" ADD CONSTRAINT "Quiz_lessonId_fkey" FOREIGN KEY ("lessonId") REFERENCES "Lesson"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "QuizQuestion" ADD CONSTRAINT "QuizQuestion_quizId_fkey" FOREIGN KEY ("quizId") REFERENCES "Quiz"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "QuizAttempt" ADD CONSTRAINT "QuizAttempt_quizId_fkey" FOREIGN KEY ("quizId") REFERENCES "Quiz"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "QuizAttempt" ADD CONSTRAINT "QuizAttempt_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
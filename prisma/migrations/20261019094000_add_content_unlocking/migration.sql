@@ -0,0 +1,11 @@
+-- CreateEnum
+CREATE TYPE "UnlockMode" AS ENUM ('OPEN', 'SEQUENTIAL', 'DRIP');
+
+-- AlterTable
+ALTER TABLE "Course" ADD COLUMN     "unlockMode" "UnlockMode" NOT NULL DEFAULT 'OPEN';
+
+-- AlterTable
+ALTER TABLE "Module" ADD COLUMN     "dripDays" INTEGER;
+
+-- AlterTable
+ALTER TABLE "Lesson" ADD COLUMN     "dripDays" INTEGER;
@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "emailVerificationExpiry" TIMESTAMP(3),
+ADD COLUMN     "emailVerificationSentAt" TIMESTAMP(3),
+ADD COLUMN     "emailVerificationToken" TEXT;
+
+-- AlterTable
+ALTER TABLE "Settings" ADD COLUMN     "requireVerifiedEmailForCheckout" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "requireVerifiedEmailForInvites" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "requireVerifiedEmailForVault" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "User_emailVerificationToken_key" ON "User"("emailVerificationToken");
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "Admin" ADD COLUMN     "migratedAt" TIMESTAMP(3),
+ADD COLUMN     "migratedToUserId" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Admin_migratedToUserId_key" ON "Admin"("migratedToUserId");
@@ -0,0 +1,25 @@
+-- CreateEnum
+CREATE TYPE "CourseInstructorRole" AS ENUM ('EDITOR', 'VIEWER');
+
+-- CreateTable
+CREATE TABLE "CourseInstructor" (
+    "id" TEXT NOT NULL,
+    "role" "CourseInstructorRole" NOT NULL DEFAULT 'EDITOR',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "courseId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+
+    CONSTRAINT "CourseInstructor_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "CourseInstructor_userId_idx" ON "CourseInstructor"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CourseInstructor_courseId_userId_key" ON "CourseInstructor"("courseId", "userId");
+
+-- AddForeignKey
+ALTER TABLE "CourseInstructor" ADD CONSTRAINT "CourseInstructor_courseId_fkey" FOREIGN KEY ("courseId") REFERENCES "Course"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CourseInstructor" ADD CONSTRAINT "CourseInstructor_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,70 @@
+-- AlterEnum
+ALTER TYPE "CourseStatus" ADD VALUE 'IN_REVIEW';
+
+-- CreateEnum
+CREATE TYPE "CourseRevisionStatus" AS ENUM ('DRAFT', 'IN_REVIEW', 'PUBLISHED', 'DISCARDED');
+
+-- CreateEnum
+CREATE TYPE "CourseReviewStatus" AS ENUM ('PENDING', 'APPROVED', 'REJECTED', 'WITHDRAWN');
+
+-- CreateTable
+CREATE TABLE "CourseRevision" (
+    "id" TEXT NOT NULL,
+    "number" INTEGER NOT NULL,
+    "status" "CourseRevisionStatus" NOT NULL DEFAULT 'DRAFT',
+    "snapshot" JSONB NOT NULL,
+    "note" TEXT,
+    "publishedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "courseId" TEXT NOT NULL,
+    "createdById" TEXT,
+
+    CONSTRAINT "CourseRevision_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "CourseReview" (
+    "id" TEXT NOT NULL,
+    "status" "CourseReviewStatus" NOT NULL DEFAULT 'PENDING',
+    "submitNote" TEXT,
+    "reviewComment" TEXT,
+    "submittedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "reviewedAt" TIMESTAMP(3),
+    "courseId" TEXT NOT NULL,
+    "revisionId" TEXT,
+    "submittedById" TEXT,
+    "reviewerId" TEXT,
+
+    CONSTRAINT "CourseReview_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "CourseRevision_courseId_status_idx" ON "CourseRevision"("courseId", "status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CourseRevision_courseId_number_key" ON "CourseRevision"("courseId", "number");
+
+-- CreateIndex
+CREATE INDEX "CourseReview_courseId_idx" ON "CourseReview"("courseId");
+
+-- CreateIndex
+CREATE INDEX "CourseReview_status_idx" ON "CourseReview"("status");
+
+-- AddForeignKey
+ALTER TABLE "CourseRevision" ADD CONSTRAINT "CourseRevision_courseId_fkey" FOREIGN KEY ("courseId") REFERENCES "Course"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CourseRevision" ADD CONSTRAINT "CourseRevision_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CourseReview" ADD CONSTRAINT "CourseReview_courseId_fkey" FOREIGN KEY ("courseId") REFERENCES "Course"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CourseReview" ADD CONSTRAINT "CourseReview_revisionId_fkey" FOREIGN KEY ("revisionId") REFERENCES "CourseRevision"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CourseReview" ADD CONSTRAINT "CourseReview_submittedById_fkey" FOREIGN KEY ("submittedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CourseReview" ADD CONSTRAINT "CourseReview_reviewerId_fkey" FOREIGN KEY ("reviewerId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
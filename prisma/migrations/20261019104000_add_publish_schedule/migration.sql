@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE "Course" ADD COLUMN     "publishAt" TIMESTAMP(3),
+ADD COLUMN     "unpublishAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "Module" ADD COLUMN     "isPublished" BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN     "publishAt" TIMESTAMP(3),
+ADD COLUMN     "unpublishAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "Course_publishAt_idx" ON "Course"("publishAt");
+
+-- CreateIndex
+CREATE INDEX "Course_unpublishAt_idx" ON "Course"("unpublishAt");
+
+-- CreateIndex
+CREATE INDEX "Module_publishAt_idx" ON "Module"("publishAt");
+
+-- CreateIndex
+CREATE INDEX "Module_unpublishAt_idx" ON "Module"("unpublishAt");
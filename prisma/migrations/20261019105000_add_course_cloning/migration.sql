@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "Course" ADD COLUMN     "clonedFromId" TEXT,
+ADD COLUMN     "isTemplate" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateIndex
+CREATE INDEX "Course_isTemplate_idx" ON "Course"("isTemplate");
+
+-- AddForeignKey
+ALTER TABLE "Course" ADD CONSTRAINT "Course_clonedFromId_fkey" FOREIGN KEY ("clonedFromId") REFERENCES "Course"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,21 @@
+-- AlterTable
+ALTER TABLE "Document" ADD COLUMN     "contentPrefix" TEXT,
+ADD COLUMN     "storageKey" TEXT,
+ALTER COLUMN "content" DROP NOT NULL;
+
+-- AlterTable
+ALTER TABLE "Lesson" ADD COLUMN     "contentPrefix" TEXT,
+ADD COLUMN     "storageKey" TEXT;
+
+-- AlterTable
+ALTER TABLE "Module" ADD COLUMN     "contentPrefix" TEXT,
+ADD COLUMN     "storageKey" TEXT;
+
+-- CreateIndex
+CREATE INDEX "Document_storageKey_idx" ON "Document"("storageKey");
+
+-- CreateIndex
+CREATE INDEX "Lesson_storageKey_idx" ON "Lesson"("storageKey");
+
+-- CreateIndex
+CREATE INDEX "Module_storageKey_idx" ON "Module"("storageKey");
@@ -0,0 +1,19 @@
+-- AlterTable
+ALTER TABLE "QuizAttempt" ADD COLUMN     "attemptNumber" INTEGER;
+
+-- Number existing attempts in the order they were submitted
+UPDATE "QuizAttempt" AS "attempt"
+SET "attemptNumber" = "numbered"."rowNumber"
+FROM (
+  SELECT "id", ROW_NUMBER() OVER (PARTITION BY "quizId", "userId" ORDER BY "submittedAt", "id") AS "rowNumber"
+  FROM "QuizAttempt"
+) AS "numbered"
+WHERE "attempt"."id" = "numbered"."id";
+
+ALTER TABLE "QuizAttempt" ALTER COLUMN "attemptNumber" SET NOT NULL;
+
+-- DropIndex
+DROP INDEX "QuizAttempt_quizId_userId_idx";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "QuizAttempt_quizId_userId_attemptNumber_key" ON "QuizAttempt"("quizId", "userId", "attemptNumber");
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "LessonProgress" ADD COLUMN     "heartbeatPosition" INTEGER,
+ADD COLUMN     "watchedRanges" JSONB NOT NULL DEFAULT '[]';
+
+-- Heartbeats in progress continue from where they were. Watch time credited before this change
+-- is kept; which parts it covered is unknown, so only new playback is tracked by range.
+UPDATE "LessonProgress" SET "heartbeatPosition" = "lastPosition" WHERE "lastHeartbeatAt" IS NOT NULL;
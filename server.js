@@ -9,6 +9,7 @@ const helmet = require('helmet');
 const swaggerUi = require('swagger-ui-express');
 const swaggerSpec = require('./src/config/swagger');
 const { authLimiter, apiLimiter } = require('./src/middleware/rateLimit');
+const { startPublishScheduler } = require('./src/services/publishScheduler.service');
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (err) => {
@@ -23,6 +24,7 @@ process.on('unhandledRejection', (reason, promise) => {
 // Route imports
 const authRoutes = require('./src/routes/auth.routes');
 const userRoutes = require('./src/routes/user.routes');
+const roleRoutes = require('./src/routes/role.routes');
 const adminRoutes = require('./src/routes/admin.routes');
 const categoryRoutes = require('./src/routes/category.routes');
 const courseRoutes = require('./src/routes/course.routes');
@@ -31,7 +33,9 @@ const { standaloneRouter: moduleStandaloneRoutes } = require('./src/routes/modul
 const lessonRoutes = require('./src/routes/lesson.routes');
 const { standaloneRouter: lessonStandaloneRoutes } = require('./src/routes/lesson.routes');
 const dashboardRoutes = require('./src/routes/dashboard.routes');
+const instructorDashboardRoutes = require('./src/routes/instructorDashboard.routes');
 const enrollmentRoutes = require('./src/routes/enrollment.routes');
+const certificateRoutes = require('./src/routes/certificate.routes');
 const uploadRoutes = require('./src/routes/upload.routes');
 const teamRoutes = require('./src/routes/team.routes');
 const testimonialRoutes = require('./src/routes/testimonial.routes');
@@ -47,6 +51,11 @@ const {
   lessonDocumentRouter,
   standaloneRouter: documentStandaloneRoutes,
 } = require('./src/routes/document.routes');
+const {
+  lessonQuizRouter,
+  moduleQuizRouter,
+  standaloneRouter: quizStandaloneRoutes,
+} = require('./src/routes/quiz.routes');
 
 const errorHandler = require('./src/middleware/errorHandler');
 
@@ -179,6 +188,7 @@ app.get('/', (req, res) => {
 // ============================================
 app.use('/api/auth', authLimiter, authRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/roles', roleRoutes);
 app.use('/api/admins', adminRoutes);
 
 // ============================================
@@ -192,6 +202,11 @@ app.use('/api/modules/:moduleId/documents', moduleDocumentRouter);
 app.use('/api/lessons/:lessonId/documents', lessonDocumentRouter);
 app.use('/api/documents', documentStandaloneRoutes);
 
+// Quiz routes (registered before entity routes for proper path matching)
+app.use('/api/modules/:moduleId/quizzes', moduleQuizRouter);
+app.use('/api/lessons/:lessonId/quizzes', lessonQuizRouter);
+app.use('/api/quizzes', quizStandaloneRoutes);
+
 app.use('/api/courses', courseRoutes);
 
 // Nested routes for modules under courses
@@ -210,12 +225,18 @@ app.use('/api/lessons', lessonStandaloneRoutes);
 // ENROLLMENT ROUTES
 // ============================================
 app.use('/api/enrollments', enrollmentRoutes);
+app.use('/api/certificates', certificateRoutes);
 
 // ============================================
 // ADMIN DASHBOARD & ANALYTICS ROUTES
 // ============================================
 app.use('/api/admin/dashboard', dashboardRoutes);
 
+// ============================================
+// INSTRUCTOR DASHBOARD ROUTES
+// ============================================
+app.use('/api/instructor/dashboard', instructorDashboardRoutes);
+
 // ============================================
 // UPLOAD (Bunny Storage images)
 // ============================================
@@ -269,6 +290,7 @@ const server = app.listen(PORT, HOST, () => {
   if (enableApiDocs) {
     console.log(`[SERVER] ✓ Swagger: http://localhost:${PORT}/api-docs`);
   }
+  startPublishScheduler();
 });
 
 server.on('error', (err) => {
@@ -2,6 +2,9 @@ const BUNNY_STORAGE_ZONE = process.env.BUNNY_STORAGE_ZONE;
 const BUNNY_STORAGE_REGION = process.env.BUNNY_STORAGE_REGION || 'storage.bunnycdn.com';
 const BUNNY_STORAGE_ACCESS_KEY = process.env.BUNNY_STORAGE_ACCESS_KEY;
 const BUNNY_IMAGES_CDN_HOSTNAME = process.env.BUNNY_IMAGES_CDN_HOSTNAME;
+// Course files (documents, legacy module/lesson content) are paid content: use a zone without a public pull zone
+const BUNNY_FILES_STORAGE_ZONE = process.env.BUNNY_FILES_STORAGE_ZONE || BUNNY_STORAGE_ZONE;
+const BUNNY_FILES_STORAGE_ACCESS_KEY = process.env.BUNNY_FILES_STORAGE_ACCESS_KEY || BUNNY_STORAGE_ACCESS_KEY;
 
 if (!BUNNY_STORAGE_ZONE || !BUNNY_STORAGE_ACCESS_KEY || !BUNNY_IMAGES_CDN_HOSTNAME) {
   console.warn('[BUNNY STORAGE] WARNING: BUNNY_STORAGE_ZONE, BUNNY_STORAGE_ACCESS_KEY, or BUNNY_IMAGES_CDN_HOSTNAME not set. Image upload will be disabled.');
@@ -13,6 +16,8 @@ const bunnyStorageConfig = {
   storageAccessKey: BUNNY_STORAGE_ACCESS_KEY,
   imagesCdnHostname: BUNNY_IMAGES_CDN_HOSTNAME.replace(/^https?:\/\//, '').replace(/\/$/, ''),
   uploadBaseUrl: `https://${BUNNY_STORAGE_REGION}/${BUNNY_STORAGE_ZONE}/`,
+  filesStorageZone: BUNNY_FILES_STORAGE_ZONE,
+  filesStorageAccessKey: BUNNY_FILES_STORAGE_ACCESS_KEY,
 };
 
 module.exports = bunnyStorageConfig;
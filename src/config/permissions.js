@@ -0,0 +1,30 @@
+// Named permissions checked by requirePermission() (src/middleware/auth.js).
+// ADMIN holds all of them; other users get the permissions of their custom role (Role model).
+const PERMISSIONS = {
+  'manage-users': 'View and edit user accounts, login history and lockouts',
+  'manage-roles': 'Create and assign custom roles with permissions you hold yourself',
+  'manage-courses': 'Manage categories and delete courses',
+  'manage-enrollments': 'View and change enrollments',
+  'manage-billing': 'Refunds and subscription plans',
+  'moderate-vault': 'Delete any Vault discussion or comment',
+  'view-analytics': 'Admin dashboard, statistics and analytics',
+  'manage-contact': 'Contact form inbox',
+  'manage-content': 'Team members, testimonials and image uploads',
+  'manage-live-streams': 'Create and manage live streams',
+  'manage-settings': 'Site settings',
+};
+
+const PERMISSION_KEYS = Object.keys(PERMISSIONS);
+
+// Permissions that come with a built-in role regardless of any custom role
+const ROLE_PERMISSIONS = {
+  ADMIN: PERMISSION_KEYS,
+  INSTRUCTOR: [],
+  STUDENT: [],
+};
+
+module.exports = {
+  PERMISSIONS,
+  PERMISSION_KEYS,
+  ROLE_PERMISSIONS,
+};
@@ -20,6 +20,7 @@ const options = {
     tags: [
       { name: 'Auth', description: 'Authentication endpoints' },
       { name: 'Users', description: 'User management' },
+      { name: 'Roles', description: 'Custom roles and permissions' },
       { name: 'Admins', description: 'Admin management' },
       { name: 'Categories', description: 'Course categories' },
       { name: 'Courses', description: 'Course management' },
@@ -166,12 +167,40 @@ const options = {
             },
           },
         },
+        ProfileInput: {
+          type: 'object',
+          properties: {
+            firstName: {
+              type: 'string',
+            },
+            lastName: {
+              type: 'string',
+            },
+            email: {
+              type: 'string',
+              format: 'email',
+            },
+          },
+        },
+        ChangePasswordInput: {
+          type: 'object',
+          required: ['currentPassword', 'newPassword'],
+          properties: {
+            currentPassword: {
+              type: 'string',
+            },
+            newPassword: {
+              type: 'string',
+            },
+          },
+        },
         Admin: {
           type: 'object',
+          description: 'A user with the ADMIN role or a custom role',
           properties: {
             id: {
-              type: 'integer',
-              description: 'Admin ID',
+              type: 'string',
+              description: 'User ID',
             },
             email: {
               type: 'string',
@@ -180,12 +209,34 @@ const options = {
             },
             name: {
               type: 'string',
-              description: 'Admin name',
+              description: 'Full name (firstName + lastName)',
+            },
+            firstName: {
+              type: 'string',
+            },
+            lastName: {
+              type: 'string',
             },
             role: {
               type: 'string',
-              description: 'Admin role',
-              example: 'admin',
+              description: 'Built-in role (ADMIN, or STUDENT for custom-role staff)',
+              example: 'ADMIN',
+            },
+            customRole: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                id: { type: 'string' },
+                name: { type: 'string' },
+                permissions: { type: 'array', items: { type: 'string' } },
+              },
+            },
+            status: {
+              type: 'string',
+              example: 'ACTIVE',
+            },
+            twoFactorEnabled: {
+              type: 'boolean',
             },
             createdAt: {
               type: 'string',
@@ -210,7 +261,7 @@ const options = {
             },
             name: {
               type: 'string',
-              description: 'Admin name',
+              description: 'Admin name (split into first and last name)',
             },
             password: {
               type: 'string',
@@ -218,8 +269,12 @@ const options = {
             },
             role: {
               type: 'string',
-              description: 'Admin role',
-              example: 'admin',
+              description: 'ADMIN (default unless customRoleId is set)',
+              example: 'ADMIN',
+            },
+            customRoleId: {
+              type: 'string',
+              description: 'Custom role to grant instead of full admin access',
             },
           },
         },
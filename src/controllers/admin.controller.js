@@ -1,12 +1,77 @@
 const prisma = require('../config/db');
 const bcrypt = require('bcryptjs');
+const { revokeUserSessions } = require('../services/session.service');
+const { migrateLegacyAdmins } = require('../services/adminMigration.service');
+const { permissionInclude, refuseEscalation } = require('../services/permission.service');
 
 // ==================== ADMIN CRUD ====================
+// Admins are users with the ADMIN role or a custom role (staff). The legacy Admin table is
+// only read by the migration below.
+
+// Fields returned for an admin
+const adminSelect = {
+  id: true,
+  email: true,
+  firstName: true,
+  lastName: true,
+  role: true,
+  status: true,
+  twoFactorEnabled: true,
+  customRole: { select: { id: true, name: true, permissions: true } },
+  createdAt: true,
+  updatedAt: true,
+};
+
+// Users that count as admins
+const staffWhere = { OR: [{ role: 'ADMIN' }, { customRoleId: { not: null } }] };
+
+// Helper: Admin response shape (name kept for clients of the legacy Admin API)
+const toAdmin = (user) => ({
+  ...user,
+  name: [user.firstName, user.lastName].filter(Boolean).join(' '),
+});
+
+// Helper: Resolve the role fields of a create/update body.
+// role ADMIN (default when no customRoleId) or a custom role on top of STUDENT.
+// customRole (with its permissions) is returned for refuseEscalation.
+const resolveAdminRole = async ({ role, customRoleId }) => {
+  const wantsAdmin = role !== undefined && role !== null && String(role).toUpperCase() === 'ADMIN';
+
+  if (customRoleId) {
+    const customRole = await prisma.role.findUnique({ where: { id: customRoleId }, select: { id: true, permissions: true } });
+    if (!customRole) return { error: 'Role not found', status: 404 };
+    return { data: { role: wantsAdmin ? 'ADMIN' : 'STUDENT', customRoleId }, customRole };
+  }
+
+  if (role && !wantsAdmin) {
+    return { error: 'Role must be ADMIN, or pass customRoleId for a custom role', status: 400 };
+  }
+  return { data: { role: 'ADMIN', customRoleId: null }, customRole: null };
+};
+
+// Helper: Find an admin by user ID, or by legacy Admin ID (numeric) once migrated
+const findAdmin = async (id) => {
+  let userId = id;
+
+  if (/^\d+$/.test(id)) {
+    const legacy = await prisma.admin.findUnique({
+      where: { id: parseInt(id) },
+      select: { migratedToUserId: true },
+    });
+    if (!legacy?.migratedToUserId) return null;
+    userId = legacy.migratedToUserId;
+  }
 
-// Create a new admin
+  return prisma.user.findFirst({
+    where: { id: userId, ...staffWhere },
+    select: adminSelect,
+  });
+};
+
+// Create a new admin (a user with the ADMIN role or a custom role)
 const createAdmin = async (req, res, next) => {
   try {
-    const { email, name, password, role } = req.body;
+    const { email, name, password, role, customRoleId } = req.body;
 
     if (!email || !password) {
       return res.status(400).json({
@@ -15,16 +80,47 @@ const createAdmin = async (req, res, next) => {
       });
     }
 
+    const existing = await prisma.user.findFirst({
+      where: { email: { equals: email.trim(), mode: 'insensitive' } },
+      select: { id: true },
+    });
+
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'A user with this email already exists. Give them admin access with PATCH /api/users/:id/role or /custom-role.',
+        data: { userId: existing.id },
+      });
+    }
+
+    const roleFields = await resolveAdminRole({ role, customRoleId });
+    if (roleFields.error) {
+      return res.status(roleFields.status).json({
+        success: false,
+        message: roleFields.error,
+      });
+    }
+
+    if (refuseEscalation(req, res, { newRole: roleFields.data.role, newCustomRole: roleFields.customRole })) return;
+
+    const [firstName, ...rest] = (name || '').trim().split(/\s+/).filter(Boolean);
     const hashedPassword = await bcrypt.hash(password, 12);
 
-    const admin = await prisma.admin.create({
-      data: { email, name, password: hashedPassword, role },
-      select: { id: true, email: true, name: true, role: true, createdAt: true },
+    const admin = await prisma.user.create({
+      data: {
+        email: email.trim(),
+        firstName: req.body.firstName || firstName || email.split('@')[0],
+        lastName: req.body.lastName ?? rest.join(' '),
+        password: hashedPassword,
+        status: 'ACTIVE',
+        ...roleFields.data,
+      },
+      select: adminSelect,
     });
 
     res.status(201).json({
       success: true,
-      data: admin,
+      data: toAdmin(admin),
     });
   } catch (error) {
     next(error);
@@ -34,29 +130,26 @@ const createAdmin = async (req, res, next) => {
 // Get all admins
 const getAllAdmins = async (req, res, next) => {
   try {
-    const admins = await prisma.admin.findMany({
-      select: { id: true, email: true, name: true, role: true, createdAt: true, updatedAt: true },
+    const admins = await prisma.user.findMany({
+      where: staffWhere,
+      select: adminSelect,
+      orderBy: { createdAt: 'asc' },
     });
 
     res.status(200).json({
       success: true,
       count: admins.length,
-      data: admins,
+      data: admins.map(toAdmin),
     });
   } catch (error) {
     next(error);
   }
 };
 
-// Get admin by ID
+// Get admin by ID (user ID, or legacy numeric Admin ID once migrated)
 const getAdminById = async (req, res, next) => {
   try {
-    const { id } = req.params;
-
-    const admin = await prisma.admin.findUnique({
-      where: { id: parseInt(id) },
-      select: { id: true, email: true, name: true, role: true, createdAt: true, updatedAt: true },
-    });
+    const admin = await findAdmin(req.params.id);
 
     if (!admin) {
       return res.status(404).json({
@@ -67,7 +160,7 @@ const getAdminById = async (req, res, next) => {
 
     res.status(200).json({
       success: true,
-      data: admin,
+      data: toAdmin(admin),
     });
   } catch (error) {
     next(error);
@@ -77,41 +170,135 @@ const getAdminById = async (req, res, next) => {
 // Update admin
 const updateAdmin = async (req, res, next) => {
   try {
-    const { id } = req.params;
-    const { email, name, password, role } = req.body;
+    const { email, name, firstName, lastName, password, role, customRoleId } = req.body;
+
+    const admin = await findAdmin(req.params.id);
+
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found',
+      });
+    }
+
+    if (refuseEscalation(req, res, { target: admin })) return;
+
+    const updateData = {};
+
+    if (email) updateData.email = email.trim();
+    if (name) {
+      const [first, ...rest] = name.trim().split(/\s+/);
+      updateData.firstName = first;
+      updateData.lastName = rest.join(' ');
+    }
+    if (firstName) updateData.firstName = firstName;
+    if (lastName !== undefined) updateData.lastName = lastName;
+
+    if (role !== undefined || customRoleId !== undefined) {
+      const roleFields = await resolveAdminRole({ role, customRoleId });
+      if (roleFields.error) {
+        return res.status(roleFields.status).json({
+          success: false,
+          message: roleFields.error,
+        });
+      }
+      if (
+        refuseEscalation(req, res, { target: admin, newRole: roleFields.data.role, newCustomRole: roleFields.customRole })
+      ) {
+        return;
+      }
+      Object.assign(updateData, roleFields.data);
+    }
 
-    const updateData = { email, name, role };
     if (password) {
       updateData.password = await bcrypt.hash(password, 12);
     }
 
-    const admin = await prisma.admin.update({
-      where: { id: parseInt(id) },
+    const updated = await prisma.user.update({
+      where: { id: admin.id },
       data: updateData,
-      select: { id: true, email: true, name: true, role: true, createdAt: true, updatedAt: true },
+      select: adminSelect,
     });
 
+    if (password) {
+      await revokeUserSessions(admin.id, 'PASSWORD_CHANGED');
+    }
+
     res.status(200).json({
       success: true,
-      data: admin,
+      data: toAdmin(updated),
     });
   } catch (error) {
     next(error);
   }
 };
 
-// Delete admin
+// Delete admin: removes admin access (ADMIN role and custom role); the user account stays
 const deleteAdmin = async (req, res, next) => {
   try {
-    const { id } = req.params;
+    const admin = await findAdmin(req.params.id);
 
-    await prisma.admin.delete({
-      where: { id: parseInt(id) },
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found',
+      });
+    }
+
+    if (admin.id === req.userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot remove your own admin access',
+      });
+    }
+
+    if (refuseEscalation(req, res, { target: admin })) return;
+
+    if (admin.role === 'ADMIN') {
+      const adminCount = await prisma.user.count({ where: { role: 'ADMIN', status: 'ACTIVE' } });
+      if (adminCount <= 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot remove the last admin',
+        });
+      }
+    }
+
+    await prisma.user.update({
+      where: { id: admin.id },
+      data: { role: admin.role === 'ADMIN' ? 'STUDENT' : admin.role, customRoleId: null },
     });
 
     res.status(200).json({
       success: true,
-      message: 'Admin deleted successfully',
+      message: 'Admin access removed successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Report how legacy Admin rows map onto users (dry run), or migrate them
+const migrateAdmins = async (req, res, next) => {
+  try {
+    const { roleMap = {}, promoteExisting = false } = req.body || {};
+    const dryRun = req.method === 'GET' || req.body?.dryRun === true;
+
+    if (typeof roleMap !== 'object' || Array.isArray(roleMap)) {
+      return res.status(400).json({
+        success: false,
+        message: 'roleMap must be an object of legacyRole -> "ADMIN" | custom role name',
+      });
+    }
+
+    const report = await migrateLegacyAdmins({ dryRun, roleMap, promoteExisting: promoteExisting === true });
+
+    res.status(200).json({
+      success: true,
+      message: dryRun
+        ? `Dry run: ${report.summary.CONFLICT} conflict(s)`
+        : `Migration finished: ${report.summary.CONFLICT} conflict(s)`,
+      data: report,
     });
   } catch (error) {
     next(error);
@@ -192,6 +379,9 @@ const updateUserByAdmin = async (req, res, next) => {
     const { id } = req.params;
     const { email, firstName, lastName, password } = req.body;
 
+    const target = await prisma.user.findUnique({ where: { id }, select: { role: true, ...permissionInclude } });
+    if (target && refuseEscalation(req, res, { target })) return;
+
     const updateData = { email, firstName, lastName };
     if (password) {
       updateData.password = await bcrypt.hash(password, 12);
@@ -203,6 +393,10 @@ const updateUserByAdmin = async (req, res, next) => {
       select: { id: true, email: true, firstName: true, lastName: true, createdAt: true, updatedAt: true },
     });
 
+    if (password) {
+      await revokeUserSessions(id, 'PASSWORD_CHANGED');
+    }
+
     res.status(200).json({
       success: true,
       data: user,
@@ -220,7 +414,7 @@ const deleteUserByAdmin = async (req, res, next) => {
     // Ensure user exists
     const existing = await prisma.user.findUnique({
       where: { id },
-      select: { id: true },
+      select: { id: true, role: true, ...permissionInclude },
     });
 
     if (!existing) {
@@ -230,6 +424,8 @@ const deleteUserByAdmin = async (req, res, next) => {
       });
     }
 
+    if (refuseEscalation(req, res, { target: existing })) return;
+
     // Wrap in transaction so all related data is cleaned up together
     await prisma.$transaction(async (tx) => {
       // Delete enrollments
@@ -266,6 +462,7 @@ module.exports = {
   getAdminById,
   updateAdmin,
   deleteAdmin,
+  migrateAdmins,
   fetchAllUsers,
   fetchUserById,
   updateUserByAdmin,
@@ -1,18 +1,61 @@
 const prisma = require('../config/db');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { v4: uuidv4 } = require('uuid');
 const { OAuth2Client } = require('google-auth-library');
 const nodemailer = require('nodemailer');
+const {
+  ACCESS_TOKEN_EXPIRES_IN,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  listActiveSessions,
+} = require('../services/session.service');
+const {
+  RESEND_COOLDOWN_SECONDS,
+  getResendWaitSeconds,
+  sendVerification,
+  safeSendVerification,
+  verifyEmailToken,
+} = require('../services/emailVerification.service');
+const {
+  signChallengeToken,
+  verifyChallengeToken,
+  verifySecondFactor,
+} = require('../services/twoFactor.service');
+const {
+  isAccountLocked,
+  registerFailedLogin,
+  resetFailedLogins,
+  recordLoginAttempt,
+} = require('../services/loginSecurity.service');
+const { getEffectivePermissions } = require('../services/permission.service');
 
 const googleClient = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
 
-// Helper: Generate JWT token
-const generateToken = (userId, role) => {
-  return jwt.sign({ id: userId, role }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d',
+// Helper: Second login step for users with 2FA enabled (no session until the code is checked)
+const sendTwoFactorChallenge = (res, user) =>
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication required',
+    data: {
+      twoFactorRequired: true,
+      challengeToken: signChallengeToken(user.id),
+    },
+  });
+
+// Helper: Too many failed sign-ins (progressive lockout)
+const sendAccountLocked = (res, lockedUntil) =>
+  res.status(423).json({
+    success: false,
+    message: 'Too many failed sign-in attempts. Try again later or reset your password.',
+    code: 'ACCOUNT_LOCKED',
+    data: { lockedUntil },
   });
-};
+
+// Helper: Account a request acts on - always the signed-in user, except on the
+// admin-only /users/:userId routes (verifyAdmin), where it is the user in the path
+const getTargetUserId = (req) => (req.isAdmin && req.params.userId ? req.params.userId : req.userId);
 
 // Helper: Send email
 const sendEmail = async (to, subject, html) => {
@@ -63,15 +106,18 @@ const signup = async (req, res, next) => {
         email,
         password: hashedPassword,
       },
-      select: { id: true, email: true, firstName: true, lastName: true, role: true, status: true, accessAll: true, createdAt: true },
+      select: { id: true, email: true, firstName: true, lastName: true, role: true, status: true, accessAll: true, isEmailVerified: true, createdAt: true },
     });
 
-    const token = generateToken(user.id, user.role);
+    // Not awaited: signup should not wait on (or fail because of) the email provider
+    safeSendVerification(user);
+
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
-      data: { user, token },
+      data: { user, token, refreshToken, expiresIn: ACCESS_TOKEN_EXPIRES_IN },
     });
   } catch (error) {
     next(error);
@@ -98,15 +144,39 @@ const signin = async (req, res, next) => {
       });
     }
 
+    if (isAccountLocked(user)) {
+      await recordLoginAttempt(user, req, { success: false, method: 'PASSWORD', reason: 'ACCOUNT_LOCKED' });
+      return sendAccountLocked(res, user.lockedUntil);
+    }
+
     const isMatch = await bcrypt.compare(password, user.password);
     if (!isMatch) {
+      const lockedUntil = await registerFailedLogin(user.id);
+      await recordLoginAttempt(user, req, { success: false, method: 'PASSWORD', reason: 'INVALID_PASSWORD' });
+      if (lockedUntil) return sendAccountLocked(res, lockedUntil);
+
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password',
       });
     }
 
-    const token = generateToken(user.id, user.role);
+    // Block inactive users
+    if (user.status === 'INACTIVE') {
+      await recordLoginAttempt(user, req, { success: false, method: 'PASSWORD', reason: 'ACCOUNT_INACTIVE' });
+      return res.status(403).json({
+        success: false,
+        message: 'Your account has been deactivated. Please contact support.',
+      });
+    }
+
+    // The failure counter is only cleared once the second factor passes too
+    if (user.twoFactorEnabled) return sendTwoFactorChallenge(res, user);
+
+    await resetFailedLogins(user.id);
+    await recordLoginAttempt(user, req, { success: true, method: 'PASSWORD' });
+
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(200).json({
       success: true,
@@ -122,6 +192,8 @@ const signin = async (req, res, next) => {
           accessAll: user.accessAll,
         },
         token,
+        refreshToken,
+        expiresIn: ACCESS_TOKEN_EXPIRES_IN,
       },
     });
   } catch (error) {
@@ -142,7 +214,7 @@ const googleLogin = async (req, res, next) => {
       });
     }
 
-    let googleId, email, given_name, family_name, picture;
+    let googleId, email, emailVerified, given_name, family_name, picture;
 
     if (idToken) {
       // Flow 1: ID token verification (from Google One Tap / GoogleLogin component)
@@ -154,6 +226,7 @@ const googleLogin = async (req, res, next) => {
         const payload = ticket.getPayload();
         googleId = payload.sub;
         email = payload.email;
+        emailVerified = payload.email_verified === true;
         given_name = payload.given_name;
         family_name = payload.family_name;
         picture = payload.picture;
@@ -178,6 +251,7 @@ const googleLogin = async (req, res, next) => {
         const userInfo = await response.json();
         googleId = userInfo.sub;
         email = userInfo.email;
+        emailVerified = userInfo.email_verified === true;
         given_name = userInfo.given_name;
         family_name = userInfo.family_name;
         picture = userInfo.picture;
@@ -205,13 +279,16 @@ const googleLogin = async (req, res, next) => {
     user = await prisma.user.findUnique({ where: { googleId } });
 
     if (user) {
-      // Update name and avatar from Google on every login
+      // Update name and avatar from Google on every login. The account's email may have been
+      // changed since, so it only counts as verified while it is the one Google verified
+      const sameEmail = user.email.toLowerCase() === email.toLowerCase();
       user = await prisma.user.update({
         where: { id: user.id },
         data: {
           firstName: firstName || user.firstName,
           lastName: lastName || user.lastName,
           avatar: picture || user.avatar,
+          ...(emailVerified && sameEmail && { isEmailVerified: true }),
         },
       });
     } else {
@@ -219,6 +296,15 @@ const googleLogin = async (req, res, next) => {
       user = await prisma.user.findUnique({ where: { email } });
 
       if (user) {
+        // Only an address Google has verified proves the account is theirs
+        if (!emailVerified) {
+          return res.status(403).json({
+            success: false,
+            message: 'Your Google email address is not verified. Verify it with Google, or sign in with your password.',
+            code: 'GOOGLE_EMAIL_UNVERIFIED',
+          });
+        }
+
         user = await prisma.user.update({
           where: { id: user.id },
           data: {
@@ -236,7 +322,7 @@ const googleLogin = async (req, res, next) => {
             firstName,
             lastName,
             avatar: picture || null,
-            isEmailVerified: true,
+            isEmailVerified: emailVerified,
           },
         });
         isNewUser = true;
@@ -251,7 +337,11 @@ const googleLogin = async (req, res, next) => {
       });
     }
 
-    const token = generateToken(user.id, user.role);
+    if (user.twoFactorEnabled) return sendTwoFactorChallenge(res, user);
+
+    await recordLoginAttempt(user, req, { success: true, method: 'GOOGLE' });
+
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(200).json({
       success: true,
@@ -269,6 +359,8 @@ const googleLogin = async (req, res, next) => {
           isEmailVerified: user.isEmailVerified,
         },
         token,
+        refreshToken,
+        expiresIn: ACCESS_TOKEN_EXPIRES_IN,
         isNewUser,
       },
     });
@@ -277,10 +369,86 @@ const googleLogin = async (req, res, next) => {
   }
 };
 
+// Two-Factor Login (second step: challenge token + TOTP or backup code)
+const twoFactorLogin = async (req, res, next) => {
+  try {
+    const { challengeToken, code, backupCode } = req.body;
+
+    if (!challengeToken || (!code && !backupCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Challenge token and a code or backup code are required',
+      });
+    }
+
+    const userId = verifyChallengeToken(challengeToken);
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge expired. Please sign in again.',
+      });
+    }
+
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+    if (!user || user.status === 'INACTIVE' || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge expired. Please sign in again.',
+      });
+    }
+
+    if (isAccountLocked(user)) {
+      await recordLoginAttempt(user, req, { success: false, method: 'TWO_FACTOR', reason: 'ACCOUNT_LOCKED' });
+      return sendAccountLocked(res, user.lockedUntil);
+    }
+
+    const method = await verifySecondFactor(user, { code, backupCode });
+    if (!method) {
+      const lockedUntil = await registerFailedLogin(user.id);
+      await recordLoginAttempt(user, req, { success: false, method: 'TWO_FACTOR', reason: 'INVALID_TWO_FACTOR' });
+      if (lockedUntil) return sendAccountLocked(res, lockedUntil);
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code',
+      });
+    }
+
+    await resetFailedLogins(user.id);
+    await recordLoginAttempt(user, req, { success: true, method: 'TWO_FACTOR' });
+
+    const { token, refreshToken } = await createSession(user, req, { twoFactorVerified: true });
+
+    res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: {
+          id: user.id,
+          email: user.email,
+          firstName: user.firstName,
+          lastName: user.lastName,
+          avatar: user.avatar,
+          role: user.role,
+          status: user.status,
+          accessAll: user.accessAll,
+          isEmailVerified: user.isEmailVerified,
+        },
+        token,
+        refreshToken,
+        expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+        backupCodesRemaining: method === 'backup' ? user.twoFactorBackupCodes.length - 1 : user.twoFactorBackupCodes.length,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Change Password
 const changePassword = async (req, res, next) => {
   try {
-    const { userId } = req.params;
+    const userId = getTargetUserId(req);
     const { currentPassword, newPassword } = req.body;
 
     if (!currentPassword || !newPassword) {
@@ -319,6 +487,9 @@ const changePassword = async (req, res, next) => {
       data: { password: hashedPassword },
     });
 
+    // Sign out every other device; the session making the change stays signed in
+    await revokeUserSessions(userId, 'PASSWORD_CHANGED', { exceptSessionId: req.sessionId });
+
     res.status(200).json({
       success: true,
       message: 'Password changed successfully',
@@ -413,9 +584,13 @@ const resetPassword = async (req, res, next) => {
         password: hashedPassword,
         resetToken: null,
         resetTokenExpiry: null,
+        failedLoginAttempts: 0,
+        lockedUntil: null,
       },
     });
 
+    await revokeUserSessions(user.id, 'PASSWORD_CHANGED');
+
     res.status(200).json({
       success: true,
       message: 'Password reset successfully',
@@ -428,7 +603,7 @@ const resetPassword = async (req, res, next) => {
 // Get Current User (Me)
 const getMe = async (req, res, next) => {
   try {
-    const { userId } = req.params;
+    const userId = getTargetUserId(req);
 
     const user = await prisma.user.findUnique({
       where: { id: userId },
@@ -444,6 +619,7 @@ const getMe = async (req, res, next) => {
         avatar: true,
         isEmailVerified: true,
         accessAll: true,
+        customRole: { select: { id: true, name: true, permissions: true } },
         createdAt: true,
         updatedAt: true,
       },
@@ -464,6 +640,8 @@ const getMe = async (req, res, next) => {
         ...userData,
         hasPassword: !!password,
         isGoogleUser: !!googleId,
+        // What the admin panel should show this user
+        permissions: getEffectivePermissions(user),
       },
     });
   } catch (error) {
@@ -474,7 +652,7 @@ const getMe = async (req, res, next) => {
 // Update Profile
 const updateProfile = async (req, res, next) => {
   try {
-    const { userId } = req.params;
+    const userId = getTargetUserId(req);
     const { firstName, lastName, email } = req.body;
 
     // Check if user exists first
@@ -505,7 +683,11 @@ const updateProfile = async (req, res, next) => {
     const updateData = {};
     if (firstName) updateData.firstName = firstName;
     if (lastName) updateData.lastName = lastName;
-    if (email) updateData.email = email;
+    if (email && email !== existingUser.email) {
+      // A new address has to be verified again
+      updateData.email = email;
+      updateData.isEmailVerified = false;
+    }
 
     const user = await prisma.user.update({
       where: { id: userId },
@@ -525,6 +707,10 @@ const updateProfile = async (req, res, next) => {
       },
     });
 
+    if (updateData.email) {
+      safeSendVerification(user);
+    }
+
     res.status(200).json({
       success: true,
       message: 'Profile updated successfully',
@@ -538,7 +724,7 @@ const updateProfile = async (req, res, next) => {
 // Delete Account
 const deleteAccount = async (req, res, next) => {
   try {
-    const { userId } = req.params;
+    const userId = getTargetUserId(req);
     const { password } = req.body;
 
     const user = await prisma.user.findUnique({ where: { id: userId } });
@@ -549,7 +735,14 @@ const deleteAccount = async (req, res, next) => {
       });
     }
 
-    if (user.password && password) {
+    if (user.password) {
+      if (!password) {
+        return res.status(400).json({
+          success: false,
+          message: 'Password is required to delete your account',
+        });
+      }
+
       const isMatch = await bcrypt.compare(password, user.password);
       if (!isMatch) {
         return res.status(401).json({
@@ -570,10 +763,206 @@ const deleteAccount = async (req, res, next) => {
   }
 };
 
+// Verify Email (token from the verification link)
+const verifyEmail = async (req, res, next) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification token is required',
+      });
+    }
+
+    const user = await verifyEmailToken(token);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification link',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully',
+      data: user,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Resend Verification Email (throttled)
+const resendVerification = async (req, res, next) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.userId },
+      select: { id: true, email: true, firstName: true, isEmailVerified: true, emailVerificationSentAt: true },
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    if (user.isEmailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified',
+      });
+    }
+
+    const waitSeconds = getResendWaitSeconds(user);
+    if (waitSeconds > 0) {
+      res.set('Retry-After', String(waitSeconds));
+      return res.status(429).json({
+        success: false,
+        message: `Please wait ${waitSeconds} seconds before requesting another verification email`,
+        data: { retryAfter: waitSeconds },
+      });
+    }
+
+    const result = await sendVerification(user);
+    if (!result.sent) {
+      return res.status(502).json({
+        success: false,
+        message: 'Verification email could not be sent. Please try again later.',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent',
+      data: { retryAfter: RESEND_COOLDOWN_SECONDS },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Refresh (rotate refresh token, issue new access token)
+const refreshSession = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required',
+      });
+    }
+
+    const result = await rotateSession(refreshToken, req);
+    if (result.error) {
+      return res.status(401).json({
+        success: false,
+        message: result.error,
+        code: result.code,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        token: result.token,
+        refreshToken: result.refreshToken,
+        expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Logout (current session)
+const logout = async (req, res, next) => {
+  try {
+    await revokeSession(req.sessionId, 'LOGOUT');
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Logout everywhere (all sessions, including this one)
+const logoutAll = async (req, res, next) => {
+  try {
+    const count = await revokeUserSessions(req.userId, 'LOGOUT_ALL');
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out of all devices',
+      data: { revoked: count },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get Sessions (signed-in devices)
+const getSessions = async (req, res, next) => {
+  try {
+    const sessions = await listActiveSessions(req.userId);
+
+    res.status(200).json({
+      success: true,
+      data: sessions.map((session) => ({
+        ...session,
+        current: session.id === req.sessionId,
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Revoke Session (sign out one device)
+const revokeSessionById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const session = await prisma.session.findUnique({
+      where: { id },
+      select: { id: true, userId: true, revokedAt: true },
+    });
+
+    if (!session || session.userId !== req.userId || session.revokedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found',
+      });
+    }
+
+    await revokeSession(id, 'USER_REVOKED');
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   signup,
   signin,
   googleLogin,
+  twoFactorLogin,
+  verifyEmail,
+  resendVerification,
+  refreshSession,
+  logout,
+  logoutAll,
+  getSessions,
+  revokeSessionById,
   changePassword,
   forgotPassword,
   resetPassword,
@@ -22,12 +22,13 @@ const handleBunnyWebhook = async (req, res) => {
     const statusString = bunnyService.mapWebhookStatus(Status);
     console.log(`[BUNNY WEBHOOK] VideoGuid=${VideoGuid}, Status=${Status} (${statusString})`);
 
-    // Find the lesson associated with this video
-    const lesson = await prisma.lesson.findFirst({
+    // Find the lessons associated with this video (cloned courses share videos)
+    const lessons = await prisma.lesson.findMany({
       where: { bunnyVideoId: VideoGuid },
+      select: { id: true },
     });
 
-    if (!lesson) {
+    if (lessons.length === 0) {
       console.warn(`[BUNNY WEBHOOK] No lesson found for VideoGuid=${VideoGuid}`);
       return res.status(200).json({ received: true });
     }
@@ -47,12 +48,12 @@ const handleBunnyWebhook = async (req, res) => {
       }
     }
 
-    await prisma.lesson.update({
-      where: { id: lesson.id },
+    await prisma.lesson.updateMany({
+      where: { bunnyVideoId: VideoGuid },
       data: updateData,
     });
 
-    console.log(`[BUNNY WEBHOOK] Updated lesson ${lesson.id}: ${statusString}`);
+    console.log(`[BUNNY WEBHOOK] Updated lesson(s) ${lessons.map((lesson) => lesson.id).join(', ')}: ${statusString}`);
     return res.status(200).json({ received: true });
   } catch (error) {
     console.error('[BUNNY WEBHOOK] Error processing webhook:', error);
@@ -0,0 +1,147 @@
+const prisma = require('../config/db');
+const {
+  issueCertificate,
+  generateCertificatePdf,
+  getVerificationUrl,
+} = require('../services/certificate.service');
+
+// Fields returned for a certificate in listings
+const certificateSelect = {
+  id: true,
+  serial: true,
+  recipientName: true,
+  courseTitle: true,
+  issuedAt: true,
+  revokedAt: true,
+  courseId: true,
+  enrollmentId: true,
+};
+
+/**
+ * @desc    Get current user's certificates (issues any missing ones for completed enrollments)
+ * @route   GET /api/certificates/my
+ * @access  User
+ */
+const getMyCertificates = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+
+    // Backfill enrollments that were completed before certificates existed
+    const uncertified = await prisma.enrollment.findMany({
+      where: { userId, status: 'COMPLETED', certificate: null },
+      select: { id: true },
+    });
+    for (const enrollment of uncertified) {
+      await issueCertificate(enrollment.id);
+    }
+
+    const certificates = await prisma.certificate.findMany({
+      where: { userId, revokedAt: null },
+      select: {
+        ...certificateSelect,
+        course: { select: { slug: true, thumbnail: true } },
+      },
+      orderBy: { issuedAt: 'desc' },
+    });
+
+    res.status(200).json({
+      success: true,
+      data: certificates.map((certificate) => ({
+        ...certificate,
+        verificationUrl: getVerificationUrl(certificate.serial),
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Download a certificate as PDF
+ * @route   GET /api/certificates/:id/download
+ * @access  User (own certificate) / Admin
+ */
+const downloadCertificate = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const certificate = await prisma.certificate.findUnique({
+      where: { id },
+    });
+
+    if (!certificate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Certificate not found',
+      });
+    }
+
+    if (certificate.userId !== req.userId && req.userRole !== 'ADMIN') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied',
+      });
+    }
+
+    if (certificate.revokedAt) {
+      return res.status(410).json({
+        success: false,
+        message: 'This certificate has been revoked',
+      });
+    }
+
+    const pdf = await generateCertificatePdf(certificate);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="certificate-${certificate.serial}.pdf"`);
+    res.setHeader('Content-Length', pdf.length);
+    res.send(pdf);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Verify a certificate by its serial (for employers)
+ * @route   GET /api/certificates/verify/:serial
+ * @access  Public
+ */
+const verifyCertificate = async (req, res, next) => {
+  try {
+    const serial = req.params.serial.trim().toUpperCase();
+
+    const certificate = await prisma.certificate.findUnique({
+      where: { serial },
+      select: {
+        serial: true,
+        recipientName: true,
+        courseTitle: true,
+        issuedAt: true,
+        revokedAt: true,
+      },
+    });
+
+    if (!certificate) {
+      return res.status(404).json({
+        success: false,
+        message: 'No certificate found with this serial',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...certificate,
+        valid: !certificate.revokedAt,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getMyCertificates,
+  downloadCertificate,
+  verifyCertificate,
+};
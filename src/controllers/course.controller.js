@@ -1,11 +1,23 @@
 const prisma = require('../config/db');
+const { getCourseAccess, visibleModulesWhere, toModuleOutline } = require('../services/entitlement.service');
+const { parseSchedule, wakePublishScheduler } = require('../services/publishScheduler.service');
+const { getCourseRole, hasCourseRole } = require('../services/courseOwnership.service');
+const { cloneCourse: cloneCourseContent } = require('../services/courseClone.service');
+const { OPEN_REVISION_STATUSES, stagedContentKeys } = require('../services/courseRevision.service');
+const {
+  exportCoursePackage,
+  readCoursePackage,
+  resolveImportConflicts,
+  importCoursePackage,
+} = require('../services/coursePackage.service');
+const { storageKeysFor, releaseObjects, withContent } = require('../services/storage.service');
 
 /**
- * Capitalize first letter, lowercase rest (e.g., "PUBLISHED" -> "Published")
+ * Capitalize first letter, lowercase rest (e.g., "PUBLISHED" -> "Published", "IN_REVIEW" -> "In review")
  */
 const capitalize = (str) => {
   if (!str) return str;
-  return str.charAt(0).toUpperCase() + str.slice(1).toLowerCase();
+  return str.charAt(0).toUpperCase() + str.slice(1).toLowerCase().replace(/_/g, ' ');
 };
 
 /**
@@ -21,7 +33,33 @@ const generateSlug = (title) => {
 };
 
 /**
- * @desc    Get all courses with filters and pagination
+ * Slug from title, suffixed with -1, -2, ... until no other course uses it
+ */
+const generateUniqueSlug = async (title) => {
+  let slug = generateSlug(title);
+  let slugExists = await prisma.course.findUnique({ where: { slug } });
+  let counter = 1;
+
+  while (slugExists) {
+    slug = `${generateSlug(title)}-${counter}`;
+    slugExists = await prisma.course.findUnique({ where: { slug } });
+    counter++;
+  }
+
+  return slug;
+};
+
+const templateNotPublishable = (res) =>
+  res.status(400).json({
+    success: false,
+    message: 'Templates cannot be published. Clone the template to create a course.',
+    code: 'COURSE_IS_TEMPLATE',
+  });
+
+const UNLOCK_MODES = ['OPEN', 'SEQUENTIAL', 'DRIP'];
+
+/**
+ * @desc    Get all courses with filters and pagination (templates only with ?template=true)
  * @route   GET /api/courses
  * @access  Public (Published) / Admin (All)
  */
@@ -34,6 +72,7 @@ const getAllCourses = async (req, res, next) => {
       category,
       level,
       status,
+      template,
       sortBy = 'createdAt',
       order = 'desc',
     } = req.query;
@@ -42,7 +81,7 @@ const getAllCourses = async (req, res, next) => {
     const take = parseInt(limit);
 
     // Build where clause
-    const where = {};
+    const where = { isTemplate: template === 'true' };
 
     if (search) {
       where.OR = [
@@ -60,7 +99,7 @@ const getAllCourses = async (req, res, next) => {
     }
 
     if (status) {
-      where.status = status.toUpperCase();
+      where.status = status.toUpperCase().replace(/ /g, '_');
     }
 
     // Build orderBy
@@ -100,6 +139,7 @@ const getAllCourses = async (req, res, next) => {
       price: course.price,
       level: capitalize(course.level),
       status: capitalize(course.status),
+      isTemplate: course.isTemplate,
       category: course.category,
       instructor: course.instructor,
       enrollments: course._count.enrollments,
@@ -128,9 +168,9 @@ const getAllCourses = async (req, res, next) => {
 };
 
 /**
- * @desc    Get single course by ID
+ * @desc    Get single course by ID (outline plus free-preview lessons for viewers without access)
  * @route   GET /api/courses/:id
- * @access  Public
+ * @access  Public (token optional)
  */
 const getCourseById = async (req, res, next) => {
   try {
@@ -146,6 +186,7 @@ const getCourseById = async (req, res, next) => {
           select: { id: true, firstName: true, lastName: true, avatar: true },
         },
         modules: {
+          where: visibleModulesWhere({ role: req.userRole }),
           orderBy: { order: 'asc' },
           include: {
             lessons: {
@@ -155,6 +196,9 @@ const getCourseById = async (req, res, next) => {
                 title: true,
                 duration: true,
                 order: true,
+                isPreview: true,
+                videoStatus: true,
+                thumbnailUrl: true,
               },
             },
             documents: {
@@ -196,16 +240,43 @@ const getCourseById = async (req, res, next) => {
       _sum: { price: true },
     });
 
+    // Module inline content only for viewers with course access
+    const { hasAccess } = await getCourseAccess(id, { userId: req.userId, role: req.userRole });
+
+    // Lessons anyone can watch from the landing page, with their documents
+    const previewLessons = course.modules.flatMap((module) =>
+      module.lessons
+        .filter((lesson) => lesson.isPreview)
+        .map((lesson) => ({ ...lesson, moduleId: module.id, moduleTitle: module.title }))
+    );
+
+    const previewDocuments = previewLessons.length > 0
+      ? await prisma.document.findMany({
+        where: { lessonId: { in: previewLessons.map((lesson) => lesson.id) } },
+        orderBy: { order: 'asc' },
+        select: { id: true, title: true, fileName: true, fileSize: true, fileType: true, order: true, lessonId: true },
+      })
+      : [];
+
     res.status(200).json({
       success: true,
       data: {
         ...course,
+        modules: await Promise.all(
+          course.modules.map((module) => withContent(hasAccess ? module : toModuleOutline(module)))
+        ),
         level: capitalize(course.level),
         status: capitalize(course.status),
         enrollments: course._count.enrollments,
         totalDuration,
         totalLessons,
         revenue: revenue._sum.price || 0,
+        hasAccess,
+        previewLessons: previewLessons.map((lesson) => ({
+          ...lesson,
+          hasVideo: lesson.videoStatus === 'finished',
+          documents: previewDocuments.filter((doc) => doc.lessonId === lesson.id),
+        })),
       },
     });
   } catch (error) {
@@ -231,6 +302,7 @@ const createCourse = async (req, res, next) => {
       level = 'BEGINNER',
       price = 0,
       status = 'DRAFT',
+      unlockMode = 'OPEN',
       instructorId,
     } = req.body;
 
@@ -242,6 +314,13 @@ const createCourse = async (req, res, next) => {
       });
     }
 
+    if (!UNLOCK_MODES.includes(unlockMode.toUpperCase())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid unlock mode. Must be OPEN, SEQUENTIAL, or DRIP',
+      });
+    }
+
     // Handle category - accept either categoryId or category name
     let resolvedCategoryId = categoryId;
 
@@ -274,6 +353,31 @@ const createCourse = async (req, res, next) => {
       });
     }
 
+    // Instructors publish through review (POST /api/courses/:id/submit)
+    if (!req.isAdmin && status.toUpperCase() !== 'DRAFT') {
+      return res.status(403).json({
+        success: false,
+        message: 'New courses start as drafts. Submit the course for review to publish it.',
+        code: 'REVIEW_REQUIRED',
+      });
+    }
+
+    if (status.toUpperCase() === 'IN_REVIEW') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid status. Must be DRAFT or PUBLISHED',
+      });
+    }
+
+    // Instructors always own the courses they create; only admins may assign someone else
+    if (!req.isAdmin && instructorId && instructorId !== req.userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only an admin can create a course for another instructor',
+        code: 'COURSE_OWNERSHIP_REQUIRED',
+      });
+    }
+
     // Handle instructor - use provided ID, authenticated user, or find first instructor
     let resolvedInstructorId = instructorId;
 
@@ -318,15 +422,7 @@ const createCourse = async (req, res, next) => {
     }
 
     // Generate unique slug
-    let slug = generateSlug(title);
-    let slugExists = await prisma.course.findUnique({ where: { slug } });
-    let counter = 1;
-
-    while (slugExists) {
-      slug = `${generateSlug(title)}-${counter}`;
-      slugExists = await prisma.course.findUnique({ where: { slug } });
-      counter++;
-    }
+    const slug = await generateUniqueSlug(title);
 
     const course = await prisma.course.create({
       data: {
@@ -341,6 +437,7 @@ const createCourse = async (req, res, next) => {
         level: level.toUpperCase(),
         price: parseFloat(price) || 0,
         status: status.toUpperCase(),
+        unlockMode: unlockMode.toUpperCase(),
       },
       include: {
         category: {
@@ -386,6 +483,8 @@ const updateCourse = async (req, res, next) => {
       level,
       price,
       status,
+      unlockMode,
+      isTemplate,
     } = req.body;
 
     // Check course exists
@@ -461,8 +560,57 @@ const updateCourse = async (req, res, next) => {
       updateData.price = parseFloat(price) || 0;
     }
 
-    if (status) {
+    if (status && status.toUpperCase() !== existingCourse.status) {
+      // Status changes go through review (or PATCH /status for admins)
+      if (!req.isAdmin) {
+        return res.status(403).json({
+          success: false,
+          message: 'Submit the course for review to publish it',
+          code: 'REVIEW_REQUIRED',
+        });
+      }
+      if (!['DRAFT', 'PUBLISHED'].includes(status.toUpperCase()) || existingCourse.status === 'IN_REVIEW') {
+        return res.status(400).json({
+          success: false,
+          message: existingCourse.status === 'IN_REVIEW'
+            ? 'This course is waiting for review. Approve or reject the submission instead.'
+            : 'Invalid status. Must be DRAFT or PUBLISHED',
+        });
+      }
+      if (status.toUpperCase() === 'PUBLISHED' && (isTemplate ?? existingCourse.isTemplate)) {
+        return templateNotPublishable(res);
+      }
       updateData.status = status.toUpperCase();
+      // A manual change overrides the schedule (publishing early keeps a planned unpublishAt)
+      updateData.publishAt = null;
+      if (updateData.status === 'DRAFT') updateData.unpublishAt = null;
+    }
+
+    if (unlockMode) {
+      if (!UNLOCK_MODES.includes(unlockMode.toUpperCase())) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid unlock mode. Must be OPEN, SEQUENTIAL, or DRIP',
+        });
+      }
+      updateData.unlockMode = unlockMode.toUpperCase();
+    }
+
+    if (isTemplate !== undefined && isTemplate !== existingCourse.isTemplate) {
+      if (typeof isTemplate !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          message: 'isTemplate must be true or false',
+        });
+      }
+      // Only a draft that is not scheduled can become a template
+      if (isTemplate && ((updateData.status || existingCourse.status) !== 'DRAFT' || existingCourse.publishAt)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Only an unscheduled draft course can be made a template',
+        });
+      }
+      updateData.isTemplate = isTemplate;
     }
 
     const updatedCourse = await prisma.course.update({
@@ -530,10 +678,25 @@ const deleteCourse = async (req, res, next) => {
       });
     }
 
+    // Stored files of the course documents, modules and lessons, and content staged in an open revision
+    const openRevisions = await prisma.courseRevision.findMany({
+      where: { courseId: id, status: { in: OPEN_REVISION_STATUSES } },
+      select: { snapshot: true },
+    });
+    const storageKeys = [
+      ...await storageKeysFor({
+        courseId: id,
+        modules: { courseId: id },
+        lessons: { module: { courseId: id } },
+      }),
+      ...openRevisions.flatMap((revision) => stagedContentKeys(revision.snapshot)),
+    ];
+
     // Delete course (modules and lessons will be cascade deleted)
     await prisma.course.delete({
       where: { id },
     });
+    await releaseObjects(storageKeys);
 
     res.status(200).json({
       success: true,
@@ -545,7 +708,7 @@ const deleteCourse = async (req, res, next) => {
 };
 
 /**
- * @desc    Toggle course status (Draft/Published)
+ * @desc    Toggle course status (Draft/Published); instructors can only unpublish
  * @route   PATCH /api/courses/:id/status
  * @access  Admin/Instructor
  */
@@ -565,19 +728,51 @@ const toggleCourseStatus = async (req, res, next) => {
       });
     }
 
+    if (course.status === 'IN_REVIEW') {
+      return res.status(409).json({
+        success: false,
+        message: 'This course is waiting for review. Approve, reject or withdraw the submission instead.',
+        code: 'COURSE_IN_REVIEW',
+      });
+    }
+
     const newStatus = status
       ? status.toUpperCase()
       : course.status === 'DRAFT'
         ? 'PUBLISHED'
         : 'DRAFT';
 
+    if (!['DRAFT', 'PUBLISHED'].includes(newStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid status. Must be DRAFT or PUBLISHED',
+      });
+    }
+
+    if (newStatus === 'PUBLISHED' && course.isTemplate) return templateNotPublishable(res);
+
+    // Owners may take their course offline; putting it live needs an approved review
+    if (!req.isAdmin && newStatus === 'PUBLISHED' && course.status !== 'PUBLISHED') {
+      return res.status(403).json({
+        success: false,
+        message: 'Submit the course for review to publish it',
+        code: 'REVIEW_REQUIRED',
+      });
+    }
+
+    // A manual change overrides the schedule (publishing early keeps a planned unpublishAt)
     const updatedCourse = await prisma.course.update({
       where: { id },
-      data: { status: newStatus },
+      data: {
+        status: newStatus,
+        publishAt: null,
+        ...(newStatus === 'DRAFT' && { unpublishAt: null }),
+      },
       select: {
         id: true,
         title: true,
         status: true,
+        unpublishAt: true,
       },
     });
 
@@ -594,6 +789,313 @@ const toggleCourseStatus = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Schedule publishing / unpublishing of a course
+ * @route   PATCH /api/courses/:id/schedule
+ * @access  Admin
+ */
+const scheduleCourse = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const course = await prisma.course.findUnique({
+      where: { id },
+      select: { id: true, status: true, isTemplate: true, publishAt: true, unpublishAt: true },
+    });
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found',
+      });
+    }
+
+    const { schedule, error } = parseSchedule(req.body, course);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    if (course.isTemplate && schedule.publishAt) return templateNotPublishable(res);
+
+    if (course.status === 'PUBLISHED' && schedule.publishAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'This course is already published. Only unpublishAt can be scheduled.',
+      });
+    }
+
+    if (course.status === 'DRAFT' && schedule.unpublishAt && !schedule.publishAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'This course is a draft. Schedule publishAt as well, or publish it first.',
+      });
+    }
+
+    const updatedCourse = await prisma.course.update({
+      where: { id },
+      data: schedule,
+      select: {
+        id: true,
+        title: true,
+        status: true,
+        publishAt: true,
+        unpublishAt: true,
+      },
+    });
+
+    wakePublishScheduler();
+
+    res.status(200).json({
+      success: true,
+      message: schedule.publishAt || schedule.unpublishAt ? 'Course schedule saved' : 'Course schedule cleared',
+      data: {
+        ...updatedCourse,
+        status: capitalize(updatedCourse.status),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Clone a course (modules, lessons, documents, quizzes and ordering) into a new draft course
+ * @route   POST /api/courses/:id/clone
+ * @access  Admin/Instructor (course editor; any instructor for templates)
+ */
+const cloneCourse = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { title, instructorId, isTemplate = false, reuseVideos = true } = req.body;
+
+    const source = await prisma.course.findUnique({
+      where: { id },
+      select: { id: true, title: true, isTemplate: true },
+    });
+
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found',
+      });
+    }
+
+    // Templates are there to be copied; other courses only by their editors
+    if (!req.isAdmin && !source.isTemplate) {
+      const role = await getCourseRole(source.id, req.userId);
+      if (!hasCourseRole(role, 'EDITOR')) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only clone templates and courses you own or co-instruct as an editor.',
+          code: 'COURSE_OWNERSHIP_REQUIRED',
+        });
+      }
+    }
+
+    if (typeof isTemplate !== 'boolean' || typeof reuseVideos !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'isTemplate and reuseVideos must be true or false',
+      });
+    }
+
+    if (!req.isAdmin && instructorId && instructorId !== req.userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only an admin can create a course for another instructor',
+        code: 'COURSE_OWNERSHIP_REQUIRED',
+      });
+    }
+
+    const resolvedInstructorId = instructorId || req.userId;
+
+    if (instructorId) {
+      const instructor = await prisma.user.findUnique({ where: { id: instructorId } });
+      if (!instructor) {
+        return res.status(400).json({
+          success: false,
+          message: 'Instructor not found',
+        });
+      }
+    }
+
+    const newTitle = title?.trim() || `${source.title} (Copy)`;
+
+    const result = await cloneCourseContent(source.id, {
+      title: newTitle,
+      slug: await generateUniqueSlug(newTitle),
+      instructorId: resolvedInstructorId,
+      isTemplate,
+      reuseVideos,
+    });
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found',
+      });
+    }
+
+    const { course, counts } = result;
+
+    res.status(201).json({
+      success: true,
+      message: isTemplate ? 'Template created successfully' : 'Course cloned successfully',
+      data: {
+        ...course,
+        level: capitalize(course.level),
+        status: capitalize(course.status),
+        enrollments: 0,
+        moduleCount: counts.modules,
+        copied: counts,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Export a course as a portable package (zip with manifest.json and assets)
+ * @route   GET /api/courses/:id/export
+ * @access  Admin/Instructor (course editor)
+ */
+const exportCourse = async (req, res, next) => {
+  try {
+    const pkg = await exportCoursePackage(req.courseId);
+
+    if (!pkg) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found',
+      });
+    }
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${pkg.fileName}"`,
+      'Content-Length': pkg.buffer.length,
+    });
+    res.status(200).send(pkg.buffer);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Import a course package as a new draft course (dryRun=true only reports conflicts)
+ * @route   POST /api/courses/import
+ * @access  Admin/Instructor
+ */
+const importCourse = async (req, res, next) => {
+  try {
+    const { slug, categoryId, instructorId, onSlugConflict = 'fail', onMissingCategory = 'fail' } = req.body;
+    const dryRun = req.body.dryRun === 'true' || req.query.dryRun === 'true';
+    const reuseVideos = req.body.reuseVideos === undefined ? undefined : req.body.reuseVideos === 'true';
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No package file provided',
+      });
+    }
+
+    if (!['fail', 'rename'].includes(onSlugConflict) || !['fail', 'create'].includes(onMissingCategory)) {
+      return res.status(400).json({
+        success: false,
+        message: 'onSlugConflict must be fail or rename; onMissingCategory must be fail or create',
+      });
+    }
+
+    if (!req.isAdmin && onMissingCategory === 'create') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only an admin can create categories during import',
+      });
+    }
+
+    if (!req.isAdmin && instructorId && instructorId !== req.userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only an admin can create a course for another instructor',
+        code: 'COURSE_OWNERSHIP_REQUIRED',
+      });
+    }
+
+    if (instructorId) {
+      const instructor = await prisma.user.findUnique({ where: { id: instructorId } });
+      if (!instructor) {
+        return res.status(400).json({
+          success: false,
+          message: 'Instructor not found',
+        });
+      }
+    }
+
+    const pkg = readCoursePackage(req.file.buffer);
+
+    if (pkg.error) {
+      return res.status(400).json({
+        success: false,
+        message: pkg.error,
+        code: 'INVALID_PACKAGE',
+      });
+    }
+
+    const resolved = await resolveImportConflicts(
+      pkg.manifest,
+      { slug: slug && generateSlug(slug), categoryId, onSlugConflict, onMissingCategory },
+      generateUniqueSlug
+    );
+    const unresolved = resolved.conflicts.filter((conflict) => conflict.resolution === 'unresolved');
+
+    if (dryRun || unresolved.length > 0) {
+      return res.status(dryRun ? 200 : 409).json({
+        success: dryRun,
+        message: unresolved.length > 0
+          ? 'The package conflicts with existing content. Resolve the conflicts and import again.'
+          : 'The package can be imported',
+        ...(unresolved.length > 0 && { code: 'IMPORT_CONFLICT' }),
+        data: {
+          title: pkg.data.title,
+          slug: resolved.slug,
+          conflicts: resolved.conflicts,
+          contents: pkg.counts,
+        },
+      });
+    }
+
+    const { course, videosLinked } = await importCoursePackage(pkg.data, {
+      slug: resolved.slug,
+      categoryId: resolved.categoryId,
+      createCategory: resolved.createCategory,
+      instructorId: instructorId || req.userId,
+      reuseVideos,
+      importedBy: { userId: req.userId, isAdmin: Boolean(req.isAdmin) },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Course imported successfully',
+      data: {
+        ...course,
+        level: capitalize(course.level),
+        status: capitalize(course.status),
+        enrollments: 0,
+        moduleCount: pkg.counts.modules,
+        imported: { ...pkg.counts, videosLinked },
+        conflicts: resolved.conflicts,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Get course statistics
  * @route   GET /api/courses/stats
@@ -601,11 +1103,12 @@ const toggleCourseStatus = async (req, res, next) => {
  */
 const getCourseStats = async (req, res, next) => {
   try {
-    const [totalCourses, publishedCourses, draftCourses, totalEnrollments] =
+    const [totalCourses, publishedCourses, draftCourses, inReviewCourses, totalEnrollments] =
       await Promise.all([
         prisma.course.count(),
         prisma.course.count({ where: { status: 'PUBLISHED' } }),
         prisma.course.count({ where: { status: 'DRAFT' } }),
+        prisma.course.count({ where: { status: 'IN_REVIEW' } }),
         prisma.enrollment.count(),
       ]);
 
@@ -615,6 +1118,7 @@ const getCourseStats = async (req, res, next) => {
         total: totalCourses,
         published: publishedCourses,
         draft: draftCourses,
+        inReview: inReviewCourses,
         totalEnrollments,
       },
     });
@@ -630,5 +1134,9 @@ module.exports = {
   updateCourse,
   deleteCourse,
   toggleCourseStatus,
+  scheduleCourse,
+  cloneCourse,
+  exportCourse,
+  importCourse,
   getCourseStats,
 };
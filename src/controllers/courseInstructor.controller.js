@@ -0,0 +1,200 @@
+const prisma = require('../config/db');
+
+const COURSE_INSTRUCTOR_ROLES = ['EDITOR', 'VIEWER'];
+
+const userSelect = { id: true, firstName: true, lastName: true, email: true, avatar: true };
+
+const invalidRole = (res) =>
+  res.status(400).json({
+    success: false,
+    message: 'Invalid role. Must be EDITOR or VIEWER',
+  });
+
+/**
+ * @desc    List a course's owner and co-instructors
+ * @route   GET /api/courses/:id/instructors
+ * @access  Admin/Instructor (course owner or co-instructor)
+ */
+const getCourseInstructors = async (req, res, next) => {
+  try {
+    const course = await prisma.course.findUnique({
+      where: { id: req.courseId },
+      select: {
+        instructor: { select: userSelect },
+        coInstructors: {
+          include: { user: { select: userSelect } },
+          orderBy: { createdAt: 'asc' },
+        },
+      },
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        owner: course.instructor,
+        coInstructors: course.coInstructors.map(({ user, role, createdAt }) => ({ ...user, role, addedAt: createdAt })),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Add a co-instructor to a course
+ * @route   POST /api/courses/:id/instructors
+ * @access  Admin/Instructor (course owner)
+ */
+const addCourseInstructor = async (req, res, next) => {
+  try {
+    const { userId, role = 'EDITOR' } = req.body;
+
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'userId is required',
+      });
+    }
+
+    const normalizedRole = String(role).toUpperCase();
+    if (!COURSE_INSTRUCTOR_ROLES.includes(normalizedRole)) return invalidRole(res);
+
+    const [course, user] = await Promise.all([
+      prisma.course.findUnique({ where: { id: req.courseId }, select: { instructorId: true } }),
+      prisma.user.findUnique({ where: { id: userId }, select: { id: true, role: true } }),
+    ]);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    if (user.role !== 'INSTRUCTOR') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only instructors can be added as co-instructors',
+      });
+    }
+
+    if (course.instructorId === userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'This user already owns the course',
+      });
+    }
+
+    const existing = await prisma.courseInstructor.findUnique({
+      where: { courseId_userId: { courseId: req.courseId, userId } },
+    });
+
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'This user is already a co-instructor on the course',
+      });
+    }
+
+    const coInstructor = await prisma.courseInstructor.create({
+      data: { courseId: req.courseId, userId, role: normalizedRole },
+      include: { user: { select: userSelect } },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Co-instructor added successfully',
+      data: { ...coInstructor.user, role: coInstructor.role, addedAt: coInstructor.createdAt },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Change a co-instructor's role on a course
+ * @route   PATCH /api/courses/:id/instructors/:userId
+ * @access  Admin/Instructor (course owner)
+ */
+const updateCourseInstructor = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    const normalizedRole = String(role).toUpperCase();
+    if (!role || !COURSE_INSTRUCTOR_ROLES.includes(normalizedRole)) return invalidRole(res);
+
+    const existing = await prisma.courseInstructor.findUnique({
+      where: { courseId_userId: { courseId: req.courseId, userId } },
+    });
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Co-instructor not found',
+      });
+    }
+
+    const coInstructor = await prisma.courseInstructor.update({
+      where: { id: existing.id },
+      data: { role: normalizedRole },
+      include: { user: { select: userSelect } },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Co-instructor updated successfully',
+      data: { ...coInstructor.user, role: coInstructor.role, addedAt: coInstructor.createdAt },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Remove a co-instructor from a course (co-instructors may remove themselves)
+ * @route   DELETE /api/courses/:id/instructors/:userId
+ * @access  Admin/Instructor (course owner, or the co-instructor)
+ */
+const removeCourseInstructor = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+
+    if (!['OWNER', 'ADMIN'].includes(req.courseRole) && userId !== req.userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the course owner or an admin can remove other co-instructors.',
+        code: 'COURSE_OWNERSHIP_REQUIRED',
+      });
+    }
+
+    const existing = await prisma.courseInstructor.findUnique({
+      where: { courseId_userId: { courseId: req.courseId, userId } },
+    });
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Co-instructor not found',
+      });
+    }
+
+    await prisma.courseInstructor.delete({
+      where: { id: existing.id },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Co-instructor removed successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getCourseInstructors,
+  addCourseInstructor,
+  updateCourseInstructor,
+  removeCourseInstructor,
+};
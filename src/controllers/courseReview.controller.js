@@ -0,0 +1,402 @@
+const prisma = require('../config/db');
+const { OPEN_REVISION_STATUSES, applyRevision } = require('../services/courseRevision.service');
+const { sendCourseReviewEmail } = require('../services/email.service');
+
+const REVIEW_STATUSES = ['PENDING', 'APPROVED', 'REJECTED', 'WITHDRAWN'];
+
+const personSelect = { id: true, firstName: true, lastName: true, email: true };
+
+const reviewInclude = {
+  course: { select: { id: true, title: true, slug: true, status: true } },
+  revision: { select: { id: true, number: true, status: true, note: true } },
+  submittedBy: { select: personSelect },
+  reviewer: { select: personSelect },
+};
+
+const reviewNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    message: 'Review not found',
+  });
+
+const reviewClosed = (res, review) =>
+  res.status(409).json({
+    success: false,
+    message: `This review was already ${review.status.toLowerCase()}`,
+    code: 'REVIEW_CLOSED',
+  });
+
+/**
+ * Let the submitter (or, failing that, the course owner) know the outcome.
+ * Never throws: the decision is already saved.
+ */
+const notifyDecision = async (review, approved) => {
+  try {
+    const course = await prisma.course.findUnique({
+      where: { id: review.courseId },
+      select: { title: true, instructor: { select: { email: true, firstName: true } } },
+    });
+    const recipient = review.submittedBy || course.instructor;
+
+    const result = await sendCourseReviewEmail({
+      to: recipient.email,
+      firstName: recipient.firstName,
+      courseTitle: course.title,
+      revisionNumber: review.revision?.number || null,
+      approved,
+      comment: review.reviewComment,
+    });
+    if (!result.sent) {
+      console.warn(`[EMAIL] Course review notice for review ${review.id} not sent:`, result.error?.message);
+    }
+  } catch (error) {
+    console.error('[EMAIL] Course review notice failed:', error.message);
+  }
+};
+
+/**
+ * Put a rejected or withdrawn submission back into draft
+ * @param {object} tx - Prisma transaction client
+ * @param {object} review - CourseReview row
+ */
+const closeSubmission = async (tx, review) => {
+  if (review.revisionId) {
+    await tx.courseRevision.updateMany({
+      where: { id: review.revisionId, status: 'IN_REVIEW' },
+      data: { status: 'DRAFT' },
+    });
+  } else {
+    await tx.course.updateMany({
+      where: { id: review.courseId, status: 'IN_REVIEW' },
+      data: { status: 'DRAFT' },
+    });
+  }
+};
+
+/**
+ * @desc    Submit a draft course, or the open revision of a published one, for review
+ * @route   POST /api/courses/:id/submit
+ * @access  Admin/Instructor (course owner)
+ */
+const submitCourseForReview = async (req, res, next) => {
+  try {
+    const note = req.body.note?.trim() || null;
+
+    const course = await prisma.course.findUnique({
+      where: { id: req.courseId },
+      select: {
+        status: true,
+        isTemplate: true,
+        revisions: { where: { status: { in: OPEN_REVISION_STATUSES } }, select: { id: true, status: true } },
+      },
+    });
+
+    if (course.isTemplate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Templates cannot be published. Clone the template to create a course.',
+        code: 'COURSE_IS_TEMPLATE',
+      });
+    }
+
+    if (course.status === 'IN_REVIEW' || course.revisions[0]?.status === 'IN_REVIEW') {
+      return res.status(409).json({
+        success: false,
+        message: 'This course already has a submission waiting for review',
+        code: 'REVIEW_PENDING',
+      });
+    }
+
+    let review;
+
+    if (course.status === 'DRAFT') {
+      const lessonCount = await prisma.lesson.count({ where: { module: { courseId: req.courseId } } });
+      if (lessonCount === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Add at least one lesson before submitting the course for review',
+        });
+      }
+
+      review = await prisma.$transaction(async (tx) => {
+        await tx.course.update({ where: { id: req.courseId }, data: { status: 'IN_REVIEW' } });
+        return tx.courseReview.create({
+          data: { courseId: req.courseId, submittedById: req.userId, submitNote: note },
+          include: reviewInclude,
+        });
+      });
+    } else {
+      const revision = course.revisions[0];
+      if (!revision) {
+        return res.status(400).json({
+          success: false,
+          message: 'This course is published. Create a revision with your changes and submit that.',
+          code: 'COURSE_REVISION_REQUIRED',
+        });
+      }
+
+      review = await prisma.$transaction(async (tx) => {
+        await tx.courseRevision.update({ where: { id: revision.id }, data: { status: 'IN_REVIEW' } });
+        return tx.courseReview.create({
+          data: { courseId: req.courseId, revisionId: revision.id, submittedById: req.userId, submitNote: note },
+          include: reviewInclude,
+        });
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Submitted for review successfully',
+      data: review,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Withdraw a pending submission (the course or revision goes back to draft)
+ * @route   POST /api/courses/:id/withdraw
+ * @access  Admin/Instructor (course owner)
+ */
+const withdrawCourseReview = async (req, res, next) => {
+  try {
+    const review = await prisma.courseReview.findFirst({
+      where: { courseId: req.courseId, status: 'PENDING' },
+    });
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'No submission is waiting for review',
+      });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await tx.courseReview.update({
+        where: { id: review.id },
+        data: { status: 'WITHDRAWN', reviewedAt: new Date() },
+      });
+      await closeSubmission(tx, review);
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Submission withdrawn successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Review history of a course
+ * @route   GET /api/courses/:id/reviews
+ * @access  Admin/Instructor (any course role)
+ */
+const getCourseReviews = async (req, res, next) => {
+  try {
+    const reviews = await prisma.courseReview.findMany({
+      where: { courseId: req.courseId },
+      include: reviewInclude,
+      orderBy: { submittedAt: 'desc' },
+    });
+
+    res.status(200).json({
+      success: true,
+      data: reviews,
+      count: reviews.length,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Review queue (pending submissions by default, oldest first)
+ * @route   GET /api/courses/reviews
+ * @access  Admin
+ */
+const getReviewQueue = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const status = (req.query.status || 'PENDING').toUpperCase();
+
+    if (!REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Must be one of ${REVIEW_STATUSES.join(', ')}`,
+      });
+    }
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const [reviews, total] = await Promise.all([
+      prisma.courseReview.findMany({
+        where: { status },
+        include: reviewInclude,
+        orderBy: { submittedAt: status === 'PENDING' ? 'asc' : 'desc' },
+        skip: (pageNum - 1) * limitNum,
+        take: limitNum,
+      }),
+      prisma.courseReview.count({ where: { status } }),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: reviews,
+      pagination: {
+        total,
+        page: pageNum,
+        limit: limitNum,
+        totalPages: Math.ceil(total / limitNum),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Approve a submission: publish the course, or apply the revision to the live course
+ * @route   POST /api/courses/reviews/:reviewId/approve
+ * @access  Admin
+ */
+const approveCourseReview = async (req, res, next) => {
+  try {
+    const review = await prisma.courseReview.findUnique({
+      where: { id: req.params.reviewId },
+      include: { revision: true, submittedBy: { select: personSelect } },
+    });
+
+    if (!review) return reviewNotFound(res);
+    if (review.status !== 'PENDING') return reviewClosed(res, review);
+
+    const decision = {
+      status: 'APPROVED',
+      reviewComment: req.body.comment?.trim() || null,
+      reviewerId: req.userId,
+      reviewedAt: new Date(),
+    };
+
+    // Claim the review first so two reviewers cannot both approve it
+    const { count } = await prisma.courseReview.updateMany({
+      where: { id: review.id, status: 'PENDING' },
+      data: decision,
+    });
+    if (count === 0) return reviewClosed(res, { status: 'decided' });
+
+    let changes = null;
+    let scheduledFor = null;
+
+    if (review.revisionId) {
+      try {
+        changes = await applyRevision(review.revision);
+      } catch (error) {
+        await prisma.courseReview.update({
+          where: { id: review.id },
+          data: { status: 'PENDING', reviewComment: null, reviewerId: null, reviewedAt: null },
+        });
+        if (error.code === 'REVISION_STALE') {
+          return res.status(409).json({
+            success: false,
+            message: error.message,
+            code: 'REVISION_STALE',
+          });
+        }
+        throw error;
+      }
+    } else {
+      // A course scheduled for later goes back to draft and the publish scheduler releases it
+      const { publishAt } = await prisma.course.findUnique({
+        where: { id: review.courseId },
+        select: { publishAt: true },
+      });
+      scheduledFor = publishAt && publishAt > new Date() ? publishAt : null;
+
+      await prisma.course.update({
+        where: { id: review.courseId },
+        data: scheduledFor ? { status: 'DRAFT' } : { status: 'PUBLISHED', publishAt: null },
+      });
+    }
+
+    await notifyDecision({ ...review, ...decision }, true);
+
+    let message = 'Course approved and published';
+    if (review.revisionId) message = 'Revision approved and published';
+    else if (scheduledFor) message = `Course approved; it will be published at ${scheduledFor.toISOString()}`;
+
+    res.status(200).json({
+      success: true,
+      message,
+      data: { reviewId: review.id, courseId: review.courseId, changes, publishAt: scheduledFor },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Reject a submission with a comment (the course or revision goes back to draft)
+ * @route   POST /api/courses/reviews/:reviewId/reject
+ * @access  Admin
+ */
+const rejectCourseReview = async (req, res, next) => {
+  try {
+    const comment = req.body.comment?.trim();
+
+    if (!comment) {
+      return res.status(400).json({
+        success: false,
+        message: 'A comment explaining what to change is required',
+      });
+    }
+
+    const review = await prisma.courseReview.findUnique({
+      where: { id: req.params.reviewId },
+      include: { revision: { select: { number: true } }, submittedBy: { select: personSelect } },
+    });
+
+    if (!review) return reviewNotFound(res);
+    if (review.status !== 'PENDING') return reviewClosed(res, review);
+
+    const decision = {
+      status: 'REJECTED',
+      reviewComment: comment,
+      reviewerId: req.userId,
+      reviewedAt: new Date(),
+    };
+
+    const rejected = await prisma.$transaction(async (tx) => {
+      const { count } = await tx.courseReview.updateMany({
+        where: { id: review.id, status: 'PENDING' },
+        data: decision,
+      });
+      if (count === 0) return false;
+      await closeSubmission(tx, review);
+      return true;
+    });
+
+    if (!rejected) return reviewClosed(res, { status: 'decided' });
+
+    await notifyDecision({ ...review, ...decision }, false);
+
+    res.status(200).json({
+      success: true,
+      message: 'Submission rejected and returned to draft',
+      data: { reviewId: review.id, courseId: review.courseId },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  submitCourseForReview,
+  withdrawCourseReview,
+  getCourseReviews,
+  getReviewQueue,
+  approveCourseReview,
+  rejectCourseReview,
+};
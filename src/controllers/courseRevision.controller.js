@@ -0,0 +1,230 @@
+const prisma = require('../config/db');
+const {
+  OPEN_REVISION_STATUSES,
+  buildSnapshot,
+  stagedContentKeys,
+  validateSnapshot,
+  diffSnapshot,
+} = require('../services/courseRevision.service');
+const { releaseObjects } = require('../services/storage.service');
+
+const revisionSelect = {
+  id: true,
+  number: true,
+  status: true,
+  note: true,
+  publishedAt: true,
+  createdAt: true,
+  updatedAt: true,
+  createdBy: { select: { id: true, firstName: true, lastName: true } },
+};
+
+const findRevision = (req) =>
+  prisma.courseRevision.findFirst({
+    where: { id: req.params.revisionId, courseId: req.courseId },
+  });
+
+const revisionNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    message: 'Revision not found',
+  });
+
+const revisionLocked = (res, revision) =>
+  res.status(409).json({
+    success: false,
+    message: revision.status === 'IN_REVIEW'
+      ? 'This revision is waiting for review. Withdraw it to make changes.'
+      : `This revision is ${revision.status.toLowerCase()} and can no longer be changed`,
+    code: 'REVISION_LOCKED',
+  });
+
+/**
+ * @desc    List a course's revisions (newest first, without snapshots)
+ * @route   GET /api/courses/:id/revisions
+ * @access  Admin/Instructor (any course role)
+ */
+const getCourseRevisions = async (req, res, next) => {
+  try {
+    const revisions = await prisma.courseRevision.findMany({
+      where: { courseId: req.courseId },
+      select: revisionSelect,
+      orderBy: { number: 'desc' },
+    });
+
+    res.status(200).json({
+      success: true,
+      data: revisions,
+      count: revisions.length,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a revision with its snapshot and what it would change
+ * @route   GET /api/courses/:id/revisions/:revisionId
+ * @access  Admin/Instructor (any course role)
+ */
+const getCourseRevision = async (req, res, next) => {
+  try {
+    const revision = await prisma.courseRevision.findFirst({
+      where: { id: req.params.revisionId, courseId: req.courseId },
+      select: { ...revisionSelect, snapshot: true },
+    });
+
+    if (!revision) return revisionNotFound(res);
+
+    const changes = OPEN_REVISION_STATUSES.includes(revision.status)
+      ? diffSnapshot(await buildSnapshot(req.courseId), revision.snapshot)
+      : null;
+
+    res.status(200).json({
+      success: true,
+      data: { ...revision, changes },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Start a draft revision of a published course (a copy of the live content)
+ * @route   POST /api/courses/:id/revisions
+ * @access  Admin/Instructor (course editor)
+ */
+const createCourseRevision = async (req, res, next) => {
+  try {
+    const course = await prisma.course.findUnique({
+      where: { id: req.courseId },
+      select: { status: true },
+    });
+
+    if (course.status !== 'PUBLISHED') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only published courses use revisions. Edit draft courses directly.',
+      });
+    }
+
+    const open = await prisma.courseRevision.findFirst({
+      where: { courseId: req.courseId, status: { in: OPEN_REVISION_STATUSES } },
+      select: { id: true, number: true, status: true },
+    });
+
+    if (open) {
+      return res.status(409).json({
+        success: false,
+        message: `Revision #${open.number} is still open. Publish or discard it first.`,
+        code: 'REVISION_OPEN',
+        data: open,
+      });
+    }
+
+    const latest = await prisma.courseRevision.findFirst({
+      where: { courseId: req.courseId },
+      orderBy: { number: 'desc' },
+      select: { number: true },
+    });
+
+    const revision = await prisma.courseRevision.create({
+      data: {
+        courseId: req.courseId,
+        number: (latest?.number || 0) + 1,
+        snapshot: await buildSnapshot(req.courseId),
+        note: req.body.note?.trim() || null,
+        createdById: req.userId,
+      },
+      select: { ...revisionSelect, snapshot: true },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Draft revision created successfully',
+      data: revision,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Save changes to a draft revision (course fields are merged; modules replace the outline;
+ *          module/lesson content is staged in storage)
+ * @route   PUT /api/courses/:id/revisions/:revisionId
+ * @access  Admin/Instructor (course editor)
+ */
+const updateCourseRevision = async (req, res, next) => {
+  try {
+    const revision = await findRevision(req);
+
+    if (!revision) return revisionNotFound(res);
+    if (revision.status !== 'DRAFT') return revisionLocked(res, revision);
+
+    const { snapshot, error } = await validateSnapshot(req.courseId, req.body, revision.snapshot);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const updated = await prisma.courseRevision.update({
+      where: { id: revision.id },
+      data: {
+        snapshot,
+        ...(req.body.note !== undefined && { note: req.body.note?.trim() || null }),
+      },
+      select: { ...revisionSelect, snapshot: true },
+    });
+
+    // Content staged by the previous save that this one dropped or replaced
+    const kept = new Set(stagedContentKeys(snapshot));
+    await releaseObjects(stagedContentKeys(revision.snapshot).filter((key) => !kept.has(key)));
+
+    res.status(200).json({
+      success: true,
+      message: 'Revision saved successfully',
+      data: { ...updated, changes: diffSnapshot(await buildSnapshot(req.courseId), snapshot) },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Discard a draft revision (kept for the record, never published)
+ * @route   DELETE /api/courses/:id/revisions/:revisionId
+ * @access  Admin/Instructor (course editor)
+ */
+const discardCourseRevision = async (req, res, next) => {
+  try {
+    const revision = await findRevision(req);
+
+    if (!revision) return revisionNotFound(res);
+    if (revision.status !== 'DRAFT') return revisionLocked(res, revision);
+
+    await prisma.courseRevision.update({
+      where: { id: revision.id },
+      data: { status: 'DISCARDED' },
+    });
+    await releaseObjects(stagedContentKeys(revision.snapshot));
+
+    res.status(200).json({
+      success: true,
+      message: 'Revision discarded successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getCourseRevisions,
+  getCourseRevision,
+  createCourseRevision,
+  updateCourseRevision,
+  discardCourseRevision,
+};
@@ -1,4 +1,24 @@
 const prisma = require('../config/db');
+const { getDocumentAccess, sendAccessDenied } = require('../services/entitlement.service');
+const { pipeline } = require('stream/promises');
+const {
+  storeBytes,
+  openContent,
+  parseBase64Content,
+  storageKeysFor,
+  releaseObjects,
+  derivedFolder,
+} = require('../services/storage.service');
+const { detectDocumentType } = require('../services/fileType.service');
+const { signDocumentLink, verifyDocumentLink } = require('../services/documentLink.service');
+const { needsWatermark, openWatermarkedCopy, watermarkProblem } = require('../services/pdfWatermark.service');
+const {
+  addVersion,
+  restoreVersion,
+  listVersions,
+  recordDownload,
+  withUpdateMarkers,
+} = require('../services/documentVersion.service');
 
 const ALLOWED_DOCUMENT_TYPES = [
   'application/pdf',
@@ -23,9 +43,85 @@ const listSelect = {
   courseId: true,
   moduleId: true,
   lessonId: true,
+  version: true,
+  fileUpdatedAt: true,
   createdAt: true,
 };
 
+/**
+ * The uploaded file: multipart field "file", or base64 `content` in a JSON body.
+ * Size and type come from the bytes; a fileType sent by the client is only a hint.
+ * @param {object} req
+ * @param {string} [defaultName] - File name when the request names none
+ * @returns {{bytes: Buffer, fileName: string, fileType: string, prefix: string|null}|{error: string}|null}
+ *   null when no file was sent
+ */
+const readUploadedFile = (req, defaultName = 'document') => {
+  const { fileName, fileType, content } = req.body || {};
+  let bytes;
+  let prefix = null;
+
+  if (req.file) {
+    bytes = req.file.buffer;
+  } else if (content) {
+    const parsed = parseBase64Content(content);
+    if (!parsed) return { error: 'Content must be base64 encoded (a data URL is fine)' };
+    ({ bytes, prefix } = parsed);
+  } else {
+    return null;
+  }
+
+  const name = fileName || req.file?.originalname || defaultName;
+  const detectedType = detectDocumentType(bytes, { fileName: name, declaredType: fileType || req.file?.mimetype });
+  if (!detectedType || !ALLOWED_DOCUMENT_TYPES.includes(detectedType)) {
+    return { error: 'Unsupported file type. Upload a PDF, Word, Excel, PowerPoint, text or CSV file.' };
+  }
+
+  return { bytes, fileName: name, fileType: detectedType, prefix };
+};
+
+/**
+ * Validate the upload and put it in storage
+ * @param {object} req
+ * @param {string} [defaultName]
+ * @returns {Promise<{file: object, stored: object}|{error: string}>}
+ */
+const storeUploadedFile = async (req, defaultName) => {
+  const file = readUploadedFile(req, defaultName);
+  if (!file) return { error: 'Title and a file (multipart field "file" or base64 content) are required' };
+  if (file.error) return file;
+
+  // Learner downloads of PDFs are stamped; refuse files that can't be, rather than fail every download
+  if (file.fileType === 'application/pdf') {
+    const problem = await watermarkProblem(file.bytes);
+    if (problem) return { error: problem };
+  }
+
+  const stored = await storeBytes('documents', file.bytes, {
+    fileName: file.fileName,
+    contentType: file.fileType,
+    prefix: file.prefix,
+  });
+  return { file, stored };
+};
+
+/**
+ * File fields of a new document, recorded as its first version
+ * @param {{fileName: string, fileType: string}} file - From storeUploadedFile
+ * @param {{storageKey: string, contentPrefix: string|null, size: number}} stored
+ * @param {string} uploadedById
+ */
+const firstVersionData = (file, stored, uploadedById) => {
+  const fields = {
+    fileName: file.fileName,
+    fileSize: stored.size,
+    fileType: file.fileType,
+    storageKey: stored.storageKey,
+    contentPrefix: stored.contentPrefix,
+  };
+  return { ...fields, uploadedById, versions: { create: { ...fields, version: 1, uploadedById } } };
+};
+
 /**
  * @desc    Upload document to a course
  * @route   POST /api/courses/:courseId/documents
@@ -34,19 +130,12 @@ const listSelect = {
 const uploadCourseDocument = async (req, res, next) => {
   try {
     const { courseId } = req.params;
-    const { title, fileName, fileSize, fileType, content } = req.body;
+    const { title } = req.body || {};
 
-    if (!title || !content) {
+    if (!title) {
       return res.status(400).json({
         success: false,
-        message: 'Title and content are required',
-      });
-    }
-
-    if (fileType && !ALLOWED_DOCUMENT_TYPES.includes(fileType)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Unsupported file type',
+        message: 'Title and a file (multipart field "file" or base64 content) are required',
       });
     }
 
@@ -68,13 +157,19 @@ const uploadCourseDocument = async (req, res, next) => {
       select: { order: true },
     });
 
+    // The file goes to object storage; the row keeps its key
+    const { file, stored, error } = await storeUploadedFile(req);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
     const document = await prisma.document.create({
       data: {
         title: title.trim(),
-        fileName: fileName || 'document',
-        fileSize: fileSize || 0,
-        fileType: fileType || 'application/octet-stream',
-        content,
+        ...firstVersionData(file, stored, req.userId),
         courseId,
         order: maxOrder ? maxOrder.order + 1 : 0,
       },
@@ -99,19 +194,12 @@ const uploadCourseDocument = async (req, res, next) => {
 const uploadModuleDocument = async (req, res, next) => {
   try {
     const { moduleId } = req.params;
-    const { title, fileName, fileSize, fileType, content } = req.body;
-
-    if (!title || !content) {
-      return res.status(400).json({
-        success: false,
-        message: 'Title and content are required',
-      });
-    }
+    const { title } = req.body || {};
 
-    if (fileType && !ALLOWED_DOCUMENT_TYPES.includes(fileType)) {
+    if (!title) {
       return res.status(400).json({
         success: false,
-        message: 'Unsupported file type',
+        message: 'Title and a file (multipart field "file" or base64 content) are required',
       });
     }
 
@@ -133,13 +221,19 @@ const uploadModuleDocument = async (req, res, next) => {
       select: { order: true },
     });
 
+    // The file goes to object storage; the row keeps its key
+    const { file, stored, error } = await storeUploadedFile(req);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
     const document = await prisma.document.create({
       data: {
         title: title.trim(),
-        fileName: fileName || 'document',
-        fileSize: fileSize || 0,
-        fileType: fileType || 'application/octet-stream',
-        content,
+        ...firstVersionData(file, stored, req.userId),
         moduleId,
         order: maxOrder ? maxOrder.order + 1 : 0,
       },
@@ -164,19 +258,12 @@ const uploadModuleDocument = async (req, res, next) => {
 const uploadLessonDocument = async (req, res, next) => {
   try {
     const { lessonId } = req.params;
-    const { title, fileName, fileSize, fileType, content } = req.body;
-
-    if (!title || !content) {
-      return res.status(400).json({
-        success: false,
-        message: 'Title and content are required',
-      });
-    }
+    const { title } = req.body || {};
 
-    if (fileType && !ALLOWED_DOCUMENT_TYPES.includes(fileType)) {
+    if (!title) {
       return res.status(400).json({
         success: false,
-        message: 'Unsupported file type',
+        message: 'Title and a file (multipart field "file" or base64 content) are required',
       });
     }
 
@@ -198,13 +285,19 @@ const uploadLessonDocument = async (req, res, next) => {
       select: { order: true },
     });
 
+    // The file goes to object storage; the row keeps its key
+    const { file, stored, error } = await storeUploadedFile(req);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
     const document = await prisma.document.create({
       data: {
         title: title.trim(),
-        fileName: fileName || 'document',
-        fileSize: fileSize || 0,
-        fileType: fileType || 'application/octet-stream',
-        content,
+        ...firstVersionData(file, stored, req.userId),
         lessonId,
         order: maxOrder ? maxOrder.order + 1 : 0,
       },
@@ -224,7 +317,7 @@ const uploadLessonDocument = async (req, res, next) => {
 /**
  * @desc    Get all documents for a course
  * @route   GET /api/courses/:courseId/documents
- * @access  Public
+ * @access  Public (signed-in users also get their updated-since-download markers)
  */
 const getCourseDocuments = async (req, res, next) => {
   try {
@@ -238,7 +331,7 @@ const getCourseDocuments = async (req, res, next) => {
 
     res.status(200).json({
       success: true,
-      data: documents,
+      data: await withUpdateMarkers(documents, req.userId),
       count: documents.length,
     });
   } catch (error) {
@@ -249,7 +342,7 @@ const getCourseDocuments = async (req, res, next) => {
 /**
  * @desc    Get all documents for a module
  * @route   GET /api/modules/:moduleId/documents
- * @access  Public
+ * @access  Public (signed-in users also get their updated-since-download markers)
  */
 const getModuleDocuments = async (req, res, next) => {
   try {
@@ -263,7 +356,7 @@ const getModuleDocuments = async (req, res, next) => {
 
     res.status(200).json({
       success: true,
-      data: documents,
+      data: await withUpdateMarkers(documents, req.userId),
       count: documents.length,
     });
   } catch (error) {
@@ -274,7 +367,7 @@ const getModuleDocuments = async (req, res, next) => {
 /**
  * @desc    Get all documents for a lesson
  * @route   GET /api/lessons/:lessonId/documents
- * @access  Public
+ * @access  Public (signed-in users also get their updated-since-download markers)
  */
 const getLessonDocuments = async (req, res, next) => {
   try {
@@ -288,7 +381,7 @@ const getLessonDocuments = async (req, res, next) => {
 
     res.status(200).json({
       success: true,
-      data: documents,
+      data: await withUpdateMarkers(documents, req.userId),
       count: documents.length,
     });
   } catch (error) {
@@ -297,9 +390,9 @@ const getLessonDocuments = async (req, res, next) => {
 };
 
 /**
- * @desc    Get single document by ID (includes content for download)
+ * @desc    Get single document by ID (metadata; the file is fetched from downloadUrl)
  * @route   GET /api/documents/:id
- * @access  Public
+ * @access  Enrolled / subscribed users; anyone for documents of free-preview lessons
  */
 const getDocumentById = async (req, res, next) => {
   try {
@@ -307,6 +400,7 @@ const getDocumentById = async (req, res, next) => {
 
     const document = await prisma.document.findUnique({
       where: { id },
+      select: listSelect,
     });
 
     if (!document) {
@@ -316,15 +410,194 @@ const getDocumentById = async (req, res, next) => {
       });
     }
 
+    const viewer = { userId: req.userId, role: req.userRole };
+    const { hasAccess } = await getDocumentAccess(document, viewer);
+    if (!hasAccess) return sendAccessDenied(res, viewer);
+
+    const [marked] = await withUpdateMarkers([document], req.userId);
+
     res.status(200).json({
       success: true,
-      data: document,
+      data: {
+        ...marked,
+        downloadUrl: `/api/documents/${document.id}/download`,
+      },
     });
   } catch (error) {
     next(error);
   }
 };
 
+/**
+ * @desc    Issue a short-lived signed download link, for emails or opening in a new tab without a token
+ * @route   POST /api/documents/:id/link
+ * @access  Signed-in users with access to the document
+ */
+const createDocumentLink = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { expiresIn } = req.body || {};
+
+    const document = await prisma.document.findUnique({
+      where: { id },
+      select: { id: true, courseId: true, moduleId: true, lessonId: true },
+    });
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found',
+      });
+    }
+
+    const viewer = { userId: req.userId, role: req.userRole };
+    const { hasAccess } = await getDocumentAccess(document, viewer);
+    if (!hasAccess) return sendAccessDenied(res, viewer);
+
+    const { path, expiresAt } = signDocumentLink(id, req.userId, expiresIn);
+
+    res.status(201).json({
+      success: true,
+      message: 'Download link created',
+      data: {
+        url: `${req.protocol}://${req.get('host')}${path}`,
+        path,
+        expiresAt,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Download a document file (streamed, with HTTP Range support for resuming and seeking)
+ * @route   GET /api/documents/:id/download
+ * @access  Enrolled / subscribed users (token or signed link); anyone for documents of free-preview lessons
+ */
+const downloadDocument = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    let viewer = { userId: req.userId, role: req.userRole };
+
+    // A signed link acts for the user it was issued to, if they are still active
+    if (req.query.sig !== undefined) {
+      const link = verifyDocumentLink(id, req.query);
+      const user = !link.error && await prisma.user.findUnique({
+        where: { id: link.userId },
+        select: { role: true, status: true },
+      });
+
+      if (link.error || user?.status !== 'ACTIVE') {
+        return res.status(403).json({
+          success: false,
+          message: link.error || 'Invalid download link',
+          code: link.code || 'LINK_INVALID',
+        });
+      }
+      viewer = { userId: link.userId, role: user.role };
+    }
+
+    const document = await prisma.document.findUnique({
+      where: { id },
+    });
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found',
+      });
+    }
+
+    const { hasAccess, via } = await getDocumentAccess(document, viewer);
+    if (!hasAccess) return sendAccessDenied(res, viewer);
+
+    let file = await openContent(document);
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document file not found',
+      });
+    }
+
+    // Learners get their own stamped copy of PDFs; the stored original is left as is
+    const watermarked = needsWatermark(document, viewer, via);
+    if (watermarked) {
+      try {
+        file = await openWatermarkedCopy(document, viewer.userId, file);
+      } catch (error) {
+        console.error(`[DOCUMENT] Failed to watermark ${id}:`, error.message);
+        return res.status(500).json({
+          success: false,
+          message: 'This document could not be prepared for download. Please contact the course instructor.',
+          code: 'WATERMARK_FAILED',
+        });
+      }
+    }
+
+    // A single byte range is answered with 206; several ranges, a malformed header or a
+    // stale If-Range get the whole file
+    const ranges = req.range(file.size, { combine: true });
+    if (ranges === -1) {
+      res.set('Content-Range', `bytes */${file.size}`);
+      return res.status(416).json({
+        success: false,
+        message: 'Requested range not satisfiable',
+      });
+    }
+
+    const etag = `"${document.id}-${document.updatedAt.getTime()}${watermarked ? `-${file.stamp}` : ''}"`;
+    const lastModified = document.updatedAt.toUTCString();
+
+    res.attachment(document.fileName);
+    res.set({
+      'Content-Type': document.fileType,
+      'Accept-Ranges': 'bytes',
+      'Cache-Control': 'private, no-cache',
+      ETag: etag,
+      'Last-Modified': lastModified,
+    });
+
+    if (req.fresh) return res.status(304).end();
+
+    const ifRange = req.get('If-Range');
+    const range = Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1
+      && (!ifRange || ifRange === etag || ifRange === lastModified)
+      ? ranges[0]
+      : null;
+
+    if (range) {
+      res.status(206).set({
+        'Content-Range': `bytes ${range.start}-${range.end}/${file.size}`,
+        'Content-Length': range.end - range.start + 1,
+      });
+    } else {
+      res.status(200).set('Content-Length', file.size);
+    }
+
+    if (req.method === 'HEAD') return res.end();
+
+    // Remember the version a learner got, for the "updated on" marker (resumed downloads don't count again)
+    if (viewer.userId && (!range || range.start === 0)) {
+      try {
+        await recordDownload(id, viewer.userId, document.version);
+      } catch (error) {
+        console.warn(`[DOCUMENT] Failed to record download of ${id}:`, error.message);
+      }
+    }
+
+    try {
+      await pipeline(file.createReadStream(range ? { start: range.start, end: range.end } : undefined), res);
+    } catch (error) {
+      // Headers are out: the client went away or storage failed mid-stream
+      if (!res.headersSent) throw error;
+      console.warn(`[DOCUMENT] Download of ${id} interrupted:`, error.message);
+    }
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Update document
  * @route   PUT /api/documents/:id
@@ -333,7 +606,7 @@ const getDocumentById = async (req, res, next) => {
 const updateDocument = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { title, fileName, fileSize, fileType, content } = req.body;
+    const { title, fileName } = req.body || {};
 
     const existing = await prisma.document.findUnique({
       where: { id },
@@ -350,28 +623,124 @@ const updateDocument = async (req, res, next) => {
 
     if (title !== undefined) updateData.title = title.trim();
     if (fileName !== undefined) updateData.fileName = fileName;
-    if (fileSize !== undefined) updateData.fileSize = fileSize;
-    if (fileType !== undefined) {
-      if (!ALLOWED_DOCUMENT_TYPES.includes(fileType)) {
+
+    let document;
+
+    // A new file becomes the next version; the old one stays in the history for rollback.
+    // Size and type always follow the file
+    if (req.file || req.body?.content !== undefined) {
+      const { file, stored, error } = await storeUploadedFile(req, existing.fileName);
+      if (error) {
         return res.status(400).json({
           success: false,
-          message: 'Unsupported file type',
+          message: error,
         });
       }
-      updateData.fileType = fileType;
+
+      document = await addVersion(existing, {
+        fileName: file.fileName,
+        fileSize: stored.size,
+        fileType: file.fileType,
+        storageKey: stored.storageKey,
+        contentPrefix: stored.contentPrefix,
+      }, { uploadedById: req.userId, data: updateData, select: listSelect });
+
+      // Copies made from the old file (watermarked PDFs)
+      await releaseObjects([derivedFolder(id)]);
+    } else {
+      document = await prisma.document.update({
+        where: { id },
+        data: updateData,
+        select: listSelect,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Document updated successfully',
+      data: document,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List the file versions of a document, newest first, with who uploaded each
+ * @route   GET /api/documents/:id/versions
+ * @access  Admin/Instructor
+ */
+const getDocumentVersions = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const document = await prisma.document.findUnique({
+      where: { id },
+      select: { ...listSelect, uploadedById: true },
+    });
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found',
+      });
     }
-    if (content !== undefined) updateData.content = content;
 
-    const document = await prisma.document.update({
+    const versions = await listVersions(document);
+
+    res.status(200).json({
+      success: true,
+      data: versions,
+      count: versions.length,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Roll a document back to an earlier version (added as a new version, so nothing is lost)
+ * @route   POST /api/documents/:id/versions/:version/restore
+ * @access  Admin/Instructor
+ */
+const restoreDocumentVersion = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const version = Number(req.params.version);
+
+    if (!Number.isInteger(version) || version < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Version must be a positive whole number',
+      });
+    }
+
+    const existing = await prisma.document.findUnique({
       where: { id },
-      data: updateData,
-      select: listSelect,
     });
 
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found',
+      });
+    }
+
+    const result = await restoreVersion(existing, version, { uploadedById: req.userId, select: listSelect });
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error,
+      });
+    }
+
+    // Copies made from the replaced file (watermarked PDFs)
+    await releaseObjects([derivedFolder(id)]);
+
     res.status(200).json({
       success: true,
-      message: 'Document updated successfully',
-      data: document,
+      message: `Document restored to version ${version}`,
+      data: result.document,
     });
   } catch (error) {
     next(error);
@@ -398,9 +767,13 @@ const deleteDocument = async (req, res, next) => {
       });
     }
 
+    // Its file, earlier versions and derived copies
+    const storageKeys = await storageKeysFor({ documents: { id } });
+
     await prisma.document.delete({
       where: { id },
     });
+    await releaseObjects(storageKeys);
 
     // Determine the parent and reorder remaining documents
     const parentFilter = document.courseId
@@ -442,6 +815,10 @@ module.exports = {
   getModuleDocuments,
   getLessonDocuments,
   getDocumentById,
+  downloadDocument,
+  createDocumentLink,
   updateDocument,
+  getDocumentVersions,
+  restoreDocumentVersion,
   deleteDocument,
 };
@@ -1,7 +1,12 @@
 const prisma = require('../config/db');
 const stripe = require('../config/stripe');
 const nodemailer = require('nodemailer');
-const { userHasActiveSubscription } = require('./subscription.controller');
+const { userHasActiveSubscription } = require('../services/entitlement.service');
+const {
+  getCourseProgressMap,
+  recalculateEnrollmentProgress,
+} = require('../services/progress.service');
+const { safeIssueCertificate, revokeCertificate } = require('../services/certificate.service');
 
 /**
  * Capitalize first letter, lowercase rest (e.g., "PENDING" -> "Pending")
@@ -160,7 +165,7 @@ const getEnrollmentById = async (req, res, next) => {
 /**
  * @desc    Create new enrollment
  * @route   POST /api/enrollments
- * @access  Admin/User
+ * @access  Admin (manage-enrollments)
  */
 const createEnrollment = async (req, res, next) => {
   try {
@@ -315,6 +320,13 @@ const updateEnrollmentStatus = async (req, res, next) => {
       },
     });
 
+    // Completing issues the course certificate; refunding invalidates it
+    if (updatedEnrollment.status === 'COMPLETED') {
+      await safeIssueCertificate(updatedEnrollment.id);
+    } else if (updatedEnrollment.status === 'REFUNDED') {
+      await revokeCertificate(updatedEnrollment.id);
+    }
+
     res.status(200).json({
       success: true,
       message: `Enrollment ${status.toLowerCase()} successfully`,
@@ -326,21 +338,14 @@ const updateEnrollmentStatus = async (req, res, next) => {
 };
 
 /**
- * @desc    Update enrollment progress
+ * @desc    Recalculate enrollment progress from completed lessons
+ *          (client-supplied percentages are no longer trusted; use POST /api/lessons/:id/complete)
  * @route   PATCH /api/enrollments/:id/progress
- * @access  User
+ * @access  User (own enrollment) / Admin
  */
 const updateEnrollmentProgress = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { progress } = req.body;
-
-    if (progress === undefined || progress < 0 || progress > 100) {
-      return res.status(400).json({
-        success: false,
-        message: 'Progress must be a number between 0 and 100',
-      });
-    }
 
     const enrollment = await prisma.enrollment.findUnique({
       where: { id },
@@ -353,20 +358,17 @@ const updateEnrollmentProgress = async (req, res, next) => {
       });
     }
 
-    const updateData = {
-      progress: parseInt(progress),
-    };
-
-    // Auto-complete if progress is 100
-    if (parseInt(progress) === 100 && enrollment.status !== 'COMPLETED') {
-      updateData.status = 'COMPLETED';
-      updateData.completedAt = new Date();
+    if (enrollment.userId !== req.userId && req.userRole !== 'ADMIN') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied',
+      });
     }
 
-    const updatedEnrollment = await prisma.enrollment.update({
-      where: { id },
-      data: updateData,
-    });
+    const updatedEnrollment = await recalculateEnrollmentProgress(
+      enrollment.userId,
+      enrollment.courseId
+    );
 
     res.status(200).json({
       success: true,
@@ -428,6 +430,8 @@ const processRefund = async (req, res, next) => {
       },
     });
 
+    await revokeCertificate(updatedEnrollment.id);
+
     res.status(200).json({
       success: true,
       message: 'Refund processed successfully',
@@ -529,25 +533,24 @@ const getMyEnrollments = async (req, res, next) => {
             _count: {
               select: { modules: true, enrollments: true },
             },
-            modules: {
-              select: {
-                _count: { select: { lessons: true } },
-              },
-            },
           },
         },
       },
     });
 
+    // Progress is computed from completed lessons, not the stored percentage
+    const progressMap = await getCourseProgressMap(
+      userId,
+      enrollments.map((e) => e.courseId)
+    );
+
     // Transform the data for frontend
     const courses = enrollments.map((e) => {
-      const totalLessons = e.course.modules.reduce(
-        (sum, m) => sum + m._count.lessons,
-        0
-      );
+      const completion = progressMap.get(e.courseId);
       return {
         enrollmentId: e.id,
-        progress: e.progress,
+        progress: e.status === 'COMPLETED' ? 100 : completion.progress,
+        completedLessons: completion.completedLessons,
         status: capitalize(e.status),
         enrolledAt: e.enrolledAt,
         completedAt: e.completedAt,
@@ -565,7 +568,7 @@ const getMyEnrollments = async (req, res, next) => {
               ? `${e.course.instructor.firstName} ${e.course.instructor.lastName}`
               : null),
           moduleCount: e.course._count.modules,
-          lessonCount: totalLessons,
+          lessonCount: completion.totalLessons,
           enrollments: e.course._count.enrollments,
         },
       };
@@ -597,7 +600,7 @@ const getUserDashboardStats = async (req, res, next) => {
       totalEnrolled,
       inProgress,
       completed,
-      avgResult,
+      activeEnrollments,
     ] = await Promise.all([
       // Total active enrollments (PENDING + COMPLETED, excludes REFUNDED)
       prisma.enrollment.count({ where: activeWhere }),
@@ -607,20 +610,32 @@ const getUserDashboardStats = async (req, res, next) => {
       }),
       // Completed courses
       prisma.enrollment.count({ where: { userId, status: 'COMPLETED' } }),
-      // Average progress across active enrollments only
-      prisma.enrollment.aggregate({
+      // Active enrollments, for averaging progress computed from completed lessons
+      prisma.enrollment.findMany({
         where: activeWhere,
-        _avg: { progress: true },
+        select: { courseId: true, status: true },
       }),
     ]);
 
+    const progressMap = await getCourseProgressMap(
+      userId,
+      activeEnrollments.map((e) => e.courseId)
+    );
+    const progressTotal = activeEnrollments.reduce(
+      (sum, e) => sum + (e.status === 'COMPLETED' ? 100 : progressMap.get(e.courseId).progress),
+      0
+    );
+    const avgProgress = activeEnrollments.length > 0
+      ? progressTotal / activeEnrollments.length
+      : 0;
+
     res.status(200).json({
       success: true,
       data: {
         totalEnrolled,
         inProgress,
         completed,
-        avgProgress: Math.round(avgResult._avg.progress || 0),
+        avgProgress: Math.round(avgProgress),
       },
     });
   } catch (error) {
@@ -0,0 +1,201 @@
+const prisma = require('../config/db');
+const { instructorCoursesWhere } = require('../services/courseOwnership.service');
+
+/**
+ * Capitalize first letter, lowercase rest (e.g., "PENDING" -> "Pending", "IN_REVIEW" -> "In review")
+ */
+const capitalize = (str) => {
+  if (!str) return str;
+  return str.charAt(0).toUpperCase() + str.slice(1).toLowerCase().replace(/_/g, ' ');
+};
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Whose dashboard to show: the signed-in instructor, or (admins only) ?instructorId=
+ * @returns {string}
+ */
+const dashboardUserId = (req) => (req.isAdmin && req.query.instructorId) || req.userId;
+
+/**
+ * Courses on the dashboard with their enrollment figures.
+ * Revenue is what students paid for the course itself (Enrollment.price, refunds excluded);
+ * subscription revenue cannot be attributed to a single course. It belongs to the course owner,
+ * so co-instructed rows carry revenue: null.
+ * @param {string} userId
+ * @returns {Promise<object[]>}
+ */
+const getCourseRows = async (userId) => {
+  const courses = await prisma.course.findMany({
+    where: instructorCoursesWhere(userId),
+    select: {
+      id: true,
+      title: true,
+      slug: true,
+      thumbnail: true,
+      status: true,
+      instructorId: true,
+      createdAt: true,
+      coInstructors: { where: { userId }, select: { role: true } },
+    },
+    orderBy: { createdAt: 'desc' },
+  });
+
+  const courseIds = courses.map((course) => course.id);
+  const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+
+  const [byStatus, recent] = await Promise.all([
+    prisma.enrollment.groupBy({
+      by: ['courseId', 'status'],
+      where: { courseId: { in: courseIds } },
+      _count: { _all: true },
+      _sum: { price: true, progress: true },
+    }),
+    prisma.enrollment.groupBy({
+      by: ['courseId'],
+      where: { courseId: { in: courseIds }, enrolledAt: { gte: thirtyDaysAgo }, status: { not: 'REFUNDED' } },
+      _count: { _all: true },
+    }),
+  ]);
+
+  const recentByCourse = new Map(recent.map((row) => [row.courseId, row._count._all]));
+
+  return courses.map((course) => {
+    const isOwner = course.instructorId === userId;
+    const stats = { enrollments: 0, completions: 0, refunds: 0, revenue: 0, progressSum: 0 };
+
+    for (const row of byStatus) {
+      if (row.courseId !== course.id) continue;
+      if (row.status === 'REFUNDED') {
+        stats.refunds += row._count._all;
+        continue;
+      }
+      stats.enrollments += row._count._all;
+      stats.revenue += row._sum.price || 0;
+      stats.progressSum += row._sum.progress || 0;
+      if (row.status === 'COMPLETED') stats.completions += row._count._all;
+    }
+
+    return {
+      id: course.id,
+      title: course.title,
+      slug: course.slug,
+      thumbnail: course.thumbnail,
+      status: capitalize(course.status),
+      courseRole: isOwner ? 'OWNER' : course.coInstructors[0].role,
+      enrollments: stats.enrollments,
+      recentEnrollments: recentByCourse.get(course.id) || 0,
+      completions: stats.completions,
+      completionRate: stats.enrollments ? round1((stats.completions / stats.enrollments) * 100) : 0,
+      averageProgress: stats.enrollments ? round1(stats.progressSum / stats.enrollments) : 0,
+      refunds: stats.refunds,
+      revenue: isOwner ? Math.round(stats.revenue * 100) / 100 : null,
+    };
+  });
+};
+
+/**
+ * @desc    Instructor overview: totals across the instructor's courses
+ * @route   GET /api/instructor/dashboard/stats
+ * @access  Admin/Instructor
+ */
+const getInstructorStats = async (req, res, next) => {
+  try {
+    const rows = await getCourseRows(dashboardUserId(req));
+
+    const totals = rows.reduce(
+      (acc, row) => {
+        acc.enrollments += row.enrollments;
+        acc.recentEnrollments += row.recentEnrollments;
+        acc.completions += row.completions;
+        acc.revenue += row.revenue || 0;
+        acc.progressSum += row.averageProgress * row.enrollments;
+        if (row.status === 'Published') acc.publishedCourses += 1;
+        return acc;
+      },
+      { enrollments: 0, recentEnrollments: 0, completions: 0, revenue: 0, progressSum: 0, publishedCourses: 0 }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        totalCourses: rows.length,
+        ownedCourses: rows.filter((row) => row.courseRole === 'OWNER').length,
+        publishedCourses: totals.publishedCourses,
+        totalEnrollments: totals.enrollments,
+        enrollmentsLast30Days: totals.recentEnrollments,
+        completions: totals.completions,
+        completionRate: totals.enrollments ? round1((totals.completions / totals.enrollments) * 100) : 0,
+        averageProgress: totals.enrollments ? round1(totals.progressSum / totals.enrollments) : 0,
+        revenue: Math.round(totals.revenue * 100) / 100,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Per-course enrollments, completions, average progress and revenue
+ * @route   GET /api/instructor/dashboard/courses
+ * @access  Admin/Instructor
+ */
+const getInstructorCourses = async (req, res, next) => {
+  try {
+    const rows = await getCourseRows(dashboardUserId(req));
+
+    res.status(200).json({
+      success: true,
+      data: rows,
+      count: rows.length,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Recent enrollment activity on the instructor's courses
+ * @route   GET /api/instructor/dashboard/recent-enrollments
+ * @access  Admin/Instructor
+ */
+const getInstructorRecentEnrollments = async (req, res, next) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+
+    const enrollments = await prisma.enrollment.findMany({
+      where: { course: instructorCoursesWhere(dashboardUserId(req)) },
+      take: limit,
+      orderBy: { enrolledAt: 'desc' },
+      include: {
+        user: {
+          select: { id: true, firstName: true, lastName: true, avatar: true },
+        },
+        course: {
+          select: { id: true, title: true, thumbnail: true },
+        },
+      },
+    });
+
+    res.status(200).json({
+      success: true,
+      data: enrollments.map((enrollment) => ({
+        id: enrollment.id,
+        user: enrollment.user,
+        course: enrollment.course,
+        status: capitalize(enrollment.status),
+        progress: enrollment.progress,
+        enrolledAt: enrollment.enrolledAt,
+        completedAt: enrollment.completedAt,
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getInstructorStats,
+  getInstructorCourses,
+  getInstructorRecentEnrollments,
+};
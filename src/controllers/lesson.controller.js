@@ -2,11 +2,47 @@ const crypto = require('crypto');
 const prisma = require('../config/db');
 const bunnyService = require('../services/bunny.service');
 const bunnyConfig = require('../config/bunny');
+const { getLessonUnlockState, describeLock } = require('../services/unlock.service');
+const {
+  getCourseAccess,
+  getLessonAccess,
+  isModuleVisible,
+  sendAccessDenied,
+  toLessonOutline,
+} = require('../services/entitlement.service');
+const { isVideoShared } = require('../services/courseClone.service');
+const { contentFields, withContent, storageKeysFor, releaseObjects } = require('../services/storage.service');
+const { withUpdateMarkers } = require('../services/documentVersion.service');
+
+// Signed embed URL lifetimes (seconds): full access vs. free-preview playback
+const VIDEO_URL_TTL = 3600;
+const PREVIEW_VIDEO_URL_TTL = parseInt(process.env.PREVIEW_VIDEO_URL_TTL) || 300;
 
 /**
- * @desc    Get all lessons for a module
+ * Drip offset in days (null/empty/negative clears it)
+ */
+const parseDripDays = (value) => {
+  const days = parseInt(value);
+  return Number.isNaN(days) || days < 0 ? null : days;
+};
+
+/**
+ * Delete a lesson's Bunny video, unless a cloned lesson still plays it
+ */
+const releaseBunnyVideo = async (lesson) => {
+  if (!lesson.bunnyVideoId) return;
+  try {
+    if (await isVideoShared(lesson.bunnyVideoId, lesson.id)) return;
+    await bunnyService.deleteVideo(lesson.bunnyVideoId);
+  } catch (err) {
+    console.warn('[LESSON] Failed to delete Bunny video:', err.message);
+  }
+};
+
+/**
+ * @desc    Get all lessons for a module (content stripped for viewers without course access)
  * @route   GET /api/modules/:moduleId/lessons
- * @access  Public
+ * @access  Public (token optional)
  */
 const getLessonsByModule = async (req, res, next) => {
   try {
@@ -15,10 +51,10 @@ const getLessonsByModule = async (req, res, next) => {
     // Check module exists
     const module = await prisma.module.findUnique({
       where: { id: moduleId },
-      select: { id: true, title: true, courseId: true },
+      select: { id: true, title: true, courseId: true, isPublished: true },
     });
 
-    if (!module) {
+    if (!module || !isModuleVisible(module, { role: req.userRole })) {
       return res.status(404).json({
         success: false,
         message: 'Module not found',
@@ -36,9 +72,17 @@ const getLessonsByModule = async (req, res, next) => {
       0
     );
 
+    // Outline only (no playable content) unless the viewer has course access
+    const { hasAccess } = await getCourseAccess(module.courseId, { userId: req.userId, role: req.userRole });
+
+    // Outlines lose their storage key, so only previews are loaded from storage
+    const data = await Promise.all(
+      lessons.map((lesson) => withContent(hasAccess ? lesson : toLessonOutline(lesson)))
+    );
+
     res.status(200).json({
       success: true,
-      data: lessons,
+      data,
       stats: {
         lessonCount: lessons.length,
         totalDuration,
@@ -50,9 +94,9 @@ const getLessonsByModule = async (req, res, next) => {
 };
 
 /**
- * @desc    Get single lesson by ID
+ * @desc    Get single lesson by ID (refused with the unlock date while the lesson is locked)
  * @route   GET /api/lessons/:id
- * @access  Public
+ * @access  Enrolled / subscribed users; anyone for free-preview lessons
  */
 const getLessonById = async (req, res, next) => {
   try {
@@ -66,6 +110,7 @@ const getLessonById = async (req, res, next) => {
             id: true,
             title: true,
             courseId: true,
+            isPublished: true,
             course: {
               select: { id: true, title: true, slug: true },
             },
@@ -73,7 +118,17 @@ const getLessonById = async (req, res, next) => {
         },
         documents: {
           orderBy: { order: 'asc' },
-          select: { id: true, title: true, fileName: true, fileSize: true, fileType: true, order: true, createdAt: true },
+          select: {
+            id: true,
+            title: true,
+            fileName: true,
+            fileSize: true,
+            fileType: true,
+            order: true,
+            version: true,
+            fileUpdatedAt: true,
+            createdAt: true,
+          },
         },
       },
     });
@@ -85,6 +140,30 @@ const getLessonById = async (req, res, next) => {
       });
     }
 
+    const viewer = { userId: req.userId, role: req.userRole };
+
+    const access = await getLessonAccess(lesson, viewer);
+    if (!access.hasAccess) return sendAccessDenied(res, viewer);
+
+    // Free previews are never locked
+    const unlock = access.via === 'preview'
+      ? { locked: false }
+      : await getLessonUnlockState(lesson, viewer);
+    if (unlock.locked) {
+      return res.status(403).json({
+        success: false,
+        message: describeLock(unlock),
+        code: 'LESSON_LOCKED',
+        data: {
+          id: lesson.id,
+          title: lesson.title,
+          reason: unlock.reason,
+          unlockAt: unlock.unlockAt,
+          requiredLessonId: unlock.requiredLessonId,
+        },
+      });
+    }
+
     // Auto-sync video status from Bunny if still processing (webhooks can't reach localhost)
     if (lesson.bunnyVideoId && lesson.videoStatus && lesson.videoStatus !== 'finished' && lesson.videoStatus !== 'none' && lesson.videoStatus !== 'failed') {
       try {
@@ -106,21 +185,27 @@ const getLessonById = async (req, res, next) => {
       }
     }
 
-    // Include signed embed URL if Bunny video is ready
+    // Include signed embed URL if Bunny video is ready (short-lived for preview-only viewers, as in getLessonVideoUrl)
     let embedUrl = null;
     if (lesson.bunnyVideoId && lesson.videoStatus === 'finished') {
       try {
-        const signed = bunnyService.generateSignedEmbedUrl(lesson.bunnyVideoId);
+        const signed = bunnyService.generateSignedEmbedUrl(
+          lesson.bunnyVideoId,
+          access.via === 'preview' ? PREVIEW_VIDEO_URL_TTL : VIDEO_URL_TTL
+        );
         embedUrl = signed.url;
       } catch (err) {
         console.warn('[LESSON] Failed to generate embed URL:', err.message);
       }
     }
 
+    // Flag documents that changed since this user downloaded them
+    lesson.documents = await withUpdateMarkers(lesson.documents, viewer.userId);
+
     res.status(200).json({
       success: true,
       data: {
-        ...lesson,
+        ...(await withContent(lesson)),
         embedUrl,
       },
     });
@@ -137,7 +222,7 @@ const getLessonById = async (req, res, next) => {
 const createLesson = async (req, res, next) => {
   try {
     const { moduleId } = req.params;
-    const { title, description, videoUrl, content, contentType, duration } = req.body;
+    const { title, description, videoUrl, content, contentType, duration, dripDays, isPreview } = req.body;
 
     // Validation
     if (!title || title.trim() === '') {
@@ -168,14 +253,25 @@ const createLesson = async (req, res, next) => {
 
     const order = maxOrderLesson ? maxOrderLesson.order + 1 : 0;
 
+    // Inline content goes to object storage
+    const stored = await contentFields('lessons', content, { contentType });
+    if (stored.error) {
+      return res.status(400).json({
+        success: false,
+        message: stored.error,
+      });
+    }
+
     const lesson = await prisma.lesson.create({
       data: {
         title: title.trim(),
         description: description?.trim() || null,
         videoUrl: videoUrl?.trim() || null,
-        content: content || null,
+        ...stored.data,
         contentType: contentType || null,
         duration: parseInt(duration) || 0,
+        dripDays: parseDripDays(dripDays),
+        isPreview: Boolean(isPreview),
         moduleId,
         order,
       },
@@ -184,7 +280,7 @@ const createLesson = async (req, res, next) => {
     res.status(201).json({
       success: true,
       message: 'Lesson created successfully',
-      data: lesson,
+      data: await withContent(lesson),
     });
   } catch (error) {
     next(error);
@@ -199,7 +295,7 @@ const createLesson = async (req, res, next) => {
 const updateLesson = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { title, description, videoUrl, content, contentType, duration } = req.body;
+    const { title, description, videoUrl, content, contentType, duration, dripDays, isPreview } = req.body;
 
     // Check lesson exists
     const existingLesson = await prisma.lesson.findUnique({
@@ -228,7 +324,14 @@ const updateLesson = async (req, res, next) => {
     }
 
     if (content !== undefined) {
-      updateData.content = content || null;
+      const stored = await contentFields('lessons', content, { contentType: contentType || existingLesson.contentType });
+      if (stored.error) {
+        return res.status(400).json({
+          success: false,
+          message: stored.error,
+        });
+      }
+      Object.assign(updateData, stored.data);
     }
 
     if (contentType !== undefined) {
@@ -239,15 +342,25 @@ const updateLesson = async (req, res, next) => {
       updateData.duration = parseInt(duration) || 0;
     }
 
+    if (dripDays !== undefined) {
+      updateData.dripDays = parseDripDays(dripDays);
+    }
+
+    if (isPreview !== undefined) {
+      updateData.isPreview = Boolean(isPreview);
+    }
+
     const updatedLesson = await prisma.lesson.update({
       where: { id },
       data: updateData,
     });
 
+    if (content !== undefined) await releaseObjects([existingLesson.storageKey]);
+
     res.status(200).json({
       success: true,
       message: 'Lesson updated successfully',
-      data: updatedLesson,
+      data: await withContent(updatedLesson),
     });
   } catch (error) {
     next(error);
@@ -275,18 +388,16 @@ const deleteLesson = async (req, res, next) => {
     }
 
     // Clean up Bunny Stream video if it exists
-    if (lesson.bunnyVideoId) {
-      try {
-        await bunnyService.deleteVideo(lesson.bunnyVideoId);
-      } catch (err) {
-        console.warn('[LESSON] Failed to delete Bunny video:', err.message);
-      }
-    }
+    await releaseBunnyVideo(lesson);
+
+    // Stored files of the lesson and its documents
+    const storageKeys = await storageKeysFor({ lessons: { id } });
 
     // Delete lesson
     await prisma.lesson.delete({
       where: { id },
     });
+    await releaseObjects(storageKeys);
 
     // Reorder remaining lessons
     const remainingLessons = await prisma.lesson.findMany({
@@ -341,6 +452,19 @@ const reorderLessons = async (req, res, next) => {
       });
     }
 
+    // Every lesson must belong to this module, so reordering cannot touch other courses
+    const ids = [...new Set(lessons.map((les) => les?.id).filter(Boolean))];
+    const owned = await prisma.lesson.count({
+      where: { id: { in: ids }, moduleId },
+    });
+
+    if (ids.length !== lessons.length || owned !== ids.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Lessons must be a list of distinct lessons from this module',
+      });
+    }
+
     // Update order for each lesson
     await prisma.$transaction(
       lessons.map((les, index) =>
@@ -386,13 +510,7 @@ const uploadLessonVideo = async (req, res, next) => {
     }
 
     // If lesson already has a Bunny video, delete the old one
-    if (lesson.bunnyVideoId) {
-      try {
-        await bunnyService.deleteVideo(lesson.bunnyVideoId);
-      } catch (err) {
-        console.warn('[LESSON] Failed to delete old Bunny video:', err.message);
-      }
-    }
+    await releaseBunnyVideo(lesson);
 
     // Step 1: Create video entry in Bunny
     const bunnyVideo = await bunnyService.createVideo(lesson.title);
@@ -408,11 +526,14 @@ const uploadLessonVideo = async (req, res, next) => {
         bunnyLibraryId: String(bunnyVideo.videoLibraryId),
         videoStatus: 'uploaded',
         thumbnailUrl: bunnyService.getThumbnailUrl(bunnyVideo.guid),
-        // Clear deprecated Base64 content
+        // Clear deprecated inline content
         content: null,
+        storageKey: null,
+        contentPrefix: null,
         contentType: null,
       },
     });
+    await releaseObjects([lesson.storageKey]);
 
     res.status(200).json({
       success: true,
@@ -430,9 +551,9 @@ const uploadLessonVideo = async (req, res, next) => {
 };
 
 /**
- * @desc    Get signed video embed URL for playback
+ * @desc    Get signed video embed URL for playback (short-lived for free-preview access)
  * @route   GET /api/lessons/:id/video-url
- * @access  Authenticated
+ * @access  Enrolled / subscribed users; anyone (token optional) for free-preview lessons
  */
 const getLessonVideoUrl = async (req, res, next) => {
   try {
@@ -445,6 +566,8 @@ const getLessonVideoUrl = async (req, res, next) => {
         bunnyVideoId: true,
         videoStatus: true,
         thumbnailUrl: true,
+        isPreview: true,
+        module: { select: { courseId: true, isPublished: true } },
       },
     });
 
@@ -462,10 +585,32 @@ const getLessonVideoUrl = async (req, res, next) => {
       });
     }
 
-    // Generate signed embed URL (1-hour expiry)
+    const viewer = { userId: req.userId, role: req.userRole };
+
+    const access = await getLessonAccess(lesson, viewer);
+    if (!access.hasAccess) return sendAccessDenied(res, viewer);
+
+    const unlock = access.via === 'preview'
+      ? { locked: false }
+      : await getLessonUnlockState(lesson, viewer);
+    if (unlock.locked) {
+      return res.status(403).json({
+        success: false,
+        message: describeLock(unlock),
+        code: 'LESSON_LOCKED',
+        data: {
+          reason: unlock.reason,
+          unlockAt: unlock.unlockAt,
+          requiredLessonId: unlock.requiredLessonId,
+        },
+      });
+    }
+
+    // Generate signed embed URL (1 hour, or a few minutes for preview-only viewers)
+    const isPreviewAccess = access.via === 'preview';
     const { url, expires } = bunnyService.generateSignedEmbedUrl(
       lesson.bunnyVideoId,
-      3600
+      isPreviewAccess ? PREVIEW_VIDEO_URL_TTL : VIDEO_URL_TTL
     );
 
     res.status(200).json({
@@ -475,6 +620,7 @@ const getLessonVideoUrl = async (req, res, next) => {
         expires,
         videoStatus: lesson.videoStatus,
         thumbnailUrl: lesson.thumbnailUrl,
+        isPreview: isPreviewAccess,
       },
     });
   } catch (error) {
@@ -557,13 +703,7 @@ const createVideoUpload = async (req, res, next) => {
     }
 
     // If lesson already has a Bunny video, delete the old one
-    if (lesson.bunnyVideoId) {
-      try {
-        await bunnyService.deleteVideo(lesson.bunnyVideoId);
-      } catch (err) {
-        console.warn('[LESSON] Failed to delete old Bunny video:', err.message);
-      }
-    }
+    await releaseBunnyVideo(lesson);
 
     // Create video entry in Bunny Stream
     const bunnyVideo = await bunnyService.createVideo(lesson.title);
@@ -577,9 +717,12 @@ const createVideoUpload = async (req, res, next) => {
         videoStatus: 'uploading',
         thumbnailUrl: bunnyService.getThumbnailUrl(bunnyVideo.guid),
         content: null,
+        storageKey: null,
+        contentPrefix: null,
         contentType: null,
       },
     });
+    await releaseObjects([lesson.storageKey]);
 
     // Build TUS upload endpoint and auth hash
     // Bunny TUS endpoint: https://video.bunnycdn.com/tusupload
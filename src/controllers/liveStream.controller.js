@@ -1,6 +1,6 @@
 const prisma = require('../config/db');
 const muxService = require('../services/mux.service');
-const { userHasActiveSubscription } = require('./subscription.controller');
+const { userHasActiveSubscription } = require('../services/entitlement.service');
 
 function getLiveStreamModel() {
   const model = prisma.liveStream;
@@ -1,9 +1,34 @@
 const prisma = require('../config/db');
+const {
+  getCourseAccess,
+  isModuleVisible,
+  visibleModulesWhere,
+  toModuleOutline,
+} = require('../services/entitlement.service');
+const { parseSchedule, wakePublishScheduler } = require('../services/publishScheduler.service');
+const { contentFields, withContent, storageKeysFor, releaseObjects } = require('../services/storage.service');
 
 /**
- * @desc    Get all modules for a course
+ * Drip offset in days (null/empty/negative clears it)
+ */
+const parseDripDays = (value) => {
+  const days = parseInt(value);
+  return Number.isNaN(days) || days < 0 ? null : days;
+};
+
+/**
+ * Load stored module and lesson content for a response. Outlines have their storage keys
+ * stripped, so only content the viewer may see (incl. free previews) is fetched.
+ */
+const withModuleContent = async (mod) => ({
+  ...(await withContent(mod)),
+  lessons: await Promise.all(mod.lessons.map(withContent)),
+});
+
+/**
+ * @desc    Get all modules for a course (content stripped for viewers without course access)
  * @route   GET /api/courses/:courseId/modules
- * @access  Public
+ * @access  Public (token optional)
  */
 const getModulesByCourse = async (req, res, next) => {
   try {
@@ -23,7 +48,7 @@ const getModulesByCourse = async (req, res, next) => {
     }
 
     const modules = await prisma.module.findMany({
-      where: { courseId },
+      where: { courseId, ...visibleModulesWhere({ role: req.userRole }) },
       orderBy: { order: 'asc' },
       include: {
         lessons: {
@@ -34,9 +59,12 @@ const getModulesByCourse = async (req, res, next) => {
             description: true,
             videoUrl: true,
             content: true,
+            storageKey: true,
+            contentPrefix: true,
             contentType: true,
             duration: true,
             order: true,
+            isPreview: true,
           },
         },
         documents: {
@@ -59,11 +87,18 @@ const getModulesByCourse = async (req, res, next) => {
       });
     });
 
+    // Outline only (no module/lesson content) unless the viewer has course access
+    const { hasAccess } = await getCourseAccess(courseId, { userId: req.userId, role: req.userRole });
+
+    const data = await Promise.all(
+      modules.map((mod) => withModuleContent(hasAccess ? mod : toModuleOutline(mod)))
+    );
+
     res.status(200).json({
       success: true,
-      data: modules.map((mod) => ({
+      data: data.map((mod, index) => ({
         ...mod,
-        lessonCount: mod._count.lessons,
+        lessonCount: modules[index]._count.lessons,
       })),
       stats: {
         moduleCount: modules.length,
@@ -77,9 +112,9 @@ const getModulesByCourse = async (req, res, next) => {
 };
 
 /**
- * @desc    Get single module by ID
+ * @desc    Get single module by ID (content stripped for viewers without course access)
  * @route   GET /api/modules/:id
- * @access  Public
+ * @access  Public (token optional)
  */
 const getModuleById = async (req, res, next) => {
   try {
@@ -100,7 +135,7 @@ const getModuleById = async (req, res, next) => {
       },
     });
 
-    if (!module) {
+    if (!module || !isModuleVisible(module, { role: req.userRole })) {
       return res.status(404).json({
         success: false,
         message: 'Module not found',
@@ -113,10 +148,14 @@ const getModuleById = async (req, res, next) => {
       0
     );
 
+    const { hasAccess } = await getCourseAccess(module.courseId, { userId: req.userId, role: req.userRole });
+
+    const data = await withModuleContent(hasAccess ? module : toModuleOutline(module));
+
     res.status(200).json({
       success: true,
       data: {
-        ...module,
+        ...data,
         lessonCount: module._count.lessons,
         totalDuration,
       },
@@ -134,7 +173,7 @@ const getModuleById = async (req, res, next) => {
 const createModule = async (req, res, next) => {
   try {
     const { courseId } = req.params;
-    const { title, summary, description, content, contentType } = req.body;
+    const { title, summary, description, content, contentType, dripDays } = req.body;
 
     // Validation
     if (!title || title.trim() === '') {
@@ -165,13 +204,23 @@ const createModule = async (req, res, next) => {
 
     const order = maxOrderModule ? maxOrderModule.order + 1 : 0;
 
+    // Inline content goes to object storage
+    const stored = await contentFields('modules', content, { contentType });
+    if (stored.error) {
+      return res.status(400).json({
+        success: false,
+        message: stored.error,
+      });
+    }
+
     const module = await prisma.module.create({
       data: {
         title: title.trim(),
         summary: summary?.trim() || null,
         description: description?.trim() || null,
-        content: content || null,
+        ...stored.data,
         contentType: contentType || null,
+        dripDays: parseDripDays(dripDays),
         courseId,
         order,
       },
@@ -187,7 +236,7 @@ const createModule = async (req, res, next) => {
       success: true,
       message: 'Module created successfully',
       data: {
-        ...module,
+        ...(await withContent(module)),
         lessonCount: 0,
       },
     });
@@ -204,7 +253,7 @@ const createModule = async (req, res, next) => {
 const updateModule = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { title, summary, description, content, contentType } = req.body;
+    const { title, summary, description, content, contentType, dripDays } = req.body;
 
     // Check module exists
     const existingModule = await prisma.module.findUnique({
@@ -233,13 +282,24 @@ const updateModule = async (req, res, next) => {
     }
 
     if (content !== undefined) {
-      updateData.content = content || null;
+      const stored = await contentFields('modules', content, { contentType: contentType || existingModule.contentType });
+      if (stored.error) {
+        return res.status(400).json({
+          success: false,
+          message: stored.error,
+        });
+      }
+      Object.assign(updateData, stored.data);
     }
 
     if (contentType !== undefined) {
       updateData.contentType = contentType || null;
     }
 
+    if (dripDays !== undefined) {
+      updateData.dripDays = parseDripDays(dripDays);
+    }
+
     const updatedModule = await prisma.module.update({
       where: { id },
       data: updateData,
@@ -253,11 +313,13 @@ const updateModule = async (req, res, next) => {
       },
     });
 
+    if (content !== undefined) await releaseObjects([existingModule.storageKey]);
+
     res.status(200).json({
       success: true,
       message: 'Module updated successfully',
       data: {
-        ...updatedModule,
+        ...(await withModuleContent(updatedModule)),
         lessonCount: updatedModule._count.lessons,
       },
     });
@@ -286,10 +348,14 @@ const deleteModule = async (req, res, next) => {
       });
     }
 
+    // Stored files of the module, its lessons and their documents
+    const storageKeys = await storageKeysFor({ modules: { id }, lessons: { moduleId: id } });
+
     // Delete module (lessons will be cascade deleted)
     await prisma.module.delete({
       where: { id },
     });
+    await releaseObjects(storageKeys);
 
     // Reorder remaining modules
     const remainingModules = await prisma.module.findMany({
@@ -315,6 +381,76 @@ const deleteModule = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Schedule when a module is shown to learners (publishAt / unpublishAt), or show/hide it now
+ * @route   PATCH /api/modules/:id/schedule
+ * @access  Admin/Instructor
+ */
+const scheduleModule = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { isPublished } = req.body;
+
+    const existingModule = await prisma.module.findUnique({
+      where: { id },
+      select: { isPublished: true, publishAt: true, unpublishAt: true },
+    });
+
+    if (!existingModule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Module not found',
+      });
+    }
+
+    if (isPublished !== undefined && typeof isPublished !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'isPublished must be true or false',
+      });
+    }
+
+    const { schedule, error } = parseSchedule(req.body, existingModule);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    // A pending publishAt keeps the module hidden until then
+    const updateData = { ...schedule };
+    if (schedule.publishAt) {
+      if (isPublished === true) {
+        return res.status(400).json({
+          success: false,
+          message: 'Clear publishAt to show the module now',
+        });
+      }
+      updateData.isPublished = false;
+    } else if (isPublished !== undefined) {
+      updateData.isPublished = isPublished;
+    }
+
+    const updatedModule = await prisma.module.update({
+      where: { id },
+      data: updateData,
+      select: { id: true, title: true, courseId: true, isPublished: true, publishAt: true, unpublishAt: true },
+    });
+
+    wakePublishScheduler();
+
+    res.status(200).json({
+      success: true,
+      message: 'Module schedule updated successfully',
+      data: updatedModule,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Reorder modules within a course
  * @route   PATCH /api/courses/:courseId/modules/reorder
@@ -344,6 +480,19 @@ const reorderModules = async (req, res, next) => {
       });
     }
 
+    // Every module must belong to this course, so reordering cannot touch other courses
+    const ids = [...new Set(modules.map((mod) => mod?.id).filter(Boolean))];
+    const owned = await prisma.module.count({
+      where: { id: { in: ids }, courseId },
+    });
+
+    if (ids.length !== modules.length || owned !== ids.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Modules must be a list of distinct modules from this course',
+      });
+    }
+
     // Update order for each module
     await prisma.$transaction(
       modules.map((mod, index) =>
@@ -370,4 +519,5 @@ module.exports = {
   updateModule,
   deleteModule,
   reorderModules,
+  scheduleModule,
 };
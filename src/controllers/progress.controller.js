@@ -0,0 +1,444 @@
+const prisma = require('../config/db');
+const {
+  HEARTBEAT_INTERVAL,
+  getCourseCompletion,
+  recalculateEnrollmentProgress,
+  getVideoCompletionThreshold,
+  getRequiredWatchTime,
+  recordHeartbeat,
+} = require('../services/progress.service');
+const { getPendingRequiredQuizzes } = require('../services/quiz.service');
+const { getLessonAccess, sendAccessDenied, visibleModulesWhere } = require('../services/entitlement.service');
+const {
+  getCourseUnlockMap,
+  getLessonUnlockState,
+  describeLock,
+} = require('../services/unlock.service');
+
+// Fields returned for a lesson progress record
+const progressSelect = {
+  lessonId: true,
+  startedAt: true,
+  completedAt: true,
+  lastPosition: true,
+  watchTime: true,
+  updatedAt: true,
+};
+
+/**
+ * Load a lesson with the course it belongs to (and what getLessonAccess needs)
+ */
+const findLessonWithCourse = (id) => prisma.lesson.findUnique({
+  where: { id },
+  select: {
+    id: true,
+    duration: true,
+    bunnyVideoId: true,
+    isPreview: true,
+    module: { select: { courseId: true, isPublished: true } },
+  },
+});
+
+/**
+ * Reply 403 for a lesson that is still locked for the learner (sequential/drip courses)
+ */
+const sendLocked = (res, unlock) => res.status(403).json({
+  success: false,
+  message: describeLock(unlock),
+  code: 'LESSON_LOCKED',
+  data: {
+    reason: unlock.reason,
+    unlockAt: unlock.unlockAt,
+    requiredLessonId: unlock.requiredLessonId,
+  },
+});
+
+/**
+ * Refuse progress writes on a lesson the learner cannot open: no course access (or a hidden
+ * module), or still locked. Replies and returns true when refused.
+ */
+const refuseLessonProgress = async (req, res, lesson) => {
+  const viewer = { userId: req.userId, role: req.userRole };
+
+  const access = await getLessonAccess(lesson, viewer);
+  if (!access.hasAccess) {
+    sendAccessDenied(res, viewer);
+    return true;
+  }
+
+  const unlock = await getLessonUnlockState(lesson, viewer);
+  if (unlock.locked) {
+    sendLocked(res, unlock);
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * @desc    Get current user's progress on a lesson (resume position)
+ * @route   GET /api/lessons/:id/progress
+ * @access  User
+ */
+const getLessonProgress = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { id } = req.params;
+
+    const lesson = await findLessonWithCourse(id);
+
+    if (!lesson) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lesson not found',
+      });
+    }
+
+    const viewer = { userId, role: req.userRole };
+    const access = await getLessonAccess(lesson, viewer);
+    if (!access.hasAccess) return sendAccessDenied(res, viewer);
+
+    const progress = await prisma.lessonProgress.findUnique({
+      where: { userId_lessonId: { userId, lessonId: id } },
+      select: progressSelect,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: progress || {
+        lessonId: id,
+        startedAt: null,
+        completedAt: null,
+        lastPosition: 0,
+        watchTime: 0,
+        updatedAt: null,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Save current user's playback position on a lesson (marks it started)
+ * @route   PATCH /api/lessons/:id/progress
+ * @access  User
+ */
+const updateLessonProgress = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { id } = req.params;
+    const { position } = req.body;
+
+    const parsedPosition = parseInt(position);
+    if (Number.isNaN(parsedPosition) || parsedPosition < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Position must be a non-negative number of seconds',
+      });
+    }
+
+    const lesson = await findLessonWithCourse(id);
+
+    if (!lesson) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lesson not found',
+      });
+    }
+
+    if (await refuseLessonProgress(req, res, lesson)) return;
+
+    const lastPosition = lesson.duration > 0
+      ? Math.min(parsedPosition, lesson.duration)
+      : parsedPosition;
+
+    const progress = await prisma.lessonProgress.upsert({
+      where: { userId_lessonId: { userId, lessonId: id } },
+      create: { userId, lessonId: id, lastPosition },
+      update: { lastPosition },
+      select: progressSelect,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Lesson progress saved',
+      data: progress,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Mark a lesson as completed for the current user and recompute enrollment progress
+ * @route   POST /api/lessons/:id/complete
+ * @access  User
+ */
+const completeLesson = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { id } = req.params;
+
+    const lesson = await findLessonWithCourse(id);
+
+    if (!lesson) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lesson not found',
+      });
+    }
+
+    if (await refuseLessonProgress(req, res, lesson)) return;
+
+    const existing = await prisma.lessonProgress.findUnique({
+      where: { userId_lessonId: { userId, lessonId: id } },
+    });
+
+    // Video lessons complete only through watched time reported by heartbeats
+    if (lesson.bunnyVideoId && !existing?.completedAt) {
+      const threshold = await getVideoCompletionThreshold();
+      const requiredWatchTime = getRequiredWatchTime(lesson, threshold);
+      const watchTime = existing?.watchTime || 0;
+
+      // No duration yet (still processing, or never set): watched time cannot be checked
+      if (requiredWatchTime === 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'The video length is not known yet, so this lesson cannot be completed. Try again once the video is ready.',
+          code: 'VIDEO_DURATION_UNKNOWN',
+        });
+      }
+
+      if (watchTime < requiredWatchTime) {
+        return res.status(400).json({
+          success: false,
+          message: `Watch at least ${threshold}% of the video to complete this lesson`,
+          data: { watchTime, requiredWatchTime },
+        });
+      }
+    }
+
+    const progress = await prisma.lessonProgress.upsert({
+      where: { userId_lessonId: { userId, lessonId: id } },
+      create: { userId, lessonId: id, completedAt: new Date() },
+      update: { completedAt: existing?.completedAt || new Date() },
+      select: progressSelect,
+    });
+
+    const enrollment = await recalculateEnrollmentProgress(userId, lesson.module.courseId);
+    const completion = await getCourseCompletion(userId, lesson.module.courseId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Lesson marked as completed',
+      data: {
+        lessonProgress: progress,
+        course: {
+          courseId: lesson.module.courseId,
+          ...completion,
+        },
+        enrollment: enrollment
+          ? {
+            id: enrollment.id,
+            status: enrollment.status,
+            progress: enrollment.progress,
+            completedAt: enrollment.completedAt,
+          }
+          : null,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Record a video playback heartbeat (position + watched time); auto-completes the
+ *          lesson once the configured share of its duration has actually been watched
+ * @route   POST /api/lessons/:id/heartbeat
+ * @access  User
+ */
+const lessonHeartbeat = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { id } = req.params;
+    const { position } = req.body;
+
+    const parsedPosition = parseFloat(position);
+    if (Number.isNaN(parsedPosition) || parsedPosition < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Position must be a non-negative number of seconds',
+      });
+    }
+
+    const lesson = await findLessonWithCourse(id);
+
+    if (!lesson) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lesson not found',
+      });
+    }
+
+    if (await refuseLessonProgress(req, res, lesson)) return;
+
+    if (!lesson.bunnyVideoId) {
+      return res.status(400).json({
+        success: false,
+        message: 'No video associated with this lesson',
+      });
+    }
+
+    const result = await recordHeartbeat(userId, lesson, Math.floor(parsedPosition));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        lessonId: id,
+        lastPosition: result.progress.lastPosition,
+        watchTime: result.progress.watchTime,
+        credited: result.credited,
+        requiredWatchTime: result.requiredWatchTime,
+        completed: !!result.progress.completedAt,
+        completedAt: result.progress.completedAt,
+        justCompleted: result.justCompleted,
+        heartbeatInterval: HEARTBEAT_INTERVAL,
+        enrollment: result.enrollment
+          ? {
+            id: result.enrollment.id,
+            status: result.enrollment.status,
+            progress: result.enrollment.progress,
+          }
+          : null,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get per-lesson progress for an enrollment (course outline + resume point)
+ * @route   GET /api/enrollments/:id/progress
+ * @access  User (own enrollment) / Admin
+ */
+const getEnrollmentProgress = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const enrollment = await prisma.enrollment.findUnique({
+      where: { id },
+      include: {
+        course: {
+          select: {
+            id: true,
+            title: true,
+            // The learner's outline: modules hidden from them do not count towards progress
+            modules: {
+              where: visibleModulesWhere(),
+              orderBy: { order: 'asc' },
+              select: {
+                id: true,
+                title: true,
+                order: true,
+                lessons: {
+                  orderBy: { order: 'asc' },
+                  select: { id: true, title: true, duration: true, order: true },
+                },
+              },
+            },
+          },
+        },
+      },
+    });
+
+    if (!enrollment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Enrollment not found',
+      });
+    }
+
+    if (enrollment.userId !== req.userId && req.userRole !== 'ADMIN') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied',
+      });
+    }
+
+    const lessonIds = enrollment.course.modules.flatMap((m) => m.lessons.map((l) => l.id));
+
+    const records = await prisma.lessonProgress.findMany({
+      where: { userId: enrollment.userId, lessonId: { in: lessonIds } },
+      select: progressSelect,
+    });
+    const progressMap = new Map(records.map((p) => [p.lessonId, p]));
+    const { lessons: unlockMap } = await getCourseUnlockMap(enrollment.course.id, { userId: enrollment.userId });
+
+    let completedLessons = 0;
+    const modules = enrollment.course.modules.map((mod) => ({
+      id: mod.id,
+      title: mod.title,
+      order: mod.order,
+      lessons: mod.lessons.map((lesson) => {
+        const p = progressMap.get(lesson.id);
+        const unlock = unlockMap.get(lesson.id);
+        if (p?.completedAt) completedLessons += 1;
+        return {
+          ...lesson,
+          status: p?.completedAt ? 'completed' : p ? 'started' : 'not_started',
+          locked: unlock?.locked || false,
+          unlockAt: unlock?.unlockAt || null,
+          lastPosition: p?.lastPosition || 0,
+          watchTime: p?.watchTime || 0,
+          completedAt: p?.completedAt || null,
+        };
+      }),
+    }));
+
+    // Resume at the most recently touched unfinished lesson, else the first unfinished one
+    const unfinished = records
+      .filter((p) => !p.completedAt)
+      .sort((a, b) => b.updatedAt - a.updatedAt)[0];
+    const firstUnstarted = lessonIds.find((lessonId) => !progressMap.get(lessonId)?.completedAt);
+
+    const resume = unfinished
+      ? { lessonId: unfinished.lessonId, position: unfinished.lastPosition }
+      : firstUnstarted
+        ? { lessonId: firstUnstarted, position: 0 }
+        : null;
+
+    const totalLessons = lessonIds.length;
+    const pendingQuizzes = await getPendingRequiredQuizzes(enrollment.userId, enrollment.course.id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        enrollmentId: enrollment.id,
+        courseId: enrollment.course.id,
+        courseTitle: enrollment.course.title,
+        status: enrollment.status,
+        totalLessons,
+        completedLessons,
+        progress: totalLessons > 0
+          ? Math.round((completedLessons / totalLessons) * 100)
+          : 0,
+        resume,
+        pendingQuizzes,
+        modules,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getLessonProgress,
+  updateLessonProgress,
+  completeLesson,
+  lessonHeartbeat,
+  getEnrollmentProgress,
+};
@@ -0,0 +1,274 @@
+const prisma = require('../config/db');
+const { PERMISSIONS, PERMISSION_KEYS, ROLE_PERMISSIONS } = require('../config/permissions');
+const { parsePermissionList } = require('../services/permission.service');
+
+const invalidPermissions = (res, invalid) =>
+  res.status(400).json({
+    success: false,
+    message: invalid.length > 0
+      ? `Unknown permissions: ${invalid.join(', ')}`
+      : 'Permissions must be an array of permission keys',
+    code: 'INVALID_PERMISSIONS',
+  });
+
+// Permissions of a list that the caller does not hold; a manage-roles holder could otherwise
+// widen a custom role (even their own) past what they may grant. Admins hold every permission.
+const unheldPermissions = (req, permissions) => {
+  if (req.isAdmin) return [];
+  const held = new Set(req.permissions || []);
+  return permissions.filter((permission) => PERMISSION_KEYS.includes(permission) && !held.has(permission));
+};
+
+const refuseUnheld = (res, unheld, action) =>
+  res.status(403).json({
+    success: false,
+    message: `You can only ${action} roles whose permissions you hold. Missing: ${unheld.join(', ')}`,
+    code: 'PERMISSION_DENIED',
+  });
+
+/**
+ * @desc    List every permission with its description, and what the built-in roles hold
+ * @route   GET /api/roles/permissions
+ * @access  Admin
+ */
+const getPermissions = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        permissions: Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description })),
+        builtInRoles: ROLE_PERMISSIONS,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get all custom roles
+ * @route   GET /api/roles
+ * @access  Admin
+ */
+const getAllRoles = async (req, res, next) => {
+  try {
+    const roles = await prisma.role.findMany({
+      orderBy: { name: 'asc' },
+      include: { _count: { select: { users: true } } },
+    });
+
+    res.status(200).json({
+      success: true,
+      data: roles.map(({ _count, ...role }) => ({ ...role, userCount: _count.users })),
+      count: roles.length,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a custom role with the users holding it
+ * @route   GET /api/roles/:id
+ * @access  Admin
+ */
+const getRoleById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const role = await prisma.role.findUnique({
+      where: { id },
+      include: {
+        users: {
+          select: { id: true, firstName: true, lastName: true, email: true, role: true },
+          orderBy: { email: 'asc' },
+        },
+      },
+    });
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: role,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create a custom role
+ * @route   POST /api/roles
+ * @access  Admin
+ */
+const createRole = async (req, res, next) => {
+  try {
+    const { name, description } = req.body;
+
+    if (!name || name.trim() === '') {
+      return res.status(400).json({
+        success: false,
+        message: 'Name is required',
+      });
+    }
+
+    const { permissions, invalid } = parsePermissionList(req.body.permissions ?? []);
+    if (invalid) return invalidPermissions(res, invalid);
+
+    const unheld = unheldPermissions(req, permissions);
+    if (unheld.length > 0) return refuseUnheld(res, unheld, 'create');
+
+    const existing = await prisma.role.findUnique({
+      where: { name: name.trim() },
+    });
+
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'A role with this name already exists',
+      });
+    }
+
+    const role = await prisma.role.create({
+      data: {
+        name: name.trim(),
+        description: description?.trim() || null,
+        permissions,
+      },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      data: role,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update a custom role (changes apply to its users on their next request)
+ * @route   PUT /api/roles/:id
+ * @access  Admin
+ */
+const updateRole = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { name, description } = req.body;
+
+    const existing = await prisma.role.findUnique({
+      where: { id },
+    });
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found',
+      });
+    }
+
+    // Its users already hold these permissions
+    const unheldExisting = unheldPermissions(req, existing.permissions);
+    if (unheldExisting.length > 0) return refuseUnheld(res, unheldExisting, 'change');
+
+    const updateData = {};
+
+    if (name !== undefined) {
+      if (!name || name.trim() === '') {
+        return res.status(400).json({
+          success: false,
+          message: 'Name cannot be empty',
+        });
+      }
+
+      const duplicate = await prisma.role.findFirst({
+        where: { name: name.trim(), id: { not: id } },
+      });
+
+      if (duplicate) {
+        return res.status(400).json({
+          success: false,
+          message: 'A role with this name already exists',
+        });
+      }
+
+      updateData.name = name.trim();
+    }
+
+    if (description !== undefined) updateData.description = description?.trim() || null;
+
+    if (req.body.permissions !== undefined) {
+      const { permissions, invalid } = parsePermissionList(req.body.permissions);
+      if (invalid) return invalidPermissions(res, invalid);
+
+      const unheld = unheldPermissions(req, permissions);
+      if (unheld.length > 0) return refuseUnheld(res, unheld, 'save');
+      updateData.permissions = permissions;
+    }
+
+    const role = await prisma.role.update({
+      where: { id },
+      data: updateData,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Role updated successfully',
+      data: role,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a custom role (its users keep their built-in role only)
+ * @route   DELETE /api/roles/:id
+ * @access  Admin
+ */
+const deleteRole = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const existing = await prisma.role.findUnique({
+      where: { id },
+    });
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found',
+      });
+    }
+
+    const unheld = unheldPermissions(req, existing.permissions);
+    if (unheld.length > 0) return refuseUnheld(res, unheld, 'delete');
+
+    await prisma.role.delete({
+      where: { id },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Role deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getPermissions,
+  getAllRoles,
+  getRoleById,
+  createRole,
+  updateRole,
+  deleteRole,
+};
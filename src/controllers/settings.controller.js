@@ -60,6 +60,11 @@ const updateSettings = async (req, res, next) => {
       marketingEmails,
       maintenanceMode,
       hiddenPages,
+      videoCompletionThreshold,
+      requireVerifiedEmailForCheckout,
+      requireVerifiedEmailForVault,
+      requireVerifiedEmailForInvites,
+      requireTwoFactorForStaff,
     } = req.body;
 
     const data = {};
@@ -72,6 +77,29 @@ const updateSettings = async (req, res, next) => {
     if (marketingEmails !== undefined) data.marketingEmails = marketingEmails;
     if (maintenanceMode !== undefined) data.maintenanceMode = maintenanceMode;
     if (hiddenPages !== undefined) data.hiddenPages = hiddenPages;
+    if (requireVerifiedEmailForCheckout !== undefined) data.requireVerifiedEmailForCheckout = Boolean(requireVerifiedEmailForCheckout);
+    if (requireVerifiedEmailForVault !== undefined) data.requireVerifiedEmailForVault = Boolean(requireVerifiedEmailForVault);
+    if (requireVerifiedEmailForInvites !== undefined) data.requireVerifiedEmailForInvites = Boolean(requireVerifiedEmailForInvites);
+    if (requireTwoFactorForStaff !== undefined) {
+      // Avoid locking the admin out of admin routes the moment the toggle is saved
+      if (requireTwoFactorForStaff && !req.user.twoFactorEnabled) {
+        return res.status(400).json({
+          success: false,
+          message: 'Enable two-factor authentication on your own account before requiring it for staff',
+        });
+      }
+      data.requireTwoFactorForStaff = Boolean(requireTwoFactorForStaff);
+    }
+    if (videoCompletionThreshold !== undefined) {
+      const threshold = parseInt(videoCompletionThreshold);
+      if (Number.isNaN(threshold) || threshold < 1 || threshold > 100) {
+        return res.status(400).json({
+          success: false,
+          message: 'videoCompletionThreshold must be between 1 and 100',
+        });
+      }
+      data.videoCompletionThreshold = threshold;
+    }
 
     const settings = await prisma.settings.upsert({
       where: { id: 'default' },
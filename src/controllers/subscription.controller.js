@@ -3,34 +3,6 @@ const prisma = require('../config/db');
 const stripe = require('../config/stripe');
 const { sendTeamInvitationEmail } = require('../services/email.service');
 
-/**
- * Check if a user has an active subscription (direct or via team membership)
- * Shared utility used by both subscription and enrollment controllers
- */
-const userHasActiveSubscription = async (userId) => {
-  // Check direct subscription
-  const directSub = await prisma.subscription.findFirst({
-    where: {
-      userId,
-      status: { in: ['ACTIVE', 'TRIALING'] },
-      currentPeriodEnd: { gt: new Date() },
-    },
-  });
-  if (directSub) return true;
-
-  // Check team membership
-  const memberSub = await prisma.subscriptionMember.findFirst({
-    where: {
-      userId,
-      subscription: {
-        status: { in: ['ACTIVE', 'TRIALING'] },
-        currentPeriodEnd: { gt: new Date() },
-      },
-    },
-  });
-  return !!memberSub;
-};
-
 /**
  * @desc    Create Stripe Checkout Session for subscription
  * @route   POST /api/subscriptions/create-checkout-session
@@ -884,7 +856,6 @@ const removeTeamMember = async (req, res, next) => {
 };
 
 module.exports = {
-  userHasActiveSubscription,
   createSubscriptionCheckout,
   getMySubscription,
   cancelSubscription,
@@ -0,0 +1,260 @@
+const prisma = require('../config/db');
+const {
+  generateBackupCodes,
+  startSetup,
+  verifySecondFactor,
+  isTwoFactorRequired,
+} = require('../services/twoFactor.service');
+const { markSessionTwoFactorVerified, revokeUserSessions } = require('../services/session.service');
+
+// User fields needed to check a second factor
+const twoFactorSelect = {
+  id: true,
+  email: true,
+  role: true,
+  customRoleId: true,
+  twoFactorEnabled: true,
+  twoFactorSecret: true,
+  twoFactorLastStep: true,
+  twoFactorBackupCodes: true,
+};
+
+/**
+ * @desc    Get the signed-in user's 2FA status
+ * @route   GET /api/auth/2fa
+ * @access  User
+ */
+const getTwoFactorStatus = async (req, res, next) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.userId },
+      select: twoFactorSelect,
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        enabled: user.twoFactorEnabled,
+        required: await isTwoFactorRequired(user),
+        backupCodesRemaining: user.twoFactorBackupCodes.length,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Start 2FA setup: new TOTP secret with otpauth URL and QR code
+ * @route   POST /api/auth/2fa/setup
+ * @access  User
+ */
+const setupTwoFactor = async (req, res, next) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.userId },
+      select: twoFactorSelect,
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled',
+      });
+    }
+
+    const { secret, otpauthUrl, qrCode } = await startSetup(user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: { secret, otpauthUrl, qrCode },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Confirm setup with a code from the app; enables 2FA and returns backup codes (shown once)
+ * @route   POST /api/auth/2fa/enable
+ * @access  User
+ */
+const enableTwoFactor = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Code is required',
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.userId },
+      select: twoFactorSelect,
+    });
+
+    if (!user || !user.twoFactorSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first',
+      });
+    }
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled',
+      });
+    }
+
+    if (!(await verifySecondFactor(user, { code }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid code. Check the time on your device and try again.',
+      });
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { twoFactorEnabled: true, twoFactorBackupCodes: hashes },
+    });
+
+    // This session just proved the second factor; sign out the others
+    await markSessionTwoFactorVerified(req.sessionId);
+    await revokeUserSessions(user.id, 'TWO_FACTOR_ENABLED', { exceptSessionId: req.sessionId });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your backup codes somewhere safe.',
+      data: { backupCodes: codes },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Disable 2FA (needs a current code or a backup code)
+ * @route   POST /api/auth/2fa/disable
+ * @access  User
+ */
+const disableTwoFactor = async (req, res, next) => {
+  try {
+    const { code, backupCode } = req.body;
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.userId },
+      select: twoFactorSelect,
+    });
+
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled',
+      });
+    }
+
+    if (await isTwoFactorRequired(user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for your role and cannot be disabled',
+      });
+    }
+
+    if (!(await verifySecondFactor(user, { code, backupCode }))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code',
+      });
+    }
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorLastStep: null,
+        twoFactorBackupCodes: [],
+      },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Replace all backup codes (needs a current code); returns the new codes once
+ * @route   POST /api/auth/2fa/backup-codes
+ * @access  User
+ */
+const regenerateBackupCodes = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.userId },
+      select: twoFactorSelect,
+    });
+
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled',
+      });
+    }
+
+    if (!code || !(await verifySecondFactor(user, { code }))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code',
+      });
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { twoFactorBackupCodes: hashes },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'New backup codes generated. Previous codes no longer work.',
+      data: { backupCodes: codes },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+};
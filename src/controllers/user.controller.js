@@ -1,5 +1,8 @@
 const prisma = require('../config/db');
 const bcrypt = require('bcryptjs');
+const { revokeUserSessions } = require('../services/session.service');
+const { isAccountLocked, resetFailedLogins } = require('../services/loginSecurity.service');
+const { permissionInclude, refuseEscalation } = require('../services/permission.service');
 
 /**
  * Capitalize first letter, lowercase rest (e.g., "ADMIN" -> "Admin")
@@ -32,6 +35,9 @@ const transformUser = (user) => ({
   status: capitalize(user.status) || 'Active',
   enrolledCourses: user._count?.enrollments || 0,
   isEmailVerified: user.isEmailVerified,
+  isLocked: isAccountLocked(user),
+  lockedUntil: isAccountLocked(user) ? user.lockedUntil : null,
+  ...(user.customRole !== undefined && { customRole: user.customRole }),
   joinedAt: user.createdAt,
   createdAt: user.createdAt,
   updatedAt: user.updatedAt,
@@ -53,6 +59,8 @@ const createUser = async (req, res, next) => {
       });
     }
 
+    if (refuseEscalation(req, res, { newRole: role?.toUpperCase() })) return;
+
     const hashedPassword = await bcrypt.hash(password, 12);
 
     const user = await prisma.user.create({
@@ -173,6 +181,9 @@ const getUserById = async (req, res, next) => {
         _count: {
           select: { enrollments: true },
         },
+        customRole: {
+          select: { id: true, name: true, permissions: true },
+        },
         enrollments: {
           take: 5,
           orderBy: { enrolledAt: 'desc' },
@@ -217,6 +228,7 @@ const updateUser = async (req, res, next) => {
     // Check user exists
     const existingUser = await prisma.user.findUnique({
       where: { id },
+      include: permissionInclude,
     });
 
     if (!existingUser) {
@@ -226,6 +238,8 @@ const updateUser = async (req, res, next) => {
       });
     }
 
+    if (refuseEscalation(req, res, { target: existingUser, newRole: role?.toUpperCase() })) return;
+
     const updateData = {};
 
     if (email) updateData.email = email;
@@ -249,6 +263,13 @@ const updateUser = async (req, res, next) => {
       },
     });
 
+    // Deactivation or a password reset by an admin signs the user out everywhere
+    if (updateData.status === 'INACTIVE' && existingUser.status !== 'INACTIVE') {
+      await revokeUserSessions(id, 'DEACTIVATED');
+    } else if (updateData.password) {
+      await revokeUserSessions(id, 'PASSWORD_CHANGED');
+    }
+
     res.status(200).json({
       success: true,
       message: 'User updated successfully',
@@ -270,6 +291,7 @@ const deleteUser = async (req, res, next) => {
 
     const user = await prisma.user.findUnique({
       where: { id },
+      include: permissionInclude,
     });
 
     if (!user) {
@@ -279,6 +301,8 @@ const deleteUser = async (req, res, next) => {
       });
     }
 
+    if (refuseEscalation(req, res, { target: user })) return;
+
     await prisma.user.delete({
       where: { id },
     });
@@ -304,6 +328,7 @@ const toggleUserStatus = async (req, res, next) => {
 
     const user = await prisma.user.findUnique({
       where: { id },
+      include: permissionInclude,
     });
 
     if (!user) {
@@ -313,6 +338,8 @@ const toggleUserStatus = async (req, res, next) => {
       });
     }
 
+    if (refuseEscalation(req, res, { target: user })) return;
+
     const newStatus = status
       ? status.toUpperCase()
       : user.status === 'ACTIVE'
@@ -329,6 +356,10 @@ const toggleUserStatus = async (req, res, next) => {
       },
     });
 
+    if (newStatus === 'INACTIVE') {
+      await revokeUserSessions(id, 'DEACTIVATED');
+    }
+
     res.status(200).json({
       success: true,
       message: `User ${newStatus.toLowerCase()} successfully`,
@@ -366,6 +397,7 @@ const changeUserRole = async (req, res, next) => {
 
     const user = await prisma.user.findUnique({
       where: { id },
+      include: permissionInclude,
     });
 
     if (!user) {
@@ -375,6 +407,8 @@ const changeUserRole = async (req, res, next) => {
       });
     }
 
+    if (refuseEscalation(req, res, { target: user, newRole: role.toUpperCase() })) return;
+
     const updatedUser = await prisma.user.update({
       where: { id },
       data: { role: role.toUpperCase() },
@@ -395,6 +429,180 @@ const changeUserRole = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Assign a custom role to a user (roleId null removes it)
+ * @route   PATCH /api/users/:id/custom-role
+ * @access  Admin
+ */
+const assignCustomRole = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { roleId } = req.body;
+
+    if (roleId === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'roleId is required (null to remove the custom role)',
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id },
+      select: { id: true, role: true, ...permissionInclude },
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    let role = null;
+    if (roleId) {
+      role = await prisma.role.findUnique({
+        where: { id: roleId },
+        select: { id: true, permissions: true },
+      });
+
+      if (!role) {
+        return res.status(404).json({
+          success: false,
+          message: 'Role not found',
+        });
+      }
+    }
+
+    if (refuseEscalation(req, res, { target: user, newCustomRole: role })) return;
+
+    const updatedUser = await prisma.user.update({
+      where: { id },
+      data: { customRoleId: roleId || null },
+      include: {
+        _count: {
+          select: { enrollments: true },
+        },
+        customRole: {
+          select: { id: true, name: true, permissions: true },
+        },
+      },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: roleId ? `Role ${updatedUser.customRole.name} assigned` : 'Custom role removed',
+      data: transformUser(updatedUser),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a user's sign-in history (newest first)
+ * @route   GET /api/users/:id/login-history
+ * @access  Admin
+ */
+const getUserLoginHistory = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { page = 1, limit = 20, success } = req.query;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const take = parseInt(limit);
+
+    const user = await prisma.user.findUnique({
+      where: { id },
+      select: { id: true, failedLoginAttempts: true, lockedUntil: true },
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const where = { userId: id };
+    if (success === 'true' || success === 'false') {
+      where.success = success === 'true';
+    }
+
+    const [history, total] = await Promise.all([
+      prisma.loginHistory.findMany({
+        where,
+        skip,
+        take,
+        orderBy: { createdAt: 'desc' },
+        select: {
+          id: true,
+          success: true,
+          reason: true,
+          method: true,
+          ipAddress: true,
+          userAgent: true,
+          country: true,
+          createdAt: true,
+        },
+      }),
+      prisma.loginHistory.count({ where }),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: history,
+      lockout: {
+        failedLoginAttempts: user.failedLoginAttempts,
+        lockedUntil: isAccountLocked(user) ? user.lockedUntil : null,
+      },
+      pagination: {
+        page: parseInt(page),
+        limit: take,
+        total,
+        totalPages: Math.ceil(total / take),
+        hasNext: skip + take < total,
+        hasPrev: parseInt(page) > 1,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Unlock a user locked out by failed sign-ins (clears the failure counter)
+ * @route   PATCH /api/users/:id/unlock
+ * @access  Admin
+ */
+const unlockUser = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const user = await prisma.user.findUnique({
+      where: { id },
+      select: { id: true, role: true, ...permissionInclude },
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    if (refuseEscalation(req, res, { target: user })) return;
+
+    await resetFailedLogins(id);
+
+    res.status(200).json({
+      success: true,
+      message: 'User unlocked successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Get user statistics
  * @route   GET /api/users/stats
@@ -436,5 +644,8 @@ module.exports = {
   deleteUser,
   toggleUserStatus,
   changeUserRole,
+  assignCustomRole,
+  getUserLoginHistory,
+  unlockUser,
   getUserStats,
 };
@@ -1,4 +1,5 @@
 const prisma = require('../config/db');
+const { hasPermission } = require('../services/permission.service');
 
 // ============================================
 // HELPER: Strip user identity for anonymity
@@ -195,13 +196,12 @@ const createDiscussion = async (req, res, next) => {
 
 // ============================================
 // DELETE /api/vault/discussions/:id
-// Delete own discussion (or admin can delete any)
+// Delete own discussion (or moderators can delete any)
 // ============================================
 const deleteDiscussion = async (req, res, next) => {
   try {
     const { id } = req.params;
     const userId = req.userId;
-    const userRole = req.userRole;
 
     const discussion = await prisma.vaultDiscussion.findUnique({ where: { id } });
 
@@ -209,7 +209,7 @@ const deleteDiscussion = async (req, res, next) => {
       return res.status(404).json({ success: false, message: 'Discussion not found' });
     }
 
-    if (discussion.userId !== userId && userRole !== 'ADMIN') {
+    if (discussion.userId !== userId && !(await hasPermission(userId, 'moderate-vault'))) {
       return res.status(403).json({ success: false, message: 'Not authorized' });
     }
 
@@ -493,13 +493,12 @@ const toggleCommentLike = async (req, res, next) => {
 
 // ============================================
 // DELETE /api/vault/comments/:commentId
-// Delete own comment (or admin can delete any)
+// Delete own comment (or moderators can delete any)
 // ============================================
 const deleteComment = async (req, res, next) => {
   try {
     const { commentId } = req.params;
     const userId = req.userId;
-    const userRole = req.userRole;
 
     const comment = await prisma.vaultComment.findUnique({ where: { id: commentId } });
 
@@ -507,7 +506,7 @@ const deleteComment = async (req, res, next) => {
       return res.status(404).json({ success: false, message: 'Comment not found' });
     }
 
-    if (comment.userId !== userId && userRole !== 'ADMIN') {
+    if (comment.userId !== userId && !(await hasPermission(userId, 'moderate-vault'))) {
       return res.status(403).json({ success: false, message: 'Not authorized' });
     }
 
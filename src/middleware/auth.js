@@ -1,5 +1,49 @@
 const jwt = require('jsonwebtoken');
 const prisma = require('../config/db');
+const { getActiveSession } = require('../services/session.service');
+const { isVerificationRequired } = require('../services/emailVerification.service');
+const { isTwoFactorRequired } = require('../services/twoFactor.service');
+const { getEffectivePermissions } = require('../services/permission.service');
+const { PERMISSIONS } = require('../config/permissions');
+
+/**
+ * Verify an access token and the server-side session it belongs to.
+ * Returns null when the session was revoked or expired, or the user is no longer active
+ * (tokens issued before sessions existed carry no sid and are refused too).
+ */
+const resolveSession = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (!decoded.sid) return null;
+
+  const session = await getActiveSession(decoded.sid);
+  if (!session || session.userId !== decoded.id) return null;
+  return session;
+};
+
+/**
+ * Settings may require staff sessions (ADMIN/INSTRUCTOR or a custom role) to have passed 2FA before admin routes accept them.
+ * Replies 403 TWO_FACTOR_REQUIRED and returns true when the request was refused.
+ */
+const refuseWithoutTwoFactor = async (res, user, session) => {
+  if (session.twoFactorVerified || !(await isTwoFactorRequired(user))) return false;
+
+  res.status(403).json({
+    success: false,
+    message: user.twoFactorEnabled
+      ? 'Sign in again with your two-factor code to access this area.'
+      : 'Two-factor authentication must be enabled for your account to access this area.',
+    code: 'TWO_FACTOR_REQUIRED',
+  });
+  return true;
+};
+
+// Token is well-formed but its session is gone (logout, revoke, deactivation, password change)
+const sessionRevoked = (res) =>
+  res.status(401).json({
+    success: false,
+    message: 'Session expired or revoked. Please login again.',
+    code: 'SESSION_REVOKED',
+  });
 
 /**
  * Verify JWT token middleware
@@ -18,9 +62,13 @@ const verifyToken = async (req, res, next) => {
 
     const token = authHeader.split(' ')[1];
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.userId = decoded.id;
-    req.userRole = decoded.role;
+    const session = await resolveSession(token);
+    if (!session) return sessionRevoked(res);
+
+    // Role from the database so role changes apply without waiting for the token to expire
+    req.userId = session.userId;
+    req.userRole = session.user.role;
+    req.sessionId = session.id;
 
     next();
   } catch (error) {
@@ -58,11 +106,12 @@ const verifyAdmin = async (req, res, next) => {
     }
 
     const token = authHeader.split(' ')[1];
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const session = await resolveSession(token);
+    if (!session) return sessionRevoked(res);
 
     // Check if user exists and has ADMIN role
     const user = await prisma.user.findUnique({
-      where: { id: decoded.id },
+      where: { id: session.userId },
     });
 
     if (!user || user.role !== 'ADMIN') {
@@ -72,9 +121,13 @@ const verifyAdmin = async (req, res, next) => {
       });
     }
 
-    req.userId = decoded.id;
+    if (await refuseWithoutTwoFactor(res, user, session)) return;
+
+    req.userId = user.id;
     req.user = user;
     req.isAdmin = true;
+    req.permissions = getEffectivePermissions(user);
+    req.sessionId = session.id;
 
     next();
   } catch (error) {
@@ -112,11 +165,12 @@ const verifyInstructorOrAdmin = async (req, res, next) => {
     }
 
     const token = authHeader.split(' ')[1];
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const session = await resolveSession(token);
+    if (!session) return sessionRevoked(res);
 
     // Check user exists and has appropriate role
     const user = await prisma.user.findUnique({
-      where: { id: decoded.id },
+      where: { id: session.userId },
     });
 
     if (!user) {
@@ -126,17 +180,21 @@ const verifyInstructorOrAdmin = async (req, res, next) => {
       });
     }
 
+    if (await refuseWithoutTwoFactor(res, user, session)) return;
+
     if (user.role === 'ADMIN') {
-      req.userId = decoded.id;
+      req.userId = user.id;
       req.user = user;
       req.isAdmin = true;
+      req.sessionId = session.id;
       return next();
     }
 
     if (user.role === 'INSTRUCTOR') {
-      req.userId = decoded.id;
+      req.userId = user.id;
       req.user = user;
       req.isInstructor = true;
+      req.sessionId = session.id;
       return next();
     }
 
@@ -163,8 +221,134 @@ const verifyInstructorOrAdmin = async (req, res, next) => {
   }
 };
 
+/**
+ * Permission middleware factory
+ * Allows users whose built-in role or custom role grants the permission (ADMIN holds all of them).
+ * Sets req.user, req.permissions and req.isAdmin (true for ADMIN only).
+ * @param {string} permission - Key from src/config/permissions.js
+ */
+const requirePermission = (permission) => {
+  if (!PERMISSIONS[permission]) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      const authHeader = req.headers.authorization;
+
+      if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return res.status(401).json({
+          success: false,
+          message: 'Access denied. No token provided.',
+        });
+      }
+
+      const token = authHeader.split(' ')[1];
+      const session = await resolveSession(token);
+      if (!session) return sessionRevoked(res);
+
+      const user = await prisma.user.findUnique({
+        where: { id: session.userId },
+        include: { customRole: { select: { name: true, permissions: true } } },
+      });
+
+      const permissions = user ? getEffectivePermissions(user) : [];
+
+      if (!permissions.includes(permission)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You do not have permission to perform this action.',
+          code: 'PERMISSION_DENIED',
+          permission,
+        });
+      }
+
+      if (await refuseWithoutTwoFactor(res, user, session)) return;
+
+      req.userId = user.id;
+      req.userRole = user.role;
+      req.user = user;
+      req.isAdmin = user.role === 'ADMIN';
+      req.permissions = permissions;
+      req.sessionId = session.id;
+
+      next();
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        return res.status(401).json({
+          success: false,
+          message: 'Token expired. Please login again.',
+        });
+      }
+
+      if (error.name === 'JsonWebTokenError') {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid token.',
+        });
+      }
+
+      next(error);
+    }
+  };
+};
+
+/**
+ * Optional auth middleware for public routes
+ * Sets req.userId / req.userRole when a valid token is sent; anonymous requests pass through
+ */
+const optionalAuth = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    try {
+      const session = await resolveSession(authHeader.split(' ')[1]);
+      if (session) {
+        req.userId = session.userId;
+        req.userRole = session.user.role;
+        req.sessionId = session.id;
+      }
+    } catch (error) {
+      // Invalid or expired token: treat as anonymous
+    }
+  }
+
+  next();
+};
+
+/**
+ * Verified-email gate (use after verifyToken)
+ * Blocks the action with 403 EMAIL_NOT_VERIFIED when the Settings policy requires a verified email for it
+ * @param {'checkout'|'vault'|'invites'} action
+ */
+const requireVerifiedEmail = (action) => async (req, res, next) => {
+  try {
+    if (!(await isVerificationRequired(action))) return next();
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.userId },
+      select: { isEmailVerified: true },
+    });
+
+    if (!user?.isEmailVerified) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your email address to continue.',
+        code: 'EMAIL_NOT_VERIFIED',
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   verifyToken,
   verifyAdmin,
   verifyInstructorOrAdmin,
+  requirePermission,
+  optionalAuth,
+  requireVerifiedEmail,
 };
@@ -0,0 +1,107 @@
+const prisma = require('../config/db');
+const { resolveCourseId, getCourseRole, hasCourseRole } = require('../services/courseOwnership.service');
+
+const ENTITY_LABELS = {
+  course: 'Course',
+  module: 'Module',
+  lesson: 'Lesson',
+  document: 'Document',
+  quiz: 'Quiz',
+  question: 'Question',
+};
+
+/**
+ * Course ownership check for authoring routes (use after verifyInstructorOrAdmin).
+ * Admins pass; instructors need at least minRole on the course the target belongs to
+ * (OWNER = Course.instructorId, EDITOR/VIEWER = co-instructor).
+ * Sets req.courseId and req.courseRole ('ADMIN' for admins).
+ * @param {'VIEWER'|'EDITOR'|'OWNER'} minRole
+ * @param {'course'|'module'|'lesson'|'document'|'quiz'|'question'} entity - What the route param identifies
+ * @param {string} [param] - Route param holding the entity ID
+ */
+const requireCourseRole = (minRole, entity, param = 'id') => async (req, res, next) => {
+  try {
+    const courseId = await resolveCourseId(entity, req.params[param]);
+
+    if (!courseId) {
+      return res.status(404).json({
+        success: false,
+        message: `${ENTITY_LABELS[entity]} not found`,
+      });
+    }
+
+    if (req.isAdmin) {
+      req.courseId = courseId;
+      req.courseRole = 'ADMIN';
+      return next();
+    }
+
+    const role = await getCourseRole(courseId, req.userId);
+
+    if (!hasCourseRole(role, minRole)) {
+      return res.status(403).json({
+        success: false,
+        message: minRole === 'OWNER'
+          ? 'Only the course owner or an admin can do this.'
+          : 'You can only change courses you own or co-instruct as an editor.',
+        code: 'COURSE_OWNERSHIP_REQUIRED',
+      });
+    }
+
+    req.courseId = courseId;
+    req.courseRole = role;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Live-edit guard for course authoring: courses, modules, lessons and their documents, quizzes and
+ * videos (use after requireCourseRole). Instructors edit published courses through a revision and
+ * cannot edit a course while it is in review or scheduled for publishing; admins still edit live.
+ */
+const requireDraftCourse = async (req, res, next) => {
+  try {
+    if (req.courseRole === 'ADMIN') return next();
+
+    const course = await prisma.course.findUnique({
+      where: { id: req.courseId },
+      select: { status: true, publishAt: true },
+    });
+
+    if (course.status === 'PUBLISHED') {
+      return res.status(409).json({
+        success: false,
+        message: 'This course is published. Stage your changes in a revision (POST /api/courses/:id/revisions) and submit it for review.',
+        code: 'COURSE_REVISION_REQUIRED',
+      });
+    }
+
+    if (course.status === 'IN_REVIEW') {
+      return res.status(409).json({
+        success: false,
+        message: 'This course is waiting for review. Withdraw the submission to make changes.',
+        code: 'COURSE_IN_REVIEW',
+      });
+    }
+
+    // Approved and waiting for its publishAt: changes now would go live unreviewed
+    if (course.publishAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'This course is scheduled to be published. Ask an admin to clear the schedule to make changes.',
+        code: 'COURSE_SCHEDULED',
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  requireCourseRole,
+  requireDraftCourse,
+};
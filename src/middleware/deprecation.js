@@ -0,0 +1,30 @@
+// Legacy /api/auth/*/:userId routes: deprecated on this date, removed after the sunset date
+const DEPRECATED_AT = new Date('2026-10-19T00:00:00Z');
+const SUNSET_AT = new Date(process.env.LEGACY_AUTH_ROUTES_SUNSET || '2027-01-19T00:00:00Z');
+
+/**
+ * Mark a legacy `/:userId` auth route as deprecated (Deprecation, Sunset and Link headers)
+ * and only let it act on the caller's own account. Use after verifyToken.
+ * @param {string} successor - Path of the token-based replacement, e.g. /api/auth/me
+ */
+const deprecatedUserIdRoute = (successor) => (req, res, next) => {
+  res.set({
+    Deprecation: `@${Math.floor(DEPRECATED_AT.getTime() / 1000)}`,
+    Sunset: SUNSET_AT.toUTCString(),
+    Link: `<${successor}>; rel="successor-version"`,
+  });
+
+  if (req.params.userId !== req.userId) {
+    return res.status(403).json({
+      success: false,
+      message: `You can only access your own account. Use ${successor} instead.`,
+      code: 'USER_MISMATCH',
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  deprecatedUserIdRoute,
+};
@@ -8,6 +8,15 @@ const errorHandler = (err, req, res, next) => {
     });
   }
 
+  // Upload limits and malformed multipart requests are client errors
+  if (err.name === 'MulterError') {
+    return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+      success: false,
+      message: err.message,
+      code: err.code,
+    });
+  }
+
   if (err.code === 'P2025') {
     return res.status(404).json({
       success: false,
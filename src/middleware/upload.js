@@ -49,4 +49,35 @@ const uploadImage = multer({
   },
 });
 
-module.exports = { uploadVideo, uploadImage };
+const coursePackageFileFilter = (req, file, cb) => {
+  const allowedTypes = [
+    'application/zip',
+    'application/x-zip-compressed',
+    'application/octet-stream', // curl and some browsers; the archive is checked when read
+  ];
+
+  if (allowedTypes.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(new Error(`Invalid file type: ${file.mimetype}. Only course package zip files are allowed.`), false);
+  }
+};
+
+const uploadCoursePackage = multer({
+  storage,
+  fileFilter: coursePackageFileFilter,
+  limits: {
+    fileSize: (parseInt(process.env.COURSE_PACKAGE_MAX_MB) || 200) * 1024 * 1024,
+  },
+});
+
+// No type filter: the declared mimetype is not trusted, the controller detects it from the bytes
+const uploadDocument = multer({
+  storage,
+  limits: {
+    fileSize: (parseInt(process.env.DOCUMENT_MAX_MB) || 50) * 1024 * 1024,
+    files: 1,
+  },
+});
+
+module.exports = { uploadVideo, uploadImage, uploadCoursePackage, uploadDocument };
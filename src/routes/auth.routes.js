@@ -4,6 +4,14 @@ const {
   signup,
   signin,
   googleLogin,
+  twoFactorLogin,
+  verifyEmail,
+  resendVerification,
+  refreshSession,
+  logout,
+  logoutAll,
+  getSessions,
+  revokeSessionById,
   changePassword,
   forgotPassword,
   resetPassword,
@@ -11,6 +19,15 @@ const {
   updateProfile,
   deleteAccount,
 } = require('../controllers/auth.controller');
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+} = require('../controllers/twoFactor.controller');
+const { verifyToken, verifyAdmin } = require('../middleware/auth');
+const { deprecatedUserIdRoute } = require('../middleware/deprecation');
 
 /**
  * @swagger
@@ -51,6 +68,10 @@ const {
  *                       $ref: '#/components/schemas/AuthUser'
  *                     token:
  *                       type: string
+ *                       description: Short-lived access token (Bearer)
+ *                     refreshToken:
+ *                       type: string
+ *                       description: Single-use token for POST /api/auth/refresh
  *       400:
  *         description: Bad request
  *       409:
@@ -90,8 +111,14 @@ router.post('/signup', signup);
  *                       $ref: '#/components/schemas/AuthUser'
  *                     token:
  *                       type: string
+ *                       description: Short-lived access token (Bearer)
+ *                     refreshToken:
+ *                       type: string
+ *                       description: Single-use token for POST /api/auth/refresh
  *       401:
  *         description: Invalid credentials
+ *       423:
+ *         description: Account temporarily locked after repeated failed sign-ins (code ACCOUNT_LOCKED, data.lockedUntil)
  */
 router.post('/signin', signin);
 
@@ -133,11 +160,300 @@ router.post('/signin', signin);
  *                       $ref: '#/components/schemas/AuthUser'
  *                     token:
  *                       type: string
+ *                       description: Short-lived access token (Bearer)
+ *                     refreshToken:
+ *                       type: string
+ *                       description: Single-use token for POST /api/auth/refresh
  *       400:
  *         description: Invalid token
+ *       403:
+ *         description: The Google email matches an existing account but Google has not verified it (code GOOGLE_EMAIL_UNVERIFIED)
  */
 router.post('/google', googleLogin);
 
+/**
+ * @swagger
+ * /api/auth/2fa/login:
+ *   post:
+ *     summary: Second login step for accounts with two-factor authentication
+ *     description: signin and google return { twoFactorRequired, challengeToken } instead of tokens when 2FA is enabled. Send the challenge token (valid 5 minutes) with a TOTP code or a backup code.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: 6-digit code from the authenticator app
+ *               backupCode:
+ *                 type: string
+ *                 description: Single-use backup code (instead of code)
+ *     responses:
+ *       200:
+ *         description: Login successful (user, token, refreshToken)
+ *       401:
+ *         description: Invalid code or expired challenge
+ *       423:
+ *         description: Account temporarily locked after repeated failed codes (code ACCOUNT_LOCKED)
+ */
+router.post('/2fa/login', twoFactorLogin);
+
+/**
+ * @swagger
+ * /api/auth/2fa:
+ *   get:
+ *     summary: Get two-factor status (enabled, required for role, backup codes remaining)
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Two-factor status
+ */
+router.get('/2fa', verifyToken, getTwoFactorStatus);
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor setup (returns secret, otpauth URL and QR code data URL)
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret generated; confirm with POST /api/auth/2fa/enable
+ *       400:
+ *         description: Already enabled
+ */
+router.post('/2fa/setup', verifyToken, setupTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: Confirm setup with a code and enable two-factor authentication
+ *     description: Returns backup codes once. Other sessions are signed out.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Enabled; backup codes returned
+ *       400:
+ *         description: Invalid code or setup not started
+ */
+router.post('/2fa/enable', verifyToken, enableTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *               backupCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Disabled
+ *       401:
+ *         description: Invalid code
+ *       403:
+ *         description: Required for the user's role by Settings
+ */
+router.post('/2fa/disable', verifyToken, disableTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/backup-codes:
+ *   post:
+ *     summary: Regenerate backup codes (invalidates the previous ones)
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New backup codes
+ *       401:
+ *         description: Invalid code
+ */
+router.post('/2fa/backup-codes', verifyToken, regenerateBackupCodes);
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Verify email address with the token from the verification link
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *       400:
+ *         description: Invalid or expired verification link
+ */
+router.post('/verify-email', verifyEmail);
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Resend the verification email (throttled)
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: Email is already verified
+ *       429:
+ *         description: Sent too recently (Retry-After header and data.retryAfter in seconds)
+ */
+router.post('/resend-verification', verifyToken, resendVerification);
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access token
+ *     description: Refresh tokens are single-use and rotated on every call. Replaying an already-used refresh token revokes that session (code REFRESH_TOKEN_REUSED).
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New token and refreshToken
+ *       400:
+ *         description: Refresh token is required
+ *       401:
+ *         description: Invalid, expired, revoked or reused refresh token
+ */
+router.post('/refresh', refreshSession);
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Logout (revoke the current session)
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ */
+router.post('/logout', verifyToken, logout);
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Logout from all devices (revoke every session)
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ */
+router.post('/logout-all', verifyToken, logoutAll);
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List active sessions (signed-in devices)
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions with user agent, IP, last use and a current flag
+ */
+router.get('/sessions', verifyToken, getSessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke one session (sign out a device)
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked successfully
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:id', verifyToken, revokeSessionById);
+
 /**
  * @swagger
  * /api/auth/forgot-password:
@@ -194,47 +510,111 @@ router.post('/reset-password', resetPassword);
 
 /**
  * @swagger
- * /api/auth/change-password/{userId}:
+ * /api/auth/me:
+ *   get:
+ *     summary: Get the signed-in user's profile
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: User profile
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/AuthUser'
+ *       401:
+ *         description: Not authenticated
+ */
+router.get('/me', verifyToken, getMe);
+
+/**
+ * @swagger
+ * /api/auth/profile:
  *   put:
- *     summary: Change password (logged in user)
+ *     summary: Update the signed-in user's profile
  *     tags: [Auth]
- *     parameters:
- *       - in: path
- *         name: userId
- *         required: true
- *         schema:
- *           type: string
- *         description: User UUID
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ProfileInput'
+ *     responses:
+ *       200:
+ *         description: Profile updated successfully
+ *       409:
+ *         description: Email already in use
+ */
+router.put('/profile', verifyToken, updateProfile);
+
+/**
+ * @swagger
+ * /api/auth/change-password:
+ *   put:
+ *     summary: Change the signed-in user's password
+ *     description: Other sessions of the user are revoked; the current one stays signed in.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
+ *             $ref: '#/components/schemas/ChangePasswordInput'
+ *     responses:
+ *       200:
+ *         description: Password changed successfully
+ *       401:
+ *         description: Current password incorrect
+ */
+router.put('/change-password', verifyToken, changePassword);
+
+/**
+ * @swagger
+ * /api/auth/delete-account:
+ *   delete:
+ *     summary: Delete the signed-in user's account
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
  *             type: object
- *             required:
- *               - currentPassword
- *               - newPassword
  *             properties:
- *               currentPassword:
- *                 type: string
- *               newPassword:
+ *               password:
  *                 type: string
+ *                 description: Current password (required for email accounts)
  *     responses:
  *       200:
- *         description: Password changed successfully
+ *         description: Account deleted successfully
+ *       400:
+ *         description: Password is required
  *       401:
- *         description: Current password incorrect
- *       404:
- *         description: User not found
+ *         description: Password incorrect
  */
-router.put('/change-password/:userId', changePassword);
+router.delete('/delete-account', verifyToken, deleteAccount);
 
 /**
  * @swagger
- * /api/auth/me/{userId}:
+ * /api/auth/users/{userId}:
  *   get:
- *     summary: Get current user profile
+ *     summary: Get a user's profile (admin)
+ *     description: Admin view of another account. The admin keeps their own identity; no token for the user is issued.
  *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: userId
@@ -245,27 +625,22 @@ router.put('/change-password/:userId', changePassword);
  *     responses:
  *       200:
  *         description: User profile
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 data:
- *                   $ref: '#/components/schemas/AuthUser'
+ *       403:
+ *         description: Admin privileges required
  *       404:
  *         description: User not found
  */
-router.get('/me/:userId', getMe);
+router.get('/users/:userId', verifyAdmin, getMe);
 
 /**
  * @swagger
- * /api/auth/profile/{userId}:
+ * /api/auth/users/{userId}/profile:
  *   put:
- *     summary: Update user profile
+ *     summary: Update a user's profile (admin)
+ *     description: Password changes and account deletion are not available here; they need the account owner's session.
  *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: userId
@@ -278,63 +653,128 @@ router.get('/me/:userId', getMe);
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               firstName:
- *                 type: string
- *               lastName:
- *                 type: string
- *               email:
- *                 type: string
- *                 format: email
+ *             $ref: '#/components/schemas/ProfileInput'
  *     responses:
  *       200:
  *         description: Profile updated successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 data:
- *                   $ref: '#/components/schemas/AuthUser'
+ *       403:
+ *         description: Admin privileges required
  *       404:
  *         description: User not found
  */
-router.put('/profile/:userId', updateProfile);
+router.put('/users/:userId/profile', verifyAdmin, updateProfile);
+
+// ---------------------------------------------------------------------------
+// Deprecated :userId routes - token required and must match the path; responses
+// carry Deprecation / Sunset / Link headers pointing at the routes above.
+// ---------------------------------------------------------------------------
 
 /**
  * @swagger
- * /api/auth/delete-account/{userId}:
- *   delete:
- *     summary: Delete user account
+ * /api/auth/change-password/{userId}:
+ *   put:
+ *     summary: Change password (deprecated - use PUT /api/auth/change-password)
+ *     deprecated: true
  *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: userId
  *         required: true
  *         schema:
  *           type: string
- *         description: User UUID
+ *         description: Must be the signed-in user's ID
  *     requestBody:
+ *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               password:
- *                 type: string
- *                 description: Current password (required for email accounts)
+ *             $ref: '#/components/schemas/ChangePasswordInput'
+ *     responses:
+ *       200:
+ *         description: Password changed successfully
+ *       403:
+ *         description: userId does not match the token (code USER_MISMATCH)
+ */
+router.put('/change-password/:userId', verifyToken, deprecatedUserIdRoute('/api/auth/change-password'), changePassword);
+
+/**
+ * @swagger
+ * /api/auth/me/{userId}:
+ *   get:
+ *     summary: Get current user profile (deprecated - use GET /api/auth/me)
+ *     deprecated: true
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Must be the signed-in user's ID
+ *     responses:
+ *       200:
+ *         description: User profile
+ *       403:
+ *         description: userId does not match the token (code USER_MISMATCH)
+ */
+router.get('/me/:userId', verifyToken, deprecatedUserIdRoute('/api/auth/me'), getMe);
+
+/**
+ * @swagger
+ * /api/auth/profile/{userId}:
+ *   put:
+ *     summary: Update user profile (deprecated - use PUT /api/auth/profile)
+ *     deprecated: true
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Must be the signed-in user's ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ProfileInput'
+ *     responses:
+ *       200:
+ *         description: Profile updated successfully
+ *       403:
+ *         description: userId does not match the token (code USER_MISMATCH)
+ */
+router.put('/profile/:userId', verifyToken, deprecatedUserIdRoute('/api/auth/profile'), updateProfile);
+
+/**
+ * @swagger
+ * /api/auth/delete-account/{userId}:
+ *   delete:
+ *     summary: Delete user account (deprecated - use DELETE /api/auth/delete-account)
+ *     deprecated: true
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Must be the signed-in user's ID
  *     responses:
  *       200:
  *         description: Account deleted successfully
- *       401:
- *         description: Password incorrect
- *       404:
- *         description: User not found
+ *       403:
+ *         description: userId does not match the token (code USER_MISMATCH)
  */
-router.delete('/delete-account/:userId', deleteAccount);
+router.delete('/delete-account/:userId', verifyToken, deprecatedUserIdRoute('/api/auth/delete-account'), deleteAccount);
 
 module.exports = router;
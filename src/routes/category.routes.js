@@ -9,7 +9,7 @@ const {
   reorderCategories,
   getCategoryStats,
 } = require('../controllers/category.controller');
-const { verifyAdmin } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/auth');
 
 /**
  * @swagger
@@ -97,7 +97,7 @@ router.get('/', getAllCategories);
  *       200:
  *         description: Category statistics
  */
-router.get('/stats', verifyAdmin, getCategoryStats);
+router.get('/stats', requirePermission('view-analytics'), getCategoryStats);
 
 /**
  * @swagger
@@ -125,7 +125,7 @@ router.get('/stats', verifyAdmin, getCategoryStats);
  *       200:
  *         description: Categories reordered successfully
  */
-router.patch('/reorder', verifyAdmin, reorderCategories);
+router.patch('/reorder', requirePermission('manage-courses'), reorderCategories);
 
 /**
  * @swagger
@@ -169,7 +169,7 @@ router.get('/:id', getCategoryById);
  *       409:
  *         description: Category already exists
  */
-router.post('/', verifyAdmin, createCategory);
+router.post('/', requirePermission('manage-courses'), createCategory);
 
 /**
  * @swagger
@@ -197,7 +197,7 @@ router.post('/', verifyAdmin, createCategory);
  *       404:
  *         description: Category not found
  */
-router.put('/:id', verifyAdmin, updateCategory);
+router.put('/:id', requirePermission('manage-courses'), updateCategory);
 
 /**
  * @swagger
@@ -221,6 +221,6 @@ router.put('/:id', verifyAdmin, updateCategory);
  *       404:
  *         description: Category not found
  */
-router.delete('/:id', verifyAdmin, deleteCategory);
+router.delete('/:id', requirePermission('manage-courses'), deleteCategory);
 
 module.exports = router;
@@ -0,0 +1,107 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getMyCertificates,
+  downloadCertificate,
+  verifyCertificate,
+} = require('../controllers/certificate.controller');
+const { verifyToken } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Certificate:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         serial:
+ *           type: string
+ *           example: LK-7F3A-92KD-QX4M
+ *         recipientName:
+ *           type: string
+ *         courseTitle:
+ *           type: string
+ *         issuedAt:
+ *           type: string
+ *           format: date-time
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         courseId:
+ *           type: string
+ *         enrollmentId:
+ *           type: string
+ *         verificationUrl:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/certificates/my:
+ *   get:
+ *     summary: Get current user's course completion certificates
+ *     tags: [Certificates]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of certificates
+ */
+router.get('/my', verifyToken, getMyCertificates);
+
+/**
+ * @swagger
+ * /api/certificates/verify/{serial}:
+ *   get:
+ *     summary: Verify a certificate by serial (public)
+ *     tags: [Certificates]
+ *     parameters:
+ *       - in: path
+ *         name: serial
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Certificate details with a valid flag (false when revoked)
+ *       404:
+ *         description: No certificate with this serial
+ */
+router.get('/verify/:serial', verifyCertificate);
+
+/**
+ * @swagger
+ * /api/certificates/{id}/download:
+ *   get:
+ *     summary: Download a certificate as PDF
+ *     tags: [Certificates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Certificate PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       403:
+ *         description: Not your certificate
+ *       404:
+ *         description: Certificate not found
+ *       410:
+ *         description: Certificate revoked
+ */
+router.get('/:id/download', verifyToken, downloadCertificate);
+
+module.exports = router;
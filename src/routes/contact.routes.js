@@ -9,7 +9,7 @@ const {
   addAdminNote,
   deleteMessage,
 } = require('../controllers/contact.controller');
-const { verifyAdmin } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/auth');
 
 /**
  * @swagger
@@ -79,7 +79,7 @@ router.post('/', submitContact);
  *       200:
  *         description: Message stats by status
  */
-router.get('/admin/stats', verifyAdmin, getMessageStats);
+router.get('/admin/stats', requirePermission('manage-contact'), getMessageStats);
 
 /**
  * @swagger
@@ -113,7 +113,7 @@ router.get('/admin/stats', verifyAdmin, getMessageStats);
  *       200:
  *         description: List of contact messages with pagination
  */
-router.get('/admin/messages', verifyAdmin, getAllMessages);
+router.get('/admin/messages', requirePermission('manage-contact'), getAllMessages);
 
 /**
  * @swagger
@@ -135,7 +135,7 @@ router.get('/admin/messages', verifyAdmin, getAllMessages);
  *       404:
  *         description: Message not found
  */
-router.get('/admin/:id', verifyAdmin, getMessageById);
+router.get('/admin/:id', requirePermission('manage-contact'), getMessageById);
 
 /**
  * @swagger
@@ -167,7 +167,7 @@ router.get('/admin/:id', verifyAdmin, getMessageById);
  *       200:
  *         description: Status updated
  */
-router.patch('/admin/:id/status', verifyAdmin, updateMessageStatus);
+router.patch('/admin/:id/status', requirePermission('manage-contact'), updateMessageStatus);
 
 /**
  * @swagger
@@ -196,7 +196,7 @@ router.patch('/admin/:id/status', verifyAdmin, updateMessageStatus);
  *       200:
  *         description: Note updated
  */
-router.patch('/admin/:id/note', verifyAdmin, addAdminNote);
+router.patch('/admin/:id/note', requirePermission('manage-contact'), addAdminNote);
 
 /**
  * @swagger
@@ -218,6 +218,6 @@ router.patch('/admin/:id/note', verifyAdmin, addAdminNote);
  *       404:
  *         description: Message not found
  */
-router.delete('/admin/:id', verifyAdmin, deleteMessage);
+router.delete('/admin/:id', requirePermission('manage-contact'), deleteMessage);
 
 module.exports = router;
@@ -7,9 +7,36 @@ const {
   updateCourse,
   deleteCourse,
   toggleCourseStatus,
+  scheduleCourse,
+  cloneCourse,
+  exportCourse,
+  importCourse,
   getCourseStats,
 } = require('../controllers/course.controller');
-const { verifyAdmin, verifyInstructorOrAdmin } = require('../middleware/auth');
+const {
+  getCourseInstructors,
+  addCourseInstructor,
+  updateCourseInstructor,
+  removeCourseInstructor,
+} = require('../controllers/courseInstructor.controller');
+const {
+  getCourseRevisions,
+  getCourseRevision,
+  createCourseRevision,
+  updateCourseRevision,
+  discardCourseRevision,
+} = require('../controllers/courseRevision.controller');
+const {
+  submitCourseForReview,
+  withdrawCourseReview,
+  getCourseReviews,
+  getReviewQueue,
+  approveCourseReview,
+  rejectCourseReview,
+} = require('../controllers/courseReview.controller');
+const { verifyInstructorOrAdmin, requirePermission, optionalAuth } = require('../middleware/auth');
+const { requireCourseRole, requireDraftCourse } = require('../middleware/courseAccess');
+const { uploadCoursePackage } = require('../middleware/upload');
 
 /**
  * @swagger
@@ -38,7 +65,18 @@ const { verifyAdmin, verifyInstructorOrAdmin } = require('../middleware/auth');
  *           enum: [BEGINNER, INTERMEDIATE, ADVANCED]
  *         status:
  *           type: string
- *           enum: [DRAFT, PUBLISHED]
+ *           enum: [DRAFT, IN_REVIEW, PUBLISHED]
+ *         publishAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         unpublishAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         isTemplate:
+ *           type: boolean
+ *           description: Templates are starting points for clones and are never published
  *         category:
  *           type: object
  *         instructor:
@@ -81,6 +119,13 @@ const { verifyAdmin, verifyInstructorOrAdmin } = require('../middleware/auth');
  *         status:
  *           type: string
  *           enum: [DRAFT, PUBLISHED]
+ *         unlockMode:
+ *           type: string
+ *           enum: [OPEN, SEQUENTIAL, DRIP]
+ *           description: OPEN (default), SEQUENTIAL (previous lesson must be completed) or DRIP (modules/lessons open dripDays after enrollment)
+ *         isTemplate:
+ *           type: boolean
+ *           description: Update only - mark an unscheduled draft course as a template (or turn it back into a course)
  */
 
 /**
@@ -118,7 +163,12 @@ const { verifyAdmin, verifyInstructorOrAdmin } = require('../middleware/auth');
  *         name: status
  *         schema:
  *           type: string
- *           enum: [DRAFT, PUBLISHED]
+ *           enum: [DRAFT, IN_REVIEW, PUBLISHED]
+ *       - in: query
+ *         name: template
+ *         schema:
+ *           type: boolean
+ *         description: true lists course templates instead of courses
  *       - in: query
  *         name: sortBy
  *         schema:
@@ -147,13 +197,113 @@ router.get('/', getAllCourses);
  *       200:
  *         description: Course statistics
  */
-router.get('/stats', verifyAdmin, getCourseStats);
+router.get('/stats', requirePermission('view-analytics'), getCourseStats);
+
+/**
+ * @swagger
+ * /api/courses/reviews:
+ *   get:
+ *     summary: Review queue (pending submissions, oldest first)
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, APPROVED, REJECTED, WITHDRAWN]
+ *           default: PENDING
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Submissions with course, revision, submitter and reviewer
+ */
+router.get('/reviews', requirePermission('manage-courses'), getReviewQueue);
+
+/**
+ * @swagger
+ * /api/courses/reviews/{reviewId}/approve:
+ *   post:
+ *     summary: Approve a submission (publishes the course or applies the revision atomically)
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reviewId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               comment:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Approved and published (changes lists what a revision changed)
+ *       404:
+ *         description: Review not found
+ *       409:
+ *         description: Already decided (REVIEW_CLOSED), or the revision refers to deleted content (REVISION_STALE)
+ */
+router.post('/reviews/:reviewId/approve', requirePermission('manage-courses'), approveCourseReview);
+
+/**
+ * @swagger
+ * /api/courses/reviews/{reviewId}/reject:
+ *   post:
+ *     summary: Reject a submission with a comment (returns it to draft)
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reviewId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [comment]
+ *             properties:
+ *               comment:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Rejected
+ *       400:
+ *         description: Comment missing
+ *       404:
+ *         description: Review not found
+ *       409:
+ *         description: Already decided (REVIEW_CLOSED)
+ */
+router.post('/reviews/:reviewId/reject', requirePermission('manage-courses'), rejectCourseReview);
 
 /**
  * @swagger
  * /api/courses/{id}:
  *   get:
  *     summary: Get course by ID with full details
+ *     description: Token is optional. Viewers without course access get the outline only (hasAccess false, no lesson content or video fields except on preview lessons).
  *     tags: [Courses]
  *     parameters:
  *       - in: path
@@ -163,11 +313,11 @@ router.get('/stats', verifyAdmin, getCourseStats);
  *           type: string
  *     responses:
  *       200:
- *         description: Course details with modules and lessons
+ *         description: Course details with modules, lessons and previewLessons (free-preview lessons with their documents)
  *       404:
  *         description: Course not found
  */
-router.get('/:id', getCourseById);
+router.get('/:id', optionalAuth, getCourseById);
 
 /**
  * @swagger
@@ -188,9 +338,73 @@ router.get('/:id', getCourseById);
  *         description: Course created successfully
  *       400:
  *         description: Validation error
+ *       403:
+ *         description: Instructors cannot set another instructorId (COURSE_OWNERSHIP_REQUIRED)
  */
 router.post('/', verifyInstructorOrAdmin, createCourse);
 
+/**
+ * @swagger
+ * /api/courses/import:
+ *   post:
+ *     summary: Import a course package (from GET /api/courses/{id}/export) as a new draft course
+ *     description: |
+ *       The slug and category are checked against this database first. Conflicts are listed in the response
+ *       with how they were resolved; any left unresolved stop the import with 409 IMPORT_CONFLICT.
+ *       Bunny video references are kept when the video is in this environment's library, unless reuseVideos says otherwise.
+ *       Non-admins only keep videos already used by a course they can edit.
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - package
+ *             properties:
+ *               package:
+ *                 type: string
+ *                 format: binary
+ *               slug:
+ *                 type: string
+ *                 description: Use this slug instead of the exported one
+ *               categoryId:
+ *                 type: string
+ *                 description: Use this category instead of matching the exported one
+ *               instructorId:
+ *                 type: string
+ *                 description: Admin only - owner of the new course (defaults to the caller)
+ *               onSlugConflict:
+ *                 type: string
+ *                 enum: [fail, rename]
+ *                 default: fail
+ *               onMissingCategory:
+ *                 type: string
+ *                 enum: [fail, create]
+ *                 default: fail
+ *                 description: create is admin only
+ *               reuseVideos:
+ *                 type: boolean
+ *               dryRun:
+ *                 type: boolean
+ *                 description: Only report conflicts and contents
+ *     responses:
+ *       200:
+ *         description: Dry run report
+ *       201:
+ *         description: Course imported successfully (imported holds the counts, conflicts the resolved conflicts)
+ *       400:
+ *         description: No file, invalid options, or not a valid package (INVALID_PACKAGE)
+ *       403:
+ *         description: Instructors cannot create categories or set another instructorId
+ *       409:
+ *         description: Slug or category conflict (IMPORT_CONFLICT); data.conflicts lists them
+ */
+router.post('/import', verifyInstructorOrAdmin, uploadCoursePackage.single('package'), importCourse);
+
 /**
  * @swagger
  * /api/courses/{id}:
@@ -214,16 +428,20 @@ router.post('/', verifyInstructorOrAdmin, createCourse);
  *     responses:
  *       200:
  *         description: Course updated successfully
+ *       403:
+ *         description: Not an editor of this course (COURSE_OWNERSHIP_REQUIRED); instructors cannot change status (REVIEW_REQUIRED)
  *       404:
  *         description: Course not found
+ *       409:
+ *         description: Instructors only - course is published (use a revision), in review or scheduled
  */
-router.put('/:id', verifyInstructorOrAdmin, updateCourse);
+router.put('/:id', verifyInstructorOrAdmin, requireCourseRole('EDITOR', 'course'), requireDraftCourse, updateCourse);
 
 /**
  * @swagger
  * /api/courses/{id}/status:
  *   patch:
- *     summary: Toggle course status (Draft/Published)
+ *     summary: Toggle course status (Draft/Published). Instructors can only unpublish; publishing goes through review.
  *     tags: [Courses]
  *     security:
  *       - bearerAuth: []
@@ -245,10 +463,511 @@ router.put('/:id', verifyInstructorOrAdmin, updateCourse);
  *     responses:
  *       200:
  *         description: Course status updated
+ *       400:
+ *         description: Invalid status, or publishing a template (COURSE_IS_TEMPLATE)
+ *       403:
+ *         description: Not the course owner (COURSE_OWNERSHIP_REQUIRED), or an instructor trying to publish (REVIEW_REQUIRED)
  *       404:
  *         description: Course not found
+ *       409:
+ *         description: Course is in review (COURSE_IN_REVIEW)
+ */
+router.patch('/:id/status', verifyInstructorOrAdmin, requireCourseRole('OWNER', 'course'), toggleCourseStatus);
+
+/**
+ * @swagger
+ * /api/courses/{id}/schedule:
+ *   patch:
+ *     summary: Schedule a course to be published and/or unpublished at a given time
+ *     description: |
+ *       Omitted times are left as they are; null clears them. A draft course gets publishAt (and optionally
+ *       unpublishAt); a published course only unpublishAt. Approving a review for a course with a future
+ *       publishAt leaves it to the publish scheduler, which applies due times within a few seconds.
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               publishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *               unpublishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Course schedule saved
+ *       400:
+ *         description: Invalid date, a time in the past, or a time that does not fit the course status
+ *       404:
+ *         description: Course not found
+ */
+router.patch('/:id/schedule', requirePermission('manage-courses'), scheduleCourse);
+
+/**
+ * @swagger
+ * /api/courses/{id}/clone:
+ *   post:
+ *     summary: Clone a course or template into a new draft course
+ *     description: |
+ *       Copies modules, lessons, documents and quizzes with their ordering. The new course gets a fresh slug
+ *       and starts as a draft; enrollments, progress, co-instructors, revisions and schedules are not copied.
+ *       Any instructor may clone a template; other courses need the editor role (or admin).
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 description: Defaults to the source title with " (Copy)"
+ *               instructorId:
+ *                 type: string
+ *                 description: Admin only - owner of the new course (defaults to the caller)
+ *               isTemplate:
+ *                 type: boolean
+ *                 default: false
+ *               reuseVideos:
+ *                 type: boolean
+ *                 default: true
+ *                 description: Point the new lessons at the same Bunny videos; false leaves them without a video
+ *     responses:
+ *       201:
+ *         description: Course cloned successfully (copied holds the counts)
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Not an editor of the source course, or an instructor setting another instructorId (COURSE_OWNERSHIP_REQUIRED)
+ *       404:
+ *         description: Course not found
+ */
+router.post('/:id/clone', verifyInstructorOrAdmin, cloneCourse);
+
+/**
+ * @swagger
+ * /api/courses/{id}/export:
+ *   get:
+ *     summary: Export a course as a portable package
+ *     description: |
+ *       A zip with manifest.json (course, modules, lessons, documents, quizzes, ordering and metadata) and the
+ *       document files under assets/. Bunny videos are referenced by ID, not included.
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Course package
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       403:
+ *         description: Not an editor of this course (COURSE_OWNERSHIP_REQUIRED)
+ *       404:
+ *         description: Course not found
+ */
+router.get('/:id/export', verifyInstructorOrAdmin, requireCourseRole('EDITOR', 'course'), exportCourse);
+
+/**
+ * @swagger
+ * /api/courses/{id}/instructors:
+ *   get:
+ *     summary: List the course owner and co-instructors
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Owner and co-instructors with their course roles
+ *       403:
+ *         description: Not an instructor on this course (COURSE_OWNERSHIP_REQUIRED)
+ *       404:
+ *         description: Course not found
+ */
+router.get('/:id/instructors', verifyInstructorOrAdmin, requireCourseRole('VIEWER', 'course'), getCourseInstructors);
+
+/**
+ * @swagger
+ * /api/courses/{id}/instructors:
+ *   post:
+ *     summary: Add a co-instructor (course owner or admin)
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [userId]
+ *             properties:
+ *               userId:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [EDITOR, VIEWER]
+ *                 default: EDITOR
+ *     responses:
+ *       201:
+ *         description: Co-instructor added
+ *       400:
+ *         description: Invalid role, user is not an instructor, or user owns the course
+ *       403:
+ *         description: Not the course owner (COURSE_OWNERSHIP_REQUIRED)
+ *       404:
+ *         description: Course or user not found
+ *       409:
+ *         description: Already a co-instructor
+ */
+router.post('/:id/instructors', verifyInstructorOrAdmin, requireCourseRole('OWNER', 'course'), addCourseInstructor);
+
+/**
+ * @swagger
+ * /api/courses/{id}/instructors/{userId}:
+ *   patch:
+ *     summary: Change a co-instructor's role (course owner or admin)
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [role]
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [EDITOR, VIEWER]
+ *     responses:
+ *       200:
+ *         description: Co-instructor updated
+ *       400:
+ *         description: Invalid role
+ *       403:
+ *         description: Not the course owner (COURSE_OWNERSHIP_REQUIRED)
+ *       404:
+ *         description: Course or co-instructor not found
+ */
+router.patch('/:id/instructors/:userId', verifyInstructorOrAdmin, requireCourseRole('OWNER', 'course'), updateCourseInstructor);
+
+/**
+ * @swagger
+ * /api/courses/{id}/instructors/{userId}:
+ *   delete:
+ *     summary: Remove a co-instructor (course owner or admin; co-instructors may remove themselves)
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Co-instructor removed
+ *       403:
+ *         description: Not the course owner (COURSE_OWNERSHIP_REQUIRED)
+ *       404:
+ *         description: Course or co-instructor not found
+ */
+router.delete('/:id/instructors/:userId', verifyInstructorOrAdmin, requireCourseRole('VIEWER', 'course'), removeCourseInstructor);
+
+/**
+ * @swagger
+ * /api/courses/{id}/submit:
+ *   post:
+ *     summary: Submit a draft course, or the open revision of a published course, for review (course owner)
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 description: Message for the reviewer
+ *     responses:
+ *       201:
+ *         description: Submitted
+ *       400:
+ *         description: Course has no lessons, is a template (COURSE_IS_TEMPLATE), or is published without an open revision (COURSE_REVISION_REQUIRED)
+ *       403:
+ *         description: Not the course owner (COURSE_OWNERSHIP_REQUIRED)
+ *       409:
+ *         description: A submission is already pending (REVIEW_PENDING)
+ */
+router.post('/:id/submit', verifyInstructorOrAdmin, requireCourseRole('OWNER', 'course'), submitCourseForReview);
+
+/**
+ * @swagger
+ * /api/courses/{id}/withdraw:
+ *   post:
+ *     summary: Withdraw the pending submission (course owner)
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Withdrawn; the course or revision is a draft again
+ *       404:
+ *         description: Nothing pending
+ */
+router.post('/:id/withdraw', verifyInstructorOrAdmin, requireCourseRole('OWNER', 'course'), withdrawCourseReview);
+
+/**
+ * @swagger
+ * /api/courses/{id}/reviews:
+ *   get:
+ *     summary: Review history of a course with reviewer comments
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Submissions, newest first
+ */
+router.get('/:id/reviews', verifyInstructorOrAdmin, requireCourseRole('VIEWER', 'course'), getCourseReviews);
+
+/**
+ * @swagger
+ * /api/courses/{id}/revisions:
+ *   get:
+ *     summary: List revisions of a course
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Revisions, newest first (without snapshots)
+ */
+router.get('/:id/revisions', verifyInstructorOrAdmin, requireCourseRole('VIEWER', 'course'), getCourseRevisions);
+
+/**
+ * @swagger
+ * /api/courses/{id}/revisions:
+ *   post:
+ *     summary: Start a draft revision of a published course (copy of the live content)
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Draft revision with its snapshot
+ *       400:
+ *         description: Course is not published
+ *       409:
+ *         description: Another revision is still open (REVISION_OPEN)
+ */
+router.post('/:id/revisions', verifyInstructorOrAdmin, requireCourseRole('EDITOR', 'course'), createCourseRevision);
+
+/**
+ * @swagger
+ * /api/courses/{id}/revisions/{revisionId}:
+ *   get:
+ *     summary: Get a revision with its snapshot and a summary of what it changes
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: revisionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Revision with snapshot and changes
+ *       404:
+ *         description: Revision not found
+ */
+router.get('/:id/revisions/:revisionId', verifyInstructorOrAdmin, requireCourseRole('VIEWER', 'course'), getCourseRevision);
+
+/**
+ * @swagger
+ * /api/courses/{id}/revisions/{revisionId}:
+ *   put:
+ *     summary: Save a draft revision
+ *     description: Course fields are merged into the staged ones. modules, when sent, replaces the whole staged outline; modules and lessons keep their id, entries without id are new, and ones left out are removed on publish.
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: revisionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *               course:
+ *                 type: object
+ *                 description: title, summary, description, thumbnail, instructorName, categoryId, level, price, unlockMode
+ *               modules:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   description: id?, title, summary, description, dripDays, lessons[] (id?, title, description, videoUrl, duration, dripDays, isPreview)
+ *     responses:
+ *       200:
+ *         description: Saved revision with changes
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Revision not found
+ *       409:
+ *         description: Revision is in review or closed (REVISION_LOCKED)
+ */
+router.put('/:id/revisions/:revisionId', verifyInstructorOrAdmin, requireCourseRole('EDITOR', 'course'), updateCourseRevision);
+
+/**
+ * @swagger
+ * /api/courses/{id}/revisions/{revisionId}:
+ *   delete:
+ *     summary: Discard a draft revision
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: revisionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Revision discarded
+ *       404:
+ *         description: Revision not found
+ *       409:
+ *         description: Revision is in review or closed (REVISION_LOCKED)
  */
-router.patch('/:id/status', verifyInstructorOrAdmin, toggleCourseStatus);
+router.delete('/:id/revisions/:revisionId', verifyInstructorOrAdmin, requireCourseRole('EDITOR', 'course'), discardCourseRevision);
 
 /**
  * @swagger
@@ -272,6 +991,6 @@ router.patch('/:id/status', verifyInstructorOrAdmin, toggleCourseStatus);
  *       404:
  *         description: Course not found
  */
-router.delete('/:id', verifyAdmin, deleteCourse);
+router.delete('/:id', requirePermission('manage-courses'), deleteCourse);
 
 module.exports = router;
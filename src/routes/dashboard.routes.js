@@ -15,7 +15,7 @@ const {
   getSubscriptionsByPlan,
   getEnrollmentChart,
 } = require('../controllers/dashboard.controller');
-const { verifyAdmin } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/auth');
 
 /**
  * @swagger
@@ -27,7 +27,7 @@ const { verifyAdmin } = require('../middleware/auth');
  */
 
 // Apply admin verification to all routes
-router.use(verifyAdmin);
+router.use(requirePermission('view-analytics'));
 
 // ============================================
 // DASHBOARD ROUTES
@@ -7,10 +7,16 @@ const {
   getModuleDocuments,
   getLessonDocuments,
   getDocumentById,
+  downloadDocument,
+  createDocumentLink,
   updateDocument,
+  getDocumentVersions,
+  restoreDocumentVersion,
   deleteDocument,
 } = require('../controllers/document.controller');
-const { verifyInstructorOrAdmin } = require('../middleware/auth');
+const { verifyToken, verifyInstructorOrAdmin, optionalAuth } = require('../middleware/auth');
+const { requireCourseRole, requireDraftCourse } = require('../middleware/courseAccess');
+const { uploadDocument } = require('../middleware/upload');
 
 // ============================================
 // NESTED: Course Documents
@@ -22,6 +28,7 @@ const courseDocumentRouter = express.Router({ mergeParams: true });
  * /api/courses/{courseId}/documents:
  *   get:
  *     summary: Get all documents for a course
+ *     description: Signed-in users also get lastDownloadedVersion and updatedSinceDownload per document.
  *     tags: [Documents]
  *     parameters:
  *       - in: path
@@ -33,7 +40,7 @@ const courseDocumentRouter = express.Router({ mergeParams: true });
  *       200:
  *         description: List of course documents
  */
-courseDocumentRouter.get('/', getCourseDocuments);
+courseDocumentRouter.get('/', optionalAuth, getCourseDocuments);
 
 /**
  * @swagger
@@ -49,9 +56,27 @@ courseDocumentRouter.get('/', getCourseDocuments);
  *         required: true
  *         schema:
  *           type: string
+ *     description: |
+ *       Send the file as multipart/form-data (field "file"), or as base64 `content` in JSON.
+ *       Size and type are read from the file itself (PDF, Word, Excel, PowerPoint, text, CSV).
  *     requestBody:
  *       required: true
  *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *               - file
+ *             properties:
+ *               title:
+ *                 type: string
+ *               fileName:
+ *                 type: string
+ *                 description: Defaults to the uploaded file's name
+ *               file:
+ *                 type: string
+ *                 format: binary
  *         application/json:
  *           schema:
  *             type: object
@@ -63,19 +88,22 @@ courseDocumentRouter.get('/', getCourseDocuments);
  *                 type: string
  *               fileName:
  *                 type: string
- *               fileSize:
- *                 type: integer
- *               fileType:
- *                 type: string
  *               content:
  *                 type: string
+ *                 description: Base64 (a data URL is fine)
  *     responses:
  *       201:
  *         description: Document uploaded successfully
+ *       400:
+ *         description: Missing title or file, unsupported file type, or a password-protected PDF
+ *       409:
+ *         description: Instructors only - course is published (use a revision), in review or scheduled
+ *       413:
+ *         description: File too large (DOCUMENT_MAX_MB, code LIMIT_FILE_SIZE)
  *       404:
  *         description: Course not found
  */
-courseDocumentRouter.post('/', verifyInstructorOrAdmin, uploadCourseDocument);
+courseDocumentRouter.post('/', verifyInstructorOrAdmin, requireCourseRole('EDITOR', 'course', 'courseId'), requireDraftCourse, uploadDocument.single('file'), uploadCourseDocument);
 
 // ============================================
 // NESTED: Module Documents
@@ -87,6 +115,7 @@ const moduleDocumentRouter = express.Router({ mergeParams: true });
  * /api/modules/{moduleId}/documents:
  *   get:
  *     summary: Get all documents for a module
+ *     description: Signed-in users also get lastDownloadedVersion and updatedSinceDownload per document.
  *     tags: [Documents]
  *     parameters:
  *       - in: path
@@ -98,7 +127,7 @@ const moduleDocumentRouter = express.Router({ mergeParams: true });
  *       200:
  *         description: List of module documents
  */
-moduleDocumentRouter.get('/', getModuleDocuments);
+moduleDocumentRouter.get('/', optionalAuth, getModuleDocuments);
 
 /**
  * @swagger
@@ -114,9 +143,27 @@ moduleDocumentRouter.get('/', getModuleDocuments);
  *         required: true
  *         schema:
  *           type: string
+ *     description: |
+ *       Send the file as multipart/form-data (field "file"), or as base64 `content` in JSON.
+ *       Size and type are read from the file itself (PDF, Word, Excel, PowerPoint, text, CSV).
  *     requestBody:
  *       required: true
  *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *               - file
+ *             properties:
+ *               title:
+ *                 type: string
+ *               fileName:
+ *                 type: string
+ *                 description: Defaults to the uploaded file's name
+ *               file:
+ *                 type: string
+ *                 format: binary
  *         application/json:
  *           schema:
  *             type: object
@@ -128,19 +175,22 @@ moduleDocumentRouter.get('/', getModuleDocuments);
  *                 type: string
  *               fileName:
  *                 type: string
- *               fileSize:
- *                 type: integer
- *               fileType:
- *                 type: string
  *               content:
  *                 type: string
+ *                 description: Base64 (a data URL is fine)
  *     responses:
  *       201:
  *         description: Document uploaded successfully
+ *       400:
+ *         description: Missing title or file, unsupported file type, or a password-protected PDF
+ *       409:
+ *         description: Instructors only - course is published (use a revision), in review or scheduled
+ *       413:
+ *         description: File too large (DOCUMENT_MAX_MB, code LIMIT_FILE_SIZE)
  *       404:
  *         description: Module not found
  */
-moduleDocumentRouter.post('/', verifyInstructorOrAdmin, uploadModuleDocument);
+moduleDocumentRouter.post('/', verifyInstructorOrAdmin, requireCourseRole('EDITOR', 'module', 'moduleId'), requireDraftCourse, uploadDocument.single('file'), uploadModuleDocument);
 
 // ============================================
 // NESTED: Lesson Documents
@@ -152,6 +202,7 @@ const lessonDocumentRouter = express.Router({ mergeParams: true });
  * /api/lessons/{lessonId}/documents:
  *   get:
  *     summary: Get all documents for a lesson
+ *     description: Signed-in users also get lastDownloadedVersion and updatedSinceDownload per document.
  *     tags: [Documents]
  *     parameters:
  *       - in: path
@@ -163,7 +214,7 @@ const lessonDocumentRouter = express.Router({ mergeParams: true });
  *       200:
  *         description: List of lesson documents
  */
-lessonDocumentRouter.get('/', getLessonDocuments);
+lessonDocumentRouter.get('/', optionalAuth, getLessonDocuments);
 
 /**
  * @swagger
@@ -179,9 +230,27 @@ lessonDocumentRouter.get('/', getLessonDocuments);
  *         required: true
  *         schema:
  *           type: string
+ *     description: |
+ *       Send the file as multipart/form-data (field "file"), or as base64 `content` in JSON.
+ *       Size and type are read from the file itself (PDF, Word, Excel, PowerPoint, text, CSV).
  *     requestBody:
  *       required: true
  *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *               - file
+ *             properties:
+ *               title:
+ *                 type: string
+ *               fileName:
+ *                 type: string
+ *                 description: Defaults to the uploaded file's name
+ *               file:
+ *                 type: string
+ *                 format: binary
  *         application/json:
  *           schema:
  *             type: object
@@ -193,19 +262,22 @@ lessonDocumentRouter.get('/', getLessonDocuments);
  *                 type: string
  *               fileName:
  *                 type: string
- *               fileSize:
- *                 type: integer
- *               fileType:
- *                 type: string
  *               content:
  *                 type: string
+ *                 description: Base64 (a data URL is fine)
  *     responses:
  *       201:
  *         description: Document uploaded successfully
+ *       400:
+ *         description: Missing title or file, unsupported file type, or a password-protected PDF
+ *       409:
+ *         description: Instructors only - course is published (use a revision), in review or scheduled
+ *       413:
+ *         description: File too large (DOCUMENT_MAX_MB, code LIMIT_FILE_SIZE)
  *       404:
  *         description: Lesson not found
  */
-lessonDocumentRouter.post('/', verifyInstructorOrAdmin, uploadLessonDocument);
+lessonDocumentRouter.post('/', verifyInstructorOrAdmin, requireCourseRole('EDITOR', 'lesson', 'lessonId'), requireDraftCourse, uploadDocument.single('file'), uploadLessonDocument);
 
 // ============================================
 // STANDALONE: Document by ID
@@ -216,7 +288,8 @@ const standaloneRouter = express.Router();
  * @swagger
  * /api/documents/{id}:
  *   get:
- *     summary: Get document by ID (includes content for download)
+ *     summary: Get document metadata by ID (the file is served from downloadUrl)
+ *     description: Requires course access, except for documents attached to a free-preview lesson.
  *     tags: [Documents]
  *     parameters:
  *       - in: path
@@ -226,11 +299,113 @@ const standaloneRouter = express.Router();
  *           type: string
  *     responses:
  *       200:
- *         description: Document with content
+ *         description: Document metadata with downloadUrl
+ *       401:
+ *         description: Sign in required (code AUTH_REQUIRED)
+ *       403:
+ *         description: No course access (code COURSE_ACCESS_REQUIRED)
  *       404:
  *         description: Document not found
  */
-standaloneRouter.get('/:id', getDocumentById);
+standaloneRouter.get('/:id', optionalAuth, getDocumentById);
+
+/**
+ * @swagger
+ * /api/documents/{id}/download:
+ *   get:
+ *     summary: Download a document file
+ *     description: |
+ *       Streams the file with its Content-Type and an attachment Content-Disposition.
+ *       Signed-in learners get PDFs stamped with their name, email and download time (DOCUMENT_WATERMARK).
+ *       Supports a single HTTP byte range (206 Partial Content) for resuming and seeking.
+ *       Requires course access (bearer token or a signed link from POST /api/documents/{id}/link),
+ *       except for documents attached to a free-preview lesson.
+ *     tags: [Documents]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: uid
+ *         schema:
+ *           type: string
+ *         description: Signed link - user the link was issued to
+ *       - in: query
+ *         name: expires
+ *         schema:
+ *           type: integer
+ *         description: Signed link - expiry (Unix seconds)
+ *       - in: query
+ *         name: sig
+ *         schema:
+ *           type: string
+ *         description: Signed link - signature
+ *       - in: header
+ *         name: Range
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: bytes=0-1023
+ *     responses:
+ *       200:
+ *         description: The whole file
+ *       206:
+ *         description: The requested byte range
+ *       304:
+ *         description: Not modified (ETag / Last-Modified)
+ *       401:
+ *         description: Sign in required (code AUTH_REQUIRED)
+ *       403:
+ *         description: No course access (code COURSE_ACCESS_REQUIRED), or a bad or expired signed link (code LINK_INVALID / LINK_EXPIRED)
+ *       404:
+ *         description: Document or its file not found
+ *       416:
+ *         description: Requested range not satisfiable
+ *       500:
+ *         description: The PDF could not be watermarked (code WATERMARK_FAILED)
+ */
+standaloneRouter.get('/:id/download', optionalAuth, downloadDocument);
+
+/**
+ * @swagger
+ * /api/documents/{id}/link:
+ *   post:
+ *     summary: Create a signed, expiring download link
+ *     description: |
+ *       The link works without a bearer token (emails, new tabs) but only for the requesting user:
+ *       their access to the course the document belongs to is checked again on download.
+ *     tags: [Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               expiresIn:
+ *                 type: integer
+ *                 description: Seconds the link stays valid (default DOCUMENT_LINK_TTL, 900; max DOCUMENT_LINK_MAX_TTL, 86400)
+ *     responses:
+ *       201:
+ *         description: Link created (url, path, expiresAt)
+ *       401:
+ *         description: Sign in required
+ *       403:
+ *         description: No course access (code COURSE_ACCESS_REQUIRED)
+ *       404:
+ *         description: Document not found
+ */
+standaloneRouter.post('/:id/link', verifyToken, createDocumentLink);
 
 /**
  * @swagger
@@ -246,10 +421,13 @@ standaloneRouter.get('/:id', getDocumentById);
  *         required: true
  *         schema:
  *           type: string
+ *     description: |
+ *       Rename the document, or replace its file (multipart field "file" or base64 `content`).
+ *       A replaced file is kept as an earlier version (see /api/documents/{id}/versions).
  *     requestBody:
  *       required: true
  *       content:
- *         application/json:
+ *         multipart/form-data:
  *           schema:
  *             type: object
  *             properties:
@@ -257,19 +435,88 @@ standaloneRouter.get('/:id', getDocumentById);
  *                 type: string
  *               fileName:
  *                 type: string
- *               fileSize:
- *                 type: integer
- *               fileType:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               fileName:
  *                 type: string
  *               content:
  *                 type: string
+ *                 description: Base64 (a data URL is fine)
  *     responses:
  *       200:
  *         description: Document updated successfully
+ *       400:
+ *         description: Unsupported file type, or a password-protected PDF
  *       404:
  *         description: Document not found
+ *       409:
+ *         description: Instructors only - course is published (use a revision), in review or scheduled
+ */
+standaloneRouter.put('/:id', verifyInstructorOrAdmin, requireCourseRole('EDITOR', 'document'), requireDraftCourse, uploadDocument.single('file'), updateDocument);
+
+/**
+ * @swagger
+ * /api/documents/{id}/versions:
+ *   get:
+ *     summary: List a document's file versions
+ *     description: Newest first, with the uploader, whether each is current and whether it can be restored.
+ *     tags: [Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Document versions
+ *       404:
+ *         description: Document not found
+ */
+standaloneRouter.get('/:id/versions', verifyInstructorOrAdmin, requireCourseRole('EDITOR', 'document'), getDocumentVersions);
+
+/**
+ * @swagger
+ * /api/documents/{id}/versions/{version}/restore:
+ *   post:
+ *     summary: Roll a document back to an earlier version
+ *     description: The old file becomes current again as a new version; the history is kept.
+ *     tags: [Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Document restored
+ *       400:
+ *         description: Invalid version, or it is already the current one
+ *       404:
+ *         description: Document or version not found
+ *       409:
+ *         description: The file of that version was not kept
+ *       409:
+ *         description: Instructors only - course is published (use a revision), in review or scheduled
  */
-standaloneRouter.put('/:id', verifyInstructorOrAdmin, updateDocument);
+standaloneRouter.post('/:id/versions/:version/restore', verifyInstructorOrAdmin, requireCourseRole('EDITOR', 'document'), requireDraftCourse, restoreDocumentVersion);
 
 /**
  * @swagger
@@ -290,8 +537,10 @@ standaloneRouter.put('/:id', verifyInstructorOrAdmin, updateDocument);
  *         description: Document deleted successfully
  *       404:
  *         description: Document not found
+ *       409:
+ *         description: Instructors only - course is published (use a revision), in review or scheduled
  */
-standaloneRouter.delete('/:id', verifyInstructorOrAdmin, deleteDocument);
+standaloneRouter.delete('/:id', verifyInstructorOrAdmin, requireCourseRole('EDITOR', 'document'), requireDraftCourse, deleteDocument);
 
 module.exports = {
   courseDocumentRouter,
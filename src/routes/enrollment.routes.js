@@ -18,7 +18,8 @@ const {
   createCheckoutSession,
   getEnrollmentBySessionId,
 } = require('../controllers/enrollment.controller');
-const { verifyAdmin, verifyToken } = require('../middleware/auth');
+const { getEnrollmentProgress } = require('../controllers/progress.controller');
+const { verifyToken, requirePermission, requireVerifiedEmail } = require('../middleware/auth');
 
 /**
  * @swagger
@@ -151,6 +152,8 @@ router.get('/checkout/:courseId', verifyToken, getCheckoutDetails);
  *         description: Checkout session created - returns sessionUrl for redirect to Stripe
  *       201:
  *         description: Free course - enrolled directly without payment
+ *       403:
+ *         description: Email not verified and required by Settings policy (code EMAIL_NOT_VERIFIED)
  *       404:
  *         description: Course not found
  *       409:
@@ -158,7 +161,7 @@ router.get('/checkout/:courseId', verifyToken, getCheckoutDetails);
  *       503:
  *         description: Payment service not configured
  */
-router.post('/create-checkout-session', verifyToken, createCheckoutSession);
+router.post('/create-checkout-session', verifyToken, requireVerifiedEmail('checkout'), createCheckoutSession);
 
 /**
  * @swagger
@@ -201,12 +204,14 @@ router.get('/session/:sessionId', verifyToken, getEnrollmentBySessionId);
  *     responses:
  *       201:
  *         description: Successfully enrolled in course
+ *       403:
+ *         description: Email not verified and required by Settings policy (code EMAIL_NOT_VERIFIED)
  *       404:
  *         description: Course not found
  *       409:
  *         description: Already enrolled
  */
-router.post('/purchase/:courseId', verifyToken, purchaseCourse);
+router.post('/purchase/:courseId', verifyToken, requireVerifiedEmail('checkout'), purchaseCourse);
 
 /**
  * @swagger
@@ -258,7 +263,7 @@ router.post('/enroll-all', verifyToken, enrollInAllCourses);
  *       200:
  *         description: List of enrollments with pagination
  */
-router.get('/', verifyAdmin, getAllEnrollments);
+router.get('/', requirePermission('manage-enrollments'), getAllEnrollments);
 
 /**
  * @swagger
@@ -272,7 +277,7 @@ router.get('/', verifyAdmin, getAllEnrollments);
  *       200:
  *         description: Enrollment statistics
  */
-router.get('/stats', verifyAdmin, getEnrollmentStats);
+router.get('/stats', requirePermission('view-analytics'), getEnrollmentStats);
 
 /**
  * @swagger
@@ -294,13 +299,13 @@ router.get('/stats', verifyAdmin, getEnrollmentStats);
  *       404:
  *         description: Enrollment not found
  */
-router.get('/:id', verifyAdmin, getEnrollmentById);
+router.get('/:id', requirePermission('manage-enrollments'), getEnrollmentById);
 
 /**
  * @swagger
  * /api/enrollments:
  *   post:
- *     summary: Create a new enrollment
+ *     summary: Create a new enrollment (grants course access; learners get access through checkout)
  *     tags: [Enrollments]
  *     security:
  *       - bearerAuth: []
@@ -313,10 +318,12 @@ router.get('/:id', verifyAdmin, getEnrollmentById);
  *     responses:
  *       201:
  *         description: Enrollment created successfully
+ *       403:
+ *         description: Requires the manage-enrollments permission
  *       409:
  *         description: User already enrolled
  */
-router.post('/', verifyToken, createEnrollment);
+router.post('/', requirePermission('manage-enrollments'), createEnrollment);
 
 /**
  * @swagger
@@ -350,13 +357,38 @@ router.post('/', verifyToken, createEnrollment);
  *       404:
  *         description: Enrollment not found
  */
-router.patch('/:id/status', verifyAdmin, updateEnrollmentStatus);
+router.patch('/:id/status', requirePermission('manage-enrollments'), updateEnrollmentStatus);
+
+/**
+ * @swagger
+ * /api/enrollments/{id}/progress:
+ *   get:
+ *     summary: Get per-lesson progress and resume point for an enrollment
+ *     tags: [Enrollments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Course outline with lesson status, computed progress and resume lesson
+ *       403:
+ *         description: Not the enrollment owner
+ *       404:
+ *         description: Enrollment not found
+ */
+router.get('/:id/progress', verifyToken, getEnrollmentProgress);
 
 /**
  * @swagger
  * /api/enrollments/{id}/progress:
  *   patch:
- *     summary: Update enrollment progress
+ *     summary: Recalculate enrollment progress from completed lessons
+ *     description: Progress is computed server-side; any progress value in the body is ignored. Mark lessons complete via POST /api/lessons/{id}/complete.
  *     tags: [Enrollments]
  *     security:
  *       - bearerAuth: []
@@ -366,22 +398,11 @@ router.patch('/:id/status', verifyAdmin, updateEnrollmentStatus);
  *         required: true
  *         schema:
  *           type: string
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - progress
- *             properties:
- *               progress:
- *                 type: integer
- *                 minimum: 0
- *                 maximum: 100
  *     responses:
  *       200:
  *         description: Progress updated successfully
+ *       403:
+ *         description: Not the enrollment owner
  *       404:
  *         description: Enrollment not found
  */
@@ -409,7 +430,7 @@ router.patch('/:id/progress', verifyToken, updateEnrollmentProgress);
  *       404:
  *         description: Enrollment not found
  */
-router.post('/:id/refund', verifyAdmin, processRefund);
+router.post('/:id/refund', requirePermission('manage-billing'), processRefund);
 
 /**
  * @swagger
@@ -431,6 +452,6 @@ router.post('/:id/refund', verifyAdmin, processRefund);
  *       404:
  *         description: Enrollment not found
  */
-router.delete('/:id', verifyAdmin, deleteEnrollment);
+router.delete('/:id', requirePermission('manage-enrollments'), deleteEnrollment);
 
 module.exports = router;
@@ -0,0 +1,85 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getInstructorStats,
+  getInstructorCourses,
+  getInstructorRecentEnrollments,
+} = require('../controllers/instructorDashboard.controller');
+const { verifyInstructorOrAdmin } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Instructor Dashboard
+ *   description: Analytics scoped to the courses an instructor owns or co-instructs
+ */
+
+router.use(verifyInstructorOrAdmin);
+
+/**
+ * @swagger
+ * /api/instructor/dashboard/stats:
+ *   get:
+ *     summary: Totals across the instructor's courses
+ *     tags: [Instructor Dashboard]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: instructorId
+ *         description: Admins only - show another instructor's dashboard
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Course counts, enrollments, completions, average progress and revenue of owned courses
+ */
+router.get('/stats', getInstructorStats);
+
+/**
+ * @swagger
+ * /api/instructor/dashboard/courses:
+ *   get:
+ *     summary: Per-course analytics for the instructor's courses
+ *     tags: [Instructor Dashboard]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: instructorId
+ *         description: Admins only - show another instructor's dashboard
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Enrollments, completions, completion rate, average progress, refunds and revenue per course (revenue is null on co-instructed courses)
+ */
+router.get('/courses', getInstructorCourses);
+
+/**
+ * @swagger
+ * /api/instructor/dashboard/recent-enrollments:
+ *   get:
+ *     summary: Recent enrollments on the instructor's courses
+ *     tags: [Instructor Dashboard]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 50
+ *       - in: query
+ *         name: instructorId
+ *         description: Admins only - show another instructor's dashboard
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Latest enrollments with student, course, status and progress
+ */
+router.get('/recent-enrollments', getInstructorRecentEnrollments);
+
+module.exports = router;
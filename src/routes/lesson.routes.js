@@ -13,7 +13,14 @@ const {
   createVideoUpload,
   confirmVideoUpload,
 } = require('../controllers/lesson.controller');
-const { verifyToken, verifyInstructorOrAdmin } = require('../middleware/auth');
+const {
+  getLessonProgress,
+  updateLessonProgress,
+  completeLesson,
+  lessonHeartbeat,
+} = require('../controllers/progress.controller');
+const { verifyToken, verifyInstructorOrAdmin, optionalAuth } = require('../middleware/auth');
+const { requireCourseRole, requireDraftCourse } = require('../middleware/courseAccess');
 const { uploadVideo } = require('../middleware/upload');
 
 /**
@@ -53,6 +60,13 @@ const { uploadVideo } = require('../middleware/upload');
  *         duration:
  *           type: integer
  *           description: Duration in seconds
+ *         dripDays:
+ *           type: integer
+ *           nullable: true
+ *           description: DRIP courses only - days after enrollment the lesson opens
+ *         isPreview:
+ *           type: boolean
+ *           description: Free preview - readable without enrollment or subscription
  */
 
 /**
@@ -60,6 +74,7 @@ const { uploadVideo } = require('../middleware/upload');
  * /api/modules/{moduleId}/lessons:
  *   get:
  *     summary: Get all lessons for a module
+ *     description: Token is optional. Without course access, content and video fields are stripped from non-preview lessons.
  *     tags: [Lessons]
  *     parameters:
  *       - in: path
@@ -73,7 +88,7 @@ const { uploadVideo } = require('../middleware/upload');
  *       404:
  *         description: Module not found
  */
-router.get('/', getLessonsByModule);
+router.get('/', optionalAuth, getLessonsByModule);
 
 /**
  * @swagger
@@ -108,8 +123,12 @@ router.get('/', getLessonsByModule);
  *         description: Lessons reordered successfully
  *       404:
  *         description: Module not found
+ *       409:
+ *         description: Instructors only - course is published (use a revision), in review or scheduled
+ *       409:
+ *         description: Instructors only - course is published (use a revision), in review or scheduled
  */
-router.patch('/reorder', verifyInstructorOrAdmin, reorderLessons);
+router.patch('/reorder', verifyInstructorOrAdmin, requireCourseRole('EDITOR', 'module', 'moduleId'), requireDraftCourse, reorderLessons);
 
 /**
  * @swagger
@@ -136,8 +155,12 @@ router.patch('/reorder', verifyInstructorOrAdmin, reorderLessons);
  *         description: Lesson created successfully
  *       404:
  *         description: Module not found
+ *       409:
+ *         description: Instructors only - course is published (use a revision), in review or scheduled
+ *       409:
+ *         description: Instructors only - course is published (use a revision), in review or scheduled
  */
-router.post('/', verifyInstructorOrAdmin, createLesson);
+router.post('/', verifyInstructorOrAdmin, requireCourseRole('EDITOR', 'module', 'moduleId'), requireDraftCourse, createLesson);
 
 module.exports = router;
 
@@ -149,6 +172,7 @@ const standaloneRouter = express.Router();
  * /api/lessons/{id}:
  *   get:
  *     summary: Get lesson by ID
+ *     description: Token is optional for free-preview lessons; other lessons require enrollment, a subscription or accessAll. Locked lessons of SEQUENTIAL or DRIP courses return 403 with code LESSON_LOCKED and the unlock date.
  *     tags: [Lessons]
  *     parameters:
  *       - in: path
@@ -159,10 +183,14 @@ const standaloneRouter = express.Router();
  *     responses:
  *       200:
  *         description: Lesson details
+ *       401:
+ *         description: Sign in required (code AUTH_REQUIRED)
+ *       403:
+ *         description: No course access (code COURSE_ACCESS_REQUIRED) or lesson is locked (code LESSON_LOCKED)
  *       404:
  *         description: Lesson not found
  */
-standaloneRouter.get('/:id', getLessonById);
+standaloneRouter.get('/:id', optionalAuth, getLessonById);
 
 /**
  * @swagger
@@ -189,8 +217,12 @@ standaloneRouter.get('/:id', getLessonById);
  *         description: Lesson updated successfully
  *       404:
  *         description: Lesson not found
+ *       409:
+ *         description: Instructors only - course is published (use a revision), in review or scheduled
+ *       409:
+ *         description: Instructors only - course is published (use a revision), in review or scheduled
  */
-standaloneRouter.put('/:id', verifyInstructorOrAdmin, updateLesson);
+standaloneRouter.put('/:id', verifyInstructorOrAdmin, requireCourseRole('EDITOR', 'lesson'), requireDraftCourse, updateLesson);
 
 /**
  * @swagger
@@ -211,8 +243,12 @@ standaloneRouter.put('/:id', verifyInstructorOrAdmin, updateLesson);
  *         description: Lesson deleted successfully
  *       404:
  *         description: Lesson not found
+ *       409:
+ *         description: Instructors only - course is published (use a revision), in review or scheduled
+ *       409:
+ *         description: Instructors only - course is published (use a revision), in review or scheduled
  */
-standaloneRouter.delete('/:id', verifyInstructorOrAdmin, deleteLesson);
+standaloneRouter.delete('/:id', verifyInstructorOrAdmin, requireCourseRole('EDITOR', 'lesson'), requireDraftCourse, deleteLesson);
 
 /**
  * @swagger
@@ -245,14 +281,17 @@ standaloneRouter.delete('/:id', verifyInstructorOrAdmin, deleteLesson);
  *         description: No video file provided
  *       404:
  *         description: Lesson not found
+ *       409:
+ *         description: Instructors only - course is published (use a revision), in review or scheduled
  */
-standaloneRouter.post('/:id/video', verifyInstructorOrAdmin, uploadVideo.single('video'), uploadLessonVideo);
+standaloneRouter.post('/:id/video', verifyInstructorOrAdmin, requireCourseRole('EDITOR', 'lesson'), requireDraftCourse, uploadVideo.single('video'), uploadLessonVideo);
 
 /**
  * @swagger
  * /api/lessons/{id}/video-url:
  *   get:
  *     summary: Get signed video embed URL for playback
+ *     description: Token is optional for free-preview lessons, which get a short-lived URL (PREVIEW_VIDEO_URL_TTL, default 5 minutes) when the caller has no course access.
  *     tags: [Lessons]
  *     security:
  *       - bearerAuth: []
@@ -265,10 +304,14 @@ standaloneRouter.post('/:id/video', verifyInstructorOrAdmin, uploadVideo.single(
  *     responses:
  *       200:
  *         description: Signed embed URL
+ *       401:
+ *         description: Sign in required (code AUTH_REQUIRED)
+ *       403:
+ *         description: No course access (code COURSE_ACCESS_REQUIRED) or lesson is locked (code LESSON_LOCKED)
  *       404:
  *         description: Lesson or video not found
  */
-standaloneRouter.get('/:id/video-url', verifyToken, getLessonVideoUrl);
+standaloneRouter.get('/:id/video-url', optionalAuth, getLessonVideoUrl);
 
 /**
  * @swagger
@@ -311,8 +354,10 @@ standaloneRouter.get('/:id/video-status', verifyToken, getLessonVideoStatus);
  *         description: TUS upload credentials returned
  *       404:
  *         description: Lesson not found
+ *       409:
+ *         description: Instructors only - course is published (use a revision), in review or scheduled
  */
-standaloneRouter.post('/:id/create-video-upload', verifyInstructorOrAdmin, createVideoUpload);
+standaloneRouter.post('/:id/create-video-upload', verifyInstructorOrAdmin, requireCourseRole('EDITOR', 'lesson'), requireDraftCourse, createVideoUpload);
 
 /**
  * @swagger
@@ -335,7 +380,138 @@ standaloneRouter.post('/:id/create-video-upload', verifyInstructorOrAdmin, creat
  *         description: No video upload was initiated
  *       404:
  *         description: Lesson not found
+ *       409:
+ *         description: Instructors only - course is published (use a revision), in review or scheduled
+ */
+standaloneRouter.patch('/:id/confirm-video-upload', verifyInstructorOrAdmin, requireCourseRole('EDITOR', 'lesson'), requireDraftCourse, confirmVideoUpload);
+
+/**
+ * @swagger
+ * /api/lessons/{id}/progress:
+ *   get:
+ *     summary: Get current user's progress on a lesson (resume position)
+ *     tags: [Lessons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Lesson progress (defaults when not started)
+ *       403:
+ *         description: No course access (code COURSE_ACCESS_REQUIRED)
+ *       404:
+ *         description: Lesson not found
+ */
+standaloneRouter.get('/:id/progress', verifyToken, getLessonProgress);
+
+/**
+ * @swagger
+ * /api/lessons/{id}/progress:
+ *   patch:
+ *     summary: Save current user's playback position on a lesson
+ *     tags: [Lessons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - position
+ *             properties:
+ *               position:
+ *                 type: integer
+ *                 description: Playback position in seconds
+ *     responses:
+ *       200:
+ *         description: Lesson progress saved
+ *       400:
+ *         description: Invalid position
+ *       403:
+ *         description: No course access (code COURSE_ACCESS_REQUIRED) or lesson is locked (code LESSON_LOCKED)
+ *       404:
+ *         description: Lesson not found
+ */
+standaloneRouter.patch('/:id/progress', verifyToken, updateLessonProgress);
+
+/**
+ * @swagger
+ * /api/lessons/{id}/complete:
+ *   post:
+ *     summary: Mark a lesson as completed and recompute enrollment progress
+ *     tags: [Lessons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Lesson completed; returns course completion and enrollment status
+ *       400:
+ *         description: Video lesson has not been watched enough to complete
+ *       403:
+ *         description: No course access (code COURSE_ACCESS_REQUIRED) or lesson is locked (code LESSON_LOCKED)
+ *       404:
+ *         description: Lesson not found
+ *       409:
+ *         description: The video's duration is not known yet (VIDEO_DURATION_UNKNOWN)
+ */
+standaloneRouter.post('/:id/complete', verifyToken, completeLesson);
+
+/**
+ * @swagger
+ * /api/lessons/{id}/heartbeat:
+ *   post:
+ *     summary: Record a video playback heartbeat
+ *     description: Called by the player every heartbeatInterval seconds while the Bunny video plays. Only forward playback bounded by elapsed time is credited, and the lesson auto-completes once Settings.videoCompletionThreshold percent of its duration has been watched.
+ *     tags: [Lessons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - position
+ *             properties:
+ *               position:
+ *                 type: number
+ *                 description: Current playback position in seconds
+ *     responses:
+ *       200:
+ *         description: Heartbeat recorded; returns watch time and completion state
+ *       400:
+ *         description: Invalid position or lesson has no video
+ *       403:
+ *         description: No course access (code COURSE_ACCESS_REQUIRED) or lesson is locked (code LESSON_LOCKED)
+ *       404:
+ *         description: Lesson not found
  */
-standaloneRouter.patch('/:id/confirm-video-upload', verifyInstructorOrAdmin, confirmVideoUpload);
+standaloneRouter.post('/:id/heartbeat', verifyToken, lessonHeartbeat);
 
 module.exports.standaloneRouter = standaloneRouter;
@@ -1,8 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const prisma = require('../config/db');
-const { verifyToken, verifyAdmin } = require('../middleware/auth');
-const { userHasActiveSubscription } = require('../controllers/subscription.controller');
+const { verifyToken, requirePermission } = require('../middleware/auth');
+const { userHasActiveSubscription } = require('../services/entitlement.service');
 const {
   createStream,
   listStreams,
@@ -50,10 +50,10 @@ router.get('/playback/active', verifyToken, requirePaidOrTrial, getActiveStream)
 router.get('/playback/:id', verifyToken, requirePaidOrTrial, getPlaybackById);
 
 // ---- Admin routes ----
-router.post('/', verifyToken, verifyAdmin, createStream);
-router.get('/', verifyToken, verifyAdmin, listStreams);
-router.get('/:id', verifyToken, verifyAdmin, getStreamById);
-router.patch('/:id', verifyToken, verifyAdmin, updateStream);
-router.delete('/:id', verifyToken, verifyAdmin, deleteStream);
+router.post('/', requirePermission('manage-live-streams'), createStream);
+router.get('/', requirePermission('manage-live-streams'), listStreams);
+router.get('/:id', requirePermission('manage-live-streams'), getStreamById);
+router.patch('/:id', requirePermission('manage-live-streams'), updateStream);
+router.delete('/:id', requirePermission('manage-live-streams'), deleteStream);
 
 module.exports = router;
@@ -7,8 +7,10 @@ const {
   updateModule,
   deleteModule,
   reorderModules,
+  scheduleModule,
 } = require('../controllers/module.controller');
-const { verifyInstructorOrAdmin } = require('../middleware/auth');
+const { verifyInstructorOrAdmin, optionalAuth } = require('../middleware/auth');
+const { requireCourseRole, requireDraftCourse } = require('../middleware/courseAccess');
 
 /**
  * @swagger
@@ -26,6 +28,17 @@ const { verifyInstructorOrAdmin } = require('../middleware/auth');
  *           type: string
  *         order:
  *           type: integer
+ *         isPublished:
+ *           type: boolean
+ *           description: Hidden modules are left out for learners (course staff still see them)
+ *         publishAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         unpublishAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
  *         lessonCount:
  *           type: integer
  *         lessons:
@@ -47,6 +60,10 @@ const { verifyInstructorOrAdmin } = require('../middleware/auth');
  *           type: string
  *         summary:
  *           type: string
+ *         dripDays:
+ *           type: integer
+ *           nullable: true
+ *           description: DRIP courses only - days after enrollment the module opens
  */
 
 /**
@@ -54,6 +71,7 @@ const { verifyInstructorOrAdmin } = require('../middleware/auth');
  * /api/courses/{courseId}/modules:
  *   get:
  *     summary: Get all modules for a course
+ *     description: Token is optional. Without course access, module content and non-preview lesson content are stripped.
  *     tags: [Modules]
  *     parameters:
  *       - in: path
@@ -67,7 +85,7 @@ const { verifyInstructorOrAdmin } = require('../middleware/auth');
  *       404:
  *         description: Course not found
  */
-router.get('/', getModulesByCourse);
+router.get('/', optionalAuth, getModulesByCourse);
 
 /**
  * @swagger
@@ -102,8 +120,10 @@ router.get('/', getModulesByCourse);
  *         description: Modules reordered successfully
  *       404:
  *         description: Course not found
+ *       409:
+ *         description: Instructors only - course is published (use a revision), in review or scheduled
  */
-router.patch('/reorder', verifyInstructorOrAdmin, reorderModules);
+router.patch('/reorder', verifyInstructorOrAdmin, requireCourseRole('EDITOR', 'course', 'courseId'), requireDraftCourse, reorderModules);
 
 /**
  * @swagger
@@ -130,8 +150,10 @@ router.patch('/reorder', verifyInstructorOrAdmin, reorderModules);
  *         description: Module created successfully
  *       404:
  *         description: Course not found
+ *       409:
+ *         description: Instructors only - course is published (use a revision), in review or scheduled
  */
-router.post('/', verifyInstructorOrAdmin, createModule);
+router.post('/', verifyInstructorOrAdmin, requireCourseRole('EDITOR', 'course', 'courseId'), requireDraftCourse, createModule);
 
 module.exports = router;
 
@@ -143,6 +165,7 @@ const standaloneRouter = express.Router();
  * /api/modules/{id}:
  *   get:
  *     summary: Get module by ID
+ *     description: Token is optional. Without course access, module content and non-preview lesson content are stripped.
  *     tags: [Modules]
  *     parameters:
  *       - in: path
@@ -156,7 +179,7 @@ const standaloneRouter = express.Router();
  *       404:
  *         description: Module not found
  */
-standaloneRouter.get('/:id', getModuleById);
+standaloneRouter.get('/:id', optionalAuth, getModuleById);
 
 /**
  * @swagger
@@ -183,8 +206,10 @@ standaloneRouter.get('/:id', getModuleById);
  *         description: Module updated successfully
  *       404:
  *         description: Module not found
+ *       409:
+ *         description: Instructors only - course is published (use a revision), in review or scheduled
  */
-standaloneRouter.put('/:id', verifyInstructorOrAdmin, updateModule);
+standaloneRouter.put('/:id', verifyInstructorOrAdmin, requireCourseRole('EDITOR', 'module'), requireDraftCourse, updateModule);
 
 /**
  * @swagger
@@ -205,7 +230,55 @@ standaloneRouter.put('/:id', verifyInstructorOrAdmin, updateModule);
  *         description: Module deleted successfully
  *       404:
  *         description: Module not found
+ *       409:
+ *         description: Instructors only - course is published (use a revision), in review or scheduled
+ */
+standaloneRouter.delete('/:id', verifyInstructorOrAdmin, requireCourseRole('EDITOR', 'module'), requireDraftCourse, deleteModule);
+
+/**
+ * @swagger
+ * /api/modules/{id}/schedule:
+ *   patch:
+ *     summary: Schedule when a module is shown to learners, or show/hide it now
+ *     description: |
+ *       Omitted times are left as they are; null clears them. A pending publishAt keeps the module
+ *       hidden until then. Times are applied by the publish scheduler within a few seconds.
+ *     tags: [Modules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               publishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *               unpublishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *               isPublished:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Module schedule updated successfully
+ *       400:
+ *         description: Invalid date, a time in the past, or unpublishAt not after publishAt
+ *       404:
+ *         description: Module not found
+ *       409:
+ *         description: Instructors only - course is published (use a revision), in review or scheduled
  */
-standaloneRouter.delete('/:id', verifyInstructorOrAdmin, deleteModule);
+standaloneRouter.patch('/:id/schedule', verifyInstructorOrAdmin, requireCourseRole('EDITOR', 'module'), requireDraftCourse, scheduleModule);
 
 module.exports.standaloneRouter = standaloneRouter;
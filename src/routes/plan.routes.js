@@ -5,7 +5,7 @@ const {
   getAllPlansAdmin,
   getPlanById,
 } = require('../controllers/plan.controller');
-const { verifyAdmin } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/auth');
 
 // ============================================
 // PUBLIC ROUTES
@@ -39,7 +39,7 @@ router.get('/', getAllPlans);
  *       200:
  *         description: List of all plans with subscription counts
  */
-router.get('/admin', verifyAdmin, getAllPlansAdmin);
+router.get('/admin', requirePermission('manage-billing'), getAllPlansAdmin);
 
 /**
  * @swagger
@@ -61,6 +61,6 @@ router.get('/admin', verifyAdmin, getAllPlansAdmin);
  *       404:
  *         description: Plan not found
  */
-router.get('/admin/:id', verifyAdmin, getPlanById);
+router.get('/admin/:id', requirePermission('manage-billing'), getPlanById);
 
 module.exports = router;
@@ -0,0 +1,423 @@
+const express = require('express');
+const {
+  createLessonQuiz,
+  createModuleQuiz,
+  getLessonQuizzes,
+  getModuleQuizzes,
+  getQuizById,
+  updateQuiz,
+  deleteQuiz,
+  addQuizQuestion,
+  updateQuizQuestion,
+  deleteQuizQuestion,
+  submitQuizAttempt,
+  getMyQuizAttempts,
+} = require('../controllers/quiz.controller');
+const { verifyToken, verifyInstructorOrAdmin } = require('../middleware/auth');
+const { requireCourseRole, requireDraftCourse } = require('../middleware/courseAccess');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     QuizQuestionInput:
+ *       type: object
+ *       required:
+ *         - prompt
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [MULTIPLE_CHOICE, MULTI_SELECT, TRUE_FALSE, SHORT_ANSWER]
+ *         prompt:
+ *           type: string
+ *         options:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Answer choices (ignored for TRUE_FALSE and SHORT_ANSWER)
+ *         correctAnswers:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Correct option text(s), or accepted answers for SHORT_ANSWER
+ *         explanation:
+ *           type: string
+ *           description: Feedback shown after the learner answers
+ *         points:
+ *           type: integer
+ *           default: 1
+ *     QuizInput:
+ *       type: object
+ *       required:
+ *         - title
+ *       properties:
+ *         title:
+ *           type: string
+ *         description:
+ *           type: string
+ *         passingScore:
+ *           type: integer
+ *           default: 70
+ *         maxAttempts:
+ *           type: integer
+ *           nullable: true
+ *           description: null for unlimited retakes
+ *         isRequired:
+ *           type: boolean
+ *           description: Must be passed before the enrollment auto-completes
+ *         showCorrectAnswers:
+ *           type: boolean
+ *         questions:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/QuizQuestionInput'
+ */
+
+// ============================================
+// NESTED: Lesson Quizzes
+// ============================================
+const lessonQuizRouter = express.Router({ mergeParams: true });
+
+/**
+ * @swagger
+ * /api/lessons/{lessonId}/quizzes:
+ *   get:
+ *     summary: Get quizzes for a lesson
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: lessonId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: List of quizzes with the current user's attempt summary
+ */
+lessonQuizRouter.get('/', verifyToken, getLessonQuizzes);
+
+/**
+ * @swagger
+ * /api/lessons/{lessonId}/quizzes:
+ *   post:
+ *     summary: Create a quiz on a lesson
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: lessonId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/QuizInput'
+ *     responses:
+ *       201:
+ *         description: Quiz created successfully
+ *       400:
+ *         description: Invalid quiz or question
+ *       404:
+ *         description: Lesson not found
+ *       409:
+ *         description: Instructors only - course is published (use a revision), in review or scheduled
+ */
+lessonQuizRouter.post('/', verifyInstructorOrAdmin, requireCourseRole('EDITOR', 'lesson', 'lessonId'), requireDraftCourse, createLessonQuiz);
+
+// ============================================
+// NESTED: Module Quizzes
+// ============================================
+const moduleQuizRouter = express.Router({ mergeParams: true });
+
+/**
+ * @swagger
+ * /api/modules/{moduleId}/quizzes:
+ *   get:
+ *     summary: Get quizzes for a module
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: moduleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: List of quizzes with the current user's attempt summary
+ */
+moduleQuizRouter.get('/', verifyToken, getModuleQuizzes);
+
+/**
+ * @swagger
+ * /api/modules/{moduleId}/quizzes:
+ *   post:
+ *     summary: Create a quiz on a module
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: moduleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/QuizInput'
+ *     responses:
+ *       201:
+ *         description: Quiz created successfully
+ *       400:
+ *         description: Invalid quiz or question
+ *       404:
+ *         description: Module not found
+ *       409:
+ *         description: Instructors only - course is published (use a revision), in review or scheduled
+ */
+moduleQuizRouter.post('/', verifyInstructorOrAdmin, requireCourseRole('EDITOR', 'module', 'moduleId'), requireDraftCourse, createModuleQuiz);
+
+// ============================================
+// STANDALONE: Quiz by ID
+// ============================================
+const standaloneRouter = express.Router();
+
+/**
+ * @swagger
+ * /api/quizzes/questions/{questionId}:
+ *   put:
+ *     summary: Update a quiz question
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: questionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/QuizQuestionInput'
+ *     responses:
+ *       200:
+ *         description: Question updated successfully
+ *       400:
+ *         description: Invalid question
+ *       404:
+ *         description: Question not found
+ *       409:
+ *         description: Instructors only - course is published (use a revision), in review or scheduled
+ */
+standaloneRouter.put('/questions/:questionId', verifyInstructorOrAdmin, requireCourseRole('EDITOR', 'question', 'questionId'), requireDraftCourse, updateQuizQuestion);
+
+/**
+ * @swagger
+ * /api/quizzes/questions/{questionId}:
+ *   delete:
+ *     summary: Delete a quiz question
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: questionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Question deleted successfully
+ *       404:
+ *         description: Question not found
+ *       409:
+ *         description: Instructors only - course is published (use a revision), in review or scheduled
+ */
+standaloneRouter.delete('/questions/:questionId', verifyInstructorOrAdmin, requireCourseRole('EDITOR', 'question', 'questionId'), requireDraftCourse, deleteQuizQuestion);
+
+/**
+ * @swagger
+ * /api/quizzes/{id}:
+ *   get:
+ *     summary: Get a quiz with its questions (answer keys only for admins and the course's instructors)
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Quiz details
+ *       403:
+ *         description: No course access or hidden module (code COURSE_ACCESS_REQUIRED), or its lesson/module is locked (code LESSON_LOCKED)
+ *       404:
+ *         description: Quiz not found
+ */
+standaloneRouter.get('/:id', verifyToken, getQuizById);
+
+/**
+ * @swagger
+ * /api/quizzes/{id}:
+ *   put:
+ *     summary: Update quiz settings
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/QuizInput'
+ *     responses:
+ *       200:
+ *         description: Quiz updated successfully
+ *       404:
+ *         description: Quiz not found
+ *       409:
+ *         description: Instructors only - course is published (use a revision), in review or scheduled
+ */
+standaloneRouter.put('/:id', verifyInstructorOrAdmin, requireCourseRole('EDITOR', 'quiz'), requireDraftCourse, updateQuiz);
+
+/**
+ * @swagger
+ * /api/quizzes/{id}:
+ *   delete:
+ *     summary: Delete a quiz
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Quiz deleted successfully
+ *       404:
+ *         description: Quiz not found
+ *       409:
+ *         description: Instructors only - course is published (use a revision), in review or scheduled
+ */
+standaloneRouter.delete('/:id', verifyInstructorOrAdmin, requireCourseRole('EDITOR', 'quiz'), requireDraftCourse, deleteQuiz);
+
+/**
+ * @swagger
+ * /api/quizzes/{id}/questions:
+ *   post:
+ *     summary: Add a question to a quiz
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/QuizQuestionInput'
+ *     responses:
+ *       201:
+ *         description: Question added successfully
+ *       400:
+ *         description: Invalid question
+ *       404:
+ *         description: Quiz not found
+ *       409:
+ *         description: Instructors only - course is published (use a revision), in review or scheduled
+ */
+standaloneRouter.post('/:id/questions', verifyInstructorOrAdmin, requireCourseRole('EDITOR', 'quiz'), requireDraftCourse, addQuizQuestion);
+
+/**
+ * @swagger
+ * /api/quizzes/{id}/attempts:
+ *   post:
+ *     summary: Submit a quiz attempt (graded immediately)
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - answers
+ *             properties:
+ *               answers:
+ *                 type: object
+ *                 description: Map of question ID to the chosen option, list of options (MULTI_SELECT) or text (SHORT_ANSWER)
+ *     responses:
+ *       201:
+ *         description: Attempt graded; returns score, pass state and per-question feedback
+ *       400:
+ *         description: Invalid answers or quiz has no questions
+ *       403:
+ *         description: No attempts remaining, no course access or hidden module (code COURSE_ACCESS_REQUIRED), or its lesson/module is locked (code LESSON_LOCKED)
+ *       404:
+ *         description: Quiz not found
+ */
+standaloneRouter.post('/:id/attempts', verifyToken, submitQuizAttempt);
+
+/**
+ * @swagger
+ * /api/quizzes/{id}/attempts:
+ *   get:
+ *     summary: Get current user's attempts for a quiz
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: List of attempts (newest first)
+ */
+standaloneRouter.get('/:id/attempts', verifyToken, getMyQuizAttempts);
+
+module.exports = {
+  lessonQuizRouter,
+  moduleQuizRouter,
+  standaloneRouter,
+};
@@ -0,0 +1,188 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getPermissions,
+  getAllRoles,
+  getRoleById,
+  createRole,
+  updateRole,
+  deleteRole,
+} = require('../controllers/role.controller');
+const { requirePermission } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Role:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *         permissions:
+ *           type: array
+ *           items:
+ *             type: string
+ *         userCount:
+ *           type: integer
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     RoleInput:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: Support agent
+ *         description:
+ *           type: string
+ *         permissions:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: [manage-contact]
+ */
+
+router.use(requirePermission('manage-roles'));
+
+/**
+ * @swagger
+ * /api/roles/permissions:
+ *   get:
+ *     summary: List all permissions and the permissions of the built-in roles
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Permission catalog
+ *       403:
+ *         description: Missing the manage-roles permission (code PERMISSION_DENIED)
+ */
+router.get('/permissions', getPermissions);
+
+/**
+ * @swagger
+ * /api/roles:
+ *   get:
+ *     summary: Get all custom roles
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of roles with user counts
+ */
+router.get('/', getAllRoles);
+
+/**
+ * @swagger
+ * /api/roles/{id}:
+ *   get:
+ *     summary: Get a custom role and its users
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Role details
+ *       404:
+ *         description: Role not found
+ */
+router.get('/:id', getRoleById);
+
+/**
+ * @swagger
+ * /api/roles:
+ *   post:
+ *     summary: Create a custom role
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RoleInput'
+ *     responses:
+ *       201:
+ *         description: Role created successfully
+ *       400:
+ *         description: Validation error, duplicate name or unknown permission (code INVALID_PERMISSIONS)
+ *       403:
+ *         description: The role has permissions you do not hold (PERMISSION_DENIED)
+ */
+router.post('/', createRole);
+
+/**
+ * @swagger
+ * /api/roles/{id}:
+ *   put:
+ *     summary: Update a custom role
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RoleInput'
+ *     responses:
+ *       200:
+ *         description: Role updated successfully
+ *       403:
+ *         description: The role has, or would get, permissions you do not hold (PERMISSION_DENIED)
+ *       404:
+ *         description: Role not found
+ */
+router.put('/:id', updateRole);
+
+/**
+ * @swagger
+ * /api/roles/{id}:
+ *   delete:
+ *     summary: Delete a custom role (users holding it keep only their built-in role)
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Role deleted successfully
+ *       403:
+ *         description: The role has permissions you do not hold (PERMISSION_DENIED)
+ *       404:
+ *         description: Role not found
+ */
+router.delete('/:id', deleteRole);
+
+module.exports = router;
@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { verifyAdmin } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/auth');
 const {
   getSettings,
   getPublicSettings,
@@ -11,7 +11,7 @@ const {
 router.get('/public', getPublicSettings);
 
 // Admin routes
-router.get('/', verifyAdmin, getSettings);
-router.put('/', verifyAdmin, updateSettings);
+router.get('/', requirePermission('manage-settings'), getSettings);
+router.put('/', requirePermission('manage-settings'), updateSettings);
 
 module.exports = router;
@@ -11,7 +11,7 @@ const {
   acceptInvite,
   removeTeamMember,
 } = require('../controllers/subscription.controller');
-const { verifyToken } = require('../middleware/auth');
+const { verifyToken, requireVerifiedEmail } = require('../middleware/auth');
 
 /**
  * @swagger
@@ -40,8 +40,10 @@ const { verifyToken } = require('../middleware/auth');
  *     responses:
  *       200:
  *         description: Checkout session created
+ *       403:
+ *         description: Email not verified and required by Settings policy (code EMAIL_NOT_VERIFIED)
  */
-router.post('/create-checkout-session', verifyToken, createSubscriptionCheckout);
+router.post('/create-checkout-session', verifyToken, requireVerifiedEmail('checkout'), createSubscriptionCheckout);
 
 /**
  * @swagger
@@ -143,8 +145,10 @@ router.get('/:id/members', verifyToken, getTeamMembers);
  *     responses:
  *       201:
  *         description: Team member added
+ *       403:
+ *         description: Email not verified and required by Settings policy (code EMAIL_NOT_VERIFIED)
  */
-router.post('/:id/members', verifyToken, addTeamMember);
+router.post('/:id/members', verifyToken, requireVerifiedEmail('invites'), addTeamMember);
 
 /**
  * @swagger
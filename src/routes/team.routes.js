@@ -8,7 +8,7 @@ const {
   deleteTeamMember,
   reorderTeamMembers,
 } = require('../controllers/team.controller');
-const { verifyAdmin } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/auth');
 
 /**
  * @swagger
@@ -113,7 +113,7 @@ router.get('/', getAllTeamMembers);
  *       200:
  *         description: Team members reordered successfully
  */
-router.patch('/reorder', verifyAdmin, reorderTeamMembers);
+router.patch('/reorder', requirePermission('manage-content'), reorderTeamMembers);
 
 /**
  * @swagger
@@ -155,7 +155,7 @@ router.get('/:id', getTeamMemberById);
  *       400:
  *         description: Validation error
  */
-router.post('/', verifyAdmin, createTeamMember);
+router.post('/', requirePermission('manage-content'), createTeamMember);
 
 /**
  * @swagger
@@ -183,7 +183,7 @@ router.post('/', verifyAdmin, createTeamMember);
  *       404:
  *         description: Team member not found
  */
-router.put('/:id', verifyAdmin, updateTeamMember);
+router.put('/:id', requirePermission('manage-content'), updateTeamMember);
 
 /**
  * @swagger
@@ -205,6 +205,6 @@ router.put('/:id', verifyAdmin, updateTeamMember);
  *       404:
  *         description: Team member not found
  */
-router.delete('/:id', verifyAdmin, deleteTeamMember);
+router.delete('/:id', requirePermission('manage-content'), deleteTeamMember);
 
 module.exports = router;
@@ -8,7 +8,7 @@ const {
   deleteTestimonial,
   reorderTestimonials,
 } = require('../controllers/testimonial.controller');
-const { verifyAdmin } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/auth');
 
 /**
  * @swagger
@@ -89,7 +89,7 @@ router.get('/', getTestimonials);
  *       200:
  *         description: Testimonials reordered successfully
  */
-router.patch('/reorder', verifyAdmin, reorderTestimonials);
+router.patch('/reorder', requirePermission('manage-content'), reorderTestimonials);
 
 /**
  * @swagger
@@ -123,7 +123,7 @@ router.get('/:id', getTestimonialById);
  *       201:
  *         description: Testimonial created successfully
  */
-router.post('/', verifyAdmin, createTestimonial);
+router.post('/', requirePermission('manage-content'), createTestimonial);
 
 /**
  * @swagger
@@ -137,7 +137,7 @@ router.post('/', verifyAdmin, createTestimonial);
  *       200:
  *         description: Testimonial updated successfully
  */
-router.put('/:id', verifyAdmin, updateTestimonial);
+router.put('/:id', requirePermission('manage-content'), updateTestimonial);
 
 /**
  * @swagger
@@ -151,6 +151,6 @@ router.put('/:id', verifyAdmin, updateTestimonial);
  *       200:
  *         description: Testimonial deleted successfully
  */
-router.delete('/:id', verifyAdmin, deleteTestimonial);
+router.delete('/:id', requirePermission('manage-content'), deleteTestimonial);
 
 module.exports = router;
@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { uploadImage } = require('../controllers/upload.controller');
 const { uploadImage: uploadImageMulter } = require('../middleware/upload');
-const { verifyAdmin } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/auth');
 
 /**
  * @swagger
@@ -46,7 +46,7 @@ const { verifyAdmin } = require('../middleware/auth');
  */
 router.post(
   '/image',
-  verifyAdmin,
+  requirePermission('manage-content'),
   uploadImageMulter.single('file'),
   uploadImage
 );
@@ -8,9 +8,12 @@ const {
   deleteUser,
   toggleUserStatus,
   changeUserRole,
+  assignCustomRole,
+  getUserLoginHistory,
+  unlockUser,
   getUserStats,
 } = require('../controllers/user.controller');
-const { verifyAdmin } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/auth');
 
 /**
  * @swagger
@@ -25,6 +28,8 @@ const { verifyAdmin } = require('../middleware/auth');
  *   post:
  *     summary: Create a new user
  *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -53,7 +58,7 @@ const { verifyAdmin } = require('../middleware/auth');
  *       409:
  *         description: Email already exists
  */
-router.post('/', createUser);
+router.post('/', requirePermission('manage-users'), createUser);
 
 /**
  * @swagger
@@ -61,6 +66,8 @@ router.post('/', createUser);
  *   get:
  *     summary: Get all users
  *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
  *     responses:
  *       200:
  *         description: List of all users
@@ -79,7 +86,7 @@ router.post('/', createUser);
  *                   items:
  *                     $ref: '#/components/schemas/User'
  */
-router.get('/', getAllUsers);
+router.get('/', requirePermission('manage-users'), getAllUsers);
 
 /**
  * @swagger
@@ -93,7 +100,7 @@ router.get('/', getAllUsers);
  *       200:
  *         description: User statistics
  */
-router.get('/stats', verifyAdmin, getUserStats);
+router.get('/stats', requirePermission('manage-users'), getUserStats);
 
 /**
  * @swagger
@@ -101,6 +108,8 @@ router.get('/stats', verifyAdmin, getUserStats);
  *   get:
  *     summary: Get user by ID
  *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -129,7 +138,7 @@ router.get('/stats', verifyAdmin, getUserStats);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/:id', getUserById);
+router.get('/:id', requirePermission('manage-users'), getUserById);
 
 /**
  * @swagger
@@ -137,6 +146,8 @@ router.get('/:id', getUserById);
  *   put:
  *     summary: Update user
  *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -167,7 +178,7 @@ router.get('/:id', getUserById);
  *       404:
  *         description: User not found
  */
-router.put('/:id', updateUser);
+router.put('/:id', requirePermission('manage-users'), updateUser);
 
 /**
  * @swagger
@@ -175,6 +186,8 @@ router.put('/:id', updateUser);
  *   delete:
  *     summary: Delete user
  *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -200,7 +213,7 @@ router.put('/:id', updateUser);
  *       404:
  *         description: User not found
  */
-router.delete('/:id', verifyAdmin, deleteUser);
+router.delete('/:id', requirePermission('manage-users'), deleteUser);
 
 /**
  * @swagger
@@ -231,7 +244,7 @@ router.delete('/:id', verifyAdmin, deleteUser);
  *       404:
  *         description: User not found
  */
-router.patch('/:id/status', verifyAdmin, toggleUserStatus);
+router.patch('/:id/status', requirePermission('manage-users'), toggleUserStatus);
 
 /**
  * @swagger
@@ -267,6 +280,98 @@ router.patch('/:id/status', verifyAdmin, toggleUserStatus);
  *       404:
  *         description: User not found
  */
-router.patch('/:id/role', verifyAdmin, changeUserRole);
+router.patch('/:id/role', requirePermission('manage-roles'), changeUserRole);
+
+/**
+ * @swagger
+ * /api/users/{id}/custom-role:
+ *   patch:
+ *     summary: Assign a custom role (extra permissions) to a user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - roleId
+ *             properties:
+ *               roleId:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Role ID, or null to remove the custom role
+ *     responses:
+ *       200:
+ *         description: Custom role updated
+ *       404:
+ *         description: User or role not found
+ */
+router.patch('/:id/custom-role', requirePermission('manage-roles'), assignCustomRole);
+
+/**
+ * @swagger
+ * /api/users/{id}/login-history:
+ *   get:
+ *     summary: Get a user's sign-in history (IP, user agent, country, result)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: success
+ *         schema:
+ *           type: boolean
+ *         description: Only successful (true) or failed (false) attempts
+ *     responses:
+ *       200:
+ *         description: Login history with current lockout state
+ *       404:
+ *         description: User not found
+ */
+router.get('/:id/login-history', requirePermission('manage-users'), getUserLoginHistory);
+
+/**
+ * @swagger
+ * /api/users/{id}/unlock:
+ *   patch:
+ *     summary: Unlock an account locked by failed sign-ins
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User unlocked
+ *       404:
+ *         description: User not found
+ */
+router.patch('/:id/unlock', requirePermission('manage-users'), unlockUser);
 
 module.exports = router;
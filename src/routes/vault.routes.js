@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
-const { verifyToken } = require('../middleware/auth');
-const { userHasActiveSubscription } = require('../controllers/subscription.controller');
+const { verifyToken, requireVerifiedEmail } = require('../middleware/auth');
+const { userHasActiveSubscription } = require('../services/entitlement.service');
 const {
   getDiscussions,
   getDiscussionById,
@@ -45,7 +45,7 @@ router.get('/stats', getStats);
 router.get('/discussions/poll', pollDiscussions);
 router.get('/discussions', getDiscussions);
 router.get('/discussions/:id', getDiscussionById);
-router.post('/discussions', createDiscussion);
+router.post('/discussions', requireVerifiedEmail('vault'), createDiscussion);
 router.delete('/discussions/:id', deleteDiscussion);
 
 // Discussion likes
@@ -53,7 +53,7 @@ router.post('/discussions/:id/like', toggleDiscussionLike);
 
 // Comments on a discussion
 router.get('/discussions/:id/comments', getComments);
-router.post('/discussions/:id/comments', createComment);
+router.post('/discussions/:id/comments', requireVerifiedEmail('vault'), createComment);
 
 // Comment replies
 router.get('/comments/:commentId/replies', getReplies);
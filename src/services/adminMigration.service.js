@@ -0,0 +1,209 @@
+const prisma = require('../config/db');
+
+// Legacy Admin.role values that become a full ADMIN user; anything else needs an entry in roleMap
+const ADMIN_ROLE_ALIASES = ['admin', 'superadmin', 'super_admin', 'super-admin', 'owner'];
+
+/**
+ * Split a legacy display name into the User first/last name fields
+ * @param {string|null} name
+ * @param {string} email - Fallback for the first name
+ * @returns {{firstName: string, lastName: string}}
+ */
+function splitName(name, email) {
+  const parts = (name || '').trim().split(/\s+/).filter(Boolean);
+  if (parts.length === 0) return { firstName: email.split('@')[0], lastName: '' };
+  return { firstName: parts[0], lastName: parts.slice(1).join(' ') };
+}
+
+/**
+ * What a legacy role becomes: the built-in ADMIN role or a custom role (on top of STUDENT)
+ * @param {string} legacyRole
+ * @param {Object<string, string>} roleMap - Legacy role -> 'ADMIN' or a custom role name
+ * @param {Map<string, {id: string, name: string}>} customRoles - By lower-cased name
+ * @returns {{role: string, customRole: object|null}|{conflict: {code: string, message: string}}}
+ */
+function mapLegacyRole(legacyRole, roleMap, customRoles) {
+  const key = (legacyRole || '').trim().toLowerCase();
+  const target = roleMap[legacyRole] ?? roleMap[key] ?? (ADMIN_ROLE_ALIASES.includes(key) ? 'ADMIN' : null);
+
+  if (!target) {
+    return {
+      conflict: {
+        code: 'UNMAPPED_ROLE',
+        message: `No mapping for legacy role "${legacyRole}". Pass roleMap: { "${legacyRole}": "ADMIN" | "<custom role name>" }.`,
+      },
+    };
+  }
+
+  if (target.toUpperCase() === 'ADMIN') return { role: 'ADMIN', customRole: null };
+
+  const customRole = customRoles.get(target.trim().toLowerCase());
+  if (!customRole) {
+    return {
+      conflict: {
+        code: 'UNKNOWN_CUSTOM_ROLE',
+        message: `Legacy role "${legacyRole}" maps to custom role "${target}", which does not exist. Create it first.`,
+      },
+    };
+  }
+  return { role: 'STUDENT', customRole };
+}
+
+/**
+ * Work out what happens to every legacy Admin row, without writing anything.
+ *
+ * Actions: CREATE (new user), LINK (a user with the email is already ADMIN - same person),
+ * PROMOTE (existing non-admin user gets the mapped role; only with promoteExisting),
+ * ALREADY_MIGRATED, CONFLICT (skipped; see conflict.code).
+ * @param {{roleMap?: Object<string, string>, promoteExisting?: boolean}} [options]
+ * @returns {Promise<{entries: object[], admins: Map<number, object>}>} Entries plus the raw rows (with password hashes) for migrate
+ */
+async function buildPlan({ roleMap = {}, promoteExisting = false } = {}) {
+  const [admins, roles] = await Promise.all([
+    prisma.admin.findMany({ orderBy: { id: 'asc' } }),
+    prisma.role.findMany({ select: { id: true, name: true } }),
+  ]);
+  const customRoles = new Map(roles.map((role) => [role.name.toLowerCase(), role]));
+
+  const entries = [];
+  const seenEmails = new Map();
+
+  for (const admin of admins) {
+    const entry = { adminId: admin.id, email: admin.email, legacyRole: admin.role };
+    entries.push(entry);
+
+    if (admin.migratedToUserId) {
+      entry.action = 'ALREADY_MIGRATED';
+      entry.userId = admin.migratedToUserId;
+      continue;
+    }
+
+    // Admin.email is unique, but only case-sensitively
+    const emailKey = admin.email.trim().toLowerCase();
+    if (seenEmails.has(emailKey)) {
+      entry.action = 'CONFLICT';
+      entry.conflict = {
+        code: 'DUPLICATE_LEGACY_EMAIL',
+        message: `Same email as legacy admin #${seenEmails.get(emailKey)}. Remove one of them first.`,
+      };
+      continue;
+    }
+    seenEmails.set(emailKey, admin.id);
+
+    const mapping = mapLegacyRole(admin.role, roleMap, customRoles);
+    if (mapping.conflict) {
+      entry.action = 'CONFLICT';
+      entry.conflict = mapping.conflict;
+      continue;
+    }
+    entry.target = { role: mapping.role, customRole: mapping.customRole?.name || null };
+    entry.customRoleId = mapping.customRole?.id || null;
+
+    const users = await prisma.user.findMany({
+      where: { email: { equals: admin.email.trim(), mode: 'insensitive' } },
+      select: { id: true, email: true, role: true, customRoleId: true },
+    });
+
+    if (users.length > 1) {
+      entry.action = 'CONFLICT';
+      entry.conflict = {
+        code: 'DUPLICATE_USER_EMAIL',
+        message: `Several users match this email: ${users.map((user) => user.email).join(', ')}`,
+      };
+    } else if (users.length === 0) {
+      entry.action = 'CREATE';
+    } else if (users[0].role === 'ADMIN') {
+      entry.action = 'LINK';
+      entry.userId = users[0].id;
+    } else if (promoteExisting) {
+      entry.action = 'PROMOTE';
+      entry.userId = users[0].id;
+      entry.currentRole = users[0].role;
+    } else {
+      entry.action = 'CONFLICT';
+      entry.userId = users[0].id;
+      entry.conflict = {
+        code: 'EMAIL_IN_USE',
+        message: `A ${users[0].role} user already has this email. Re-run with promoteExisting to give them the mapped role.`,
+      };
+    }
+  }
+
+  return { entries, admins: new Map(admins.map((admin) => [admin.id, admin])) };
+}
+
+/**
+ * @param {object[]} entries
+ * @returns {Object<string, number>} Count per action
+ */
+function summarize(entries) {
+  const summary = { total: entries.length, CREATE: 0, LINK: 0, PROMOTE: 0, ALREADY_MIGRATED: 0, CONFLICT: 0 };
+  for (const entry of entries) summary[entry.action] += 1;
+  return summary;
+}
+
+/**
+ * Fold legacy Admin rows into users. Each admin is migrated in its own transaction, so
+ * conflicts or failures skip that row only; re-running picks up where it left off.
+ * New users keep the legacy password hash (both are bcrypt), so admins sign in as before.
+ * @param {{dryRun?: boolean, roleMap?: Object<string, string>, promoteExisting?: boolean}} [options]
+ * @returns {Promise<{dryRun: boolean, summary: object, entries: object[]}>}
+ */
+async function migrateLegacyAdmins({ dryRun = true, ...options } = {}) {
+  const { entries, admins } = await buildPlan(options);
+
+  if (!dryRun) {
+    for (const entry of entries) {
+      if (!['CREATE', 'LINK', 'PROMOTE'].includes(entry.action)) continue;
+      const admin = admins.get(entry.adminId);
+
+      try {
+        entry.userId = await prisma.$transaction(async (tx) => {
+          let userId = entry.userId;
+
+          if (entry.action === 'CREATE') {
+            const user = await tx.user.create({
+              data: {
+                email: admin.email.trim(),
+                ...splitName(admin.name, admin.email.trim()),
+                password: admin.password,
+                role: entry.target.role,
+                customRoleId: entry.customRoleId,
+                status: 'ACTIVE',
+              },
+              select: { id: true },
+            });
+            userId = user.id;
+          } else if (entry.action === 'PROMOTE') {
+            await tx.user.update({
+              where: { id: userId },
+              data: { role: entry.target.role, customRoleId: entry.customRoleId },
+            });
+          }
+
+          // Conditional so a concurrent run cannot migrate the same row twice
+          const { count } = await tx.admin.updateMany({
+            where: { id: admin.id, migratedToUserId: null },
+            data: { migratedToUserId: userId, migratedAt: new Date() },
+          });
+          if (count === 0) throw new Error('Legacy admin was migrated by another run');
+
+          return userId;
+        });
+        entry.migrated = true;
+      } catch (error) {
+        entry.action = 'CONFLICT';
+        entry.conflict = { code: 'MIGRATION_FAILED', message: error.message };
+      }
+    }
+  }
+
+  for (const entry of entries) delete entry.customRoleId;
+
+  return { dryRun, summary: summarize(entries), entries };
+}
+
+module.exports = {
+  ADMIN_ROLE_ALIASES,
+  migrateLegacyAdmins,
+};
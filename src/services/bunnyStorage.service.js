@@ -67,7 +67,90 @@ async function deleteImage(storagePath) {
   return true;
 }
 
+/**
+ * Files zone request URL and access key (course files; never served through the CDN)
+ * @param {string} storagePath - e.g. 'documents/abc-file.pdf'
+ */
+function filesZoneRequest(storagePath) {
+  const { filesStorageZone, storageRegion, filesStorageAccessKey } = bunnyStorageConfig;
+
+  if (!filesStorageZone || !filesStorageAccessKey) {
+    throw new Error('Bunny file storage is not configured. Set BUNNY_FILES_STORAGE_ZONE and BUNNY_FILES_STORAGE_ACCESS_KEY (or the BUNNY_STORAGE_* values).');
+  }
+
+  const pathNorm = storagePath.replace(/^\/|\/$/g, '');
+  return {
+    url: `https://${storageRegion}/${filesStorageZone}/${pathNorm}`,
+    headers: { AccessKey: filesStorageAccessKey },
+  };
+}
+
+/**
+ * Store a course file in the files zone
+ * @param {Buffer} buffer
+ * @param {string} storagePath - e.g. 'documents/abc-file.pdf'
+ * @param {string} [contentType]
+ * @returns {Promise<boolean>}
+ */
+async function uploadFile(buffer, storagePath, contentType) {
+  const { url, headers } = filesZoneRequest(storagePath);
+
+  const response = await fetch(url, {
+    method: 'PUT',
+    headers: { ...headers, 'Content-Type': contentType || 'application/octet-stream' },
+    body: buffer,
+  });
+
+  if (response.status !== 201 && response.status !== 200) {
+    const errorText = await response.text();
+    throw new Error(`Bunny Storage upload failed (${response.status}): ${errorText}`);
+  }
+
+  return true;
+}
+
+/**
+ * Read a course file from the files zone
+ * @param {string} storagePath
+ * @returns {Promise<Buffer|null>} null when the file does not exist
+ */
+async function downloadFile(storagePath) {
+  const { url, headers } = filesZoneRequest(storagePath);
+
+  const response = await fetch(url, { headers });
+
+  if (response.status === 404) return null;
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Bunny Storage download failed (${response.status}): ${errorText}`);
+  }
+
+  return Buffer.from(await response.arrayBuffer());
+}
+
+/**
+ * Delete a course file from the files zone
+ * @param {string} storagePath
+ * @returns {Promise<boolean>}
+ */
+async function deleteFile(storagePath) {
+  const { url, headers } = filesZoneRequest(storagePath);
+
+  const response = await fetch(url, { method: 'DELETE', headers });
+
+  // 404 is fine — already deleted
+  if (!response.ok && response.status !== 404) {
+    const errorText = await response.text();
+    throw new Error(`Bunny Storage delete failed (${response.status}): ${errorText}`);
+  }
+
+  return true;
+}
+
 module.exports = {
   uploadImage,
   deleteImage,
+  uploadFile,
+  downloadFile,
+  deleteFile,
 };
@@ -0,0 +1,232 @@
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const prisma = require('../config/db');
+
+// Unambiguous characters only (no 0/O, 1/I/L) so serials can be read off a printout
+const SERIAL_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const SERIAL_PREFIX = 'LK';
+
+/**
+ * Generate a random certificate serial, e.g. LK-7F3A-92KD-QX4M
+ * @returns {string}
+ */
+function generateSerial() {
+  const groups = [];
+  for (let g = 0; g < 3; g++) {
+    let group = '';
+    for (let i = 0; i < 4; i++) {
+      group += SERIAL_ALPHABET[crypto.randomInt(SERIAL_ALPHABET.length)];
+    }
+    groups.push(group);
+  }
+  return `${SERIAL_PREFIX}-${groups.join('-')}`;
+}
+
+/**
+ * Public URL where a certificate serial can be checked (printed on the PDF)
+ * @param {string} serial
+ * @returns {string}
+ */
+function getVerificationUrl(serial) {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  return `${frontendUrl}/verify-certificate?serial=${encodeURIComponent(serial)}`;
+}
+
+/**
+ * Issue the certificate for a COMPLETED enrollment. Idempotent: returns the existing
+ * certificate (re-activating it if it was revoked by a refund) instead of issuing a second one.
+ * Returns null when the enrollment does not exist or is not completed.
+ * @param {string} enrollmentId
+ * @returns {Promise<object|null>} Certificate
+ */
+async function issueCertificate(enrollmentId) {
+  const enrollment = await prisma.enrollment.findUnique({
+    where: { id: enrollmentId },
+    include: {
+      user: { select: { firstName: true, lastName: true } },
+      course: { select: { title: true } },
+      certificate: true,
+    },
+  });
+
+  if (!enrollment || enrollment.status !== 'COMPLETED') return null;
+
+  if (enrollment.certificate) {
+    if (!enrollment.certificate.revokedAt) return enrollment.certificate;
+
+    return prisma.certificate.update({
+      where: { id: enrollment.certificate.id },
+      data: { revokedAt: null },
+    });
+  }
+
+  // Serial collisions are astronomically unlikely, but retry on the unique constraint anyway
+  for (let attempt = 0; attempt < 5; attempt++) {
+    try {
+      return await prisma.certificate.create({
+        data: {
+          serial: generateSerial(),
+          recipientName: `${enrollment.user.firstName} ${enrollment.user.lastName}`.trim(),
+          courseTitle: enrollment.course.title,
+          issuedAt: enrollment.completedAt || new Date(),
+          userId: enrollment.userId,
+          courseId: enrollment.courseId,
+          enrollmentId: enrollment.id,
+        },
+      });
+    } catch (error) {
+      if (error.code !== 'P2002') throw error;
+
+      // Lost a race with a concurrent issue for the same enrollment
+      const existing = await prisma.certificate.findUnique({ where: { enrollmentId } });
+      if (existing) return existing;
+    }
+  }
+
+  throw new Error('Could not generate a unique certificate serial');
+}
+
+/**
+ * Issue a certificate without failing the caller (used from completion paths where the
+ * enrollment update itself must still succeed). Missing certificates are backfilled by GET /api/certificates/my.
+ * @param {string} enrollmentId
+ * @returns {Promise<object|null>}
+ */
+async function safeIssueCertificate(enrollmentId) {
+  try {
+    return await issueCertificate(enrollmentId);
+  } catch (error) {
+    console.error('[CERTIFICATE] Failed to issue certificate for enrollment', enrollmentId, error.message);
+    return null;
+  }
+}
+
+/**
+ * Revoke the certificate of an enrollment (e.g. after a refund). No-op when none was issued.
+ * @param {string} enrollmentId
+ * @returns {Promise<void>}
+ */
+async function revokeCertificate(enrollmentId) {
+  await prisma.certificate.updateMany({
+    where: { enrollmentId, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+}
+
+/**
+ * Load the Settings logo as an image buffer for PDFKit (PNG/JPEG data URL or http(s) URL).
+ * Returns null when there is no usable logo — the certificate is still rendered without it.
+ * @param {string|null} logo
+ * @returns {Promise<Buffer|null>}
+ */
+async function loadLogo(logo) {
+  if (!logo) return null;
+
+  try {
+    const dataUrlMatch = logo.match(/^data:image\/(png|jpe?g);base64,(.+)$/);
+    if (dataUrlMatch) {
+      return Buffer.from(dataUrlMatch[2], 'base64');
+    }
+
+    if (/^https?:\/\//.test(logo)) {
+      const response = await fetch(logo, { signal: AbortSignal.timeout(5000) });
+      if (!response.ok) return null;
+
+      const contentType = response.headers.get('content-type') || '';
+      if (!/image\/(png|jpe?g)/.test(contentType)) return null;
+
+      return Buffer.from(await response.arrayBuffer());
+    }
+  } catch (error) {
+    console.error('[CERTIFICATE] Could not load logo:', error.message);
+  }
+
+  return null;
+}
+
+/**
+ * Render a certificate as a landscape A4 PDF using the site name and logo from Settings
+ * @param {object} certificate - Certificate record
+ * @returns {Promise<Buffer>}
+ */
+async function generateCertificatePdf(certificate) {
+  const settings = await prisma.settings.findUnique({
+    where: { id: 'default' },
+    select: { siteName: true, logo: true },
+  });
+  const siteName = settings?.siteName || 'LKnight';
+  const logo = await loadLogo(settings?.logo);
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      layout: 'landscape',
+      margin: 50,
+      info: {
+        Title: `Certificate of Completion - ${certificate.courseTitle}`,
+        Author: siteName,
+        Subject: certificate.serial,
+      },
+    });
+
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const { width, height } = doc.page;
+    const contentWidth = width - 100;
+
+    doc.lineWidth(3).strokeColor('#1f2937').rect(25, 25, width - 50, height - 50).stroke();
+    doc.lineWidth(1).rect(35, 35, width - 70, height - 70).stroke();
+
+    let y = 70;
+    if (logo) {
+      try {
+        doc.image(logo, (width - 120) / 2, y, { fit: [120, 60], align: 'center' });
+        y += 75;
+      } catch (error) {
+        // Unsupported image data; render without the logo
+      }
+    }
+
+    doc.fillColor('#1f2937').font('Helvetica-Bold').fontSize(20)
+      .text(siteName, 50, y, { width: contentWidth, align: 'center' });
+
+    doc.font('Helvetica').fontSize(36)
+      .text('Certificate of Completion', 50, y + 45, { width: contentWidth, align: 'center' });
+
+    doc.fontSize(14).fillColor('#4b5563')
+      .text('This certifies that', 50, y + 115, { width: contentWidth, align: 'center' });
+
+    doc.font('Helvetica-Bold').fontSize(30).fillColor('#111827')
+      .text(certificate.recipientName, 50, y + 145, { width: contentWidth, align: 'center' });
+
+    doc.font('Helvetica').fontSize(14).fillColor('#4b5563')
+      .text('has successfully completed the course', 50, y + 195, { width: contentWidth, align: 'center' });
+
+    doc.font('Helvetica-Bold').fontSize(22).fillColor('#111827')
+      .text(certificate.courseTitle, 50, y + 225, { width: contentWidth, align: 'center' });
+
+    const issuedOn = new Date(certificate.issuedAt).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+    });
+
+    doc.font('Helvetica').fontSize(12).fillColor('#4b5563')
+      .text(`Issued on ${issuedOn}`, 50, height - 120, { width: contentWidth, align: 'center' })
+      .text(`Certificate ID: ${certificate.serial}`, { width: contentWidth, align: 'center' })
+      .text(`Verify at ${getVerificationUrl(certificate.serial)}`, { width: contentWidth, align: 'center' });
+
+    doc.end();
+  });
+}
+
+module.exports = {
+  issueCertificate,
+  safeIssueCertificate,
+  revokeCertificate,
+  generateCertificatePdf,
+  getVerificationUrl,
+};
@@ -0,0 +1,79 @@
+const prisma = require('../config/db');
+const { putObject, parseBase64Content, releaseObjects } = require('./storage.service');
+
+// Tables whose base64 content column moves to object storage, by storage folder
+const TABLES = {
+  documents: { model: 'document', select: { id: true, content: true, fileType: true }, contentType: (row) => row.fileType },
+  modules: { model: 'module', select: { id: true, content: true, contentType: true }, contentType: (row) => row.contentType },
+  lessons: { model: 'lesson', select: { id: true, content: true, contentType: true }, contentType: (row) => row.contentType },
+};
+
+/**
+ * Move legacy base64 content columns into object storage, one batch of rows at a time.
+ *
+ * Safe to stop and re-run: only rows that still have content and no storageKey are picked up,
+ * each row gets a fixed key ({folder}/{id}/legacy) and is switched over with a conditional update,
+ * so a re-run or a row edited meanwhile never ends up pointing at the wrong object.
+ * Content that is not base64 is reported and left in the database (it is still served from there).
+ * @param {{dryRun?: boolean, batchSize?: number, only?: string[]}} [options]
+ * @returns {Promise<{dryRun: boolean, tables: Object<string, object>, skipped: object[]}>}
+ */
+async function migrateContentToStorage({ dryRun = true, batchSize = 50, only = Object.keys(TABLES) } = {}) {
+  const unknown = only.filter((table) => !TABLES[table]);
+  if (unknown.length > 0) throw new Error(`Unknown table(s): ${unknown.join(', ')}. Use ${Object.keys(TABLES).join(', ')}.`);
+
+  const report = { dryRun, tables: {}, skipped: [] };
+
+  for (const folder of only) {
+    const { model, select, contentType } = TABLES[folder];
+    const stats = { pending: 0, moved: 0, changedMeanwhile: 0, notBase64: 0, bytes: 0 };
+    report.tables[folder] = stats;
+
+    let cursor = null;
+    for (;;) {
+      const rows = await prisma[model].findMany({
+        where: { content: { not: null }, storageKey: null, ...(cursor && { id: { gt: cursor } }) },
+        orderBy: { id: 'asc' },
+        take: batchSize,
+        select,
+      });
+      if (rows.length === 0) break;
+      cursor = rows[rows.length - 1].id;
+
+      for (const row of rows) {
+        const parsed = parseBase64Content(row.content);
+        if (!parsed) {
+          stats.notBase64 += 1;
+          report.skipped.push({ table: folder, id: row.id, reason: 'Content is not base64' });
+          continue;
+        }
+
+        stats.pending += 1;
+        stats.bytes += parsed.bytes.length;
+        if (dryRun) continue;
+
+        const storageKey = `${folder}/${row.id}/legacy`;
+        await putObject(storageKey, parsed.bytes, contentType(row) || undefined);
+
+        const { count } = await prisma[model].updateMany({
+          where: { id: row.id, storageKey: null, content: { not: null } },
+          data: { storageKey, contentPrefix: parsed.prefix, content: null },
+        });
+
+        if (count > 0) {
+          stats.moved += 1;
+        } else {
+          // Replaced, cleared or deleted while we uploaded: drop the copy unless something uses it
+          stats.changedMeanwhile += 1;
+          await releaseObjects([storageKey]);
+        }
+      }
+    }
+  }
+
+  return report;
+}
+
+module.exports = {
+  migrateContentToStorage,
+};
@@ -0,0 +1,129 @@
+const prisma = require('../config/db');
+
+// Stored files are shared with the copy rather than duplicated (storage.service only deletes
+// an object once no row refers to it)
+const COURSE_FIELDS = ['summary', 'description', 'thumbnail', 'instructorName', 'price', 'level', 'unlockMode', 'categoryId'];
+const MODULE_FIELDS = ['title', 'summary', 'description', 'content', 'storageKey', 'contentPrefix', 'contentType', 'order', 'dripDays', 'isPublished'];
+const LESSON_FIELDS = ['title', 'description', 'videoUrl', 'content', 'storageKey', 'contentPrefix', 'contentType', 'duration', 'order', 'dripDays', 'isPreview'];
+const VIDEO_FIELDS = ['bunnyVideoId', 'bunnyLibraryId', 'videoStatus', 'thumbnailUrl'];
+const DOCUMENT_FIELDS = ['title', 'fileName', 'fileSize', 'fileType', 'content', 'storageKey', 'contentPrefix', 'order'];
+const QUIZ_FIELDS = ['title', 'description', 'passingScore', 'maxAttempts', 'isRequired', 'showCorrectAnswers', 'order'];
+const QUESTION_FIELDS = ['type', 'prompt', 'options', 'correctAnswers', 'explanation', 'points', 'order'];
+
+const pick = (source, fields) => Object.fromEntries(fields.map((field) => [field, source[field]]));
+
+const byOrder = { orderBy: { order: 'asc' } };
+const quizInclude = { ...byOrder, include: { questions: byOrder } };
+
+const copyDocuments = (documents) => ({ create: documents.map((doc) => pick(doc, DOCUMENT_FIELDS)) });
+
+const copyQuizzes = (quizzes) => ({
+  create: quizzes.map((quiz) => ({
+    ...pick(quiz, QUIZ_FIELDS),
+    questions: { create: quiz.questions.map((question) => pick(question, QUESTION_FIELDS)) },
+  })),
+});
+
+/**
+ * Deep-copy a course into a new DRAFT course: modules, lessons, documents and quizzes with their
+ * ordering. Learner data (enrollments, progress, attempts, certificates), co-instructors,
+ * revisions, reviews and publish schedules are not copied; hidden modules stay hidden.
+ * With reuseVideos the new lessons point at the same Bunny videos (nothing is re-uploaded);
+ * otherwise they start without a video.
+ * @param {string} sourceId
+ * @param {{title: string, slug: string, instructorId: string, isTemplate?: boolean, reuseVideos?: boolean}} options
+ * @returns {Promise<{course: object, counts: {modules: number, lessons: number, documents: number, quizzes: number, videos: number}}|null>}
+ *   null when the source course does not exist
+ */
+async function cloneCourse(sourceId, { title, slug, instructorId, isTemplate = false, reuseVideos = true }) {
+  const source = await prisma.course.findUnique({
+    where: { id: sourceId },
+    include: {
+      documents: byOrder,
+      modules: {
+        ...byOrder,
+        include: {
+          documents: byOrder,
+          quizzes: quizInclude,
+          lessons: {
+            ...byOrder,
+            include: { documents: byOrder, quizzes: quizInclude },
+          },
+        },
+      },
+    },
+  });
+
+  if (!source) return null;
+
+  const counts = { modules: source.modules.length, lessons: 0, documents: source.documents.length, quizzes: 0, videos: 0 };
+
+  const modules = source.modules.map((mod) => {
+    counts.documents += mod.documents.length;
+    counts.quizzes += mod.quizzes.length;
+
+    return {
+      ...pick(mod, MODULE_FIELDS),
+      documents: copyDocuments(mod.documents),
+      quizzes: copyQuizzes(mod.quizzes),
+      lessons: {
+        create: mod.lessons.map((lesson) => {
+          counts.lessons += 1;
+          counts.documents += lesson.documents.length;
+          counts.quizzes += lesson.quizzes.length;
+          if (reuseVideos && lesson.bunnyVideoId) counts.videos += 1;
+
+          return {
+            ...pick(lesson, LESSON_FIELDS),
+            ...(reuseVideos && pick(lesson, VIDEO_FIELDS)),
+            documents: copyDocuments(lesson.documents),
+            quizzes: copyQuizzes(lesson.quizzes),
+          };
+        }),
+      },
+    };
+  });
+
+  // One nested write, so a failure leaves no half-copied course behind
+  const course = await prisma.course.create({
+    data: {
+      ...pick(source, COURSE_FIELDS),
+      title,
+      slug,
+      instructorId,
+      isTemplate,
+      clonedFromId: source.id,
+      status: 'DRAFT',
+      documents: copyDocuments(source.documents),
+      modules: { create: modules },
+    },
+    include: {
+      category: {
+        select: { id: true, name: true, slug: true },
+      },
+      instructor: {
+        select: { id: true, firstName: true, lastName: true, avatar: true },
+      },
+    },
+  });
+
+  return { course, counts };
+}
+
+/**
+ * Whether a Bunny video is still used by a lesson other than the given one (clones share videos)
+ * @param {string} videoId
+ * @param {string} lessonId
+ * @returns {Promise<boolean>}
+ */
+async function isVideoShared(videoId, lessonId) {
+  const count = await prisma.lesson.count({
+    where: { bunnyVideoId: videoId, id: { not: lessonId } },
+  });
+  return count > 0;
+}
+
+module.exports = {
+  cloneCourse,
+  isVideoShared,
+};
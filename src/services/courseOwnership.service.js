@@ -0,0 +1,107 @@
+const prisma = require('../config/db');
+
+// Higher rank includes everything a lower one may do
+const COURSE_ROLE_RANK = { VIEWER: 1, EDITOR: 2, OWNER: 3 };
+
+/**
+ * Course ID of an authoring target, looked up through its parents.
+ * Returns null when the target does not exist.
+ * @param {'course'|'module'|'lesson'|'document'|'quiz'|'question'} entity
+ * @param {string} id
+ * @returns {Promise<string|null>}
+ */
+async function resolveCourseId(entity, id) {
+  switch (entity) {
+    case 'course': {
+      const course = await prisma.course.findUnique({ where: { id }, select: { id: true } });
+      return course?.id || null;
+    }
+    case 'module': {
+      const mod = await prisma.module.findUnique({ where: { id }, select: { courseId: true } });
+      return mod?.courseId || null;
+    }
+    case 'lesson': {
+      const lesson = await prisma.lesson.findUnique({
+        where: { id },
+        select: { module: { select: { courseId: true } } },
+      });
+      return lesson?.module.courseId || null;
+    }
+    case 'document': {
+      const document = await prisma.document.findUnique({
+        where: { id },
+        select: { courseId: true, moduleId: true, lessonId: true },
+      });
+      if (!document) return null;
+      if (document.courseId) return document.courseId;
+      if (document.moduleId) return resolveCourseId('module', document.moduleId);
+      if (document.lessonId) return resolveCourseId('lesson', document.lessonId);
+      return null;
+    }
+    case 'quiz': {
+      const quiz = await prisma.quiz.findUnique({ where: { id }, select: { moduleId: true, lessonId: true } });
+      if (!quiz) return null;
+      if (quiz.moduleId) return resolveCourseId('module', quiz.moduleId);
+      if (quiz.lessonId) return resolveCourseId('lesson', quiz.lessonId);
+      return null;
+    }
+    case 'question': {
+      const question = await prisma.quizQuestion.findUnique({ where: { id }, select: { quizId: true } });
+      return question ? resolveCourseId('quiz', question.quizId) : null;
+    }
+    default:
+      throw new Error(`Unknown course entity: ${entity}`);
+  }
+}
+
+/**
+ * A user's role on a course: OWNER (Course.instructorId), EDITOR or VIEWER (co-instructor), or null
+ * @param {string} courseId
+ * @param {string} userId
+ * @returns {Promise<'OWNER'|'EDITOR'|'VIEWER'|null>}
+ */
+async function getCourseRole(courseId, userId) {
+  const course = await prisma.course.findUnique({
+    where: { id: courseId },
+    select: {
+      instructorId: true,
+      coInstructors: { where: { userId }, select: { role: true } },
+    },
+  });
+
+  if (!course) return null;
+  if (course.instructorId === userId) return 'OWNER';
+  return course.coInstructors[0]?.role || null;
+}
+
+/**
+ * @param {string|null} role - From getCourseRole
+ * @param {'VIEWER'|'EDITOR'|'OWNER'} minRole
+ * @returns {boolean}
+ */
+function hasCourseRole(role, minRole) {
+  return Boolean(role) && COURSE_ROLE_RANK[role] >= COURSE_ROLE_RANK[minRole];
+}
+
+/**
+ * Prisma filter for the courses a user owns or co-instructs (optionally with at least minRole)
+ * @param {string} userId
+ * @param {'VIEWER'|'EDITOR'} [minRole]
+ * @returns {object}
+ */
+function instructorCoursesWhere(userId, minRole = 'VIEWER') {
+  const roles = Object.keys(COURSE_ROLE_RANK).filter(
+    (role) => role !== 'OWNER' && COURSE_ROLE_RANK[role] >= COURSE_ROLE_RANK[minRole]
+  );
+  return {
+    OR: [{ instructorId: userId }, { coInstructors: { some: { userId, role: { in: roles } } } }],
+  };
+}
+
+module.exports = {
+  COURSE_ROLE_RANK,
+  resolveCourseId,
+  getCourseRole,
+  hasCourseRole,
+  instructorCoursesWhere,
+};
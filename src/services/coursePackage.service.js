@@ -0,0 +1,576 @@
+const zlib = require('zlib');
+const AdmZip = require('adm-zip');
+const prisma = require('../config/db');
+const bunnyConfig = require('../config/bunny');
+const { instructorCoursesWhere } = require('./courseOwnership.service');
+const { newStorageKey, putObject, getObject, deleteObject, parseBase64Content } = require('./storage.service');
+
+// Portable course package: manifest.json describing the course tree, plus the decoded
+// document and legacy content files under assets/. Bunny videos are referenced, not included.
+const PACKAGE_FORMAT = 'lms-course-package';
+const PACKAGE_VERSION = 1;
+const MANIFEST_PATH = 'manifest.json';
+
+// Guards against zip bombs: the archive is read fully into memory
+const MAX_UNCOMPRESSED_BYTES = (parseInt(process.env.COURSE_PACKAGE_MAX_UNCOMPRESSED_MB) || 500) * 1024 * 1024;
+const MAX_ENTRIES = 5000;
+
+const LEVELS = ['BEGINNER', 'INTERMEDIATE', 'ADVANCED'];
+const UNLOCK_MODES = ['OPEN', 'SEQUENTIAL', 'DRIP'];
+const QUESTION_TYPES = ['MULTIPLE_CHOICE', 'MULTI_SELECT', 'TRUE_FALSE', 'SHORT_ANSWER'];
+
+const COURSE_FIELDS = ['title', 'slug', 'summary', 'description', 'thumbnail', 'instructorName', 'price', 'level', 'unlockMode', 'isTemplate'];
+const MODULE_FIELDS = ['title', 'summary', 'description', 'contentType', 'order', 'dripDays', 'isPublished'];
+const LESSON_FIELDS = ['title', 'description', 'videoUrl', 'contentType', 'duration', 'order', 'dripDays', 'isPreview'];
+const DOCUMENT_FIELDS = ['title', 'fileName', 'fileSize', 'fileType', 'order'];
+const QUIZ_FIELDS = ['title', 'description', 'passingScore', 'maxAttempts', 'isRequired', 'showCorrectAnswers', 'order'];
+const QUESTION_FIELDS = ['type', 'prompt', 'options', 'correctAnswers', 'explanation', 'points', 'order'];
+
+const pick = (source, fields) => Object.fromEntries(fields.map((field) => [field, source[field] ?? null]));
+
+// Assets hold the file bytes; the data-URL header clients sent is kept in the asset meta.
+// Legacy database content that is not base64 is exported as UTF-8 text.
+const readRowAsset = async (row) => {
+  if (row.storageKey) {
+    const bytes = await getObject(row.storageKey);
+    if (!bytes) {
+      console.warn(`[COURSE_PACKAGE] Object ${row.storageKey} is missing, left out of the package`);
+      return null;
+    }
+    return { bytes, meta: { encoding: 'base64', ...(row.contentPrefix && { prefix: row.contentPrefix }) } };
+  }
+  if (!row.content) return null;
+
+  const parsed = parseBase64Content(row.content);
+  if (!parsed) return { bytes: Buffer.from(row.content, 'utf8'), meta: { encoding: 'text' } };
+  return { bytes: parsed.bytes, meta: { encoding: 'base64', ...(parsed.prefix && { prefix: parsed.prefix }) } };
+};
+
+// Sequential map: assets are numbered in manifest order and only one is read or uploaded at a time
+const mapInOrder = async (items, fn) => {
+  const results = [];
+  for (const item of items) results.push(await fn(item));
+  return results;
+};
+
+/**
+ * Inflate one archive entry, stopping once it grows past limit. The sizes in zip headers are
+ * whatever the uploader wrote, so the limit is applied to the bytes actually produced.
+ * @param {object} entry - adm-zip entry
+ * @param {number} limit - Bytes the entry may take up
+ * @returns {{bytes: Buffer}|{error: string}}
+ */
+function inflateEntry(entry, limit) {
+  const tooLarge = { error: 'The package is too large once extracted' };
+  const corrupt = { error: `File ${entry.entryName} in the package is damaged` };
+  const { method, encrypted, crc } = entry.header;
+  if (encrypted) return { error: `File ${entry.entryName} in the package is encrypted` };
+
+  const compressed = entry.getCompressedData();
+  let bytes;
+  if (method === 0) {
+    bytes = compressed;
+  } else if (method === 8) {
+    try {
+      bytes = zlib.inflateRawSync(compressed, { maxOutputLength: Math.max(limit, 1) });
+    } catch (error) {
+      return error.code === 'ERR_BUFFER_TOO_LARGE' ? tooLarge : corrupt;
+    }
+  } else {
+    return { error: `File ${entry.entryName} in the package uses an unsupported compression method` };
+  }
+
+  if (bytes.length > limit) return tooLarge;
+  if (zlib.crc32(bytes) !== crc) return corrupt;
+  return { bytes };
+}
+
+const safeName = (name) => String(name || 'file').replace(/[^\w.-]+/g, '_').slice(0, 100);
+
+const byOrder = { orderBy: { order: 'asc' } };
+const quizInclude = { ...byOrder, include: { questions: byOrder } };
+
+/**
+ * Build the package for a course
+ * @param {string} courseId
+ * @returns {Promise<{buffer: Buffer, fileName: string, manifest: object}|null>} null when the course does not exist
+ */
+async function exportCoursePackage(courseId) {
+  const course = await prisma.course.findUnique({
+    where: { id: courseId },
+    include: {
+      category: { select: { name: true, slug: true } },
+      instructor: { select: { email: true, firstName: true, lastName: true } },
+      documents: byOrder,
+      modules: {
+        ...byOrder,
+        include: {
+          documents: byOrder,
+          quizzes: quizInclude,
+          lessons: {
+            ...byOrder,
+            include: { documents: byOrder, quizzes: quizInclude },
+          },
+        },
+      },
+    },
+  });
+
+  if (!course) return null;
+
+  const zip = new AdmZip();
+  let assetCount = 0;
+
+  const addAsset = async (folder, name, row) => {
+    const asset = await readRowAsset(row);
+    if (!asset) return null;
+    assetCount += 1;
+    const path = `assets/${folder}/${assetCount}-${safeName(name)}`;
+    zip.addFile(path, asset.bytes);
+    return { path, ...asset.meta };
+  };
+
+  const exportDocuments = (documents) =>
+    mapInOrder(documents, async (doc) => ({ ...pick(doc, DOCUMENT_FIELDS), file: await addAsset('documents', doc.fileName, doc) }));
+
+  const exportQuizzes = (quizzes) =>
+    quizzes.map((quiz) => ({
+      ...pick(quiz, QUIZ_FIELDS),
+      questions: quiz.questions.map((question) => pick(question, QUESTION_FIELDS)),
+    }));
+
+  const manifest = {
+    format: PACKAGE_FORMAT,
+    version: PACKAGE_VERSION,
+    exportedAt: new Date().toISOString(),
+    source: { courseId: course.id, status: course.status },
+    course: {
+      ...pick(course, COURSE_FIELDS),
+      category: course.category,
+      instructor: course.instructor,
+    },
+    documents: await exportDocuments(course.documents),
+    modules: await mapInOrder(course.modules, async (mod) => ({
+      ...pick(mod, MODULE_FIELDS),
+      content: await addAsset('content', `module-${mod.order}`, mod),
+      documents: await exportDocuments(mod.documents),
+      quizzes: exportQuizzes(mod.quizzes),
+      lessons: await mapInOrder(mod.lessons, async (lesson) => ({
+        ...pick(lesson, LESSON_FIELDS),
+        content: await addAsset('content', `lesson-${lesson.order}`, lesson),
+        video: lesson.bunnyVideoId
+          ? pick(lesson, ['bunnyVideoId', 'bunnyLibraryId', 'videoStatus', 'thumbnailUrl'])
+          : null,
+        documents: await exportDocuments(lesson.documents),
+        quizzes: exportQuizzes(lesson.quizzes),
+      })),
+    })),
+  };
+
+  zip.addFile(MANIFEST_PATH, Buffer.from(JSON.stringify(manifest, null, 2), 'utf8'));
+
+  return {
+    buffer: zip.toBuffer(),
+    fileName: `${course.slug}-${manifest.exportedAt.slice(0, 10)}.zip`,
+    manifest,
+  };
+}
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const optionalText = (value) => (typeof value === 'string' && value.trim() !== '' ? value.trim() : null);
+const optionalInt = (value) => (Number.isInteger(value) && value >= 0 ? value : null);
+
+/**
+ * Open an uploaded package and turn its manifest into Prisma create data.
+ * Assets are resolved from the archive here, so a broken package is refused before anything is written.
+ * @param {Buffer} buffer - Zip file
+ * @returns {{manifest: object, data: object, counts: object}|{error: string}}
+ *   data holds the course fields and the nested modules/documents create input (no slug, category or instructor yet);
+ *   rows with a file carry it as asset ({bytes, prefix} or legacy {text}) until importCoursePackage stores it
+ */
+function readCoursePackage(buffer) {
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+  } catch {
+    return { error: 'The file is not a valid zip archive' };
+  }
+
+  const entries = zip.getEntries();
+  if (entries.length > MAX_ENTRIES) return { error: `The package has more than ${MAX_ENTRIES} files` };
+
+  // Early refusal on the claimed sizes; readEntry enforces the limit on what is really extracted
+  const claimedSize = entries.reduce((sum, entry) => sum + entry.header.size, 0);
+  if (claimedSize > MAX_UNCOMPRESSED_BYTES) return { error: 'The package is too large once extracted' };
+
+  let remainingBytes = MAX_UNCOMPRESSED_BYTES;
+  const readEntry = (entry) => {
+    const result = inflateEntry(entry, remainingBytes);
+    if (result.bytes) remainingBytes -= result.bytes.length;
+    return result;
+  };
+
+  const entriesByName = new Map(entries.map((entry) => [entry.entryName, entry]));
+  const manifestEntry = entriesByName.get(MANIFEST_PATH);
+  if (!manifestEntry) return { error: `The package has no ${MANIFEST_PATH}` };
+
+  const manifestFile = readEntry(manifestEntry);
+  if (manifestFile.error) return { error: manifestFile.error };
+
+  let manifest;
+  try {
+    manifest = JSON.parse(manifestFile.bytes.toString('utf8'));
+  } catch {
+    return { error: `${MANIFEST_PATH} is not valid JSON` };
+  }
+
+  if (!isObject(manifest) || manifest.format !== PACKAGE_FORMAT) return { error: 'Not a course package' };
+  if (manifest.version !== PACKAGE_VERSION) return { error: `Unsupported package version ${manifest.version}` };
+  if (!isObject(manifest.course)) return { error: 'The manifest has no course' };
+
+  const counts = { modules: 0, lessons: 0, documents: 0, quizzes: 0, videos: 0 };
+
+  const readAsset = (ref, label) => {
+    if (ref === null || ref === undefined) return { asset: null };
+    const entry = isObject(ref) && entriesByName.get(ref.path);
+    if (!entry || entry.isDirectory) return { error: `${label}: file ${ref?.path} is missing from the package` };
+    const { bytes, error } = readEntry(entry);
+    if (error) return { error: `${label}: ${error}` };
+    return { asset: ref.encoding === 'text' ? { text: bytes.toString('utf8') } : { bytes, prefix: optionalText(ref.prefix) } };
+  };
+
+  const readDocuments = (documents, label) => {
+    if (documents === undefined) return { create: [] };
+    if (!Array.isArray(documents)) return { error: `${label}: documents must be an array` };
+
+    const create = [];
+    for (const [index, doc] of documents.entries()) {
+      const docLabel = `${label}, document ${index + 1}`;
+      if (!isObject(doc) || !optionalText(doc.title)) return { error: `${docLabel}: title is required` };
+      const { asset, error } = readAsset(doc.file, docLabel);
+      if (error) return { error };
+      if (!asset) return { error: `${docLabel}: file is required` };
+
+      create.push({
+        title: doc.title.trim(),
+        fileName: optionalText(doc.fileName) || safeName(doc.title),
+        fileSize: asset.bytes ? asset.bytes.length : optionalInt(doc.fileSize) || 0,
+        fileType: optionalText(doc.fileType) || 'application/octet-stream',
+        order: optionalInt(doc.order) ?? index,
+        asset,
+      });
+    }
+    counts.documents += create.length;
+    return { create };
+  };
+
+  const readQuizzes = (quizzes, label) => {
+    if (quizzes === undefined) return { create: [] };
+    if (!Array.isArray(quizzes)) return { error: `${label}: quizzes must be an array` };
+
+    const create = [];
+    for (const [index, quiz] of quizzes.entries()) {
+      const quizLabel = `${label}, quiz ${index + 1}`;
+      if (!isObject(quiz) || !optionalText(quiz.title)) return { error: `${quizLabel}: title is required` };
+      if (!Array.isArray(quiz.questions)) return { error: `${quizLabel}: questions must be an array` };
+
+      const questions = [];
+      for (const [questionIndex, question] of quiz.questions.entries()) {
+        const questionLabel = `${quizLabel}, question ${questionIndex + 1}`;
+        if (!isObject(question) || !optionalText(question.prompt)) return { error: `${questionLabel}: prompt is required` };
+        if (!QUESTION_TYPES.includes(question.type)) return { error: `${questionLabel}: invalid type` };
+
+        questions.push({
+          type: question.type,
+          prompt: question.prompt,
+          options: Array.isArray(question.options) ? question.options.map(String) : [],
+          correctAnswers: Array.isArray(question.correctAnswers) ? question.correctAnswers.map(String) : [],
+          explanation: optionalText(question.explanation),
+          points: optionalInt(question.points) ?? 1,
+          order: optionalInt(question.order) ?? questionIndex,
+        });
+      }
+
+      create.push({
+        title: quiz.title.trim(),
+        description: optionalText(quiz.description),
+        passingScore: Math.min(optionalInt(quiz.passingScore) ?? 70, 100),
+        maxAttempts: optionalInt(quiz.maxAttempts) || null,
+        isRequired: Boolean(quiz.isRequired),
+        showCorrectAnswers: quiz.showCorrectAnswers !== false,
+        order: optionalInt(quiz.order) ?? index,
+        questions: { create: questions },
+      });
+    }
+    counts.quizzes += create.length;
+    return { create };
+  };
+
+  const { course } = manifest;
+  if (!optionalText(course.title)) return { error: 'Course title is required' };
+
+  const level = String(course.level || 'BEGINNER').toUpperCase();
+  if (!LEVELS.includes(level)) return { error: 'Invalid level. Must be BEGINNER, INTERMEDIATE, or ADVANCED' };
+  const unlockMode = String(course.unlockMode || 'OPEN').toUpperCase();
+  if (!UNLOCK_MODES.includes(unlockMode)) return { error: 'Invalid unlock mode. Must be OPEN, SEQUENTIAL, or DRIP' };
+
+  const courseDocuments = readDocuments(manifest.documents, 'Course');
+  if (courseDocuments.error) return { error: courseDocuments.error };
+
+  if (manifest.modules !== undefined && !Array.isArray(manifest.modules)) return { error: 'Modules must be an array' };
+
+  const modules = [];
+  for (const [moduleIndex, mod] of (manifest.modules || []).entries()) {
+    const label = `Module ${moduleIndex + 1}`;
+    if (!isObject(mod) || !optionalText(mod.title)) return { error: `${label}: title is required` };
+    if (mod.lessons !== undefined && !Array.isArray(mod.lessons)) return { error: `${label}: lessons must be an array` };
+
+    const moduleContent = readAsset(mod.content, label);
+    if (moduleContent.error) return { error: moduleContent.error };
+    const moduleDocuments = readDocuments(mod.documents, label);
+    if (moduleDocuments.error) return { error: moduleDocuments.error };
+    const moduleQuizzes = readQuizzes(mod.quizzes, label);
+    if (moduleQuizzes.error) return { error: moduleQuizzes.error };
+
+    const lessons = [];
+    for (const [lessonIndex, lesson] of (mod.lessons || []).entries()) {
+      const lessonLabel = `${label}, lesson ${lessonIndex + 1}`;
+      if (!isObject(lesson) || !optionalText(lesson.title)) return { error: `${lessonLabel}: title is required` };
+
+      const lessonContent = readAsset(lesson.content, lessonLabel);
+      if (lessonContent.error) return { error: lessonContent.error };
+      const lessonDocuments = readDocuments(lesson.documents, lessonLabel);
+      if (lessonDocuments.error) return { error: lessonDocuments.error };
+      const lessonQuizzes = readQuizzes(lesson.quizzes, lessonLabel);
+      if (lessonQuizzes.error) return { error: lessonQuizzes.error };
+
+      const video = isObject(lesson.video) && optionalText(lesson.video.bunnyVideoId) ? lesson.video : null;
+      if (video) counts.videos += 1;
+
+      lessons.push({
+        title: lesson.title.trim(),
+        description: optionalText(lesson.description),
+        videoUrl: optionalText(lesson.videoUrl),
+        asset: lessonContent.asset,
+        contentType: optionalText(lesson.contentType),
+        duration: optionalInt(lesson.duration) || 0,
+        order: optionalInt(lesson.order) ?? lessonIndex,
+        dripDays: optionalInt(lesson.dripDays),
+        isPreview: Boolean(lesson.isPreview),
+        video,
+        documents: lessonDocuments,
+        quizzes: lessonQuizzes,
+      });
+    }
+    counts.lessons += lessons.length;
+
+    modules.push({
+      title: mod.title.trim(),
+      summary: optionalText(mod.summary),
+      description: optionalText(mod.description),
+      asset: moduleContent.asset,
+      contentType: optionalText(mod.contentType),
+      order: optionalInt(mod.order) ?? moduleIndex,
+      dripDays: optionalInt(mod.dripDays),
+      isPublished: mod.isPublished !== false,
+      documents: moduleDocuments,
+      quizzes: moduleQuizzes,
+      lessons,
+    });
+  }
+  counts.modules = modules.length;
+
+  return {
+    manifest,
+    counts,
+    data: {
+      title: course.title.trim(),
+      summary: optionalText(course.summary),
+      description: optionalText(course.description),
+      thumbnail: optionalText(course.thumbnail),
+      instructorName: optionalText(course.instructorName),
+      price: Math.max(parseFloat(course.price) || 0, 0),
+      level,
+      unlockMode,
+      isTemplate: course.isTemplate === true,
+      documents: courseDocuments,
+      modules,
+    },
+  };
+}
+
+/**
+ * Check a package's slug and category against this database.
+ * Conflicts are reported with how they were resolved; unresolved ones block the import.
+ * @param {object} manifest - From readCoursePackage
+ * @param {{slug?: string, categoryId?: string, onSlugConflict?: 'fail'|'rename', onMissingCategory?: 'fail'|'create'}} options
+ * @param {(title: string) => Promise<string>} generateUniqueSlug
+ * @returns {Promise<{slug: string|null, categoryId: string|null, createCategory: object|null, conflicts: object[]}>}
+ */
+async function resolveImportConflicts(manifest, options, generateUniqueSlug) {
+  const conflicts = [];
+  const { course } = manifest;
+
+  // Slug: an explicit one wins; otherwise keep the exported slug when it is free
+  const wantedSlug = optionalText(options.slug) || optionalText(course.slug);
+  let slug = null;
+
+  if (wantedSlug) {
+    const existing = await prisma.course.findUnique({ where: { slug: wantedSlug }, select: { id: true, title: true } });
+    if (!existing) {
+      slug = wantedSlug;
+    } else if (options.onSlugConflict === 'rename') {
+      slug = await generateUniqueSlug(wantedSlug);
+      conflicts.push({ type: 'slug', value: wantedSlug, existingCourse: existing, resolution: 'renamed', newSlug: slug });
+    } else {
+      conflicts.push({ type: 'slug', value: wantedSlug, existingCourse: existing, resolution: 'unresolved' });
+    }
+  } else {
+    slug = await generateUniqueSlug(course.title);
+  }
+
+  // Category: an explicit categoryId wins; otherwise match the exported one by slug, then by name
+  let categoryId = null;
+  let createCategory = null;
+  const exported = isObject(course.category) ? course.category : {};
+
+  if (options.categoryId) {
+    const category = await prisma.category.findUnique({ where: { id: options.categoryId }, select: { id: true } });
+    if (category) categoryId = category.id;
+    else conflicts.push({ type: 'category', value: { id: options.categoryId }, resolution: 'unresolved', reason: 'Category not found' });
+  } else {
+    const bySlug = exported.slug && await prisma.category.findUnique({ where: { slug: exported.slug }, select: { id: true } });
+    const byName = !bySlug && exported.name && await prisma.category.findFirst({
+      where: { name: { equals: exported.name, mode: 'insensitive' } },
+      select: { id: true, name: true, slug: true },
+    });
+
+    if (bySlug) {
+      categoryId = bySlug.id;
+    } else if (byName) {
+      categoryId = byName.id;
+      conflicts.push({ type: 'category', value: exported, resolution: 'matched-by-name', category: byName });
+    } else if (options.onMissingCategory === 'create' && optionalText(exported.name) && optionalText(exported.slug)) {
+      createCategory = { name: exported.name.trim(), slug: exported.slug.trim() };
+      conflicts.push({ type: 'category', value: exported, resolution: 'created' });
+    } else {
+      conflicts.push({ type: 'category', value: exported, resolution: 'unresolved', reason: 'No category with this slug or name' });
+    }
+  }
+
+  return { slug, categoryId, createCategory, conflicts };
+}
+
+/**
+ * Bunny videos of a read package that a user may link: the ones already on a lesson of a course
+ * they can edit, with that lesson's library. A manifest can name any video ID, so the rest are left out.
+ * @param {object} data - From readCoursePackage
+ * @param {string} userId
+ * @returns {Promise<Map<string, string|null>>} bunnyVideoId -> bunnyLibraryId
+ */
+async function editableVideos(data, userId) {
+  const videoIds = data.modules.flatMap((mod) => mod.lessons.map((lesson) => lesson.video?.bunnyVideoId).filter(Boolean));
+  if (videoIds.length === 0) return new Map();
+
+  const lessons = await prisma.lesson.findMany({
+    where: { bunnyVideoId: { in: videoIds }, module: { course: instructorCoursesWhere(userId, 'EDITOR') } },
+    select: { bunnyVideoId: true, bunnyLibraryId: true },
+  });
+  return new Map(lessons.map((lesson) => [lesson.bunnyVideoId, lesson.bunnyLibraryId]));
+}
+
+/**
+ * Create the course from a read package (always as a DRAFT), in one nested write.
+ * Package files are uploaded to object storage first and removed again if the write fails.
+ * Bunny video references are kept only for videos in this environment's library (or when reuseVideos is forced),
+ * and for non-admins only for videos they can already edit elsewhere.
+ * @param {object} data - From readCoursePackage
+ * @param {{slug: string, categoryId?: string, createCategory?: object, instructorId: string, reuseVideos?: boolean,
+ *   importedBy: {userId: string, isAdmin: boolean}}} target
+ * @returns {Promise<{course: object, videosLinked: number}>}
+ */
+async function importCoursePackage(data, { slug, categoryId, createCategory, instructorId, reuseVideos, importedBy }) {
+  let videosLinked = 0;
+  const storedKeys = [];
+  const allowedVideos = importedBy.isAdmin ? null : await editableVideos(data, importedBy.userId);
+
+  const storeAsset = async (folder, fileName, { asset, ...row }) => {
+    if (!asset) return row;
+    if (asset.text !== undefined) return { ...row, content: asset.text };
+
+    const storageKey = newStorageKey(folder, fileName);
+    await putObject(storageKey, asset.bytes, row.fileType || row.contentType || undefined);
+    storedKeys.push(storageKey);
+    return { ...row, content: null, storageKey, contentPrefix: asset.prefix };
+  };
+
+  const storeDocuments = async ({ create }) => ({
+    create: await mapInOrder(create, (doc) => storeAsset('documents', doc.fileName, doc)),
+  });
+
+  const toLesson = ({ video, ...lesson }) => {
+    const allowed = video && (!allowedVideos || allowedVideos.has(video.bunnyVideoId));
+    const libraryId = allowedVideos && allowed ? allowedVideos.get(video.bunnyVideoId) : video?.bunnyLibraryId;
+    const linkVideo = allowed && (reuseVideos ?? String(libraryId) === String(bunnyConfig.libraryId));
+    if (linkVideo) videosLinked += 1;
+
+    return {
+      ...lesson,
+      ...(linkVideo && {
+        bunnyVideoId: video.bunnyVideoId,
+        bunnyLibraryId: optionalText(String(libraryId ?? '')),
+        videoStatus: optionalText(video.videoStatus) || 'uploaded',
+        thumbnailUrl: optionalText(video.thumbnailUrl),
+      }),
+    };
+  };
+
+  try {
+    const documents = await storeDocuments(data.documents);
+    const modules = await mapInOrder(data.modules, async ({ lessons, documents: moduleDocuments, ...mod }) => ({
+      ...(await storeAsset('modules', 'content', mod)),
+      documents: await storeDocuments(moduleDocuments),
+      lessons: {
+        create: await mapInOrder(lessons, async ({ documents: lessonDocuments, ...lesson }) => toLesson({
+          ...(await storeAsset('lessons', 'content', lesson)),
+          documents: await storeDocuments(lessonDocuments),
+        })),
+      },
+    }));
+
+    const course = await prisma.course.create({
+      data: {
+        ...data,
+        slug,
+        status: 'DRAFT',
+        instructor: { connect: { id: instructorId } },
+        category: createCategory ? { create: createCategory } : { connect: { id: categoryId } },
+        documents,
+        modules: { create: modules },
+      },
+      include: {
+        category: {
+          select: { id: true, name: true, slug: true },
+        },
+        instructor: {
+          select: { id: true, firstName: true, lastName: true, avatar: true },
+        },
+      },
+    });
+
+    return { course, videosLinked };
+  } catch (error) {
+    // Nothing refers to the new objects yet
+    await Promise.all(storedKeys.map((key) => deleteObject(key).catch(() => {})));
+    throw error;
+  }
+}
+
+module.exports = {
+  PACKAGE_FORMAT,
+  PACKAGE_VERSION,
+  exportCoursePackage,
+  readCoursePackage,
+  resolveImportConflicts,
+  importCoursePackage,
+};
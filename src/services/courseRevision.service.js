@@ -0,0 +1,379 @@
+const prisma = require('../config/db');
+const { storageKeysFor, releaseObjects, parseBase64Content, storeBytes } = require('./storage.service');
+
+// What a revision can stage. Module/lesson content is staged too (see stageContent).
+// Documents, quizzes and lesson videos are not part of it: their endpoints refuse changes to a
+// published course (requireDraftCourse), so they stay as reviewed.
+const COURSE_FIELDS = ['title', 'summary', 'description', 'thumbnail', 'instructorName', 'categoryId', 'level', 'price', 'unlockMode'];
+const MODULE_FIELDS = ['title', 'summary', 'description', 'contentType', 'dripDays'];
+const LESSON_FIELDS = ['title', 'description', 'videoUrl', 'contentType', 'duration', 'dripDays', 'isPreview'];
+
+// A course has at most one of these at a time
+const OPEN_REVISION_STATUSES = ['DRAFT', 'IN_REVIEW'];
+
+const LEVELS = ['BEGINNER', 'INTERMEDIATE', 'ADVANCED'];
+const UNLOCK_MODES = ['OPEN', 'SEQUENTIAL', 'DRIP'];
+
+const pick = (source, fields) => Object.fromEntries(fields.map((field) => [field, source[field] ?? null]));
+
+/**
+ * Current live content of a course in revision-snapshot form.
+ * Modules and lessons are listed in display order; their position is their order.
+ * @param {string} courseId
+ * @returns {Promise<{course: object, modules: object[]}|null>}
+ */
+async function buildSnapshot(courseId) {
+  const course = await prisma.course.findUnique({
+    where: { id: courseId },
+    include: {
+      modules: {
+        orderBy: { order: 'asc' },
+        include: { lessons: { orderBy: { order: 'asc' } } },
+      },
+    },
+  });
+
+  if (!course) return null;
+
+  return {
+    course: pick(course, COURSE_FIELDS),
+    modules: course.modules.map((mod) => ({
+      id: mod.id,
+      ...pick(mod, MODULE_FIELDS),
+      lessons: mod.lessons.map((lesson) => ({ id: lesson.id, ...pick(lesson, LESSON_FIELDS) })),
+    })),
+  };
+}
+
+/**
+ * Storage keys of the content a snapshot stages (not referenced by any live row until published)
+ * @param {object} snapshot
+ * @returns {string[]}
+ */
+function stagedContentKeys(snapshot) {
+  return (snapshot?.modules || [])
+    .flatMap((mod) => [mod, ...(mod.lessons || [])])
+    .map((entry) => entry.stagedContent?.storageKey)
+    .filter(Boolean);
+}
+
+/**
+ * Read the content change a snapshot entry asks for. Content is kept out of the snapshot: new content
+ * is parsed here and put in storage once the whole snapshot is valid, and the entry keeps a
+ * stagedContent reference ({storageKey: null} clears it). Entries without one leave live content alone.
+ *   content: base64 string -> stage it; null or '' -> clear on publish
+ *   stagedContent: as returned by an earlier save -> keep it (only keys the revision staged are accepted)
+ * @param {object} entry - Module or lesson from the client
+ * @param {Map<string, string|null>} stagedPrefixes - storageKey -> contentPrefix staged in the base snapshot
+ * @returns {{stagedContent?: object, upload?: object}|{error: string}}
+ */
+function stageContent(entry, stagedPrefixes) {
+  if (entry.content !== undefined) {
+    if (entry.content === null || entry.content === '') return { stagedContent: { storageKey: null, contentPrefix: null } };
+    const upload = parseBase64Content(entry.content);
+    if (!upload) return { error: 'content must be base64 encoded (a data URL is fine)' };
+    return { upload };
+  }
+
+  const staged = entry.stagedContent;
+  if (staged === undefined || staged === null) return {};
+  if (typeof staged !== 'object') return { error: 'stagedContent must be sent back as returned' };
+  if (staged.storageKey === null) return { stagedContent: { storageKey: null, contentPrefix: null } };
+  if (!stagedPrefixes.has(staged.storageKey)) return { error: 'stagedContent must be sent back as returned' };
+  return { stagedContent: { storageKey: staged.storageKey, contentPrefix: stagedPrefixes.get(staged.storageKey) } };
+}
+
+const optionalText = (value) => (typeof value === 'string' && value.trim() !== '' ? value.trim() : null);
+
+const optionalDays = (value) => {
+  if (value === null || value === undefined || value === '') return { value: null };
+  const days = Number(value);
+  return Number.isInteger(days) && days >= 0 ? { value: days } : { error: true };
+};
+
+/**
+ * Validate and clean a snapshot sent by the client. Parts left out keep their value in base
+ * (course is merged field by field; modules, when given, replace the whole outline).
+ * Existing module/lesson IDs must belong to the course; entries without an ID are created on publish.
+ * @param {string} courseId
+ * @param {object} input - { course?, modules? }
+ * @param {object} base - Snapshot being edited
+ * @returns {Promise<{snapshot: object}|{error: string}>}
+ */
+async function validateSnapshot(courseId, input, base) {
+  if (!input || typeof input !== 'object') return { error: 'Snapshot must be an object with course and/or modules' };
+
+  const course = { ...base.course };
+  for (const field of COURSE_FIELDS) {
+    if (input.course?.[field] !== undefined) course[field] = input.course[field];
+  }
+
+  course.title = optionalText(course.title);
+  if (!course.title) return { error: 'Course title is required' };
+  for (const field of ['summary', 'description', 'thumbnail', 'instructorName']) course[field] = optionalText(course[field]);
+
+  course.level = String(course.level || '').toUpperCase();
+  if (!LEVELS.includes(course.level)) return { error: 'Invalid level. Must be BEGINNER, INTERMEDIATE, or ADVANCED' };
+
+  course.unlockMode = String(course.unlockMode || '').toUpperCase();
+  if (!UNLOCK_MODES.includes(course.unlockMode)) return { error: 'Invalid unlock mode. Must be OPEN, SEQUENTIAL, or DRIP' };
+
+  course.price = parseFloat(course.price) || 0;
+  if (course.price < 0) return { error: 'Price cannot be negative' };
+
+  const category = await prisma.category.findUnique({ where: { id: String(course.categoryId || '') } });
+  if (!category) return { error: 'Category not found' };
+
+  const inputModules = input.modules === undefined ? base.modules : input.modules;
+  if (!Array.isArray(inputModules)) return { error: 'Modules must be an array' };
+
+  const moduleIds = new Set();
+  const lessonIds = new Set();
+  const modules = [];
+  const uploads = [];
+
+  const stagedPrefixes = new Map(
+    (base.modules || [])
+      .flatMap((mod) => [mod, ...(mod.lessons || [])])
+      .filter((entry) => entry.stagedContent?.storageKey)
+      .map((entry) => [entry.stagedContent.storageKey, entry.stagedContent.contentPrefix ?? null])
+  );
+
+  for (const [moduleIndex, mod] of inputModules.entries()) {
+    const label = `Module ${moduleIndex + 1}`;
+    if (!mod || typeof mod !== 'object') return { error: `${label} must be an object` };
+
+    const title = optionalText(mod.title);
+    if (!title) return { error: `${label}: title is required` };
+
+    const dripDays = optionalDays(mod.dripDays);
+    if (dripDays.error) return { error: `${label}: dripDays must be a whole number of days` };
+
+    if (mod.lessons !== undefined && !Array.isArray(mod.lessons)) return { error: `${label}: lessons must be an array` };
+
+    if (mod.id) {
+      if (typeof mod.id !== 'string') return { error: `${label}: id must be a string` };
+      if (moduleIds.has(mod.id)) return { error: `${label}: module ${mod.id} is listed twice` };
+      moduleIds.add(mod.id);
+    }
+
+    const lessons = [];
+    for (const [lessonIndex, lesson] of (mod.lessons || []).entries()) {
+      const lessonLabel = `${label}, lesson ${lessonIndex + 1}`;
+      if (!lesson || typeof lesson !== 'object') return { error: `${lessonLabel} must be an object` };
+
+      const lessonTitle = optionalText(lesson.title);
+      if (!lessonTitle) return { error: `${lessonLabel}: title is required` };
+
+      const lessonDrip = optionalDays(lesson.dripDays);
+      if (lessonDrip.error) return { error: `${lessonLabel}: dripDays must be a whole number of days` };
+
+      if (lesson.id) {
+        if (typeof lesson.id !== 'string') return { error: `${lessonLabel}: id must be a string` };
+        if (lessonIds.has(lesson.id)) return { error: `${lessonLabel}: lesson ${lesson.id} is listed twice` };
+        lessonIds.add(lesson.id);
+      }
+
+      const lessonContent = stageContent(lesson, stagedPrefixes);
+      if (lessonContent.error) return { error: `${lessonLabel}: ${lessonContent.error}` };
+
+      const stagedLesson = {
+        id: lesson.id || null,
+        title: lessonTitle,
+        description: optionalText(lesson.description),
+        videoUrl: optionalText(lesson.videoUrl),
+        contentType: optionalText(lesson.contentType),
+        duration: Math.max(parseInt(lesson.duration) || 0, 0),
+        dripDays: lessonDrip.value,
+        isPreview: Boolean(lesson.isPreview),
+        ...(lessonContent.stagedContent && { stagedContent: lessonContent.stagedContent }),
+      };
+      if (lessonContent.upload) uploads.push({ entry: stagedLesson, folder: 'lessons', ...lessonContent.upload });
+      lessons.push(stagedLesson);
+    }
+
+    const moduleContent = stageContent(mod, stagedPrefixes);
+    if (moduleContent.error) return { error: `${label}: ${moduleContent.error}` };
+
+    const stagedModule = {
+      id: mod.id || null,
+      title,
+      summary: optionalText(mod.summary),
+      description: optionalText(mod.description),
+      contentType: optionalText(mod.contentType),
+      dripDays: dripDays.value,
+      ...(moduleContent.stagedContent && { stagedContent: moduleContent.stagedContent }),
+      lessons,
+    };
+    if (moduleContent.upload) uploads.push({ entry: stagedModule, folder: 'modules', ...moduleContent.upload });
+    modules.push(stagedModule);
+  }
+
+  const [ownModules, ownLessons] = await Promise.all([
+    prisma.module.count({ where: { id: { in: [...moduleIds] }, courseId } }),
+    prisma.lesson.count({ where: { id: { in: [...lessonIds] }, module: { courseId } } }),
+  ]);
+
+  if (ownModules !== moduleIds.size || ownLessons !== lessonIds.size) {
+    return { error: 'Snapshot references modules or lessons that are not part of this course' };
+  }
+
+  // Only valid snapshots put content in storage
+  for (const { entry, folder, bytes, prefix } of uploads) {
+    const stored = await storeBytes(folder, bytes, { contentType: entry.contentType, prefix });
+    entry.stagedContent = { storageKey: stored.storageKey, contentPrefix: stored.contentPrefix };
+  }
+
+  return { snapshot: { course, modules } };
+}
+
+/**
+ * What publishing staged would change compared with live (for reviewers)
+ * @param {object} live - From buildSnapshot
+ * @param {object} staged - Revision snapshot
+ * @returns {{courseFields: string[], modules: object, lessons: object}}
+ */
+function diffSnapshot(live, staged) {
+  const courseFields = COURSE_FIELDS.filter((field) => live.course[field] !== staged.course[field]);
+
+  // Items carry their position as order (and lessons their module), so a move counts as an update
+  const diffList = (liveItems, stagedItems, fields) => {
+    const liveById = new Map(liveItems.map((item) => [item.id, item]));
+    const result = { added: 0, updated: 0, removed: 0 };
+
+    stagedItems.forEach((item) => {
+      const current = item.id && liveById.get(item.id);
+      if (!current) {
+        result.added += 1;
+        return;
+      }
+      if (
+        current.order !== item.order
+        || current.moduleId !== item.moduleId
+        || item.stagedContent
+        || fields.some((field) => current[field] !== item[field])
+      ) {
+        result.updated += 1;
+      }
+      liveById.delete(item.id);
+    });
+
+    result.removed = liveById.size;
+    return result;
+  };
+
+  const withOrder = (snapshot) => snapshot.modules.map((mod, order) => ({ ...mod, order }));
+  const flattenLessons = (snapshot) =>
+    snapshot.modules.flatMap((mod, moduleIndex) =>
+      mod.lessons.map((lesson, order) => ({ ...lesson, order, moduleId: mod.id || `new-${moduleIndex}` }))
+    );
+
+  return {
+    courseFields,
+    modules: diffList(withOrder(live), withOrder(staged), MODULE_FIELDS),
+    lessons: diffList(flattenLessons(live), flattenLessons(staged), LESSON_FIELDS),
+  };
+}
+
+/**
+ * Publish a revision: apply its snapshot to the live course in one transaction.
+ * Modules and lessons keep their IDs, so learner progress, documents, quizzes and videos
+ * stay attached; only what the revision removed, and content it replaced, is deleted. The slug is left as is so
+ * links to a published course keep working.
+ * Throws an error with code REVISION_STALE when live modules/lessons it keeps were deleted meanwhile.
+ * @param {object} revision - CourseRevision row
+ * @returns {Promise<object>} The diff that was applied
+ */
+async function applyRevision(revision) {
+  const { course, modules } = revision.snapshot;
+  const live = await buildSnapshot(revision.courseId);
+  const diff = diffSnapshot(live, revision.snapshot);
+
+  const keptModules = new Set(modules.map((mod) => mod.id).filter(Boolean));
+  const keptLessons = new Set(modules.flatMap((mod) => mod.lessons.map((lesson) => lesson.id)).filter(Boolean));
+
+  let removedKeys = [];
+
+  await prisma.$transaction(async (tx) => {
+    // The outline may have changed since the revision was saved
+    const [ownModules, ownLessons] = await Promise.all([
+      tx.module.count({ where: { id: { in: [...keptModules] }, courseId: revision.courseId } }),
+      tx.lesson.count({ where: { id: { in: [...keptLessons] }, module: { courseId: revision.courseId } } }),
+    ]);
+    if (ownModules !== keptModules.size || ownLessons !== keptLessons.size) {
+      const error = new Error('The revision references modules or lessons that no longer exist. Reject it so it can be saved again.');
+      error.code = 'REVISION_STALE';
+      throw error;
+    }
+
+    await tx.course.update({ where: { id: revision.courseId }, data: course });
+
+    const moduleIds = [];
+    const lessonIds = [];
+
+    // Content the revision replaces; released once nothing refers to it
+    const stagedContentOf = (entry) =>
+      (entry.stagedContent ? { content: null, ...pick(entry.stagedContent, ['storageKey', 'contentPrefix']) } : {});
+    const replaced = await Promise.all([
+      tx.module.findMany({
+        where: { id: { in: modules.filter((mod) => mod.id && mod.stagedContent).map((mod) => mod.id) } },
+        select: { storageKey: true },
+      }),
+      tx.lesson.findMany({
+        where: {
+          id: { in: modules.flatMap((mod) => mod.lessons).filter((lesson) => lesson.id && lesson.stagedContent).map((lesson) => lesson.id) },
+        },
+        select: { storageKey: true },
+      }),
+    ]);
+
+    for (const [order, mod] of modules.entries()) {
+      const data = { ...pick(mod, MODULE_FIELDS), ...stagedContentOf(mod), order };
+      const { id: moduleId } = mod.id
+        ? await tx.module.update({ where: { id: mod.id }, data, select: { id: true } })
+        : await tx.module.create({ data: { ...data, courseId: revision.courseId }, select: { id: true } });
+      moduleIds.push(moduleId);
+
+      for (const [lessonOrder, lesson] of mod.lessons.entries()) {
+        const lessonData = { ...pick(lesson, LESSON_FIELDS), ...stagedContentOf(lesson), order: lessonOrder, moduleId };
+        const { id: lessonId } = lesson.id
+          ? await tx.lesson.update({ where: { id: lesson.id }, data: lessonData, select: { id: true } })
+          : await tx.lesson.create({ data: lessonData, select: { id: true } });
+        lessonIds.push(lessonId);
+      }
+    }
+
+    // Whatever the revision no longer lists is removed (kept lessons were moved out of removed modules above)
+    removedKeys = [
+      ...replaced.flat().map((row) => row.storageKey),
+      ...await storageKeysFor({
+        modules: { courseId: revision.courseId, id: { notIn: moduleIds } },
+        lessons: { module: { courseId: revision.courseId }, id: { notIn: lessonIds } },
+      }, tx),
+    ];
+    await tx.lesson.deleteMany({
+      where: { module: { courseId: revision.courseId }, id: { notIn: lessonIds } },
+    });
+    await tx.module.deleteMany({
+      where: { courseId: revision.courseId, id: { notIn: moduleIds } },
+    });
+
+    await tx.courseRevision.update({
+      where: { id: revision.id },
+      data: { status: 'PUBLISHED', publishedAt: new Date() },
+    });
+  }, { timeout: 30000 });
+
+  await releaseObjects(removedKeys);
+
+  return diff;
+}
+
+module.exports = {
+  OPEN_REVISION_STATUSES,
+  buildSnapshot,
+  stagedContentKeys,
+  validateSnapshot,
+  diffSnapshot,
+  applyRevision,
+};
@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+
+// Signed download links: /api/documents/:id/download?uid=&expires=&sig=
+// sig = HMAC-SHA256(documentId, userId, expires). The link acts for that user only and access
+// is checked again on download, so losing course access also ends the link.
+const DEFAULT_TTL = parseInt(process.env.DOCUMENT_LINK_TTL) || 900; // 15 minutes
+const MAX_TTL = parseInt(process.env.DOCUMENT_LINK_MAX_TTL) || 86400; // 24 hours
+const MIN_TTL = 60;
+
+function linkSecret() {
+  const secret = process.env.DOCUMENT_LINK_SECRET || process.env.JWT_SECRET;
+  if (!secret) throw new Error('DOCUMENT_LINK_SECRET (or JWT_SECRET) must be set to sign download links');
+  return secret;
+}
+
+const sign = (documentId, userId, expires) =>
+  crypto
+    .createHmac('sha256', linkSecret())
+    .update(`document-download:${documentId}:${userId}:${expires}`)
+    .digest('base64url');
+
+/**
+ * Issue a download link for a document, bound to a user
+ * @param {string} documentId
+ * @param {string} userId
+ * @param {number|string} [expiresIn] - Seconds, clamped to 60..DOCUMENT_LINK_MAX_TTL
+ * @returns {{path: string, expiresAt: Date}} path is relative to the API origin
+ */
+function signDocumentLink(documentId, userId, expiresIn) {
+  const ttl = Math.min(Math.max(parseInt(expiresIn) || DEFAULT_TTL, MIN_TTL), MAX_TTL);
+  const expires = Math.floor(Date.now() / 1000) + ttl;
+  const query = new URLSearchParams({ uid: userId, expires: String(expires), sig: sign(documentId, userId, expires) });
+
+  return {
+    path: `/api/documents/${documentId}/download?${query}`,
+    expiresAt: new Date(expires * 1000),
+  };
+}
+
+/**
+ * Check a link's query parameters
+ * @param {string} documentId
+ * @param {{uid?: string, expires?: string, sig?: string}} query
+ * @returns {{userId: string}|{error: string, code: 'LINK_INVALID'|'LINK_EXPIRED'}}
+ */
+function verifyDocumentLink(documentId, { uid, expires, sig }) {
+  const invalid = { error: 'Invalid download link', code: 'LINK_INVALID' };
+  if (typeof uid !== 'string' || typeof sig !== 'string' || typeof expires !== 'string' || !/^\d+$/.test(expires)) {
+    return invalid;
+  }
+
+  const expected = Buffer.from(sign(documentId, uid, expires));
+  const given = Buffer.from(sig);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return invalid;
+
+  if (Number(expires) * 1000 <= Date.now()) {
+    return { error: 'This download link has expired. Request a new one.', code: 'LINK_EXPIRED' };
+  }
+
+  return { userId: uid };
+}
+
+module.exports = {
+  signDocumentLink,
+  verifyDocumentLink,
+};
@@ -0,0 +1,203 @@
+const prisma = require('../config/db');
+const { parseBase64Content, storeBytes } = require('./storage.service');
+
+const FILE_FIELDS = ['fileName', 'fileSize', 'fileType', 'storageKey', 'contentPrefix'];
+
+const pick = (source, fields) => Object.fromEntries(fields.map((field) => [field, source[field] ?? null]));
+
+const uploaderSelect = { select: { id: true, firstName: true, lastName: true } };
+
+/**
+ * Give the document's current file a history row before it is replaced. Documents uploaded
+ * before versioning, cloned or imported have none yet; legacy database content is put in storage for it.
+ * @param {object} document - Full Document row
+ */
+async function snapshotCurrentVersion(document) {
+  const existing = await prisma.documentVersion.findUnique({
+    where: { documentId_version: { documentId: document.id, version: document.version } },
+    select: { id: true },
+  });
+  if (existing) return;
+
+  const file = pick(document, FILE_FIELDS);
+  if (!file.storageKey && document.content) {
+    const parsed = parseBase64Content(document.content);
+    if (parsed) {
+      const stored = await storeBytes('documents', parsed.bytes, {
+        fileName: document.fileName,
+        contentType: document.fileType,
+        prefix: parsed.prefix,
+      });
+      Object.assign(file, { storageKey: stored.storageKey, contentPrefix: stored.contentPrefix });
+    }
+  }
+
+  try {
+    await prisma.documentVersion.create({
+      data: {
+        ...file,
+        documentId: document.id,
+        version: document.version,
+        uploadedById: document.uploadedById,
+        createdAt: document.fileUpdatedAt,
+      },
+    });
+  } catch (error) {
+    // Written by a concurrent replace
+    if (error.code !== 'P2002') throw error;
+  }
+}
+
+/**
+ * Point a document at a new file and record it as the next version
+ * @param {object} document - Full Document row
+ * @param {{fileName: string, fileSize: number, fileType: string, storageKey: string, contentPrefix: string|null}} file
+ * @param {{uploadedById: string, restoredFrom?: number, data?: object, select?: object}} options
+ *   data: other Document fields to update at the same time; select: what to return
+ * @returns {Promise<object>} Updated document
+ */
+async function addVersion(document, file, { uploadedById, restoredFrom = null, data = {}, select }) {
+  await snapshotCurrentVersion(document);
+
+  return prisma.$transaction(async (tx) => {
+    // The row lock taken here orders concurrent replaces, so version numbers never collide
+    const updated = await tx.document.update({
+      where: { id: document.id },
+      data: {
+        ...data,
+        ...file,
+        content: null,
+        version: { increment: 1 },
+        fileUpdatedAt: new Date(),
+        uploadedById,
+      },
+      select: { ...select, version: true },
+    });
+
+    await tx.documentVersion.create({
+      data: {
+        ...pick(file, FILE_FIELDS),
+        documentId: document.id,
+        version: updated.version,
+        restoredFrom,
+        uploadedById,
+      },
+    });
+
+    return updated;
+  });
+}
+
+/**
+ * Make an earlier version current again. History is kept: the restore is added as a new version
+ * that shares the old file.
+ * @param {object} document - Full Document row
+ * @param {number} version
+ * @param {{uploadedById: string, select?: object}} options
+ * @returns {Promise<{document: object}|{error: string, status: number}>}
+ */
+async function restoreVersion(document, version, { uploadedById, select }) {
+  const target = await prisma.documentVersion.findUnique({
+    where: { documentId_version: { documentId: document.id, version } },
+  });
+
+  if (!target) return { error: 'Version not found', status: 404 };
+  if (target.version === document.version) return { error: 'This version is already the current one', status: 400 };
+  if (!target.storageKey) return { error: 'The file of this version was not kept and cannot be restored', status: 409 };
+
+  const updated = await addVersion(document, pick(target, FILE_FIELDS), {
+    uploadedById,
+    restoredFrom: target.version,
+    select,
+  });
+  return { document: updated };
+}
+
+/**
+ * File history of a document, newest first. The current file is listed even before it has a history row.
+ * @param {object} document - Document row with version, fileUpdatedAt and uploadedById
+ * @returns {Promise<object[]>}
+ */
+async function listVersions(document) {
+  const versions = await prisma.documentVersion.findMany({
+    where: { documentId: document.id },
+    orderBy: { version: 'desc' },
+    select: {
+      version: true,
+      fileName: true,
+      fileSize: true,
+      fileType: true,
+      storageKey: true,
+      restoredFrom: true,
+      createdAt: true,
+      uploadedBy: uploaderSelect,
+    },
+  });
+
+  if (!versions.some((row) => row.version === document.version)) {
+    const uploadedBy = document.uploadedById
+      ? await prisma.user.findUnique({ where: { id: document.uploadedById }, ...uploaderSelect })
+      : null;
+    versions.unshift({
+      ...pick(document, ['version', 'fileName', 'fileSize', 'fileType', 'storageKey']),
+      restoredFrom: null,
+      createdAt: document.fileUpdatedAt,
+      uploadedBy,
+    });
+  }
+
+  return versions.map(({ storageKey, ...row }) => ({
+    ...row,
+    isCurrent: row.version === document.version,
+    restorable: Boolean(storageKey) && row.version !== document.version,
+  }));
+}
+
+/**
+ * Remember which version a user downloaded
+ * @param {string} documentId
+ * @param {string} userId
+ * @param {number} version
+ */
+async function recordDownload(documentId, userId, version) {
+  await prisma.documentDownload.upsert({
+    where: { userId_documentId: { userId, documentId } },
+    create: { userId, documentId, version },
+    update: { version, downloadedAt: new Date() },
+  });
+}
+
+/**
+ * Add the viewer's download state to listed documents: lastDownloadedVersion, lastDownloadedAt and
+ * updatedSinceDownload (a newer version came out after they downloaded it; show "updated on fileUpdatedAt").
+ * @param {object[]} documents - With id and version
+ * @param {string} [userId]
+ * @returns {Promise<object[]>}
+ */
+async function withUpdateMarkers(documents, userId) {
+  if (!userId || documents.length === 0) return documents;
+
+  const downloads = await prisma.documentDownload.findMany({
+    where: { userId, documentId: { in: documents.map((doc) => doc.id) } },
+    select: { documentId: true, version: true, downloadedAt: true },
+  });
+  const byDocument = new Map(downloads.map((download) => [download.documentId, download]));
+
+  return documents.map((doc) => {
+    const download = byDocument.get(doc.id);
+    return {
+      ...doc,
+      lastDownloadedVersion: download?.version ?? null,
+      lastDownloadedAt: download?.downloadedAt ?? null,
+      updatedSinceDownload: Boolean(download && doc.version > download.version),
+    };
+  });
+}
+
+module.exports = {
+  addVersion,
+  restoreVersion,
+  listVersions,
+  recordDownload,
+  withUpdateMarkers,
+};
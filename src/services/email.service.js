@@ -104,7 +104,195 @@ async function sendTeamInvitationEmail({ to, inviterName, acceptUrl, isExistingU
   return sendEmail(to, subject, html);
 }
 
+/**
+ * Send the email address verification link (after signup, on email change, or on resend).
+ * @param {object} opts
+ * @param {string} opts.to - Address to verify
+ * @param {string} opts.firstName - Greeting name
+ * @param {string} opts.verifyUrl - Full URL of the frontend verify-email page (token in the query)
+ * @param {number} opts.expiresInHours - Link lifetime shown in the email
+ */
+async function sendVerificationEmail({ to, firstName, verifyUrl, expiresInHours }) {
+  const subject = 'Verify your email for LKnight LMS';
+
+  const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${subject}</title>
+</head>
+<body style="margin:0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; background-color: #f5f5f5; padding: 24px;">
+  <div style="max-width: 520px; margin: 0 auto; background: #ffffff; border-radius: 12px; box-shadow: 0 2px 12px rgba(0,0,0,0.08); overflow: hidden;">
+    <div style="background: linear-gradient(135deg, #0D1B5F 0%, #1B2A75 100%); padding: 28px 32px; text-align: center;">
+      <h1 style="margin: 0; color: #ffffff; font-size: 24px; font-weight: 700;">LKnight LMS</h1>
+      <p style="margin: 8px 0 0; color: rgba(255,255,255,0.85); font-size: 14px;">Confirm your email address</p>
+    </div>
+    <div style="padding: 32px;">
+      <p style="margin: 0 0 16px; color: #1f2937; font-size: 16px; line-height: 1.6;">
+        Hi ${firstName || 'there'},
+      </p>
+      <p style="margin: 0 0 24px; color: #4b5563; font-size: 15px; line-height: 1.5;">
+        Please confirm that this is your email address. The link expires in ${expiresInHours} hours.
+      </p>
+      <p style="margin: 0; text-align: center;">
+        <a href="${verifyUrl}" style="display: inline-block; padding: 14px 28px; background: #FF6F00; color: #ffffff; text-decoration: none; font-weight: 600; font-size: 15px; border-radius: 10px;">
+          Verify Email
+        </a>
+      </p>
+    </div>
+    <div style="padding: 16px 32px; background: #f9fafb; border-top: 1px solid #e5e7eb;">
+      <p style="margin: 0; color: #6b7280; font-size: 12px; text-align: center;">
+        If you didn’t create an LKnight LMS account, you can safely ignore this message.
+      </p>
+    </div>
+  </div>
+</body>
+</html>
+`;
+
+  return sendEmail(to, subject, html);
+}
+
+/**
+ * Alert a user about a sign-in from a device or country not seen before.
+ * @param {object} opts
+ * @param {string} opts.to - Account email
+ * @param {string} opts.firstName - Greeting name
+ * @param {Date} opts.time - When the sign-in happened
+ * @param {string|null} opts.ipAddress
+ * @param {string|null} opts.userAgent
+ * @param {string|null} opts.country - ISO country code, when known
+ * @param {string} opts.securityUrl - Frontend page to review sessions / change password
+ */
+async function sendNewLoginAlertEmail({ to, firstName, time, ipAddress, userAgent, country, securityUrl }) {
+  const subject = 'New sign-in to your LKnight LMS account';
+
+  const details = [
+    ['Time', time.toUTCString()],
+    ['IP address', ipAddress || 'Unknown'],
+    ['Country', country || 'Unknown'],
+    ['Device', userAgent || 'Unknown'],
+  ]
+    .map(([label, value]) => `
+        <tr>
+          <td style="padding: 6px 12px 6px 0; color: #6b7280; font-size: 14px; white-space: nowrap;">${label}</td>
+          <td style="padding: 6px 0; color: #1f2937; font-size: 14px;">${escapeHtml(value)}</td>
+        </tr>`)
+    .join('');
+
+  const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${subject}</title>
+</head>
+<body style="margin:0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; background-color: #f5f5f5; padding: 24px;">
+  <div style="max-width: 520px; margin: 0 auto; background: #ffffff; border-radius: 12px; box-shadow: 0 2px 12px rgba(0,0,0,0.08); overflow: hidden;">
+    <div style="background: linear-gradient(135deg, #0D1B5F 0%, #1B2A75 100%); padding: 28px 32px; text-align: center;">
+      <h1 style="margin: 0; color: #ffffff; font-size: 24px; font-weight: 700;">LKnight LMS</h1>
+      <p style="margin: 8px 0 0; color: rgba(255,255,255,0.85); font-size: 14px;">New sign-in detected</p>
+    </div>
+    <div style="padding: 32px;">
+      <p style="margin: 0 0 16px; color: #1f2937; font-size: 16px; line-height: 1.6;">
+        Hi ${escapeHtml(firstName || 'there')}, your account was just signed in to from a new device or location.
+      </p>
+      <table style="margin: 0 0 24px; border-collapse: collapse;">${details}
+      </table>
+      <p style="margin: 0 0 24px; color: #4b5563; font-size: 15px; line-height: 1.5;">
+        If this was you, no action is needed. If not, change your password and sign out of all devices.
+      </p>
+      <p style="margin: 0; text-align: center;">
+        <a href="${securityUrl}" style="display: inline-block; padding: 14px 28px; background: #FF6F00; color: #ffffff; text-decoration: none; font-weight: 600; font-size: 15px; border-radius: 10px;">
+          Review Account Security
+        </a>
+      </p>
+    </div>
+    <div style="padding: 16px 32px; background: #f9fafb; border-top: 1px solid #e5e7eb;">
+      <p style="margin: 0; color: #6b7280; font-size: 12px; text-align: center;">
+        This security notice was sent by LKnight LMS.
+      </p>
+    </div>
+  </div>
+</body>
+</html>
+`;
+
+  return sendEmail(to, subject, html);
+}
+
+/**
+ * Tell an instructor whether their course (or a revision of it) was approved or rejected.
+ * @param {object} opts
+ * @param {string} opts.to - Instructor email
+ * @param {string} opts.firstName - Greeting name
+ * @param {string} opts.courseTitle
+ * @param {number|null} opts.revisionNumber - null for a course's first publication
+ * @param {boolean} opts.approved
+ * @param {string|null} opts.comment - Reviewer's comment
+ */
+async function sendCourseReviewEmail({ to, firstName, courseTitle, revisionNumber, approved, comment }) {
+  const what = revisionNumber ? `Revision #${revisionNumber} of "${courseTitle}"` : `"${courseTitle}"`;
+  const subject = approved
+    ? `${what} is published`
+    : `${what} needs changes before it can be published`;
+
+  const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(subject)}</title>
+</head>
+<body style="margin:0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; background-color: #f5f5f5; padding: 24px;">
+  <div style="max-width: 520px; margin: 0 auto; background: #ffffff; border-radius: 12px; box-shadow: 0 2px 12px rgba(0,0,0,0.08); overflow: hidden;">
+    <div style="background: linear-gradient(135deg, #0D1B5F 0%, #1B2A75 100%); padding: 28px 32px; text-align: center;">
+      <h1 style="margin: 0; color: #ffffff; font-size: 24px; font-weight: 700;">LKnight LMS</h1>
+      <p style="margin: 8px 0 0; color: rgba(255,255,255,0.85); font-size: 14px;">Course review ${approved ? 'approved' : 'returned'}</p>
+    </div>
+    <div style="padding: 32px;">
+      <p style="margin: 0 0 16px; color: #1f2937; font-size: 16px; line-height: 1.6;">
+        Hi ${escapeHtml(firstName || 'there')}, ${escapeHtml(what)} ${approved
+          ? 'was approved and is now live for learners.'
+          : 'was reviewed and sent back to draft.'}
+      </p>${comment ? `
+      <p style="margin: 0 0 8px; color: #6b7280; font-size: 14px;">Reviewer's comment:</p>
+      <p style="margin: 0 0 16px; padding: 12px 16px; background: #f9fafb; border-left: 3px solid #FF6F00; color: #1f2937; font-size: 15px; line-height: 1.5; white-space: pre-line;">${escapeHtml(comment)}</p>` : ''}
+    </div>
+    <div style="padding: 16px 32px; background: #f9fafb; border-top: 1px solid #e5e7eb;">
+      <p style="margin: 0; color: #6b7280; font-size: 12px; text-align: center;">
+        This notice was sent by LKnight LMS.
+      </p>
+    </div>
+  </div>
+</body>
+</html>
+`;
+
+  return sendEmail(to, subject, html);
+}
+
+/**
+ * Escape request-supplied text (user agent etc.) before putting it in an email
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
 module.exports = {
   sendEmail,
   sendTeamInvitationEmail,
+  sendVerificationEmail,
+  sendNewLoginAlertEmail,
+  sendCourseReviewEmail,
 };
@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const prisma = require('../config/db');
+const { sendVerificationEmail } = require('./email.service');
+
+const VERIFICATION_TOKEN_TTL_HOURS = 24;
+
+// Minimum wait between two verification emails to the same user
+const RESEND_COOLDOWN_SECONDS = parseInt(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN) || 60;
+
+// Actions the Settings policy can gate, mapped to their Settings flag
+const POLICY_FLAGS = {
+  checkout: 'requireVerifiedEmailForCheckout',
+  vault: 'requireVerifiedEmailForVault',
+  invites: 'requireVerifiedEmailForInvites',
+};
+
+/**
+ * SHA-256 of a verification token (only the hash is stored)
+ * @param {string} token
+ * @returns {string}
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Seconds the user must still wait before another verification email can be sent
+ * @param {{emailVerificationSentAt: Date|null}} user
+ * @returns {number} 0 when a new email may be sent
+ */
+function getResendWaitSeconds(user) {
+  if (!user.emailVerificationSentAt) return 0;
+  const elapsed = (Date.now() - user.emailVerificationSentAt.getTime()) / 1000;
+  return Math.max(0, Math.ceil(RESEND_COOLDOWN_SECONDS - elapsed));
+}
+
+/**
+ * Issue a new verification token (replacing any previous one) and email the link.
+ * @param {{id: string, email: string, firstName: string}} user
+ * @returns {Promise<{sent: boolean, error?: object}>}
+ */
+async function sendVerification(user) {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      emailVerificationToken: hashToken(token),
+      emailVerificationExpiry: new Date(Date.now() + VERIFICATION_TOKEN_TTL_HOURS * 3600000),
+      emailVerificationSentAt: new Date(),
+    },
+  });
+
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+  return sendVerificationEmail({
+    to: user.email,
+    firstName: user.firstName,
+    verifyUrl: `${frontendUrl}/verify-email?token=${encodeURIComponent(token)}`,
+    expiresInHours: VERIFICATION_TOKEN_TTL_HOURS,
+  });
+}
+
+/**
+ * Send a verification email without failing the caller (signup, email change)
+ * @param {{id: string, email: string, firstName: string}} user
+ */
+async function safeSendVerification(user) {
+  try {
+    const result = await sendVerification(user);
+    if (!result.sent) {
+      console.warn(`[EMAIL] Verification email for user ${user.id} not sent:`, result.error?.message);
+    }
+  } catch (error) {
+    console.error(`[EMAIL] Failed to send verification email for user ${user.id}:`, error);
+  }
+}
+
+/**
+ * Mark the user owning a verification token as verified.
+ * Returns null when the token is unknown or expired.
+ * @param {string} token
+ * @returns {Promise<object|null>} Updated user
+ */
+async function verifyEmailToken(token) {
+  const user = await prisma.user.findUnique({
+    where: { emailVerificationToken: hashToken(token) },
+    select: { id: true, emailVerificationExpiry: true },
+  });
+
+  if (!user || !user.emailVerificationExpiry || user.emailVerificationExpiry <= new Date()) {
+    return null;
+  }
+
+  return prisma.user.update({
+    where: { id: user.id },
+    data: {
+      isEmailVerified: true,
+      emailVerificationToken: null,
+      emailVerificationExpiry: null,
+    },
+    select: { id: true, email: true, isEmailVerified: true },
+  });
+}
+
+/**
+ * Whether the Settings policy requires a verified email for an action
+ * @param {'checkout'|'vault'|'invites'} action
+ * @returns {Promise<boolean>}
+ */
+async function isVerificationRequired(action) {
+  const flag = POLICY_FLAGS[action];
+  if (!flag) return false;
+
+  const settings = await prisma.settings.findUnique({
+    where: { id: 'default' },
+    select: { [flag]: true },
+  });
+  return Boolean(settings?.[flag]);
+}
+
+module.exports = {
+  RESEND_COOLDOWN_SECONDS,
+  getResendWaitSeconds,
+  sendVerification,
+  safeSendVerification,
+  verifyEmailToken,
+  isVerificationRequired,
+};
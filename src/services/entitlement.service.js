@@ -0,0 +1,203 @@
+const prisma = require('../config/db');
+const { getCourseRole } = require('./courseOwnership.service');
+
+// Roles that see hidden modules. For reading content, admins are staff on every course and
+// instructors only on the courses they own or co-instruct (getCourseAccess).
+const STAFF_ROLES = ['ADMIN', 'INSTRUCTOR'];
+
+/**
+ * Check if a user has an active subscription (direct or via team membership)
+ * @param {string} userId
+ * @returns {Promise<boolean>}
+ */
+async function userHasActiveSubscription(userId) {
+  // Check direct subscription
+  const directSub = await prisma.subscription.findFirst({
+    where: {
+      userId,
+      status: { in: ['ACTIVE', 'TRIALING'] },
+      currentPeriodEnd: { gt: new Date() },
+    },
+  });
+  if (directSub) return true;
+
+  // Check team membership
+  const memberSub = await prisma.subscriptionMember.findFirst({
+    where: {
+      userId,
+      subscription: {
+        status: { in: ['ACTIVE', 'TRIALING'] },
+        currentPeriodEnd: { gt: new Date() },
+      },
+    },
+  });
+  return !!memberSub;
+}
+
+/**
+ * Decide whether a viewer may read a course's content, and why.
+ * Order: staff (admins; instructors on their own and co-instructed courses), accessAll flag,
+ * non-refunded enrollment, active subscription (direct or team).
+ * @param {string} courseId
+ * @param {{userId?: string, role?: string}} viewer - From the (optional) JWT
+ * @returns {Promise<{hasAccess: boolean, via: string|null}>}
+ */
+async function getCourseAccess(courseId, { userId, role } = {}) {
+  if (!userId) return { hasAccess: false, via: null };
+  if (role === 'ADMIN') return { hasAccess: true, via: 'staff' };
+  if (role === 'INSTRUCTOR' && courseId && (await getCourseRole(courseId, userId))) {
+    return { hasAccess: true, via: 'staff' };
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { accessAll: true, status: true },
+  });
+
+  if (!user || user.status !== 'ACTIVE') return { hasAccess: false, via: null };
+  if (user.accessAll) return { hasAccess: true, via: 'accessAll' };
+
+  if (courseId) {
+    const enrollment = await prisma.enrollment.findUnique({
+      where: { userId_courseId: { userId, courseId } },
+      select: { status: true },
+    });
+    if (enrollment && enrollment.status !== 'REFUNDED') {
+      return { hasAccess: true, via: 'enrollment' };
+    }
+  }
+
+  if (await userHasActiveSubscription(userId)) {
+    return { hasAccess: true, via: 'subscription' };
+  }
+
+  return { hasAccess: false, via: null };
+}
+
+/**
+ * Modules hidden by publishAt / unpublishAt (isPublished false) are listed for staff roles only.
+ * Their content opens for the course's own staff only (getLessonAccess / getDocumentAccess).
+ * @param {{isPublished?: boolean}} mod
+ * @param {{role?: string}} [viewer]
+ * @returns {boolean}
+ */
+function isModuleVisible(mod, { role } = {}) {
+  return mod.isPublished !== false || STAFF_ROLES.includes(role);
+}
+
+/**
+ * Prisma filter for the modules a viewer may see (see isModuleVisible)
+ * @param {{role?: string}} [viewer]
+ * @returns {object}
+ */
+function visibleModulesWhere({ role } = {}) {
+  return STAFF_ROLES.includes(role) ? {} : { isPublished: true };
+}
+
+/**
+ * Course access for a lesson; free-preview lessons are open to everyone.
+ * Lessons in an unpublished module are closed to learners (pass module.isPublished to enforce it).
+ * @param {{isPreview: boolean, module: {courseId: string, isPublished?: boolean}}} lesson
+ * @param {{userId?: string, role?: string}} viewer
+ * @returns {Promise<{hasAccess: boolean, via: string|null}>}
+ */
+async function getLessonAccess(lesson, viewer) {
+  if (!isModuleVisible(lesson.module, viewer)) return { hasAccess: false, via: null };
+  const access = await getCourseAccess(lesson.module.courseId, viewer);
+  if (lesson.module.isPublished === false && access.via !== 'staff') return { hasAccess: false, via: null };
+  if (!access.hasAccess && lesson.isPreview) return { hasAccess: true, via: 'preview' };
+  return access;
+}
+
+/**
+ * Course access for a document, resolved through its course, module or lesson parent.
+ * Documents attached to a free-preview lesson are open to everyone.
+ * @param {{courseId: string|null, moduleId: string|null, lessonId: string|null}} document
+ * @param {{userId?: string, role?: string}} viewer
+ * @returns {Promise<{hasAccess: boolean, via: string|null}>}
+ */
+async function getDocumentAccess(document, viewer) {
+  if (document.lessonId) {
+    const lesson = await prisma.lesson.findUnique({
+      where: { id: document.lessonId },
+      select: { isPreview: true, module: { select: { courseId: true, isPublished: true } } },
+    });
+    if (!lesson) return { hasAccess: false, via: null };
+    return getLessonAccess(lesson, viewer);
+  }
+
+  let courseId = document.courseId;
+  if (!courseId && document.moduleId) {
+    const mod = await prisma.module.findUnique({
+      where: { id: document.moduleId },
+      select: { courseId: true, isPublished: true },
+    });
+    if (mod && !isModuleVisible(mod, viewer)) return { hasAccess: false, via: null };
+    courseId = mod?.courseId;
+
+    if (mod?.isPublished === false) {
+      const access = await getCourseAccess(courseId, viewer);
+      return access.via === 'staff' ? access : { hasAccess: false, via: null };
+    }
+  }
+
+  if (!courseId) return { hasAccess: false, via: null };
+  return getCourseAccess(courseId, viewer);
+}
+
+/**
+ * Reply 401 (anonymous) or 403 (signed in without enrollment/subscription) for gated content
+ * @param {object} res - Express response
+ * @param {{userId?: string}} viewer
+ */
+function sendAccessDenied(res, { userId } = {}) {
+  if (!userId) {
+    return res.status(401).json({
+      success: false,
+      message: 'Sign in to access this content',
+      code: 'AUTH_REQUIRED',
+    });
+  }
+
+  return res.status(403).json({
+    success: false,
+    message: 'Enroll in this course or subscribe to a plan to access this content',
+    code: 'COURSE_ACCESS_REQUIRED',
+  });
+}
+
+/**
+ * Strip playable/downloadable content from a lesson for viewers without access
+ * (outline fields such as title and duration stay visible). Preview lessons are left intact.
+ * @param {object} lesson
+ * @returns {object}
+ */
+function toLessonOutline(lesson) {
+  if (lesson.isPreview) return lesson;
+  const { content, storageKey, contentPrefix, videoUrl, bunnyVideoId, bunnyLibraryId, ...outline } = lesson;
+  return outline;
+}
+
+/**
+ * Strip a module's inline content (and its lessons' content) for viewers without access
+ * @param {object} mod
+ * @returns {object}
+ */
+function toModuleOutline(mod) {
+  const { content, storageKey, contentPrefix, ...outline } = mod;
+  if (Array.isArray(outline.lessons)) outline.lessons = outline.lessons.map(toLessonOutline);
+  return outline;
+}
+
+module.exports = {
+  STAFF_ROLES,
+  userHasActiveSubscription,
+  getCourseAccess,
+  isModuleVisible,
+  visibleModulesWhere,
+  getLessonAccess,
+  getDocumentAccess,
+  sendAccessDenied,
+  toLessonOutline,
+  toModuleOutline,
+};
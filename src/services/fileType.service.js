@@ -0,0 +1,85 @@
+const path = require('path');
+const AdmZip = require('adm-zip');
+
+const PDF = 'application/pdf';
+const DOC = 'application/msword';
+const DOCX = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const XLS = 'application/vnd.ms-excel';
+const XLSX = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+const PPT = 'application/vnd.ms-powerpoint';
+const PPTX = 'application/vnd.openxmlformats-officedocument.presentationml.presentation';
+const TXT = 'text/plain';
+const CSV = 'text/csv';
+
+const PDF_MAGIC = Buffer.from('%PDF-');
+const OLE2_MAGIC = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]); // .doc/.xls/.ppt
+const ZIP_MAGIC = Buffer.from([0x50, 0x4b, 0x03, 0x04]); // .docx/.xlsx/.pptx
+
+// Old Office files share one container format; which one it is comes from the extension
+const OLE2_BY_EXTENSION = { '.doc': DOC, '.xls': XLS, '.ppt': PPT };
+const OLE2_TYPES = [DOC, XLS, PPT];
+
+// OOXML packages are told apart by their main part
+const OOXML_PARTS = [
+  ['word/document.xml', DOCX],
+  ['xl/workbook.xml', XLSX],
+  ['ppt/presentation.xml', PPTX],
+];
+
+/**
+ * Office Open XML type of a zip, from the parts it contains
+ * @param {Buffer} buffer
+ * @returns {string|null}
+ */
+function detectOoxml(buffer) {
+  try {
+    const names = new Set(new AdmZip(buffer).getEntries().map((entry) => entry.entryName));
+    return OOXML_PARTS.find(([part]) => names.has(part))?.[1] || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Plain text: valid UTF-8 without NUL bytes
+ * @param {Buffer} buffer
+ */
+function isText(buffer) {
+  if (buffer.includes(0)) return false;
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Work out a document's type from its bytes (magic numbers / package contents) instead of trusting
+ * what the client says. The file name and declared type only pick between formats that look alike
+ * (.doc/.xls/.ppt, .txt/.csv).
+ * @param {Buffer} buffer
+ * @param {{fileName?: string, declaredType?: string}} [hints]
+ * @returns {string|null} MIME type, or null when the file is not a supported document
+ */
+function detectDocumentType(buffer, { fileName, declaredType } = {}) {
+  const extension = path.extname(fileName || '').toLowerCase();
+
+  if (buffer.subarray(0, PDF_MAGIC.length).equals(PDF_MAGIC)) return PDF;
+
+  if (buffer.subarray(0, OLE2_MAGIC.length).equals(OLE2_MAGIC)) {
+    return OLE2_BY_EXTENSION[extension] || (OLE2_TYPES.includes(declaredType) ? declaredType : DOC);
+  }
+
+  if (buffer.subarray(0, ZIP_MAGIC.length).equals(ZIP_MAGIC)) return detectOoxml(buffer);
+
+  if (buffer.length > 0 && isText(buffer)) {
+    return extension === '.csv' || declaredType === CSV ? CSV : TXT;
+  }
+
+  return null;
+}
+
+module.exports = {
+  detectDocumentType,
+};
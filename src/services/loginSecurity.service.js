@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const prisma = require('../config/db');
+const { sendNewLoginAlertEmail } = require('./email.service');
+
+// Failed sign-ins allowed before the account is locked
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+// First lock lasts this long and doubles with every further failure, up to the cap
+const LOCKOUT_BASE_MINUTES = 1;
+const LOCKOUT_MAX_MINUTES = 24 * 60;
+
+// Header a trusted proxy/CDN sets with the visitor's ISO country code
+const COUNTRY_HEADER = (process.env.GEO_COUNTRY_HEADER || 'cf-ipcountry').toLowerCase();
+
+/**
+ * Lock duration after a number of consecutive failures (0 = not locked)
+ * @param {number} failedAttempts
+ * @returns {number} Minutes
+ */
+function getLockoutMinutes(failedAttempts) {
+  if (failedAttempts < LOCKOUT_THRESHOLD) return 0;
+  return Math.min(LOCKOUT_MAX_MINUTES, LOCKOUT_BASE_MINUTES * 2 ** (failedAttempts - LOCKOUT_THRESHOLD));
+}
+
+/**
+ * @param {{lockedUntil: Date|null}} user
+ * @returns {boolean}
+ */
+function isAccountLocked(user) {
+  return Boolean(user.lockedUntil && user.lockedUntil > new Date());
+}
+
+/**
+ * Count a failed sign-in and lock the account once the threshold is reached
+ * @param {string} userId
+ * @returns {Promise<Date|null>} lockedUntil when the account is now locked
+ */
+async function registerFailedLogin(userId) {
+  const { failedLoginAttempts } = await prisma.user.update({
+    where: { id: userId },
+    data: { failedLoginAttempts: { increment: 1 } },
+    select: { failedLoginAttempts: true },
+  });
+
+  const minutes = getLockoutMinutes(failedLoginAttempts);
+  if (minutes === 0) return null;
+
+  const lockedUntil = new Date(Date.now() + minutes * 60000);
+  await prisma.user.update({
+    where: { id: userId },
+    data: { lockedUntil },
+  });
+  return lockedUntil;
+}
+
+/**
+ * Clear the failure counter and any lock (successful sign-in or admin unlock)
+ * @param {string} userId
+ */
+async function resetFailedLogins(userId) {
+  await prisma.user.update({
+    where: { id: userId },
+    data: { failedLoginAttempts: 0, lockedUntil: null },
+  });
+}
+
+/**
+ * IP, user agent, device fingerprint and country of a request
+ * @param {object} req - Express request
+ * @returns {{ipAddress: string|null, userAgent: string|null, deviceHash: string|null, country: string|null}}
+ */
+function getLoginContext(req) {
+  const userAgent = req.get('user-agent')?.slice(0, 500) || null;
+  const country = req.get(COUNTRY_HEADER);
+
+  return {
+    ipAddress: req.ip || null,
+    userAgent,
+    deviceHash: userAgent ? crypto.createHash('sha256').update(userAgent).digest('hex') : null,
+    // CF-IPCountry uses XX / T1 for unknown / Tor
+    country: country && /^[A-Z]{2}$/i.test(country) && !['XX', 'T1'].includes(country.toUpperCase())
+      ? country.toUpperCase()
+      : null,
+  };
+}
+
+/**
+ * Email the user when a successful sign-in comes from a device or country with no earlier
+ * successful sign-in. Skipped for the very first sign-in on record.
+ * @param {{id: string, email: string, firstName: string}} user
+ * @param {object} entry - The LoginHistory row just written
+ */
+async function alertIfNewDevice(user, entry) {
+  const previous = { userId: user.id, success: true, id: { not: entry.id } };
+
+  const hasHistory = await prisma.loginHistory.count({ where: previous });
+  if (hasHistory === 0) return;
+
+  const knownDevice = entry.deviceHash
+    ? await prisma.loginHistory.count({ where: { ...previous, deviceHash: entry.deviceHash } })
+    : 1;
+  const knownCountry = entry.country
+    ? await prisma.loginHistory.count({ where: { ...previous, country: entry.country } })
+    : 1;
+
+  if (knownDevice > 0 && knownCountry > 0) return;
+
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  const result = await sendNewLoginAlertEmail({
+    to: user.email,
+    firstName: user.firstName,
+    time: entry.createdAt,
+    ipAddress: entry.ipAddress,
+    userAgent: entry.userAgent,
+    country: entry.country,
+    securityUrl: `${frontendUrl}/account/security`,
+  });
+  if (!result.sent) {
+    console.warn(`[EMAIL] New sign-in alert for user ${user.id} not sent:`, result.error?.message);
+  }
+}
+
+/**
+ * Write a LoginHistory row (and send a new-device alert on success).
+ * Never throws: a logging failure must not block or fail the sign-in.
+ * @param {{id: string, email: string, firstName: string}} user
+ * @param {object} req - Express request
+ * @param {{success: boolean, method: string, reason?: string}} attempt
+ */
+async function recordLoginAttempt(user, req, { success, method, reason = null }) {
+  try {
+    const entry = await prisma.loginHistory.create({
+      data: {
+        userId: user.id,
+        success,
+        method,
+        reason,
+        ...getLoginContext(req),
+      },
+    });
+
+    if (success) {
+      // Not awaited: the alert (two counts and an email) should not slow the sign-in down
+      alertIfNewDevice(user, entry).catch((error) => {
+        console.error(`[AUTH] New sign-in alert failed for user ${user.id}:`, error);
+      });
+    }
+  } catch (error) {
+    console.error(`[AUTH] Failed to record login attempt for user ${user.id}:`, error);
+  }
+}
+
+module.exports = {
+  isAccountLocked,
+  registerFailedLogin,
+  resetFailedLogins,
+  recordLoginAttempt,
+};
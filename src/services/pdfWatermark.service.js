@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const { PDFDocument, StandardFonts, rgb, degrees } = require('pdf-lib');
+const prisma = require('../config/db');
+const { putObject, openObject, openBuffer, derivedFolder } = require('./storage.service');
+
+// Learners get PDFs stamped with who downloaded them and when, so a leaked copy can be traced.
+// The original in storage is never touched; each learner's copy is made once and kept next to it.
+const WATERMARK_ENABLED = process.env.DOCUMENT_WATERMARK !== 'false';
+
+const FOOTER_SIZE = 8;
+const MARGIN = 12;
+
+/**
+ * The standard PDF fonts only cover WinAnsi; anything else is drawn as ?
+ * @param {import('pdf-lib').PDFFont} font
+ * @param {string} text
+ */
+function drawable(font, text) {
+  const supported = new Set(font.getCharacterSet());
+  return [...text].map((char) => (supported.has(char.codePointAt(0)) ? char : '?')).join('');
+}
+
+/**
+ * Stamp every page: a footer line with name, email and time, and the email faintly across the page
+ * @param {Buffer} bytes - Original PDF
+ * @param {{name: string, email: string, at: Date}} stamp
+ * @returns {Promise<Buffer>}
+ */
+async function watermarkPdf(bytes, { name, email, at }) {
+  const pdf = await PDFDocument.load(bytes, { updateMetadata: false });
+  const font = await pdf.embedFont(StandardFonts.Helvetica);
+
+  const timestamp = `${at.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+  const footer = drawable(font, `Licensed to ${name} <${email}> - downloaded ${timestamp}`);
+  const diagonal = drawable(font, email);
+
+  for (const page of pdf.getPages()) {
+    const { x, y, width, height } = page.getCropBox();
+
+    // Shrink the footer to fit narrow pages
+    const footerWidth = font.widthOfTextAtSize(footer, FOOTER_SIZE);
+    const footerSize = Math.min(FOOTER_SIZE, (FOOTER_SIZE * (width - 2 * MARGIN)) / footerWidth);
+    page.drawText(footer, {
+      x: x + (width - font.widthOfTextAtSize(footer, footerSize)) / 2,
+      y: y + MARGIN,
+      size: footerSize,
+      font,
+      color: rgb(0.4, 0.4, 0.4),
+    });
+
+    // Corner to corner, centred
+    const angle = Math.atan2(height, width);
+    const diagonalSize = Math.min(48, (Math.hypot(width, height) * 0.7) / (font.widthOfTextAtSize(diagonal, 1) || 1));
+    const diagonalWidth = font.widthOfTextAtSize(diagonal, diagonalSize);
+    page.drawText(diagonal, {
+      x: x + width / 2 - (Math.cos(angle) * diagonalWidth) / 2 + (Math.sin(angle) * diagonalSize) / 3,
+      y: y + height / 2 - (Math.sin(angle) * diagonalWidth) / 2 - (Math.cos(angle) * diagonalSize) / 3,
+      size: diagonalSize,
+      font,
+      color: rgb(0.5, 0.5, 0.5),
+      opacity: 0.12,
+      rotate: degrees((angle * 180) / Math.PI),
+    });
+  }
+
+  return Buffer.from(await pdf.save());
+}
+
+/**
+ * Why a PDF can't be stamped, checked on upload so learners never get WATERMARK_FAILED for it
+ * @param {Buffer} bytes
+ * @returns {Promise<string|null>} Message for the uploader, or null when it can be stamped
+ */
+async function watermarkProblem(bytes) {
+  if (!WATERMARK_ENABLED) return null;
+
+  let pdf;
+  try {
+    pdf = await PDFDocument.load(bytes, { updateMetadata: false, ignoreEncryption: true });
+  } catch {
+    return 'This PDF could not be read. Save or export it again and upload the new file.';
+  }
+
+  // Owner-password protected files open in viewers, but their content can't be rewritten
+  if (pdf.isEncrypted) {
+    return 'This PDF is password protected. Learners get a watermarked copy, which needs an unprotected file: remove the protection and upload it again.';
+  }
+  return null;
+}
+
+const digest = (text) => crypto.createHash('sha256').update(text).digest('hex').slice(0, 16);
+
+/**
+ * Where a learner's copy of a document is kept. The key changes with the stored file and with
+ * the name and email stamped on it, so replacing the document or changing the profile makes a new copy.
+ * @param {object} document
+ * @param {string} userId
+ * @param {{name: string, email: string}} stamp
+ */
+function copyKey(document, userId, { name, email }) {
+  const file = digest(document.storageKey || `legacy:${document.id}`);
+  return `${derivedFolder(document.id)}watermarked/${file}/${userId}-${digest(`${name}\n${email}`)}.pdf`;
+}
+
+/**
+ * Open the learner's watermarked copy of a PDF document, making it on first download.
+ * The copy is kept, so the stamped time is when this file was first downloaded under the
+ * learner's current name and email; repeat and ranged downloads get the same bytes.
+ * @param {object} document - Document row
+ * @param {string} userId
+ * @param {{createReadStream: Function}} original - From openContent
+ * @returns {Promise<{size: number, createReadStream: Function, stamp: string}>} stamp identifies the copy
+ */
+async function openWatermarkedCopy(document, userId, original) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { firstName: true, lastName: true, email: true },
+  });
+  const name = `${user.firstName || ''} ${user.lastName || ''}`.trim() || user.email;
+
+  const key = copyKey(document, userId, { name, email: user.email });
+  const stamp = digest(key);
+  const cached = await openObject(key);
+  if (cached) return { ...cached, stamp };
+
+  const bytes = Buffer.concat(await original.createReadStream().toArray());
+  const stamped = await watermarkPdf(bytes, { name, email: user.email, at: new Date() });
+
+  await putObject(key, stamped, 'application/pdf');
+  return { ...openBuffer(stamped), stamp };
+}
+
+/**
+ * Whether a download gets a watermarked copy: PDFs for signed-in learners
+ * (staff and anonymous free-preview downloads get the original)
+ * @param {object} document
+ * @param {{userId?: string}} viewer
+ * @param {string|null} via - From getDocumentAccess
+ */
+function needsWatermark(document, viewer, via) {
+  return WATERMARK_ENABLED && document.fileType === 'application/pdf' && Boolean(viewer.userId) && via !== 'staff';
+}
+
+module.exports = {
+  watermarkPdf,
+  watermarkProblem,
+  openWatermarkedCopy,
+  needsWatermark,
+};
@@ -0,0 +1,124 @@
+const prisma = require('../config/db');
+const { PERMISSION_KEYS, ROLE_PERMISSIONS } = require('../config/permissions');
+
+/**
+ * Permissions a user holds: those of the built-in role plus those of the custom role
+ * @param {{role: string, customRole?: {permissions: string[]}|null}} user
+ * @returns {string[]}
+ */
+function getEffectivePermissions(user) {
+  const granted = new Set(ROLE_PERMISSIONS[user.role] || []);
+  for (const permission of user.customRole?.permissions || []) {
+    // Ignore keys that were removed from the catalog since the role was saved
+    if (PERMISSION_KEYS.includes(permission)) granted.add(permission);
+  }
+  return [...granted];
+}
+
+/**
+ * Load a user's effective permissions
+ * @param {string} userId
+ * @returns {Promise<string[]>} Empty when the user does not exist
+ */
+async function getUserPermissions(userId) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { role: true, customRole: { select: { permissions: true } } },
+  });
+  return user ? getEffectivePermissions(user) : [];
+}
+
+/**
+ * @param {string} userId
+ * @param {string} permission
+ * @returns {Promise<boolean>}
+ */
+async function hasPermission(userId, permission) {
+  return (await getUserPermissions(userId)).includes(permission);
+}
+
+/**
+ * Validate a permission list from a request body (role create/update)
+ * @param {unknown} permissions
+ * @returns {{permissions?: string[], invalid?: string[]}} Deduplicated list, or the unknown keys
+ */
+function parsePermissionList(permissions) {
+  if (!Array.isArray(permissions)) return { invalid: [] };
+
+  const invalid = permissions.filter((permission) => !PERMISSION_KEYS.includes(permission));
+  if (invalid.length > 0) return { invalid };
+
+  return { permissions: [...new Set(permissions)] };
+}
+
+// What refuseEscalation needs to know about the target account
+const permissionInclude = { customRole: { select: { permissions: true } } };
+
+/**
+ * Accounts can only be changed by someone holding every permission the account has, or would
+ * get: otherwise a manage-users holder could reset the password or email of a more privileged
+ * account and sign in as it. Role changes also need manage-roles; the ADMIN role and admin
+ * accounts are admins' only.
+ * Replies 403 and returns true when the request was refused.
+ * @param {object} req - With permissions and isAdmin (requirePermission)
+ * @param {object} res
+ * @param {{target?: object, newRole?: string, newCustomRole?: {permissions: string[]}|null}} change
+ *   target loaded with permissionInclude; newCustomRole null removes the custom role
+ * @returns {boolean}
+ */
+function refuseEscalation(req, res, { target, newRole, newCustomRole }) {
+  const held = new Set(req.permissions || []);
+  const exceedsActor = (user) => getEffectivePermissions(user).some((permission) => !held.has(permission));
+
+  if ((target?.role === 'ADMIN' || newRole === 'ADMIN') && !req.isAdmin) {
+    res.status(403).json({
+      success: false,
+      message: 'Only admins can change admin accounts or grant the ADMIN role',
+      code: 'PERMISSION_DENIED',
+    });
+    return true;
+  }
+
+  if (target && exceedsActor(target)) {
+    res.status(403).json({
+      success: false,
+      message: 'You can only change accounts that hold no permissions beyond your own',
+      code: 'PERMISSION_DENIED',
+    });
+    return true;
+  }
+
+  if (newRole && newRole !== (target?.role || 'STUDENT') && !held.has('manage-roles')) {
+    res.status(403).json({
+      success: false,
+      message: 'Changing roles requires the manage-roles permission',
+      code: 'PERMISSION_DENIED',
+      permission: 'manage-roles',
+    });
+    return true;
+  }
+
+  const result = {
+    role: newRole || target?.role || 'STUDENT',
+    customRole: newCustomRole !== undefined ? newCustomRole : target?.customRole,
+  };
+  if (exceedsActor(result)) {
+    res.status(403).json({
+      success: false,
+      message: 'You cannot grant permissions you do not hold',
+      code: 'PERMISSION_DENIED',
+    });
+    return true;
+  }
+
+  return false;
+}
+
+module.exports = {
+  permissionInclude,
+  getEffectivePermissions,
+  getUserPermissions,
+  hasPermission,
+  parsePermissionList,
+  refuseEscalation,
+};
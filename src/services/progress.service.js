@@ -0,0 +1,261 @@
+const prisma = require('../config/db');
+const { safeIssueCertificate } = require('./certificate.service');
+const { getPendingRequiredQuizzes } = require('./quiz.service');
+const { visibleModulesWhere } = require('./entitlement.service');
+
+// Player is expected to send a heartbeat roughly every N seconds while a video plays
+const HEARTBEAT_INTERVAL = parseInt(process.env.VIDEO_HEARTBEAT_INTERVAL) || 15;
+
+// Fastest playback speed the player offers; caps how much video one interval can cover
+const MAX_PLAYBACK_RATE = 2;
+
+// A gap longer than this between heartbeats starts a new viewing session (no credit for the gap)
+const MAX_HEARTBEAT_GAP = HEARTBEAT_INTERVAL * 4;
+
+/**
+ * Convert completed/total lesson counts into a 0-100 percentage
+ * @param {number} completedLessons
+ * @param {number} totalLessons
+ * @returns {number}
+ */
+function toPercent(completedLessons, totalLessons) {
+  if (!totalLessons) return 0;
+  return Math.min(100, Math.round((completedLessons / totalLessons) * 100));
+}
+
+/**
+ * Count a course's lessons and how many of them the user has completed. Only modules learners
+ * can see count (visibleModulesWhere), so a hidden or scheduled module does not hold back completion.
+ * @param {string} userId
+ * @param {string} courseId
+ * @returns {Promise<{totalLessons: number, completedLessons: number, progress: number}>}
+ */
+async function getCourseCompletion(userId, courseId) {
+  const [totalLessons, completedLessons] = await Promise.all([
+    prisma.lesson.count({
+      where: { module: { courseId, ...visibleModulesWhere() } },
+    }),
+    prisma.lessonProgress.count({
+      where: {
+        userId,
+        completedAt: { not: null },
+        lesson: { module: { courseId, ...visibleModulesWhere() } },
+      },
+    }),
+  ]);
+
+  return {
+    totalLessons,
+    completedLessons,
+    progress: toPercent(completedLessons, totalLessons),
+  };
+}
+
+/**
+ * Same as getCourseCompletion, batched for several courses (used by dashboard listings)
+ * @param {string} userId
+ * @param {string[]} courseIds
+ * @returns {Promise<Map<string, {totalLessons: number, completedLessons: number, progress: number}>>}
+ */
+async function getCourseProgressMap(userId, courseIds) {
+  const map = new Map(
+    courseIds.map((courseId) => [courseId, { totalLessons: 0, completedLessons: 0, progress: 0 }])
+  );
+
+  if (courseIds.length === 0) return map;
+
+  const lessons = await prisma.lesson.findMany({
+    where: { module: { courseId: { in: courseIds }, ...visibleModulesWhere() } },
+    select: { id: true, module: { select: { courseId: true } } },
+  });
+
+  const lessonCourse = new Map(lessons.map((l) => [l.id, l.module.courseId]));
+
+  const completed = await prisma.lessonProgress.findMany({
+    where: {
+      userId,
+      completedAt: { not: null },
+      lessonId: { in: lessons.map((l) => l.id) },
+    },
+    select: { lessonId: true },
+  });
+
+  lessons.forEach((l) => {
+    map.get(l.module.courseId).totalLessons += 1;
+  });
+  completed.forEach((p) => {
+    map.get(lessonCourse.get(p.lessonId)).completedLessons += 1;
+  });
+
+  map.forEach((entry) => {
+    entry.progress = toPercent(entry.completedLessons, entry.totalLessons);
+  });
+
+  return map;
+}
+
+/**
+ * Recompute Enrollment.progress from the user's completed lessons and
+ * auto-complete the enrollment (and issue its certificate) when every lesson is done
+ * and every required quiz has been passed.
+ * Returns null when the user has no enrollment for the course (e.g. subscription access only).
+ * @param {string} userId
+ * @param {string} courseId
+ * @returns {Promise<object|null>} Updated enrollment
+ */
+async function recalculateEnrollmentProgress(userId, courseId) {
+  const enrollment = await prisma.enrollment.findUnique({
+    where: { userId_courseId: { userId, courseId } },
+  });
+
+  if (!enrollment) return null;
+
+  const { progress } = await getCourseCompletion(userId, courseId);
+
+  const updateData = { progress };
+
+  // Auto-complete once every lesson is done and every required quiz is passed
+  // (never resurrect a refunded enrollment)
+  if (progress === 100 && enrollment.status === 'PENDING') {
+    const pendingQuizzes = await getPendingRequiredQuizzes(userId, courseId);
+
+    if (pendingQuizzes.length === 0) {
+      updateData.status = 'COMPLETED';
+      updateData.completedAt = new Date();
+    }
+  }
+
+  const updated = await prisma.enrollment.update({
+    where: { id: enrollment.id },
+    data: updateData,
+  });
+
+  if (updateData.status === 'COMPLETED') {
+    await safeIssueCertificate(updated.id);
+  }
+
+  return updated;
+}
+
+/**
+ * Percentage of a lesson's duration that must actually be watched before it auto-completes
+ * (Settings.videoCompletionThreshold, default 90)
+ * @returns {Promise<number>}
+ */
+async function getVideoCompletionThreshold() {
+  const settings = await prisma.settings.findUnique({
+    where: { id: 'default' },
+    select: { videoCompletionThreshold: true },
+  });
+  return settings?.videoCompletionThreshold ?? 90;
+}
+
+/**
+ * Seconds of watch time required to complete a lesson (0 when the lesson has no known duration)
+ * @param {{duration: number}} lesson
+ * @param {number} threshold - Percentage 1-100
+ * @returns {number}
+ */
+function getRequiredWatchTime(lesson, threshold) {
+  if (!lesson.duration) return 0;
+  return Math.ceil((lesson.duration * threshold) / 100);
+}
+
+/**
+ * Add a watched segment to a learner's watched ranges
+ * @param {Array<[number, number]>} ranges - Sorted, non-overlapping [start, end] seconds
+ * @param {[number, number]} segment
+ * @returns {{ranges: Array<[number, number]>, added: number}} added: seconds of the segment not watched before
+ */
+function mergeWatchedRange(ranges, [start, end]) {
+  const merged = [];
+  let [from, to] = [start, end];
+  let overlap = 0;
+
+  for (const [rangeStart, rangeEnd] of ranges) {
+    if (rangeEnd < from || rangeStart > to) {
+      merged.push([rangeStart, rangeEnd]);
+      continue;
+    }
+    overlap += Math.max(0, Math.min(rangeEnd, end) - Math.max(rangeStart, start));
+    from = Math.min(from, rangeStart);
+    to = Math.max(to, rangeEnd);
+  }
+
+  merged.push([from, to]);
+  merged.sort((a, b) => a[0] - b[0]);
+  return { ranges: merged, added: end - start - overlap };
+}
+
+/**
+ * Record a playback heartbeat for a lesson video.
+ * Only forward playback from the previous heartbeat's position that fits in the wall-clock time
+ * since then is credited, and only the part of it not watched before, so neither seeking to the
+ * end nor replaying one segment can complete a lesson. Saving the resume position
+ * (PATCH /progress) does not move the heartbeat baseline.
+ * Auto-completes the lesson (and recomputes the enrollment) once the threshold is reached.
+ * @param {string} userId
+ * @param {{id: string, duration: number, module: {courseId: string}}} lesson
+ * @param {number} position - Current playback position in seconds
+ * @returns {Promise<{progress: object, credited: number, requiredWatchTime: number, justCompleted: boolean, enrollment: object|null}>}
+ */
+async function recordHeartbeat(userId, lesson, position) {
+  const now = new Date();
+  const clampedPosition = Math.round(lesson.duration > 0 ? Math.min(position, lesson.duration) : position);
+
+  const existing = await prisma.lessonProgress.findUnique({
+    where: { userId_lessonId: { userId, lessonId: lesson.id } },
+  });
+
+  let credited = 0;
+  let watchedRanges = Array.isArray(existing?.watchedRanges) ? existing.watchedRanges : [];
+  if (existing?.lastHeartbeatAt && existing.heartbeatPosition !== null) {
+    const elapsed = (now - existing.lastHeartbeatAt) / 1000;
+    const from = existing.heartbeatPosition;
+    const delta = clampedPosition - from;
+
+    if (elapsed <= MAX_HEARTBEAT_GAP && delta > 0) {
+      const to = from + Math.round(Math.min(delta, elapsed * MAX_PLAYBACK_RATE));
+      ({ ranges: watchedRanges, added: credited } = mergeWatchedRange(watchedRanges, [from, to]));
+    }
+  }
+
+  const watchTime = (existing?.watchTime || 0) + credited;
+  const threshold = await getVideoCompletionThreshold();
+  const requiredWatchTime = getRequiredWatchTime(lesson, threshold);
+
+  const justCompleted = !existing?.completedAt
+    && requiredWatchTime > 0
+    && watchTime >= requiredWatchTime;
+
+  const data = {
+    lastPosition: clampedPosition,
+    heartbeatPosition: clampedPosition,
+    watchedRanges,
+    watchTime,
+    lastHeartbeatAt: now,
+  };
+  if (justCompleted) data.completedAt = now;
+
+  const progress = await prisma.lessonProgress.upsert({
+    where: { userId_lessonId: { userId, lessonId: lesson.id } },
+    create: { userId, lessonId: lesson.id, ...data },
+    update: data,
+  });
+
+  const enrollment = justCompleted
+    ? await recalculateEnrollmentProgress(userId, lesson.module.courseId)
+    : null;
+
+  return { progress, credited, requiredWatchTime, justCompleted, enrollment };
+}
+
+module.exports = {
+  HEARTBEAT_INTERVAL,
+  getCourseCompletion,
+  getCourseProgressMap,
+  recalculateEnrollmentProgress,
+  getVideoCompletionThreshold,
+  getRequiredWatchTime,
+  recordHeartbeat,
+};
@@ -0,0 +1,183 @@
+const prisma = require('../config/db');
+
+// pg advisory lock key for the scheduler ("LKPS"). Only one instance runs a pass at a time;
+// transaction-scoped, so it is released with the transaction even on a pooled connection.
+const SCHEDULER_LOCK_KEY = 0x4c4b5053;
+
+// Poll at least this often; the scheduler also wakes up exactly at the next due time
+const POLL_INTERVAL_MS = (parseInt(process.env.PUBLISH_SCHEDULER_INTERVAL_SECONDS) || 60) * 1000;
+
+// Never sleep less than this, so a burst of due times cannot spin the loop
+const MIN_DELAY_MS = 1000;
+
+/**
+ * Apply every publishAt / unpublishAt that is due. Safe to run from several instances at once:
+ * the advisory lock lets one pass through, and the updates are conditional anyway.
+ * A course or module whose window was missed entirely (both times passed) ends up unpublished.
+ * @param {Date} [now]
+ * @returns {Promise<{courses: {published: number, unpublished: number}, modules: {published: number, unpublished: number}}|null>}
+ *   null when another instance holds the lock
+ */
+async function runScheduledPublishing(now = new Date()) {
+  return prisma.$transaction(async (tx) => {
+    const [{ locked }] = await tx.$queryRaw`SELECT pg_try_advisory_xact_lock(${SCHEDULER_LOCK_KEY}::bigint) AS locked`;
+    if (!locked) return null;
+
+    // Courses in review wait for approval; approving one that is scheduled leaves it to this pass
+    const coursesPublished = await tx.course.updateMany({
+      where: { status: 'DRAFT', publishAt: { lte: now } },
+      data: { status: 'PUBLISHED', publishAt: null },
+    });
+    const coursesUnpublished = await tx.course.updateMany({
+      where: { status: 'PUBLISHED', unpublishAt: { lte: now } },
+      data: { status: 'DRAFT', unpublishAt: null },
+    });
+
+    const modulesPublished = await tx.module.updateMany({
+      where: { isPublished: false, publishAt: { lte: now } },
+      data: { isPublished: true, publishAt: null },
+    });
+    const modulesUnpublished = await tx.module.updateMany({
+      where: { isPublished: true, unpublishAt: { lte: now } },
+      data: { isPublished: false, unpublishAt: null },
+    });
+
+    return {
+      courses: { published: coursesPublished.count, unpublished: coursesUnpublished.count },
+      modules: { published: modulesPublished.count, unpublished: modulesUnpublished.count },
+    };
+  });
+}
+
+/**
+ * Earliest publishAt / unpublishAt that still has something to do
+ * @returns {Promise<Date|null>}
+ */
+async function getNextScheduledTime() {
+  const results = await Promise.all([
+    prisma.course.aggregate({ where: { status: 'DRAFT' }, _min: { publishAt: true } }),
+    prisma.course.aggregate({ where: { status: 'PUBLISHED' }, _min: { unpublishAt: true } }),
+    prisma.module.aggregate({ where: { isPublished: false }, _min: { publishAt: true } }),
+    prisma.module.aggregate({ where: { isPublished: true }, _min: { unpublishAt: true } }),
+  ]);
+
+  const times = results
+    .flatMap(({ _min }) => [_min.publishAt, _min.unpublishAt])
+    .filter(Boolean)
+    .map((date) => date.getTime());
+
+  return times.length > 0 ? new Date(Math.min(...times)) : null;
+}
+
+/**
+ * Read publishAt / unpublishAt from a request body. Omitted fields keep their current value,
+ * null or '' clears them; new times must be in the future and unpublishAt after publishAt.
+ * @param {{publishAt?: string|null, unpublishAt?: string|null}} body
+ * @param {{publishAt: Date|null, unpublishAt: Date|null}} current
+ * @returns {{schedule: {publishAt: Date|null, unpublishAt: Date|null}}|{error: string}}
+ */
+function parseSchedule(body, current) {
+  const schedule = { publishAt: current.publishAt, unpublishAt: current.unpublishAt };
+  const now = Date.now();
+
+  for (const field of ['publishAt', 'unpublishAt']) {
+    const value = body[field];
+    if (value === undefined) continue;
+    if (value === null || value === '') {
+      schedule[field] = null;
+      continue;
+    }
+
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return { error: `${field} must be an ISO 8601 date-time` };
+    if (date.getTime() <= now) return { error: `${field} must be in the future` };
+    schedule[field] = date;
+  }
+
+  if (schedule.publishAt && schedule.unpublishAt && schedule.unpublishAt <= schedule.publishAt) {
+    return { error: 'unpublishAt must be after publishAt' };
+  }
+
+  return { schedule };
+}
+
+let timer = null;
+let running = false;
+let wakeRequested = false;
+
+/**
+ * Run a pass, then sleep until the next due time (or the poll interval, whichever is sooner).
+ * Polling also picks up schedules set through other instances.
+ */
+async function tick() {
+  if (running) return;
+  running = true;
+  let delay = POLL_INTERVAL_MS;
+
+  try {
+    const result = await runScheduledPublishing();
+    if (result) {
+      const changed = result.courses.published + result.courses.unpublished + result.modules.published + result.modules.unpublished;
+      if (changed > 0) console.log('[SCHEDULER] Scheduled publishing applied:', JSON.stringify(result));
+    }
+
+    const next = await getNextScheduledTime();
+    if (next) delay = Math.min(delay, Math.max(next.getTime() - Date.now(), MIN_DELAY_MS));
+  } catch (error) {
+    console.error('[SCHEDULER] Scheduled publishing failed:', error.message);
+  } finally {
+    running = false;
+  }
+
+  if (wakeRequested) {
+    wakeRequested = false;
+    delay = 0;
+  }
+
+  if (timer !== null) {
+    timer = setTimeout(tick, delay);
+    timer.unref();
+  }
+}
+
+/**
+ * Wake the scheduler now (e.g. after a schedule was set for the next few seconds)
+ */
+function wakePublishScheduler() {
+  if (timer === null) return;
+  if (running) {
+    wakeRequested = true;
+    return;
+  }
+  clearTimeout(timer);
+  timer = setTimeout(tick, 0);
+  timer.unref();
+}
+
+/**
+ * Start the in-process scheduler. Every instance may run it (see runScheduledPublishing);
+ * set PUBLISH_SCHEDULER_ENABLED=false to keep it off on a given instance.
+ */
+function startPublishScheduler() {
+  if (process.env.PUBLISH_SCHEDULER_ENABLED === 'false' || timer !== null) return;
+  timer = setTimeout(tick, 0);
+  timer.unref();
+  console.log(`[SCHEDULER] ✓ Scheduled publishing running (poll every ${POLL_INTERVAL_MS / 1000}s)`);
+}
+
+/**
+ * Stop the scheduler (graceful shutdown)
+ */
+function stopPublishScheduler() {
+  if (timer !== null) clearTimeout(timer);
+  timer = null;
+}
+
+module.exports = {
+  parseSchedule,
+  runScheduledPublishing,
+  getNextScheduledTime,
+  startPublishScheduler,
+  stopPublishScheduler,
+  wakePublishScheduler,
+};
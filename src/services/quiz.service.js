@@ -0,0 +1,187 @@
+const prisma = require('../config/db');
+const { visibleModulesWhere } = require('./entitlement.service');
+
+const QUESTION_TYPES = ['MULTIPLE_CHOICE', 'MULTI_SELECT', 'TRUE_FALSE', 'SHORT_ANSWER'];
+const TRUE_FALSE_OPTIONS = ['True', 'False'];
+
+/**
+ * Lower-case and collapse whitespace so short answers compare leniently
+ * @param {string} value
+ * @returns {string}
+ */
+function normalizeAnswer(value) {
+  return String(value).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Validate and normalize a question from a request body.
+ * Choice questions must list their options and mark correct answers by option text.
+ * @param {object} input - { type, prompt, options, correctAnswers, explanation, points, order }
+ * @returns {{ data?: object, error?: string }}
+ */
+function buildQuestionData(input) {
+  const type = (input.type || 'MULTIPLE_CHOICE').toUpperCase();
+
+  if (!QUESTION_TYPES.includes(type)) {
+    return { error: `Invalid question type. Must be one of ${QUESTION_TYPES.join(', ')}` };
+  }
+
+  if (!input.prompt || !String(input.prompt).trim()) {
+    return { error: 'Question prompt is required' };
+  }
+
+  const clean = (list) => (Array.isArray(list) ? list : [])
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+
+  let options = type === 'TRUE_FALSE' ? TRUE_FALSE_OPTIONS : clean(input.options);
+  let correctAnswers = clean(
+    Array.isArray(input.correctAnswers) || input.correctAnswers === undefined
+      ? input.correctAnswers
+      : [input.correctAnswers]
+  );
+
+  if (type === 'SHORT_ANSWER') {
+    options = [];
+    if (correctAnswers.length === 0) {
+      return { error: 'Short answer questions need at least one accepted answer' };
+    }
+  } else {
+    if (options.length < 2) {
+      return { error: 'Choice questions need at least two options' };
+    }
+    if (new Set(options).size !== options.length) {
+      return { error: 'Question options must be unique' };
+    }
+
+    // Match true/false answers case-insensitively onto the canonical option text
+    if (type === 'TRUE_FALSE') {
+      correctAnswers = correctAnswers.map((answer) =>
+        TRUE_FALSE_OPTIONS.find((o) => o.toLowerCase() === answer.toLowerCase()) || answer
+      );
+    }
+
+    if (correctAnswers.length === 0 || correctAnswers.some((answer) => !options.includes(answer))) {
+      return { error: 'Correct answers must be chosen from the question options' };
+    }
+    if (type !== 'MULTI_SELECT' && correctAnswers.length !== 1) {
+      return { error: 'This question type must have exactly one correct answer' };
+    }
+  }
+
+  const points = input.points !== undefined ? parseInt(input.points) : 1;
+  if (Number.isNaN(points) || points < 0) {
+    return { error: 'Question points must be a non-negative integer' };
+  }
+
+  const data = {
+    type,
+    prompt: String(input.prompt).trim(),
+    options,
+    correctAnswers: [...new Set(correctAnswers)],
+    explanation: input.explanation || null,
+    points,
+  };
+  if (input.order !== undefined) data.order = parseInt(input.order) || 0;
+
+  return { data };
+}
+
+/**
+ * Grade submitted answers against a quiz's questions (all-or-nothing per question)
+ * @param {object[]} questions - QuizQuestion records
+ * @param {object} answers - { [questionId]: string | string[] }
+ * @returns {{ results: object[], earnedPoints: number, totalPoints: number, score: number }}
+ */
+function gradeAnswers(questions, answers) {
+  let earnedPoints = 0;
+  let totalPoints = 0;
+
+  const results = questions.map((question) => {
+    const raw = answers?.[question.id];
+    const given = (Array.isArray(raw) ? raw : raw === undefined || raw === null ? [] : [raw])
+      .map((item) => String(item).trim())
+      .filter(Boolean);
+
+    let correct;
+    if (question.type === 'SHORT_ANSWER') {
+      const accepted = question.correctAnswers.map(normalizeAnswer);
+      correct = given.length === 1 && accepted.includes(normalizeAnswer(given[0]));
+    } else if (question.type === 'MULTI_SELECT') {
+      const chosen = new Set(given);
+      correct = chosen.size === question.correctAnswers.length
+        && question.correctAnswers.every((answer) => chosen.has(answer));
+    } else {
+      correct = given.length === 1 && given[0] === question.correctAnswers[0];
+    }
+
+    totalPoints += question.points;
+    if (correct) earnedPoints += question.points;
+
+    return {
+      questionId: question.id,
+      answer: question.type === 'MULTI_SELECT' ? given : given[0] ?? null,
+      correct,
+      pointsAwarded: correct ? question.points : 0,
+    };
+  });
+
+  const score = totalPoints > 0 ? Math.round((earnedPoints / totalPoints) * 100) : 100;
+
+  return { results, earnedPoints, totalPoints, score };
+}
+
+/**
+ * Resolve the course a quiz belongs to (via its module, or its lesson's module)
+ * @param {{moduleId: string|null, lessonId: string|null}} quiz
+ * @returns {Promise<string|null>}
+ */
+async function getQuizCourseId(quiz) {
+  if (quiz.moduleId) {
+    const mod = await prisma.module.findUnique({
+      where: { id: quiz.moduleId },
+      select: { courseId: true },
+    });
+    return mod?.courseId || null;
+  }
+
+  if (quiz.lessonId) {
+    const lesson = await prisma.lesson.findUnique({
+      where: { id: quiz.lessonId },
+      select: { module: { select: { courseId: true } } },
+    });
+    return lesson?.module.courseId || null;
+  }
+
+  return null;
+}
+
+/**
+ * Required quizzes in a course that the user has not passed yet (quizzes in modules hidden from
+ * learners do not count). The enrollment only auto-completes once this list is empty.
+ * @param {string} userId
+ * @param {string} courseId
+ * @returns {Promise<{id: string, title: string, moduleId: string|null, lessonId: string|null}[]>}
+ */
+async function getPendingRequiredQuizzes(userId, courseId) {
+  return prisma.quiz.findMany({
+    where: {
+      isRequired: true,
+      OR: [
+        { module: { courseId, ...visibleModulesWhere() } },
+        { lesson: { module: { courseId, ...visibleModulesWhere() } } },
+      ],
+      attempts: { none: { userId, passed: true } },
+    },
+    select: { id: true, title: true, moduleId: true, lessonId: true },
+    orderBy: { order: 'asc' },
+  });
+}
+
+module.exports = {
+  QUESTION_TYPES,
+  buildQuestionData,
+  gradeAnswers,
+  getQuizCourseId,
+  getPendingRequiredQuizzes,
+};
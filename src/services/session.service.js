@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const prisma = require('../config/db');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Access tokens are short-lived; the refresh token keeps the device signed in
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+/**
+ * SHA-256 of a refresh token (only the hash is stored)
+ * @param {string} token
+ * @returns {string}
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Device details recorded on the session (shown in the sessions list)
+ * @param {object} req - Express request
+ * @returns {{userAgent: string|null, ipAddress: string|null}}
+ */
+function getClientInfo(req) {
+  return {
+    userAgent: req.get('user-agent')?.slice(0, 500) || null,
+    ipAddress: req.ip || null,
+  };
+}
+
+/**
+ * Sign a short-lived access token bound to a session (sid claim)
+ * @param {{id: string, role: string}} user
+ * @param {string} sessionId
+ * @returns {string}
+ */
+function signAccessToken(user, sessionId) {
+  return jwt.sign({ id: user.id, role: user.role, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+  });
+}
+
+/**
+ * Start a session for a user who just signed in
+ * @param {{id: string, role: string}} user
+ * @param {object} req - Express request (user agent / IP)
+ * @param {{twoFactorVerified?: boolean}} [options] - Second factor was checked at sign-in
+ * @returns {Promise<{token: string, refreshToken: string, sessionId: string}>}
+ */
+async function createSession(user, req, { twoFactorVerified = false } = {}) {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+
+  const session = await prisma.session.create({
+    data: {
+      userId: user.id,
+      refreshTokenHash: hashToken(refreshToken),
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * DAY_MS),
+      twoFactorVerified,
+      ...getClientInfo(req),
+    },
+  });
+
+  return { token: signAccessToken(user, session.id), refreshToken, sessionId: session.id };
+}
+
+/**
+ * Record that a session passed two-factor authentication (2FA just enabled in it)
+ * @param {string} sessionId
+ */
+async function markSessionTwoFactorVerified(sessionId) {
+  await prisma.session.update({
+    where: { id: sessionId },
+    data: { twoFactorVerified: true },
+  });
+}
+
+/**
+ * Revoke one session (no-op if it is already revoked)
+ * @param {string} sessionId
+ * @param {string} reason
+ * @returns {Promise<number>} Number of sessions revoked (0 or 1)
+ */
+async function revokeSession(sessionId, reason) {
+  const { count } = await prisma.session.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason },
+  });
+  return count;
+}
+
+/**
+ * Revoke every active session of a user (logout everywhere, deactivation, password change)
+ * @param {string} userId
+ * @param {string} reason
+ * @param {{exceptSessionId?: string}} [options] - Keep the caller's own session signed in
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeUserSessions(userId, reason, { exceptSessionId } = {}) {
+  const { count } = await prisma.session.updateMany({
+    where: {
+      userId,
+      revokedAt: null,
+      ...(exceptSessionId && { id: { not: exceptSessionId } }),
+    },
+    data: { revokedAt: new Date(), revokedReason: reason },
+  });
+  return count;
+}
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token.
+ * Each refresh token works once: replaying an already-rotated token revokes the session,
+ * since it means the token was copied (or two clients are sharing it).
+ * @param {string} refreshToken
+ * @param {object} req - Express request (user agent / IP)
+ * @returns {Promise<{token?: string, refreshToken?: string, sessionId?: string, error?: string, code?: string}>}
+ */
+async function rotateSession(refreshToken, req) {
+  const hash = hashToken(refreshToken);
+
+  const session = await prisma.session.findUnique({
+    where: { refreshTokenHash: hash },
+    include: { user: { select: { id: true, role: true, status: true } } },
+  });
+
+  if (!session) {
+    const replayed = await prisma.session.findUnique({
+      where: { previousTokenHash: hash },
+      select: { id: true },
+    });
+    if (replayed) {
+      await revokeSession(replayed.id, 'REUSE_DETECTED');
+      return { error: 'Refresh token was already used. Please login again.', code: 'REFRESH_TOKEN_REUSED' };
+    }
+    return { error: 'Invalid refresh token', code: 'INVALID_REFRESH_TOKEN' };
+  }
+
+  if (session.revokedAt || session.expiresAt <= new Date()) {
+    return { error: 'Session expired. Please login again.', code: 'SESSION_EXPIRED' };
+  }
+
+  if (session.user.status !== 'ACTIVE') {
+    await revokeSession(session.id, 'DEACTIVATED');
+    return { error: 'Your account has been deactivated. Please contact support.', code: 'ACCOUNT_INACTIVE' };
+  }
+
+  const nextToken = crypto.randomBytes(48).toString('base64url');
+
+  // Conditional update: a concurrent refresh with the same token loses and is treated as a replay
+  const { count } = await prisma.session.updateMany({
+    where: { id: session.id, refreshTokenHash: hash, revokedAt: null },
+    data: {
+      refreshTokenHash: hashToken(nextToken),
+      previousTokenHash: hash,
+      lastUsedAt: new Date(),
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * DAY_MS),
+      ...getClientInfo(req),
+    },
+  });
+
+  if (count === 0) {
+    await revokeSession(session.id, 'REUSE_DETECTED');
+    return { error: 'Refresh token was already used. Please login again.', code: 'REFRESH_TOKEN_REUSED' };
+  }
+
+  return { token: signAccessToken(session.user, session.id), refreshToken: nextToken, sessionId: session.id };
+}
+
+/**
+ * Load a session for an access token's sid claim.
+ * Returns null when it is revoked, expired, or the user is no longer active.
+ * @param {string} sessionId
+ * @returns {Promise<object|null>} Session with user { id, role, status }
+ */
+async function getActiveSession(sessionId) {
+  const session = await prisma.session.findUnique({
+    where: { id: sessionId },
+    include: { user: { select: { id: true, role: true, status: true } } },
+  });
+
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) return null;
+  if (session.user.status !== 'ACTIVE') return null;
+  return session;
+}
+
+/**
+ * Signed-in devices of a user, most recently used first
+ * @param {string} userId
+ * @returns {Promise<object[]>}
+ */
+async function listActiveSessions(userId) {
+  return prisma.session.findMany({
+    where: { userId, revokedAt: null, expiresAt: { gt: new Date() } },
+    orderBy: { lastUsedAt: 'desc' },
+    select: {
+      id: true,
+      userAgent: true,
+      ipAddress: true,
+      createdAt: true,
+      lastUsedAt: true,
+      expiresAt: true,
+    },
+  });
+}
+
+module.exports = {
+  ACCESS_TOKEN_EXPIRES_IN,
+  createSession,
+  markSessionTwoFactorVerified,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  getActiveSession,
+  listActiveSessions,
+};
@@ -0,0 +1,319 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { createReadStream } = require('fs');
+const { Readable } = require('stream');
+const prisma = require('../config/db');
+const bunnyStorage = require('./bunnyStorage.service');
+
+// Where course files (documents, module/lesson content) live. The database keeps only storageKey
+// and metadata. local: files under STORAGE_LOCAL_DIR (dev/tests); bunny: the Bunny Storage files zone.
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || (process.env.NODE_ENV === 'production' ? 'bunny' : 'local');
+const LOCAL_ROOT = path.resolve(process.env.STORAGE_LOCAL_DIR || 'storage');
+
+/**
+ * Local filesystem path of a key; keys never escape the storage root
+ * @param {string} key
+ */
+function localPath(key) {
+  const filePath = path.resolve(LOCAL_ROOT, key);
+  if (!filePath.startsWith(LOCAL_ROOT + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+  return filePath;
+}
+
+const drivers = {
+  local: {
+    async put(key, buffer) {
+      const filePath = localPath(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+    },
+    async get(key) {
+      try {
+        return await fs.readFile(localPath(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+    async remove(key) {
+      await fs.rm(localPath(key), { force: true });
+    },
+    async removeFolder(prefix) {
+      await fs.rm(localPath(prefix), { recursive: true, force: true });
+    },
+    // Read from disk as requested, without loading the file
+    async open(key) {
+      const filePath = localPath(key);
+      try {
+        const { size } = await fs.stat(filePath);
+        return { size, createReadStream: (range) => createReadStream(filePath, range) };
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+  },
+  bunny: {
+    put: (key, buffer, contentType) => bunnyStorage.uploadFile(buffer, key, contentType),
+    get: (key) => bunnyStorage.downloadFile(key),
+    remove: (key) => bunnyStorage.deleteFile(key),
+    // Bunny deletes a path ending in / recursively
+    removeFolder: (prefix) => bunnyStorage.deleteFile(`${prefix.replace(/\/+$/, '')}/`),
+    async open(key) {
+      const buffer = await bunnyStorage.downloadFile(key);
+      return buffer && openBuffer(buffer);
+    },
+  },
+};
+
+/**
+ * Readable view of an in-memory file, shaped like openObject's result
+ * @param {Buffer} buffer
+ */
+function openBuffer(buffer) {
+  return {
+    size: buffer.length,
+    createReadStream: (range) => Readable.from([range ? buffer.subarray(range.start, range.end + 1) : buffer]),
+  };
+}
+
+const driver = drivers[STORAGE_DRIVER];
+if (!driver) throw new Error(`Unknown STORAGE_DRIVER "${STORAGE_DRIVER}". Use local or bunny.`);
+
+/**
+ * Fresh key for a new object, e.g. documents/3f2c...-syllabus.pdf
+ * @param {'documents'|'modules'|'lessons'} folder
+ * @param {string} [fileName]
+ * @returns {string}
+ */
+function newStorageKey(folder, fileName) {
+  const safeName = String(fileName || 'content').replace(/[^a-zA-Z0-9._-]/g, '_').slice(0, 100);
+  return `${folder}/${crypto.randomUUID()}-${safeName}`;
+}
+
+/**
+ * @param {string} key
+ * @param {Buffer} buffer
+ * @param {string} [contentType]
+ */
+async function putObject(key, buffer, contentType) {
+  await driver.put(key, buffer, contentType);
+}
+
+/**
+ * @param {string} key
+ * @returns {Promise<Buffer|null>} null when the object does not exist
+ */
+async function getObject(key) {
+  return driver.get(key);
+}
+
+/**
+ * @param {string} key
+ */
+async function deleteObject(key) {
+  await driver.remove(key);
+}
+
+// Content arrives as base64, optionally as a data URL ("data:application/pdf;base64,....")
+const DATA_URL_PREFIX = /^data:[^;,]*;base64,/;
+
+/**
+ * Decode base64 (or data-URL) content. Whitespace and missing padding are tolerated.
+ * @param {string} content
+ * @returns {{bytes: Buffer, prefix: string|null}|null} null when it is not base64
+ */
+function parseBase64Content(content) {
+  if (typeof content !== 'string') return null;
+  const prefix = content.match(DATA_URL_PREFIX)?.[0] || null;
+  const base64 = content.slice(prefix ? prefix.length : 0).replace(/\s+/g, '');
+  if (!/^[A-Za-z0-9+/]*={0,2}$/.test(base64)) return null;
+
+  const bytes = Buffer.from(base64, 'base64');
+  if (bytes.toString('base64').replace(/=+$/, '') !== base64.replace(/=+$/, '')) return null;
+  return { bytes, prefix };
+}
+
+/**
+ * The content string as clients know it (base64, with its data-URL header if it had one)
+ * @param {Buffer} bytes
+ * @param {string|null} prefix
+ * @returns {string}
+ */
+function toBase64Content(bytes, prefix) {
+  return `${prefix || ''}${bytes.toString('base64')}`;
+}
+
+/**
+ * Move client-sent base64 content into storage
+ * @param {'documents'|'modules'|'lessons'} folder
+ * @param {string} content
+ * @param {{fileName?: string, contentType?: string}} [meta]
+ * @returns {Promise<{storageKey: string, contentPrefix: string|null, size: number}|{error: string}>}
+ */
+async function storeContent(folder, content, { fileName, contentType } = {}) {
+  const parsed = parseBase64Content(content);
+  if (!parsed) return { error: 'Content must be base64 encoded (a data URL is fine)' };
+
+  return storeBytes(folder, parsed.bytes, { fileName, contentType, prefix: parsed.prefix });
+}
+
+/**
+ * Put file bytes (e.g. a multipart upload) into storage under a fresh key
+ * @param {'documents'|'modules'|'lessons'} folder
+ * @param {Buffer} bytes
+ * @param {{fileName?: string, contentType?: string, prefix?: string|null}} [meta] - prefix: data-URL header to answer base64 reads with
+ * @returns {Promise<{storageKey: string, contentPrefix: string|null, size: number}>}
+ */
+async function storeBytes(folder, bytes, { fileName, contentType, prefix = null } = {}) {
+  const storageKey = newStorageKey(folder, fileName);
+  await putObject(storageKey, bytes, contentType);
+  return { storageKey, contentPrefix: prefix, size: bytes.length };
+}
+
+/**
+ * Open an object for a streamed read
+ * @param {string} key
+ * @returns {Promise<{size: number, createReadStream: (range?: {start: number, end: number}) => import('stream').Readable}|null>}
+ *   null when the object does not exist (range end is inclusive)
+ */
+async function openObject(key) {
+  return driver.open(key);
+}
+
+/**
+ * Open a row's file for a streamed download, from storage or the legacy content column
+ * @param {object} row - Document, Module or Lesson with storageKey/content
+ * @returns {Promise<{size: number, createReadStream: (range?: {start: number, end: number}) => import('stream').Readable}|null>}
+ *   null when there is no file (range end is inclusive)
+ */
+async function openContent(row) {
+  if (row.storageKey) return openObject(row.storageKey);
+
+  const parsed = row.content && parseBase64Content(row.content);
+  return parsed ? openBuffer(parsed.bytes) : null;
+}
+
+/**
+ * Update data for an optional content field (modules, lessons): stored when given, cleared when empty
+ * @param {'modules'|'lessons'} folder
+ * @param {string|null} content
+ * @param {{fileName?: string, contentType?: string}} [meta]
+ * @returns {Promise<{data: {content: null, storageKey: string|null, contentPrefix: string|null}}|{error: string}>}
+ */
+async function contentFields(folder, content, meta) {
+  if (!content) return { data: { content: null, storageKey: null, contentPrefix: null } };
+
+  const stored = await storeContent(folder, content, meta);
+  if (stored.error) return stored;
+  return { data: { content: null, storageKey: stored.storageKey, contentPrefix: stored.contentPrefix } };
+}
+
+/**
+ * Swap a row's storage fields for its content, for API responses that carry content.
+ * Rows not yet migrated keep their database content.
+ * @param {object|null} row - Document, Module or Lesson with storageKey/contentPrefix
+ * @returns {Promise<object|null>}
+ */
+async function withContent(row) {
+  if (!row) return row;
+  const { storageKey, contentPrefix, ...rest } = row;
+  if (!storageKey) return rest;
+
+  const bytes = await getObject(storageKey);
+  if (!bytes) console.warn(`[STORAGE] Object ${storageKey} is missing`);
+  return { ...rest, content: bytes ? toBase64Content(bytes, contentPrefix) : null };
+}
+
+/**
+ * Folder for files generated from a document (e.g. per-learner watermarked copies).
+ * It belongs to that one document and is removed with it.
+ * @param {string} documentId
+ * @returns {string} Ends with /
+ */
+function derivedFolder(documentId) {
+  return `derived/documents/${documentId}/`;
+}
+
+/**
+ * Storage keys held by documents, modules and lessons that are about to be deleted
+ * (their documents, document versions and derived files included). Pass the same filters used for the delete.
+ * @param {{courseId?: string, documents?: object, modules?: object, lessons?: object}} scope - Prisma where for documents / modules / lessons
+ * @param {object} [client] - Prisma client or transaction
+ * @returns {Promise<string[]>}
+ */
+async function storageKeysFor({ courseId, documents: documentsWhere, modules, lessons }, client = prisma) {
+  const documentScopes = [
+    ...(courseId ? [{ courseId }] : []),
+    ...(documentsWhere ? [documentsWhere] : []),
+    ...(modules ? [{ module: modules }] : []),
+    ...(lessons ? [{ lesson: lessons }] : []),
+  ];
+  const withKey = { storageKey: { not: null } };
+  const select = { storageKey: true };
+
+  const [documents, ...rows] = await Promise.all([
+    documentScopes.length > 0
+      ? client.document.findMany({
+        where: { OR: documentScopes },
+        select: { id: true, storageKey: true, versions: { select: { storageKey: true } } },
+      })
+      : [],
+    modules ? client.module.findMany({ where: { ...withKey, ...modules }, select }) : [],
+    lessons ? client.lesson.findMany({ where: { ...withKey, ...lessons }, select }) : [],
+  ]);
+
+  return [...new Set([
+    ...[...documents, ...documents.flatMap((doc) => doc.versions), ...rows.flat()]
+      .map((row) => row.storageKey)
+      .filter(Boolean),
+    ...documents.map((doc) => derivedFolder(doc.id)),
+  ])];
+}
+
+/**
+ * Delete objects nothing refers to any more (clones, imports and document versions share keys), and derived folders.
+ * Call after the rows were deleted or pointed elsewhere. Never throws: a leftover object is only wasted space.
+ * @param {Array<string|null>} keys
+ */
+async function releaseObjects(keys) {
+  for (const key of new Set(keys.filter(Boolean))) {
+    try {
+      if (key.endsWith('/')) {
+        await driver.removeFolder(key);
+        continue;
+      }
+
+      const counts = await Promise.all([
+        prisma.document.count({ where: { storageKey: key } }),
+        prisma.documentVersion.count({ where: { storageKey: key } }),
+        prisma.module.count({ where: { storageKey: key } }),
+        prisma.lesson.count({ where: { storageKey: key } }),
+      ]);
+      if (counts.every((count) => count === 0)) await deleteObject(key);
+    } catch (error) {
+      console.warn(`[STORAGE] Failed to delete ${key}:`, error.message);
+    }
+  }
+}
+
+module.exports = {
+  STORAGE_DRIVER,
+  newStorageKey,
+  putObject,
+  getObject,
+  deleteObject,
+  parseBase64Content,
+  toBase64Content,
+  storeContent,
+  storeBytes,
+  openObject,
+  openBuffer,
+  openContent,
+  derivedFolder,
+  contentFields,
+  withContent,
+  storageKeysFor,
+  releaseObjects,
+};
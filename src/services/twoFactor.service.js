@@ -0,0 +1,279 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const prisma = require('../config/db');
+
+// RFC 6238 defaults (what authenticator apps expect)
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Accept the previous/next code too, to absorb clock drift
+const TOTP_WINDOW = 1;
+
+const BACKUP_CODE_COUNT = 10;
+const CHALLENGE_TOKEN_EXPIRES_IN = '5m';
+
+// Roles the Settings toggle applies to (plus anyone holding a custom role)
+const TWO_FACTOR_ROLES = ['ADMIN', 'INSTRUCTOR'];
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * @param {Buffer} buffer
+ * @returns {string} Unpadded base32
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+/**
+ * @param {string} input - Base32 (case-insensitive, padding/spaces ignored)
+ * @returns {Buffer}
+ */
+function base32Decode(input) {
+  const clean = input.toUpperCase().replace(/[=\s]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * AES-256-GCM key for secrets at rest (TWO_FACTOR_ENCRYPTION_KEY, else derived from JWT_SECRET)
+ * @returns {Buffer}
+ */
+function getEncryptionKey() {
+  const material = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  return crypto.createHash('sha256').update(`2fa:${material}`).digest();
+}
+
+/**
+ * @param {string} secret - Base32 TOTP secret
+ * @returns {string} iv.tag.ciphertext (base64url)
+ */
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64url')).join('.');
+}
+
+/**
+ * @param {string} payload - Output of encryptSecret
+ * @returns {string} Base32 TOTP secret
+ */
+function decryptSecret(payload) {
+  const [iv, tag, encrypted] = payload.split('.').map((part) => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+/**
+ * HOTP value (RFC 4226) for a time step
+ * @param {Buffer} key
+ * @param {number} step
+ * @returns {string}
+ */
+function generateCode(key, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', key).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Check a TOTP code against the secret.
+ * Codes from a step at or before lastStep are refused so a code cannot be used twice.
+ * @param {string} secret - Base32 TOTP secret
+ * @param {string} code - Code typed by the user
+ * @param {number|null} lastStep - Last accepted step
+ * @returns {number|null} The matched step, or null
+ */
+function verifyTotp(secret, code, lastStep = null) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const key = base32Decode(secret);
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+
+  for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+    const step = currentStep + offset;
+    if (lastStep !== null && step <= lastStep) continue;
+
+    const expected = generateCode(key, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) return step;
+  }
+  return null;
+}
+
+/**
+ * @param {string} code
+ * @returns {string}
+ */
+function hashBackupCode(code) {
+  const normalized = String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Fresh set of single-use backup codes, e.g. 7F3A-92KD
+ * @returns {{codes: string[], hashes: string[]}} Plain codes (shown once) and their hashes (stored)
+ */
+function generateBackupCodes() {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex').toUpperCase().slice(0, 8);
+    return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+  });
+  return { codes, hashes: codes.map(hashBackupCode) };
+}
+
+/**
+ * Start (or restart) 2FA setup: store a new secret that becomes active once confirmed
+ * @param {{id: string, email: string}} user
+ * @returns {Promise<{secret: string, otpauthUrl: string, qrCode: string}>}
+ */
+async function startSetup(user) {
+  const secret = base32Encode(crypto.randomBytes(20));
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { twoFactorSecret: encryptSecret(secret), twoFactorLastStep: null },
+  });
+
+  const settings = await prisma.settings.findUnique({
+    where: { id: 'default' },
+    select: { siteName: true },
+  });
+  const issuer = settings?.siteName || 'LKnight';
+  const label = encodeURIComponent(`${issuer}:${user.email}`);
+  const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+
+  return { secret, otpauthUrl, qrCode: await QRCode.toDataURL(otpauthUrl) };
+}
+
+/**
+ * Check a second-factor code for a user: a TOTP code, or one of their backup codes
+ * (which is then used up). Records the TOTP step to block replays.
+ * @param {{id: string, twoFactorSecret: string|null, twoFactorLastStep: number|null, twoFactorBackupCodes: string[]}} user
+ * @param {{code?: string, backupCode?: string}} input
+ * @returns {Promise<'totp'|'backup'|null>} How the user passed, or null
+ */
+async function verifySecondFactor(user, { code, backupCode }) {
+  if (!user.twoFactorSecret) return null;
+
+  if (code) {
+    const step = verifyTotp(decryptSecret(user.twoFactorSecret), code, user.twoFactorLastStep);
+    if (step === null) return null;
+
+    // Conditional update so two requests cannot both use the same code
+    const { count } = await prisma.user.updateMany({
+      where: {
+        id: user.id,
+        OR: [{ twoFactorLastStep: null }, { twoFactorLastStep: { lt: step } }],
+      },
+      data: { twoFactorLastStep: step },
+    });
+    return count === 1 ? 'totp' : null;
+  }
+
+  if (backupCode) {
+    const hash = hashBackupCode(backupCode);
+    let codes = user.twoFactorBackupCodes;
+
+    // Conditional update on the list as read, so two requests cannot both use the same code and
+    // a parallel login with another code cannot bring this one back. Re-read if the list changed
+    for (let tries = 0; tries < 3 && codes.includes(hash); tries += 1) {
+      const { count } = await prisma.user.updateMany({
+        where: { id: user.id, twoFactorBackupCodes: { equals: codes } },
+        data: { twoFactorBackupCodes: codes.filter((h) => h !== hash) },
+      });
+      if (count === 1) return 'backup';
+
+      const current = await prisma.user.findUnique({
+        where: { id: user.id },
+        select: { twoFactorBackupCodes: true },
+      });
+      codes = current?.twoFactorBackupCodes || [];
+    }
+    return null;
+  }
+
+  return null;
+}
+
+/**
+ * Whether the Settings toggle requires 2FA for a user (staff roles and custom-role holders)
+ * @param {{role: string, customRoleId?: string|null}} user
+ * @returns {Promise<boolean>}
+ */
+async function isTwoFactorRequired(user) {
+  if (!TWO_FACTOR_ROLES.includes(user.role) && !user.customRoleId) return false;
+
+  const settings = await prisma.settings.findUnique({
+    where: { id: 'default' },
+    select: { requireTwoFactorForStaff: true },
+  });
+  return Boolean(settings?.requireTwoFactorForStaff);
+}
+
+/**
+ * Short-lived token proving the password step passed (exchanged for a session with a code).
+ * It has no sid claim, so the auth middleware never accepts it as an access token.
+ * @param {string} userId
+ * @returns {string}
+ */
+function signChallengeToken(userId) {
+  return jwt.sign({ id: userId, purpose: '2fa' }, process.env.JWT_SECRET, {
+    expiresIn: CHALLENGE_TOKEN_EXPIRES_IN,
+  });
+}
+
+/**
+ * @param {string} token
+ * @returns {string|null} User ID, or null when invalid/expired
+ */
+function verifyChallengeToken(token) {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === '2fa' ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  TWO_FACTOR_ROLES,
+  generateBackupCodes,
+  startSetup,
+  verifySecondFactor,
+  isTwoFactorRequired,
+  signChallengeToken,
+  verifyChallengeToken,
+};
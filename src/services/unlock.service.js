@@ -0,0 +1,167 @@
+const prisma = require('../config/db');
+const { getCourseRole } = require('./courseOwnership.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Start of the learner's drip schedule: their enrollment date, else (subscription access
+ * without an enrollment row) the first time they opened a lesson in the course, else now.
+ * @param {string} userId
+ * @param {string} courseId
+ * @returns {Promise<Date>}
+ */
+async function getDripAnchor(userId, courseId) {
+  const enrollment = await prisma.enrollment.findUnique({
+    where: { userId_courseId: { userId, courseId } },
+    select: { enrolledAt: true },
+  });
+  if (enrollment) return enrollment.enrolledAt;
+
+  const firstProgress = await prisma.lessonProgress.findFirst({
+    where: { userId, lesson: { module: { courseId } } },
+    orderBy: { startedAt: 'asc' },
+    select: { startedAt: true },
+  });
+  return firstProgress?.startedAt || new Date();
+}
+
+/**
+ * Compute the lock state of every lesson in a course for a user.
+ * Each entry is { locked, reason, unlockAt, requiredLessonId } where reason is
+ * 'SEQUENTIAL' (requiredLessonId must be completed first), 'DRIP' (opens at unlockAt)
+ * or 'AUTH_REQUIRED' (anonymous visitor on a gated course).
+ * @param {string} courseId
+ * @param {{userId?: string, role?: string}} viewer
+ * @returns {Promise<{unlockMode: string, lessons: Map<string, object>}>}
+ */
+async function getCourseUnlockMap(courseId, { userId, role } = {}) {
+  const course = await prisma.course.findUnique({
+    where: { id: courseId },
+    select: {
+      unlockMode: true,
+      modules: {
+        orderBy: { order: 'asc' },
+        select: {
+          id: true,
+          dripDays: true,
+          lessons: {
+            orderBy: { order: 'asc' },
+            select: { id: true, dripDays: true },
+          },
+        },
+      },
+    },
+  });
+
+  const lessons = new Map();
+  if (!course) return { unlockMode: null, lessons };
+
+  const ordered = course.modules.flatMap((mod) =>
+    mod.lessons.map((lesson) => ({ ...lesson, moduleDripDays: mod.dripDays }))
+  );
+  const open = { locked: false, reason: null, unlockAt: null, requiredLessonId: null };
+
+  // Staff can always open everything (authoring / support): admins, and the course's own instructors
+  const isStaff = role === 'ADMIN' || (role === 'INSTRUCTOR' && Boolean(userId) && Boolean(await getCourseRole(courseId, userId)));
+  if (course.unlockMode === 'OPEN' || isStaff) {
+    ordered.forEach((lesson) => lessons.set(lesson.id, open));
+    return { unlockMode: course.unlockMode, lessons };
+  }
+
+  if (!userId) {
+    ordered.forEach((lesson) => lessons.set(lesson.id, {
+      ...open,
+      locked: true,
+      reason: 'AUTH_REQUIRED',
+    }));
+    return { unlockMode: course.unlockMode, lessons };
+  }
+
+  if (course.unlockMode === 'SEQUENTIAL') {
+    const completed = await prisma.lessonProgress.findMany({
+      where: { userId, completedAt: { not: null }, lessonId: { in: ordered.map((l) => l.id) } },
+      select: { lessonId: true },
+    });
+    const completedIds = new Set(completed.map((p) => p.lessonId));
+
+    ordered.forEach((lesson, index) => {
+      const previous = ordered[index - 1];
+      if (!previous || completedIds.has(previous.id) || completedIds.has(lesson.id)) {
+        lessons.set(lesson.id, open);
+      } else {
+        lessons.set(lesson.id, {
+          ...open,
+          locked: true,
+          reason: 'SEQUENTIAL',
+          requiredLessonId: previous.id,
+        });
+      }
+    });
+    return { unlockMode: course.unlockMode, lessons };
+  }
+
+  // DRIP: a lesson opens at the later of its module's and its own dripDays
+  const anchor = await getDripAnchor(userId, courseId);
+  const now = Date.now();
+
+  ordered.forEach((lesson) => {
+    const days = Math.max(lesson.moduleDripDays || 0, lesson.dripDays || 0);
+    const unlockAt = new Date(anchor.getTime() + days * DAY_MS);
+
+    lessons.set(lesson.id, unlockAt.getTime() > now
+      ? { ...open, locked: true, reason: 'DRIP', unlockAt }
+      : { ...open, unlockAt: days > 0 ? unlockAt : null });
+  });
+
+  return { unlockMode: course.unlockMode, lessons };
+}
+
+/**
+ * Lock state of a single lesson for a user (see getCourseUnlockMap)
+ * @param {{id: string, module: {courseId: string}}} lesson
+ * @param {{userId?: string, role?: string}} viewer
+ * @returns {Promise<{locked: boolean, reason: string|null, unlockAt: Date|null, requiredLessonId: string|null}>}
+ */
+async function getLessonUnlockState(lesson, viewer) {
+  const { lessons } = await getCourseUnlockMap(lesson.module.courseId, viewer);
+  return lessons.get(lesson.id) || { locked: false, reason: null, unlockAt: null, requiredLessonId: null };
+}
+
+/**
+ * Lock state of a module for a user (module quizzes): that of its first lesson.
+ * A module without lessons is open.
+ * @param {{id: string, courseId: string}} mod
+ * @param {{userId?: string, role?: string}} viewer
+ * @returns {Promise<{locked: boolean, reason: string|null, unlockAt: Date|null, requiredLessonId: string|null}>}
+ */
+async function getModuleUnlockState(mod, viewer) {
+  const first = await prisma.lesson.findFirst({
+    where: { moduleId: mod.id },
+    orderBy: { order: 'asc' },
+    select: { id: true },
+  });
+  if (!first) return { locked: false, reason: null, unlockAt: null, requiredLessonId: null };
+  return getLessonUnlockState({ id: first.id, module: { courseId: mod.courseId } }, viewer);
+}
+
+/**
+ * Human-readable reason for a locked lesson (returned as the 403 message)
+ * @param {{reason: string, unlockAt: Date|null}} state
+ * @returns {string}
+ */
+function describeLock(state) {
+  if (state.reason === 'DRIP') {
+    return `This lesson unlocks on ${state.unlockAt.toISOString()}`;
+  }
+  if (state.reason === 'SEQUENTIAL') {
+    return 'Complete the previous lesson to unlock this lesson';
+  }
+  return 'Sign in to access this lesson';
+}
+
+module.exports = {
+  getCourseUnlockMap,
+  getLessonUnlockState,
+  getModuleUnlockState,
+  describeLock,
+};